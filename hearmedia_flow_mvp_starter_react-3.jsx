@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useMemo, useState, useEffect, useRef } from "react";
 import { createClient } from '@supabase/supabase-js';
 
 // ============================
@@ -15,12 +15,14 @@ import { createClient } from '@supabase/supabase-js';
 /**
  * --- KJØR DENNE SQL-EN I SUPABASE (SQL Editor) ---
  *
- * -- BOOKINGS (inkl. grupper/pris)
+ * -- BOOKINGS (inkl. grupper/pris). Start/slutt i minutter fra midnatt, 30-min oppløsning.
+ * create extension if not exists btree_gist;
  * create table if not exists public.bookings (
  *   id uuid primary key default gen_random_uuid(),
  *   date date not null,
  *   room_id text not null,
- *   hour int not null check (hour between 0 and 23),
+ *   start_min int not null check (start_min between 0 and 1410 and start_min % 30 = 0),
+ *   end_min int not null check (end_min between 30 and 1440 and end_min % 30 = 0),
  *   type text not null,
  *   room_name text not null,
  *   voucher_partner text,
@@ -28,15 +30,743 @@ import { createClient } from '@supabase/supabase-js';
  *   group_code text default 'standard',
  *   price_nok numeric,
  *   created_by uuid not null default auth.uid(),
- *   inserted_at timestamptz default now()
+ *   inserted_at timestamptz default now(),
+ *   check (end_min > start_min)
  * );
- * create unique index if not exists bookings_unique_slot on public.bookings(date, room_id, hour);
+ * -- Avlysning: raden beholdes med status 'cancelled' og utfallet (gebyr, refunderte klipp)
+ * alter table public.bookings add column if not exists status text not null default 'active' check (status in ('active','cancelled'));
+ * alter table public.bookings add column if not exists cancelled_at timestamptz;
+ * alter table public.bookings add column if not exists cancelled_by uuid;
+ * alter table public.bookings add column if not exists cancel_fee_nok numeric;
+ * alter table public.bookings add column if not exists refunded_klipp int;
+ * -- OFFLINE-KØ: client_ref settes av klienten for bookinger lagt i kø uten nett. Avspilles samme booking to ganger
+ * -- (svaret gikk tapt), feiler den andre med 23505 på bookings_client_ref_key i stedet for å lage en dobbel booking.
+ * alter table public.bookings add column if not exists client_ref text unique;
+ * -- Ingen overlappende aktive bookinger i samme rom samme dag (feilkode 23P01 ved konflikt)
+ * alter table public.bookings drop constraint if exists bookings_no_overlap;
+ * alter table public.bookings add constraint bookings_no_overlap
+ *   exclude using gist (room_id with =, date with =, int4range(start_min, end_min) with &&) where (status = 'active');
+ *
+ * -- MIGRERING fra timesbookinger (kolonnen "hour") – kjøres én gang på eksisterende database:
+ * -- alter table public.bookings add column if not exists start_min int, add column if not exists end_min int;
+ * -- update public.bookings set start_min = hour*60, end_min = (hour+1)*60 where start_min is null;
+ * -- drop index if exists bookings_unique_slot;
+ * -- alter table public.bookings drop column hour;
+ * -- (kjør deretter bookings_no_overlap-constrainten over på nytt)
+ *
+ * -- ROM OG ROMTYPER: romtypen eier grunnpris (per time) og energiprofil (kWh per brukstime). Rom deaktiveres i stedet
+ * -- for å slettes når de har bookinger (historikk og fakturaer peker på room_id).
+ * create table if not exists public.room_types (
+ *   id text primary key,              -- kort nøkkel, f.eks. 'band', 'studio', 'dj'
+ *   label text not null,
+ *   base_price_nok numeric not null check (base_price_nok >= 0),
+ *   kwh_per_hour numeric not null default 0 check (kwh_per_hour >= 0),
+ *   sort int not null default 100
+ * );
+ * insert into public.room_types(id, label, base_price_nok, kwh_per_hour, sort) values
+ *   ('solo','Solo',199,3.0,10), ('band','Band',399,4.5,20), ('preprod','Preprod',799,7.0,30)
+ * on conflict (id) do nothing;
+ * create table if not exists public.rooms (
+ *   id text primary key default substr(replace(gen_random_uuid()::text, '-', ''), 1, 8),
+ *   name text not null,
+ *   type text not null references public.room_types(id) on update cascade,
+ *   capacity int,
+ *   size_m2 numeric,
+ *   description text,
+ *   photos text[] not null default '{}',    -- bilde-URL-er (f.eks. Supabase Storage)
+ *   equipment text[] not null default '{}',
+ *   active boolean not null default true,
+ *   sort int not null default 100
+ * );
+ * insert into public.rooms(id, name, type, sort) values
+ *   ('s1','Solo 1','solo',1), ('s2','Solo 2','solo',2), ('b1','Band 1','band',3), ('b2','Band 2','band',4), ('b3','Band 3','band',5),
+ *   ('b4','Band 4','band',6), ('b5','Band 5','band',7), ('p1','Preprod / Scene','preprod',8)
+ * on conflict (id) do nothing;
+ * alter table public.bookings drop constraint if exists bookings_room_fk;
+ * alter table public.bookings add constraint bookings_room_fk foreign key (room_id) references public.rooms(id) on update cascade;
+ *
+ * -- ROLLER: admin, staff (ansatte/resepsjon), partner (koordinator for en klippekort-partner), member (alle andre).
+ * -- Brukere uten rad i user_roles er member. Første admin settes manuelt (se insert under), resten i Admin → Roller.
+ * -- Har du kjørt skriptet før: drop de gamle *_write_auth-, *_owner- og vouchers_*_auth-policyene og kjør skriptet på nytt.
+ * create table if not exists public.user_roles (
+ *   user_id uuid primary key references auth.users(id) on delete cascade,
+ *   email text,
+ *   role text not null check (role in ('admin','staff','partner','member')),
+ *   partner text, -- voucher-partneren de koordinerer (partner) eller kan booke med klippekort fra (member)
+ *   updated_at timestamptz default now()
+ * );
+ * create or replace function public.app_role() returns text
+ * language sql stable security definer set search_path = public as $$
+ *   select coalesce((select role from public.user_roles where user_id = auth.uid()), 'member')
+ * $$;
+ * create or replace function public.has_role(variadic p_roles text[]) returns boolean
+ * language sql stable security definer set search_path = public as $$ select public.app_role() = any(p_roles) $$;
+ * alter table public.user_roles enable row level security;
+ * create policy if not exists "roles_read_self_or_admin" on public.user_roles for select using (user_id = auth.uid() or public.has_role('admin'));
+ * create policy if not exists "roles_delete_admin" on public.user_roles for delete using (public.has_role('admin'));
+ * -- Tildeling via e-post (auth.users er ikke lesbar fra klienten)
+ * create or replace function public.role_assign(p_email text, p_role text, p_partner text default null)
+ * returns void language plpgsql security definer set search_path = public as $$
+ * declare v_uid uuid;
+ * begin
+ *   if not public.has_role('admin') then raise exception 'FORBIDDEN'; end if;
+ *   select id into v_uid from auth.users where lower(email) = lower(trim(p_email));
+ *   if v_uid is null then raise exception 'USER_NOT_FOUND'; end if;
+ *   insert into public.user_roles(user_id, email, role, partner) values (v_uid, lower(trim(p_email)), p_role, p_partner)
+ *   on conflict (user_id) do update set role = excluded.role, partner = excluded.partner, email = excluded.email, updated_at = now();
+ * end $$;
+ * -- insert into public.user_roles(user_id, email, role) select id, email, 'admin' from auth.users where email = 'daglig.leder@example.no';
+ * -- E-post for bookingenes eiere (eksport). Admin/ansatt får alle, andre bare sin egen.
+ * create or replace function public.user_emails(p_ids uuid[])
+ * returns table(user_id uuid, email text) language sql stable security definer set search_path = public as $$
+ *   select u.id, u.email::text from auth.users u
+ *   where u.id = any(p_ids) and (public.has_role('admin','staff') or u.id = auth.uid())
+ * $$;
+ *
+ * -- BAND OG ORGANISASJONER: bookinger kan gjøres på vegne av et band (org_id). Alle medlemmer ser bandets historikk, kan
+ * -- avlyse/flytte bookingene og hente tilgang (PIN). Roller i bandet: owner (oppretter), admin (inviterer og fjerner), member.
+ * -- Invitasjon per e-post: den inviterte ser invitasjonen når de logger inn med adressen, eller godtar via lenken (?invite=token)
+ * -- – begge deler krever innlogging med adressen invitasjonen ble sendt til.
+ * create table if not exists public.organisations (
+ *   id uuid primary key default gen_random_uuid(),
+ *   name text not null check (length(trim(name)) > 0),
+ *   kind text not null default 'band' check (kind in ('band','organisation')),
+ *   created_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now()
+ * );
+ * create table if not exists public.organisation_members (
+ *   org_id uuid not null references public.organisations(id) on delete cascade,
+ *   user_id uuid not null references auth.users(id) on delete cascade,
+ *   email text,
+ *   role text not null default 'member' check (role in ('owner','admin','member')),
+ *   joined_at timestamptz default now(),
+ *   primary key (org_id, user_id)
+ * );
+ * create table if not exists public.organisation_invites (
+ *   id uuid primary key default gen_random_uuid(),
+ *   org_id uuid not null references public.organisations(id) on delete cascade,
+ *   email text not null,
+ *   role text not null default 'member' check (role in ('admin','member')),
+ *   token text not null unique default encode(gen_random_bytes(16), 'hex'),
+ *   invited_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now(),
+ *   expires_at timestamptz not null default now() + interval '14 days'
+ * );
+ * create unique index if not exists organisation_invites_email_idx on public.organisation_invites(org_id, lower(email));
+ * alter table public.bookings add column if not exists org_id uuid references public.organisations(id) on delete set null;
+ * create index if not exists bookings_org_idx on public.bookings(org_id, date);
+ * create or replace function public.org_role(p_org uuid) returns text
+ * language sql stable security definer set search_path = public as $$
+ *   select role from public.organisation_members where org_id = p_org and user_id = auth.uid()
+ * $$;
+ * create or replace function public.is_org_member(p_org uuid) returns boolean
+ * language sql stable security definer set search_path = public as $$ select public.org_role(p_org) is not null $$;
+ * create or replace function public.is_org_admin(p_org uuid) returns boolean
+ * language sql stable security definer set search_path = public as $$ select coalesce(public.org_role(p_org) in ('owner','admin'), false) $$;
+ * alter table public.organisations enable row level security;
+ * create policy if not exists "orgs_read_member" on public.organisations for select using (
+ *   public.is_org_member(id) or public.has_role('admin','staff')
+ *   or exists (select 1 from public.organisation_invites i where i.org_id = organisations.id and lower(i.email) = lower(auth.jwt()->>'email'))
+ * );
+ * create policy if not exists "orgs_update_admin" on public.organisations for update using (public.is_org_admin(id));
+ * create policy if not exists "orgs_delete_owner" on public.organisations for delete using (public.org_role(id) = 'owner');
+ * alter table public.organisation_members enable row level security;
+ * create policy if not exists "org_members_read" on public.organisation_members for select using (public.is_org_member(org_id) or public.has_role('admin','staff'));
+ * -- Eieren kan ikke endres eller fjernes (bandet slettes i stedet); medlemmer kan melde seg ut selv.
+ * -- Roller endres bare via org_set_role – ingen update-policy, så org_id/user_id kan ikke skrives om.
+ * drop policy if exists "org_members_update_admin" on public.organisation_members;
+ * create policy if not exists "org_members_delete" on public.organisation_members for delete
+ *   using (role <> 'owner' and (user_id = auth.uid() or public.is_org_admin(org_id)));
+ * alter table public.organisation_invites enable row level security;
+ * create policy if not exists "org_invites_read" on public.organisation_invites for select
+ *   using (public.is_org_admin(org_id) or lower(email) = lower(auth.jwt()->>'email'));
+ * create policy if not exists "org_invites_insert_admin" on public.organisation_invites for insert
+ *   with check (public.is_org_admin(org_id) and invited_by = auth.uid());
+ * create policy if not exists "org_invites_delete" on public.organisation_invites for delete
+ *   using (public.is_org_admin(org_id) or lower(email) = lower(auth.jwt()->>'email'));
+ * create or replace function public.org_create(p_name text, p_kind text default 'band') returns uuid
+ * language plpgsql security definer set search_path = public as $$
+ * declare new_id uuid;
+ * begin
+ *   if auth.uid() is null then raise exception 'NOT_AUTHENTICATED'; end if;
+ *   insert into public.organisations(name, kind, created_by) values (trim(p_name), p_kind, auth.uid()) returning id into new_id;
+ *   insert into public.organisation_members(org_id, user_id, email, role) values (new_id, auth.uid(), lower(auth.jwt()->>'email'), 'owner');
+ *   return new_id;
+ * end $$;
+ * create or replace function public.org_set_role(p_org uuid, p_user uuid, p_role text) returns void
+ * language plpgsql security definer set search_path = public as $$
+ * begin
+ *   if not public.is_org_admin(p_org) then raise exception 'FORBIDDEN'; end if;
+ *   if p_role not in ('admin','member') then raise exception 'INVALID_ROLE'; end if;
+ *   update public.organisation_members set role = p_role where org_id = p_org and user_id = p_user and role <> 'owner';
+ *   if not found then raise exception 'MEMBER_NOT_FOUND'; end if;
+ * end $$;
+ * -- Lenken alene gir ikke medlemskap: innlogget e-post må være adressen invitasjonen ble sendt til
+ * create or replace function public.org_accept_invite(p_token text) returns uuid
+ * language plpgsql security definer set search_path = public as $$
+ * declare i public.organisation_invites;
+ * begin
+ *   if auth.uid() is null then raise exception 'NOT_AUTHENTICATED'; end if;
+ *   select * into i from public.organisation_invites where token = p_token and expires_at > now();
+ *   if not found then raise exception 'INVITE_INVALID'; end if;
+ *   if lower(i.email) <> lower(coalesce(auth.jwt()->>'email', '')) then raise exception 'INVITE_OTHER_EMAIL'; end if;
+ *   delete from public.organisation_invites where id = i.id;
+ *   insert into public.organisation_members(org_id, user_id, email, role) values (i.org_id, auth.uid(), lower(auth.jwt()->>'email'), i.role)
+ *   on conflict (org_id, user_id) do nothing;
+ *   return i.org_id;
+ * end $$;
+ *
  * alter table public.bookings enable row level security;
  * create policy if not exists "read_all" on public.bookings for select using (true);
- * create policy if not exists "insert_auth_owns" on public.bookings for insert
+ * -- Har du kjørt skriptet før: policyene under er utvidet med bandmedlemmer og må erstattes
+ * drop policy if exists "insert_auth_owns" on public.bookings;
+ * drop policy if exists "delete_owner_or_staff" on public.bookings;
+ * drop policy if exists "update_owner_or_staff" on public.bookings;
+ * create policy "insert_auth_owns" on public.bookings for insert
+ *   with check (auth.role() = 'authenticated' and created_by = auth.uid() and status = 'active' and (org_id is null or public.is_org_member(org_id)));
+ * -- Eier, medlemmer av bandet eller ansatte kan slette
+ * create policy "delete_owner_or_staff" on public.bookings for delete
+ *   using (created_by = auth.uid() or public.is_org_member(org_id) or public.has_role('admin','staff'));
+ * -- Ingen update-policy: flytting går via booking_move, avlysning via cancel_bookings (pris, status, klipp og eier kan
+ * -- ikke skrives direkte fra klienten)
+ * alter table public.room_types enable row level security;
+ * create policy if not exists "room_types_read_all" on public.room_types for select using (true);
+ * create policy if not exists "room_types_write_admin" on public.room_types for all using (public.has_role('admin'));
+ * alter table public.rooms enable row level security;
+ * create policy if not exists "rooms_read_all" on public.rooms for select using (true);
+ * create policy if not exists "rooms_write_admin" on public.rooms for all using (public.has_role('admin'));
+ * -- REALTIME: klientene abonnerer på endringer i bookings. Full radverdi gjør at update/delete også sender gammel dato/rom/tid.
+ * alter table public.bookings replica identity full;
+ * alter publication supabase_realtime add table public.bookings;
+ * -- Realtime filtrerer update på den nye raden, så klientene (som bare lytter på datoene de viser) ser ikke at en booking
+ * -- flyttes ut av perioden. Flyttinger logges derfor her med bare id og datoer, og klientene lytter på from_date.
+ * create table if not exists public.booking_moves (
+ *   id bigint generated always as identity primary key,
+ *   booking_id uuid not null,
+ *   from_date date not null,
+ *   to_date date not null,
+ *   moved_at timestamptz not null default now()
+ * );
+ * alter table public.booking_moves enable row level security;
+ * create policy if not exists "booking_moves_read_all" on public.booking_moves for select using (true);
+ * create or replace function public.bookings_log_move() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin
+ *   delete from public.booking_moves where moved_at < now() - interval '1 day'; -- bare for live-visning, ikke historikk
+ *   insert into public.booking_moves(booking_id, from_date, to_date) values (new.id, old.date, new.date);
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_log_move on public.bookings;
+ * create trigger bookings_log_move after update of date on public.bookings
+ *   for each row when (old.date is distinct from new.date) execute function public.bookings_log_move();
+ * alter publication supabase_realtime add table public.booking_moves;
+ *
+ * -- ÅPNINGSTIDER: per ukedag (0=søndag … 6=lørdag, som extract(dow)) + unntak (helligdager, sommerstengt, kveldsåpent).
+ * -- Korteste unntak som dekker datoen gjelder foran ukeplanen.
+ * create table if not exists public.opening_hours (
+ *   weekday int primary key check (weekday between 0 and 6),
+ *   open_hour int not null default 10,
+ *   close_hour int not null default 23 check (close_hour <= 24),
+ *   closed boolean not null default false
+ * );
+ * insert into public.opening_hours(weekday) select generate_series(0,6) on conflict do nothing;
+ * create table if not exists public.opening_exceptions (
+ *   id uuid primary key default gen_random_uuid(),
+ *   date_from date not null,
+ *   date_to date not null,
+ *   closed boolean not null default true,
+ *   open_hour int,
+ *   close_hour int check (close_hour <= 24),
+ *   label text,
+ *   check (date_to >= date_from)
+ * );
+ * alter table public.opening_hours enable row level security;
+ * alter table public.opening_exceptions enable row level security;
+ * create policy if not exists "opening_read_all" on public.opening_hours for select using (true);
+ * create policy if not exists "opening_write_admin" on public.opening_hours for all using (public.has_role('admin'));
+ * create policy if not exists "opening_ex_read_all" on public.opening_exceptions for select using (true);
+ * create policy if not exists "opening_ex_write_admin" on public.opening_exceptions for all using (public.has_role('admin'));
+ * -- Ukeplan og unntak lagres samlet i én transaksjon (admin). p_weekly: [{ weekday, open_hour, close_hour, closed }],
+ * -- p_exceptions: [{ date_from, date_to, closed, open_hour, close_hour, label }] erstatter alle unntak.
+ * create or replace function public.opening_hours_save(p_weekly jsonb, p_exceptions jsonb)
+ * returns void language plpgsql security definer set search_path = public as $$
+ * begin
+ *   if not public.has_role('admin') then raise exception 'FORBIDDEN'; end if;
+ *   insert into public.opening_hours(weekday, open_hour, close_hour, closed)
+ *   select (x->>'weekday')::int, (x->>'open_hour')::int, (x->>'close_hour')::int, coalesce((x->>'closed')::boolean, false)
+ *   from jsonb_array_elements(p_weekly) x
+ *   on conflict (weekday) do update set open_hour = excluded.open_hour, close_hour = excluded.close_hour, closed = excluded.closed;
+ *   delete from public.opening_exceptions where true;
+ *   insert into public.opening_exceptions(date_from, date_to, closed, open_hour, close_hour, label)
+ *   select (x->>'date_from')::date, (x->>'date_to')::date, coalesce((x->>'closed')::boolean, true), (x->>'open_hour')::int, (x->>'close_hour')::int, nullif(x->>'label', '')
+ *   from jsonb_array_elements(p_exceptions) x;
+ * end $$;
+ *
+ * create or replace function public.opening_hours_for(p_date date, out open_hour int, out close_hour int)
+ * language plpgsql stable set search_path = public as $$
+ * begin
+ *   select case when e.closed then null else e.open_hour end, case when e.closed then null else e.close_hour end
+ *     into open_hour, close_hour
+ *     from public.opening_exceptions e where p_date between e.date_from and e.date_to
+ *     order by (e.date_to - e.date_from) limit 1;
+ *   if found then return; end if;
+ *   select case when h.closed then null else h.open_hour end, case when h.closed then null else h.close_hour end
+ *     into open_hour, close_hour
+ *     from public.opening_hours h where h.weekday = extract(dow from p_date);
+ * end $$;
+ *
+ * create or replace function public.bookings_opening_check() returns trigger
+ * language plpgsql stable set search_path = public as $$
+ * declare oh record;
+ * begin
+ *   select * into oh from public.opening_hours_for(new.date);
+ *   if oh.open_hour is null or new.start_min < oh.open_hour*60 or new.end_min > oh.close_hour*60 then
+ *     raise exception 'OUTSIDE_OPENING_HOURS';
+ *   end if;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_opening_hours on public.bookings;
+ * create trigger bookings_opening_hours before insert or update of date, room_id, start_min, end_min on public.bookings
+ *   for each row execute function public.bookings_opening_check();
+ *
+ * -- SPERRINGER: rom ute av drift (vedlikehold, arrangement, intern bruk) – dato-intervall + tidsrom per dag
+ * create table if not exists public.room_blackouts (
+ *   id uuid primary key default gen_random_uuid(),
+ *   room_id text not null,
+ *   date_from date not null,
+ *   date_to date not null,
+ *   start_min int not null default 0 check (start_min between 0 and 1410 and start_min % 30 = 0),
+ *   end_min int not null default 1440 check (end_min between 30 and 1440 and end_min % 30 = 0),
+ *   reason text not null,
+ *   created_by uuid default auth.uid(),
+ *   created_at timestamptz default now(),
+ *   check (date_to >= date_from and end_min > start_min)
+ * );
+ * create index if not exists room_blackouts_room_idx on public.room_blackouts(room_id, date_from, date_to);
+ * alter table public.room_blackouts enable row level security;
+ * create policy if not exists "blackouts_read_all" on public.room_blackouts for select using (true);
+ * create policy if not exists "blackouts_write_staff" on public.room_blackouts for all using (public.has_role('admin','staff'));
+ *
+ * create or replace function public.bookings_blackout_check() returns trigger
+ * language plpgsql stable set search_path = public as $$
+ * begin
+ *   if exists (select 1 from public.room_blackouts x
+ *              where x.room_id = new.room_id and new.date between x.date_from and x.date_to
+ *                and int4range(x.start_min, x.end_min) && int4range(new.start_min, new.end_min)) then
+ *     raise exception 'ROOM_BLACKED_OUT';
+ *   end if;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_room_blackout on public.bookings;
+ * create trigger bookings_room_blackout before insert or update of date, room_id, start_min, end_min on public.bookings
+ *   for each row execute function public.bookings_blackout_check();
+ *
+ * -- SERIER: gjentakende bookinger (ukentlig/annenhver uke). Hver forekomst er en vanlig rad i bookings.
+ * create table if not exists public.booking_series (
+ *   id uuid primary key default gen_random_uuid(),
+ *   room_id text not null,
+ *   start_min int not null,
+ *   end_min int not null,
+ *   freq text not null check (freq in ('weekly','biweekly')),
+ *   start_date date not null,
+ *   until_date date,
+ *   occurrences int,
+ *   skip_dates date[] not null default '{}',
+ *   created_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now(),
+ *   check (until_date is not null or occurrences is not null)
+ * );
+ * alter table public.bookings add column if not exists series_id uuid references public.booking_series(id) on delete set null;
+ * create index if not exists bookings_series_idx on public.bookings(series_id, date);
+ * alter table public.booking_series enable row level security;
+ * create policy if not exists "series_read_all" on public.booking_series for select using (true);
+ * create policy if not exists "series_insert_owns" on public.booking_series for insert
  *   with check (auth.role() = 'authenticated' and created_by = auth.uid());
- * create policy if not exists "delete_owner_only" on public.bookings for delete
- *   using (created_by = auth.uid());
+ * create policy if not exists "series_delete_owner_or_staff" on public.booking_series for delete
+ *   using (created_by = auth.uid() or public.has_role('admin','staff'));
+ *
+ * -- KLIPPEKORT: saldo + transaksjonslogg. Innløsning/refusjon skjer kun via RPC-ene under,
+ * -- i samme transaksjon som insert/delete av bookingen (ingen klient-side justering).
+ * create table if not exists public.vouchers (
+ *   id uuid primary key default gen_random_uuid(),
+ *   partner text not null,
+ *   slots int not null default 0 check (slots >= 0),
+ *   expires_on date,
+ *   created_at timestamptz default now()
+ * );
+ * create table if not exists public.voucher_transactions (
+ *   id uuid primary key default gen_random_uuid(),
+ *   voucher_id uuid not null references public.vouchers(id) on delete cascade,
+ *   booking_id uuid references public.bookings(id) on delete set null,
+ *   delta int not null,
+ *   reason text not null check (reason in ('purchase','adjust','redeem','refund')),
+ *   booking_label text, -- kopi av dato/rom/tid, overlever sletting av bookingen
+ *   created_by uuid default auth.uid(),
+ *   created_at timestamptz default now()
+ * );
+ * create index if not exists voucher_tx_voucher_idx on public.voucher_transactions(voucher_id, created_at);
+ * alter table public.bookings add column if not exists voucher_id uuid references public.vouchers(id) on delete set null;
+ * alter table public.vouchers enable row level security;
+ * alter table public.voucher_transactions enable row level security;
+ * -- Klippekort er synlige og kan brukes av ansatte og av brukere knyttet til partneren (user_roles.partner)
+ * create or replace function public.can_use_voucher(p_partner text) returns boolean
+ * language sql stable security definer set search_path = public as $$
+ *   select public.has_role('admin','staff') or exists (select 1 from public.user_roles where user_id = auth.uid() and partner = p_partner)
+ * $$;
+ * drop policy if exists "vouchers_read_auth" on public.vouchers;
+ * drop policy if exists "voucher_tx_read_auth" on public.voucher_transactions;
+ * create policy "vouchers_read_partner" on public.vouchers for select using (public.can_use_voucher(partner));
+ * create policy if not exists "vouchers_update_staff" on public.vouchers for update using (public.has_role('admin','staff'));
+ * create policy if not exists "vouchers_delete_staff" on public.vouchers for delete using (public.has_role('admin','staff'));
+ * create policy "voucher_tx_read_partner" on public.voucher_transactions for select
+ *   using (exists (select 1 from public.vouchers v where v.id = voucher_id and public.can_use_voucher(v.partner)));
+ * -- Insert i vouchers/voucher_transactions og endring av slots gjøres av funksjonene under (security definer)
+ *
+ * create or replace function public.fmt_min(m int) returns text language sql immutable as $$
+ *   select lpad((m/60)::text, 2, '0') || ':' || lpad((m%60)::text, 2, '0') $$;
+ *
+ * create or replace function public.book_with_voucher(p_voucher_id uuid, p_rows jsonb)
+ * returns setof uuid language plpgsql security definer set search_path = public as $$
+ * declare v public.vouchers; r jsonb; needed int := 0;
+ * begin
+ *   if auth.uid() is null then raise exception 'NOT_AUTHENTICATED'; end if;
+ *   select * into v from public.vouchers where id = p_voucher_id for update; -- låser saldoen
+ *   if not found then raise exception 'VOUCHER_NOT_FOUND'; end if;
+ *   if not public.can_use_voucher(v.partner) then raise exception 'FORBIDDEN'; end if;
+ *   for r in select * from jsonb_array_elements(p_rows) loop
+ *     needed := needed + ceil(((r->>'end_min')::int - (r->>'start_min')::int) / 60.0);
+ *     if v.expires_on is not null and (r->>'date')::date > v.expires_on then raise exception 'VOUCHER_EXPIRED'; end if;
+ *   end loop;
+ *   if v.slots < needed then raise exception 'VOUCHER_EMPTY'; end if;
+ *   if exists (select 1 from jsonb_array_elements(p_rows) x where x->>'org_id' is not null and not public.is_org_member((x->>'org_id')::uuid)) then raise exception 'FORBIDDEN'; end if;
+ *   -- Én insert for alle radene, så e-posttriggeren sender én bekreftelse for en serie. Overlapp (23P01) ruller tilbake hele kallet.
+ *   return query
+ *   with ins as (
+ *     insert into public.bookings(date, room_id, start_min, end_min, type, room_name, voucher_partner, voucher_id, booked_for, group_code, price_nok, price_rules, addons, series_id, client_ref, email_lang, org_id, created_by)
+ *     select (x->>'date')::date, x->>'room_id', (x->>'start_min')::int, (x->>'end_min')::int, x->>'type', x->>'room_name', v.partner, v.id,
+ *            x->>'booked_for', coalesce(x->>'group_code','standard'), (x->>'price_nok')::numeric, coalesce(x->'price_rules', '[]'), coalesce(x->'addons', '[]'), (x->>'series_id')::uuid, x->>'client_ref',
+ *            coalesce(x->>'email_lang', 'nb'), (x->>'org_id')::uuid, auth.uid()
+ *     from jsonb_array_elements(p_rows) x
+ *     returning bookings.id, bookings.date, bookings.room_name, bookings.start_min, bookings.end_min
+ *   ), tx as (
+ *     insert into public.voucher_transactions(voucher_id, booking_id, delta, reason, booking_label)
+ *     select v.id, ins.id, -ceil((ins.end_min - ins.start_min) / 60.0)::int, 'redeem', concat(ins.date, ' ', ins.room_name, ' ', fmt_min(ins.start_min), '–', fmt_min(ins.end_min)) from ins
+ *   )
+ *   select ins.id from ins;
+ *   update public.vouchers set slots = slots - needed where id = v.id;
+ * end $$;
+ *
+ * -- AVBESTILLINGSREGLER per gruppe og romtype (null = alle). Mest spesifikke regel gjelder.
+ * create table if not exists public.cancellation_rules (
+ *   id uuid primary key default gen_random_uuid(),
+ *   group_code text,
+ *   room_type text,
+ *   free_hours numeric not null default 24,          -- gratis avbestilling inntil X timer før start
+ *   late_fee_pct numeric not null default 50,        -- gebyr i % av pris etter fristen
+ *   voucher_no_refund_hours numeric not null default 2, -- klipp refunderes ikke innen X timer før start
+ *   unique nulls not distinct (group_code, room_type)
+ * );
+ * insert into public.cancellation_rules(group_code, room_type, free_hours, late_fee_pct, voucher_no_refund_hours)
+ *   values (null, null, 24, 50, 2) on conflict do nothing;
+ * alter table public.cancellation_rules enable row level security;
+ * create policy if not exists "cancel_rules_read_all" on public.cancellation_rules for select using (true);
+ * create policy if not exists "cancel_rules_write_admin" on public.cancellation_rules for all using (public.has_role('admin'));
+ * -- Admin lagrer hele regelsettet på én gang: slett + sett inn i samme transaksjon, så en feil midt i ikke etterlater tomt regelsett.
+ * -- p_rules: [{ group_code, room_type, free_hours, late_fee_pct, voucher_no_refund_hours }]
+ * create or replace function public.cancellation_rules_save(p_rules jsonb)
+ * returns void language plpgsql security definer set search_path = public as $$
+ * begin
+ *   if not public.has_role('admin') then raise exception 'FORBIDDEN'; end if;
+ *   delete from public.cancellation_rules where true;
+ *   insert into public.cancellation_rules(group_code, room_type, free_hours, late_fee_pct, voucher_no_refund_hours)
+ *   select nullif(x->>'group_code', ''), nullif(x->>'room_type', ''), (x->>'free_hours')::numeric, (x->>'late_fee_pct')::numeric, (x->>'voucher_no_refund_hours')::numeric
+ *   from jsonb_array_elements(p_rules) x;
+ * end $$;
+ *
+ * -- PRISREGLER: evalueres i fast rekkefølge (priority, name, id) av klienten; resultatet lagres på bookingen (price_rules)
+ * -- Tidsregler (min_hours null) gjelder per halvtime: ukedager (0=søndag), klokkeslett, datoperiode, rom/romtype.
+ * -- Varighetsregler (min_hours satt) gjelder hele bookingen når den er minst så lang.
+ * create table if not exists public.pricing_rules (
+ *   id uuid primary key default gen_random_uuid(),
+ *   name text not null,
+ *   priority int not null default 100,
+ *   room_type text,
+ *   room_id text,
+ *   weekdays int[] not null default '{}', -- tom = alle dager
+ *   from_min int check (from_min between 0 and 1440),
+ *   to_min int check (to_min between 0 and 1440),
+ *   date_from date,
+ *   date_to date,
+ *   min_hours numeric,
+ *   effect text not null check (effect in ('multiply','add','set')),
+ *   value numeric not null,
+ *   active boolean not null default true
+ * );
+ * alter table public.pricing_rules enable row level security;
+ * create policy if not exists "pricing_rules_read_all" on public.pricing_rules for select using (true);
+ * create policy if not exists "pricing_rules_write_admin" on public.pricing_rules for all using (public.has_role('admin'));
+ * -- Hele regelsettet erstattes i én transaksjon (admin), som cancellation_rules_save. p_rules: [{ name, priority, room_type, room_id,
+ * -- weekdays, from_min, to_min, date_from, date_to, min_hours, effect, value, active }]
+ * create or replace function public.pricing_rules_save(p_rules jsonb)
+ * returns void language plpgsql security definer set search_path = public as $$
+ * begin
+ *   if not public.has_role('admin') then raise exception 'FORBIDDEN'; end if;
+ *   delete from public.pricing_rules where true;
+ *   insert into public.pricing_rules(name, priority, room_type, room_id, weekdays, from_min, to_min, date_from, date_to, min_hours, effect, value, active)
+ *   select x->>'name', coalesce((x->>'priority')::int, 100), nullif(x->>'room_type', ''), nullif(x->>'room_id', ''),
+ *          coalesce(array(select jsonb_array_elements_text(x->'weekdays')::int), '{}'),
+ *          (x->>'from_min')::int, (x->>'to_min')::int, (x->>'date_from')::date, (x->>'date_to')::date, (x->>'min_hours')::numeric,
+ *          x->>'effect', (x->>'value')::numeric, coalesce((x->>'active')::boolean, true)
+ *   from jsonb_array_elements(p_rules) x;
+ * end $$;
+ * alter table public.bookings add column if not exists price_rules jsonb not null default '[]'; -- [{ id, name, effect, value, hours }]
+ *
+ * -- UTSTYR (backline/PA til leie): lagerantall og pris per time eller per booking. Valgt utstyr lagres på bookingen
+ * -- (addons) og er med i price_nok. Triggeren sjekker at samtidig bruk (alle rom, per halvtime) ikke overstiger lageret, og
+ * -- bygger linjene på nytt fra equipment (navn, enhet, pris som addonLinePrice i appen); price_nok justeres med differansen.
+ * create table if not exists public.equipment (
+ *   id uuid primary key default gen_random_uuid(),
+ *   name text not null,
+ *   quantity int not null default 1 check (quantity >= 0),
+ *   price_nok numeric not null default 0 check (price_nok >= 0),
+ *   unit text not null default 'booking' check (unit in ('hour','booking')),
+ *   active boolean not null default true
+ * );
+ * alter table public.equipment enable row level security;
+ * create policy if not exists "equipment_read_all" on public.equipment for select using (true);
+ * create policy if not exists "equipment_write_admin" on public.equipment for all using (public.has_role('admin'));
+ * alter table public.bookings add column if not exists addons jsonb not null default '[]'; -- [{ equipmentId, name, qty, unit, priceNOK }]
+ * create or replace function public.bookings_equipment_check() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * declare a jsonb; e public.equipment; v_used int; v_qty numeric; v_line numeric; v_addons jsonb := '[]'; v_client numeric := 0; v_server numeric := 0;
+ * begin
+ *   if new.status <> 'active' or jsonb_array_length(coalesce(new.addons, '[]')) = 0 then return new; end if;
+ *   perform pg_advisory_xact_lock(hashtext('equipment:' || new.date)); -- samtidige bookinger samme dag sjekkes etter hverandre
+ *   for a in select * from jsonb_array_elements(new.addons) loop
+ *     v_qty := (a->>'qty')::numeric;
+ *     if v_qty is null or v_qty <= 0 or v_qty <> trunc(v_qty) then raise exception 'INVALID_ADDON: %', a->>'name'; end if;
+ *     select * into e from public.equipment where id = (a->>'equipmentId')::uuid and active;
+ *     if not found then raise exception 'EQUIPMENT_UNAVAILABLE: %', a->>'name'; end if;
+ *     select coalesce(max(s.used), 0) into v_used from (
+ *       select g, sum((x->>'qty')::int) as used
+ *       from generate_series(new.start_min, new.end_min - 30, 30) g
+ *       join public.bookings b on b.status = 'active' and b.id <> new.id and b.date = new.date and g >= b.start_min and g < b.end_min
+ *       cross join lateral jsonb_array_elements(b.addons) x
+ *       where x->>'equipmentId' = a->>'equipmentId'
+ *       group by g
+ *     ) s;
+ *     if v_used + v_qty > e.quantity then raise exception 'EQUIPMENT_UNAVAILABLE: %', e.name; end if;
+ *     v_line := round(e.price_nok * v_qty * case when e.unit = 'hour' then (new.end_min - new.start_min) / 60.0 else 1 end);
+ *     v_client := v_client + coalesce((a->>'priceNOK')::numeric, 0);
+ *     v_server := v_server + v_line;
+ *     v_addons := v_addons || jsonb_build_object('equipmentId', e.id, 'name', e.name, 'qty', v_qty, 'unit', e.unit, 'priceNOK', v_line);
+ *   end loop;
+ *   new.addons := v_addons;
+ *   new.price_nok := coalesce(new.price_nok, 0) - v_client + v_server;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_equipment on public.bookings;
+ * create trigger bookings_equipment before insert or update of date, start_min, end_min, addons, status on public.bookings
+ *   for each row execute function public.bookings_equipment_check();
+ *
+ * create or replace function public.cancellation_outcome(b public.bookings, p_now timestamptz default now())
+ * returns table(fee_nok numeric, refunded_klipp int) language sql stable set search_path = public as $$
+ *   with r as (
+ *     select * from public.cancellation_rules
+ *     where (group_code is null or group_code = coalesce(b.group_code,'standard')) and (room_type is null or room_type = b.type)
+ *     order by (group_code is not null)::int*2 + (room_type is not null)::int desc limit 1
+ *   ), h as (
+ *     select extract(epoch from ((b.date + make_interval(mins => b.start_min)) at time zone 'Europe/Oslo') - p_now) / 3600 as hours_before
+ *   )
+ *   select
+ *     case when b.voucher_id is not null or r.id is null or h.hours_before >= r.free_hours then 0
+ *          else round(coalesce(b.price_nok,0) * r.late_fee_pct / 100) end,
+ *     case when b.voucher_id is null then 0
+ *          when r.id is not null and h.hours_before < r.voucher_no_refund_hours then 0
+ *          else ceil((b.end_min - b.start_min) / 60.0)::int end
+ *   from h left join r on true
+ * $$;
+ *
+ * -- Avlyser egne og bandets (ansatte: alle) bookinger etter reglene og refunderer klipp atomisk. Returnerer utfall per booking.
+ * drop function if exists public.cancel_bookings(uuid[]);
+ * create or replace function public.cancel_bookings(p_ids uuid[])
+ * returns table(id uuid, fee_nok numeric, refunded_klipp int) language plpgsql security definer set search_path = public as $$
+ * declare b public.bookings; o record;
+ * begin
+ *   for b in select * from public.bookings bk where bk.id = any(p_ids) and (bk.created_by = auth.uid() or public.is_org_member(bk.org_id) or public.has_role('admin','staff')) and bk.status = 'active' for update loop
+ *     select * into o from public.cancellation_outcome(b);
+ *     if o.refunded_klipp > 0 then
+ *       update public.vouchers set slots = slots + o.refunded_klipp where vouchers.id = b.voucher_id;
+ *       insert into public.voucher_transactions(voucher_id, booking_id, delta, reason, booking_label)
+ *       values (b.voucher_id, b.id, o.refunded_klipp, 'refund', concat(b.date, ' ', b.room_name, ' ', fmt_min(b.start_min), '–', fmt_min(b.end_min)));
+ *     end if;
+ *     update public.bookings set status = 'cancelled', cancelled_at = now(), cancelled_by = auth.uid(),
+ *       cancel_fee_nok = o.fee_nok, refunded_klipp = o.refunded_klipp where bookings.id = b.id;
+ *     id := b.id; fee_nok := o.fee_nok; refunded_klipp := o.refunded_klipp;
+ *     return next;
+ *   end loop;
+ * end $$;
+ *
+ * -- Flytter en aktiv booking (eier, bandmedlem eller ansatte). Varigheten beholdes; klienten regner ny pris med prisreglene
+ * -- for nytt rom/tidspunkt, men prisen kan bare gå ned når ansatte flytter – ellers beholdes gammel pris hvis ny er lavere
+ * -- (som movePrice i appen). Returnerer prisen som ble lagret. Overlapp, åpningstid, sperringer og utstyr sjekkes av
+ * -- constraint og triggere som ved insert.
+ * drop function if exists public.booking_move(uuid, date, text, int, numeric, jsonb);
+ * create or replace function public.booking_move(p_id uuid, p_date date, p_room_id text, p_start_min int, p_price_nok numeric, p_price_rules jsonb)
+ * returns numeric language plpgsql security definer set search_path = public as $$
+ * declare bk public.bookings; rm public.rooms; v_keep boolean;
+ * begin
+ *   select * into bk from public.bookings where id = p_id and status = 'active' for update;
+ *   if not found then raise exception 'BOOKING_NOT_FOUND'; end if;
+ *   if not (bk.created_by = auth.uid() or public.is_org_member(bk.org_id) or public.has_role('admin','staff')) then raise exception 'FORBIDDEN'; end if;
+ *   select * into rm from public.rooms where id = p_room_id and active;
+ *   if not found then raise exception 'ROOM_NOT_FOUND'; end if;
+ *   if p_price_nok is null or p_price_nok < 0 then raise exception 'INVALID_PRICE'; end if;
+ *   v_keep := not public.has_role('admin','staff') and p_price_nok < coalesce(bk.price_nok, 0);
+ *   update public.bookings set date = p_date, room_id = rm.id, room_name = rm.name, type = rm.type,
+ *     start_min = p_start_min, end_min = p_start_min + (bk.end_min - bk.start_min),
+ *     price_nok = case when v_keep then bk.price_nok else p_price_nok end,
+ *     price_rules = case when v_keep then bk.price_rules else coalesce(p_price_rules, '[]'::jsonb) end
+ *   where id = p_id returning price_nok into bk.price_nok;
+ *   return bk.price_nok;
+ * end $$;
+ *
+ * create or replace function public.voucher_create(p_partner text, p_slots int, p_expires_on date)
+ * returns uuid language plpgsql security definer set search_path = public as $$
+ * declare new_id uuid;
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   insert into public.vouchers(partner, slots, expires_on) values (p_partner, greatest(p_slots,0), p_expires_on) returning id into new_id;
+ *   insert into public.voucher_transactions(voucher_id, delta, reason) values (new_id, greatest(p_slots,0), 'purchase');
+ *   return new_id;
+ * end $$;
+ *
+ * create or replace function public.voucher_adjust(p_voucher_id uuid, p_delta int)
+ * returns int language plpgsql security definer set search_path = public as $$
+ * declare applied int;
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   select greatest(-slots, p_delta) into applied from public.vouchers where id = p_voucher_id for update;
+ *   if not found then raise exception 'VOUCHER_NOT_FOUND'; end if;
+ *   update public.vouchers set slots = slots + applied where id = p_voucher_id;
+ *   insert into public.voucher_transactions(voucher_id, delta, reason) values (p_voucher_id, applied, 'adjust');
+ *   return applied;
+ * end $$;
+ *
+ * -- VENTELISTE: per rom (room_id) eller "hvilket som helst rom av typen" (room_id null + room_type).
+ * -- Når en booking avlyses tilbys tidsrommet første i køen i 30 min før det går videre.
+ * create table if not exists public.waitlist (
+ *   id uuid primary key default gen_random_uuid(),
+ *   date date not null,
+ *   room_id text,
+ *   room_type text not null,
+ *   start_min int not null,
+ *   end_min int not null check (end_min > start_min),
+ *   status text not null default 'waiting' check (status in ('waiting','offered','accepted','declined','expired','cancelled')),
+ *   offered_room_id text,
+ *   offered_at timestamptz,
+ *   offer_expires_at timestamptz,
+ *   contact text,
+ *   created_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now()
+ * );
+ * create index if not exists waitlist_queue_idx on public.waitlist(date, status, created_at);
+ * alter table public.waitlist enable row level security;
+ * create policy if not exists "waitlist_read_all" on public.waitlist for select using (true);
+ * create policy if not exists "waitlist_insert_owns" on public.waitlist for insert
+ *   with check (auth.role() = 'authenticated' and created_by = auth.uid() and status = 'waiting');
+ * -- Ingen update-policy: status endres bare via bookingen (bookings_waitlist_hold), waitlist_leave/_decline (ellers kunne man gi seg selv et tilbud
+ * -- og holde av tidsrommet for alle andre)
+ * drop policy if exists "waitlist_update_owner" on public.waitlist;
+ * create policy if not exists "waitlist_delete_owner" on public.waitlist for delete using (created_by = auth.uid());
+ *
+ * create or replace function public.waitlist_offer_next(p_date date, p_room_id text, p_room_type text)
+ * returns uuid language plpgsql security definer set search_path = public as $$
+ * declare w public.waitlist;
+ * begin
+ *   for w in select * from public.waitlist
+ *     where status = 'waiting' and date = p_date and (room_id = p_room_id or (room_id is null and room_type = p_room_type))
+ *     order by created_at for update skip locked
+ *   loop
+ *     if not exists (select 1 from public.bookings b where b.date = p_date and b.room_id = p_room_id and b.status = 'active'
+ *                      and int4range(b.start_min, b.end_min) && int4range(w.start_min, w.end_min))
+ *        and not exists (select 1 from public.waitlist o where o.status = 'offered' and o.date = p_date and o.offered_room_id = p_room_id
+ *                      and int4range(o.start_min, o.end_min) && int4range(w.start_min, w.end_min)) then
+ *       update public.waitlist set status = 'offered', offered_room_id = p_room_id, offered_at = now(),
+ *         offer_expires_at = now() + interval '30 minutes' where id = w.id;
+ *       return w.id;
+ *     end if;
+ *   end loop;
+ *   return null;
+ * end $$;
+ *
+ * create or replace function public.waitlist_on_booking_cancel() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin perform public.waitlist_offer_next(new.date, new.room_id, new.type); return new; end $$;
+ * drop trigger if exists bookings_waitlist_promote on public.bookings;
+ * create trigger bookings_waitlist_promote after update of status on public.bookings
+ *   for each row when (old.status = 'active' and new.status = 'cancelled')
+ *   execute function public.waitlist_on_booking_cancel();
+ * -- Flyttet booking frigjør det gamle tidsrommet
+ * create or replace function public.waitlist_on_booking_move() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin perform public.waitlist_offer_next(old.date, old.room_id, old.type); return new; end $$;
+ * drop trigger if exists bookings_waitlist_promote_move on public.bookings;
+ * create trigger bookings_waitlist_promote_move after update of date, room_id, start_min, end_min on public.bookings
+ *   for each row when (old.status = 'active') execute function public.waitlist_on_booking_move();
+ *
+ * -- Et tilbudt tidsrom er holdt av for den som fikk tilbudet. Booker den som fikk tilbudet tidsrommet, aksepteres tilbudet i
+ * -- samme transaksjon. Update låser raden først: har pg_cron latt tilbudet gå ut (og gitt det videre) i mellomtiden, aksepteres
+ * -- ingenting og sjekken under ser det nye tilbudet.
+ * create or replace function public.waitlist_hold_check() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin
+ *   update public.waitlist set status = 'accepted'
+ *    where status = 'offered' and offer_expires_at > now() and created_by = new.created_by
+ *      and date = new.date and offered_room_id = new.room_id and int4range(start_min, end_min) && int4range(new.start_min, new.end_min);
+ *   if exists (select 1 from public.waitlist o where o.status = 'offered' and o.offer_expires_at > now()
+ *                and o.date = new.date and o.offered_room_id = new.room_id and o.created_by <> new.created_by
+ *                and int4range(o.start_min, o.end_min) && int4range(new.start_min, new.end_min)) then
+ *     raise exception 'SLOT_HELD';
+ *   end if;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_waitlist_hold on public.bookings;
+ * create trigger bookings_waitlist_hold before insert on public.bookings
+ *   for each row execute function public.waitlist_hold_check();
+ *
+ * create or replace function public.waitlist_decline(p_id uuid) returns void
+ * language plpgsql security definer set search_path = public as $$
+ * declare w public.waitlist;
+ * begin
+ *   update public.waitlist set status = 'declined' where id = p_id and created_by = auth.uid() and status = 'offered' returning * into w;
+ *   if found then perform public.waitlist_offer_next(w.date, w.offered_room_id, w.room_type); end if;
+ * end $$;
+ *
+ * -- Aksept skjer i bookings_waitlist_hold sammen med bookingen (en egen RPC etter bookingen kunne komme etter utløpet)
+ * drop function if exists public.waitlist_accept(uuid);
+ *
+ * -- Forlater køen; et åpent tilbud går videre til neste
+ * create or replace function public.waitlist_leave(p_id uuid) returns void
+ * language plpgsql security definer set search_path = public as $$
+ * declare w public.waitlist; was text;
+ * begin
+ *   select status into was from public.waitlist where id = p_id and created_by = auth.uid() for update;
+ *   update public.waitlist set status = 'cancelled' where id = p_id and created_by = auth.uid() and status in ('waiting','offered') returning * into w;
+ *   if found and was = 'offered' then perform public.waitlist_offer_next(w.date, w.offered_room_id, w.room_type); end if;
+ * end $$;
+ *
+ * create or replace function public.waitlist_expire_offers() returns int
+ * language plpgsql security definer set search_path = public as $$
+ * declare w public.waitlist; n int := 0;
+ * begin
+ *   for w in update public.waitlist set status = 'expired' where status = 'offered' and offer_expires_at < now() returning * loop
+ *     perform public.waitlist_offer_next(w.date, w.offered_room_id, w.room_type); n := n + 1;
+ *   end loop;
+ *   return n;
+ * end $$;
+ * -- Krever pg_cron (Database → Extensions)
+ * select cron.schedule('waitlist-expire', '* * * * *', 'select public.waitlist_expire_offers()');
  *
  * -- DØR-GRUPPER: map rom -> dører som skal åpnes (ytterdør + romdør)
  * create table if not exists public.door_groups (
@@ -70,65 +800,839 @@ import { createClient } from '@supabase/supabase-js';
  *   created_at timestamptz default now()
  * );
  * create index if not exists access_grants_booking_idx on public.access_grants(booking_id);
+ * -- Leverandøradapter: låsens egen id for koden/nøkkelen, antall forsøk og siste feil (status 'error' vises i appen)
+ * alter table public.access_grants add column if not exists external_ref text;
+ * alter table public.access_grants add column if not exists attempts int not null default 0;
+ * alter table public.access_grants add column if not exists last_error text;
+ * alter table public.access_grants add column if not exists updated_at timestamptz default now();
  * alter table public.access_grants enable row level security;
  * create policy if not exists "access_read_owner"
  *   on public.access_grants for select using (
- *     created_by = auth.uid() or exists (
- *       select 1 from public.bookings b where b.id = booking_id and b.created_by = auth.uid()
+ *     created_by = auth.uid() or public.has_role('admin','staff') or exists (
+ *       select 1 from public.bookings b where b.id = booking_id and (b.created_by = auth.uid() or public.is_org_member(b.org_id))
  *     )
  *   );
  * create policy if not exists "access_delete_owner"
  *   on public.access_grants for delete using (created_by = auth.uid());
  * -- Insert/Update gjøres av Edge Functions (service role)
  *
+ * -- DØRHENDELSER: låsesystemet sender hver åpning/avvisning til Edge Function door_events, som kaller door_event_ingest.
+ * -- Hendelsen kobles til grant (PIN eller låsens referanse + dør) og dermed booking og rom. Selve koden lagres ikke, bare et hint.
+ * create table if not exists public.door_events (
+ *   id uuid primary key default gen_random_uuid(),
+ *   door_id text not null,
+ *   credential_hint text,  -- siste to tegn av PIN/nøkkel-id
+ *   occurred_at timestamptz not null,
+ *   result text not null default 'granted' check (result in ('granted','denied')),
+ *   grant_id uuid references public.access_grants(id) on delete set null,
+ *   booking_id uuid references public.bookings(id) on delete set null,
+ *   room_id text,
+ *   raw jsonb,
+ *   received_at timestamptz default now()
+ * );
+ * create index if not exists door_events_booking_idx on public.door_events(booking_id);
+ * create index if not exists door_events_room_idx on public.door_events(room_id, occurred_at);
+ * alter table public.door_events enable row level security;
+ * create policy if not exists "door_events_read"
+ *   on public.door_events for select using (
+ *     public.has_role('admin','staff') or exists (select 1 from public.bookings b where b.id = booking_id and (b.created_by = auth.uid() or public.is_org_member(b.org_id)))
+ *   );
+ * alter table public.bookings add column if not exists checked_in_at timestamptz; -- første godkjente døråpning
+ * create or replace function public.door_event_ingest(p_door_id text, p_credential text, p_occurred_at timestamptz, p_result text default 'granted', p_raw jsonb default null)
+ * returns uuid language plpgsql security definer set search_path = public as $$
+ * declare g public.access_grants; v_room text; new_id uuid;
+ * begin
+ *   -- Bare en utstedt grant som var gyldig da døren ble brukt – tilbakekalt/utløpt eller gjenbrukt PIN gir ukoblet hendelse
+ *   select * into g from public.access_grants ag
+ *    where p_credential is not null and (ag.secret = p_credential or ag.external_ref = p_credential) and p_door_id = any(ag.door_ids)
+ *      and ag.status = 'issued' and p_occurred_at between ag.start_at and ag.end_at
+ *    order by ag.created_at desc limit 1;
+ *   if g.id is not null then select room_id into v_room from public.bookings where id = g.booking_id; end if;
+ *   v_room := coalesce(v_room, (select id from public.rooms where id = p_door_id)); -- romdøren har rommets id (door_groups)
+ *   insert into public.door_events(door_id, credential_hint, occurred_at, result, grant_id, booking_id, room_id, raw)
+ *   values (p_door_id, right(p_credential, 2), p_occurred_at, p_result, g.id, g.booking_id, v_room, p_raw)
+ *   returning id into new_id;
+ *   if g.booking_id is not null and p_result = 'granted' then
+ *     update public.bookings set checked_in_at = least(coalesce(checked_in_at, p_occurred_at), p_occurred_at) where id = g.booking_id;
+ *   end if;
+ *   return new_id;
+ * end $$;
+ * revoke execute on function public.door_event_ingest(text, text, timestamptz, text, jsonb) from public, anon, authenticated; -- kun service role
+ * -- NO-SHOW: aktiv booking uten godkjent døråpning p_grace_min etter start. Ansatte kan frigi tiden (ventelisten får
+ * -- tilbud via bookings_waitlist_promote), med eller uten no-show-gebyr (full pris; klipp refunderes ikke).
+ * create or replace function public.noshow_release(p_id uuid, p_fee boolean, p_grace_min int default 20)
+ * returns numeric language plpgsql security definer set search_path = public as $$
+ * declare v_fee numeric;
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   update public.bookings set status = 'cancelled', cancelled_at = now(), cancelled_by = auth.uid(), refunded_klipp = 0,
+ *     cancel_fee_nok = case when p_fee and voucher_id is null then coalesce(price_nok, 0) else 0 end
+ *   where id = p_id and status = 'active' and checked_in_at is null
+ *     and ((date + make_interval(mins => start_min + p_grace_min)) at time zone 'Europe/Oslo') <= now()
+ *   returning cancel_fee_nok into v_fee;
+ *   if not found then raise exception 'NOT_NO_SHOW'; end if;
+ *   return v_fee;
+ * end $$;
+ *
+ * -- ENERGIMÅLING: målere (hovedmåler fra nettselskapet eller undermåler per rom) og timesforbruk som tidsserie.
+ * -- Rå verdier lagres per (måler, tidspunkt, kilde) og summeres per time ved lesing. CSV-import erstatter CSV-timer som finnes
+ * -- fra før, og en melding fra undermåler (HTTP/MQTT via energy_ingest) som sendes på nytt, erstatter seg selv – begge kan kjøres
+ * -- om igjen uten å telle dobbelt. Har en time både CSV og undermåler, gjelder CSV (nettselskapets avregning).
+ * create table if not exists public.energy_meters (
+ *   id text primary key,             -- målepunkt-id / undermålerens navn
+ *   label text not null,
+ *   room_id text references public.rooms(id) on delete set null, -- null = felles (hovedmåler, fellesarealer)
+ *   created_at timestamptz default now()
+ * );
+ * create table if not exists public.energy_readings (
+ *   meter_id text not null references public.energy_meters(id) on delete cascade,
+ *   ts timestamptz not null,          -- csv: start på timen, feed: undermålerens tidspunkt for meldingen
+ *   kwh numeric not null check (kwh >= 0),
+ *   source text not null default 'csv' check (source in ('csv','feed')),
+ *   primary key (meter_id, ts, source)
+ * );
+ * alter table public.energy_readings drop constraint if exists energy_readings_pkey;
+ * alter table public.energy_readings add primary key (meter_id, ts, source);
+ * alter table public.energy_meters enable row level security;
+ * alter table public.energy_readings enable row level security;
+ * create policy if not exists "energy_meters_read" on public.energy_meters for select using (public.has_role('admin','staff','partner'));
+ * create policy if not exists "energy_meters_write_admin" on public.energy_meters for all using (public.has_role('admin'));
+ * create policy if not exists "energy_readings_read" on public.energy_readings for select using (public.has_role('admin','staff','partner'));
+ * -- p_rows: [{ meter_id, ts, kwh }]. p_source 'csv' (timesverdier, summeres per time) eller 'feed' (rå meldinger fra undermåler).
+ * -- Samme nøkkel sendt på nytt erstatter forrige verdi, så import og retry er idempotente.
+ * drop function if exists public.energy_readings_upsert(jsonb, text);
+ * create or replace function public.energy_readings_upsert(p_rows jsonb, p_source text default 'csv')
+ * returns int language plpgsql security definer set search_path = public as $$
+ * declare n int;
+ * begin
+ *   if auth.role() <> 'service_role' and not public.has_role('admin') then raise exception 'FORBIDDEN'; end if;
+ *   if p_source not in ('csv','feed') then raise exception 'INVALID_SOURCE'; end if;
+ *   insert into public.energy_readings(meter_id, ts, kwh, source)
+ *   select distinct on (1, 2) x->>'meter_id', case when p_source = 'csv' then date_trunc('hour', (x->>'ts')::timestamptz) else (x->>'ts')::timestamptz end,
+ *     case when p_source = 'csv' then sum((x->>'kwh')::numeric) over (partition by x->>'meter_id', date_trunc('hour', (x->>'ts')::timestamptz)) else (x->>'kwh')::numeric end,
+ *     p_source
+ *   from jsonb_array_elements(p_rows) x
+ *   on conflict (meter_id, ts, source) do update set kwh = excluded.kwh;
+ *   get diagnostics n = row_count;
+ *   return n;
+ * end $$;
+ * -- Målt forbruk per rom i perioden, fordelt på bookede og tomme timer etter hvor stor del av timen som var booket
+ * -- (samme beregning som energyRoomSummary i appen). room_id null = felles målere.
+ * create or replace function public.energy_room_summary(p_from date, p_to date)
+ * returns table(room_id text, booked_kwh numeric, booked_hours numeric, idle_kwh numeric, idle_hours numeric)
+ * language sql stable security definer set search_path = public as $$
+ *   with h as (
+ *     select er.meter_id, date_trunc('hour', er.ts) as ts, er.source, sum(er.kwh) as kwh
+ *     from public.energy_readings er
+ *     where public.has_role('admin','staff','partner')
+ *       and er.ts >= (p_from::timestamp at time zone 'Europe/Oslo') and er.ts < ((p_to + 1)::timestamp at time zone 'Europe/Oslo')
+ *     group by 1, 2, 3
+ *   ), hh as (
+ *     select distinct on (meter_id, ts) meter_id, ts, kwh from h order by meter_id, ts, source -- 'csv' før 'feed'
+ *   ), r as (
+ *     select m.room_id, hh.ts, hh.kwh, (hh.ts at time zone 'Europe/Oslo') as lt
+ *     from hh join public.energy_meters m on m.id = hh.meter_id
+ *   ), s as (
+ *     select r.room_id, r.kwh,
+ *       least(1, coalesce(sum(greatest(0, least(b.end_min, extract(hour from r.lt)::int * 60 + 60) - greatest(b.start_min, extract(hour from r.lt)::int * 60))), 0) / 60.0) as share
+ *     from r left join public.bookings b on b.status = 'active' and b.room_id = r.room_id and b.date = r.lt::date
+ *       and b.start_min < extract(hour from r.lt)::int * 60 + 60 and b.end_min > extract(hour from r.lt)::int * 60
+ *     group by r.room_id, r.ts, r.kwh
+ *   )
+ *   select room_id, sum(kwh * share), sum(share), sum(kwh * (1 - share)), sum(1 - share) from s group by room_id
+ * $$;
+ *
+ * -- BYGNINGSSTYRING: av/på-plan for ventilasjon/varme og lys per rom, avledet av bookingene med forvarsel/etterløp
+ * -- (som dørbufferne). Byggstyringen poller Edge Function hvac_schedule med feed_token, og får et varsel på webhook_url
+ * -- (pg_net) når bookinger i dag eller fremover endres: ett kall per statement med alle berørte rom/datoer
+ * -- ({ event: 'schedule_changed', changes: [{ room_id, date }] }), så en import eller serie gir ett varsel, ikke hundrevis.
+ * create table if not exists public.hvac_settings (
+ *   id int primary key default 1 check (id = 1),
+ *   preheat_min int not null default 30,      -- ventilasjon/varme på før start
+ *   vent_after_min int not null default 15,   -- etterventilering etter slutt
+ *   lights_before_min int not null default 5,
+ *   lights_after_min int not null default 10,
+ *   merge_gap_min int not null default 30,    -- kortere opphold mellom bookinger slår ikke av anlegget
+ *   feed_token uuid not null default gen_random_uuid(),
+ *   webhook_url text
+ * );
+ * insert into public.hvac_settings(id) values (1) on conflict (id) do nothing;
+ * alter table public.hvac_settings enable row level security;
+ * create policy if not exists "hvac_settings_read" on public.hvac_settings for select using (public.has_role('admin','staff'));
+ * create policy if not exists "hvac_settings_write_admin" on public.hvac_settings for update using (public.has_role('admin'));
+ * create extension if not exists pg_net;
+ * drop function if exists public.hvac_post(text, uuid, text, date);
+ * create or replace function public.hvac_post(p_url text, p_token uuid, p_changes jsonb) returns void
+ * language sql security definer set search_path = public as $$
+ *   select net.http_post(url := p_url, headers := jsonb_build_object('content-type', 'application/json', 'x-hvac-token', p_token::text),
+ *     body := jsonb_build_object('event', 'schedule_changed', 'changes', p_changes))::void
+ * $$;
+ * -- Statement-trigger med overgangstabeller (som e-posttriggerne); «i dag» er Oslo-dato
+ * create or replace function public.hvac_notify() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * declare s public.hvac_settings; v_changes jsonb; v_today date := (now() at time zone 'Europe/Oslo')::date;
+ * begin
+ *   select * into s from public.hvac_settings where id = 1;
+ *   if s.webhook_url is null then return null; end if;
+ *   if tg_op = 'INSERT' then
+ *     select jsonb_agg(distinct jsonb_build_object('room_id', room_id, 'date', date)) into v_changes from new_rows where date >= v_today;
+ *   elsif tg_op = 'DELETE' then
+ *     select jsonb_agg(distinct jsonb_build_object('room_id', room_id, 'date', date)) into v_changes from old_rows where date >= v_today;
+ *   else
+ *     select jsonb_agg(distinct jsonb_build_object('room_id', x.room_id, 'date', x.date)) into v_changes from (
+ *       select o.room_id, o.date, n.room_id as n_room, n.date as n_date from old_rows o join new_rows n on n.id = o.id
+ *        where (o.date, o.room_id, o.start_min, o.end_min, o.status) is distinct from (n.date, n.room_id, n.start_min, n.end_min, n.status)
+ *     ) c cross join lateral (values (c.room_id, c.date), (c.n_room, c.n_date)) x(room_id, date)
+ *     where x.date >= v_today;
+ *   end if;
+ *   if v_changes is not null then perform public.hvac_post(s.webhook_url, s.feed_token, v_changes); end if;
+ *   return null;
+ * end $$;
+ * drop trigger if exists bookings_hvac_notify on public.bookings;
+ * drop trigger if exists bookings_hvac_inserted on public.bookings;
+ * drop trigger if exists bookings_hvac_updated on public.bookings;
+ * drop trigger if exists bookings_hvac_deleted on public.bookings;
+ * create trigger bookings_hvac_inserted after insert on public.bookings referencing new table as new_rows
+ *   for each statement execute function public.hvac_notify();
+ * create trigger bookings_hvac_updated after update on public.bookings referencing old table as old_rows new table as new_rows
+ *   for each statement execute function public.hvac_notify();
+ * create trigger bookings_hvac_deleted after delete on public.bookings referencing old table as old_rows
+ *   for each statement execute function public.hvac_notify();
+ *
+ * -- KALENDERABONNEMENT: hemmelig token-URL per bruker, rom eller gruppe (leses av Edge Function calendar_feed)
+ * create table if not exists public.calendar_feeds (
+ *   id uuid primary key default gen_random_uuid(),
+ *   token text not null unique default encode(gen_random_bytes(24), 'hex'),
+ *   scope text not null check (scope in ('user','room','group')),
+ *   room_id text,
+ *   group_code text,
+ *   created_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now(),
+ *   revoked_at timestamptz,
+ *   check ((scope = 'room') = (room_id is not null) and (scope = 'group') = (group_code is not null))
+ * );
+ * alter table public.calendar_feeds enable row level security;
+ * -- Rom- og gruppefeeder viser andres bookinger, så bare admin/ansatt kan lage dem (calendar_feed sjekker rollen på nytt ved lesing)
+ * drop policy if exists "feeds_owner_all" on public.calendar_feeds;
+ * create policy "feeds_owner_all" on public.calendar_feeds for all using (created_by = auth.uid())
+ *   with check (created_by = auth.uid() and (scope = 'user' or public.has_role('admin','staff')));
+ * -- SEQUENCE i kalenderen: version telles opp hver gang noe som vises i kalenderen endres (flytting, avlysning), så
+ * -- kalenderappene tar imot oppdateringen. updated_at blir DTSTAMP.
+ * alter table public.bookings add column if not exists version int not null default 0;
+ * alter table public.bookings add column if not exists updated_at timestamptz default now();
+ * create or replace function public.bookings_bump_version() returns trigger language plpgsql as $$
+ * begin
+ *   if (new.date, new.room_id, new.room_name, new.start_min, new.end_min, new.status)
+ *      is distinct from (old.date, old.room_id, old.room_name, old.start_min, old.end_min, old.status) then
+ *     new.version := old.version + 1;
+ *     new.updated_at := now();
+ *   end if;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_bump_version on public.bookings;
+ * create trigger bookings_bump_version before update on public.bookings for each row execute function public.bookings_bump_version();
+ *
+ * -- FAKTURA: månedlig faktura per gruppe (group_code) eller kunde (booked_for). Klippekort-bookinger er betalt via partner.
+ * -- Fakturanummer tildeles fortløpende først når fakturaen sendes, så slettede utkast gir ikke hull i nummerserien.
+ * create sequence if not exists public.invoice_number_seq start 1001;
+ * create table if not exists public.invoices (
+ *   id uuid primary key default gen_random_uuid(),
+ *   number int unique,
+ *   period date not null, -- første dag i måneden
+ *   customer_kind text not null check (customer_kind in ('group','booked_for')),
+ *   customer text not null,
+ *   status text not null default 'draft' check (status in ('draft','sent','paid')),
+ *   issued_on date,
+ *   due_on date,
+ *   paid_on date,
+ *   created_by uuid not null default auth.uid(),
+ *   created_at timestamptz default now()
+ * );
+ * create table if not exists public.invoice_lines (
+ *   id uuid primary key default gen_random_uuid(),
+ *   invoice_id uuid not null references public.invoices(id) on delete cascade,
+ *   booking_id uuid references public.bookings(id),
+ *   kind text not null check (kind in ('booking','fee','credit')),
+ *   description text not null,
+ *   amount_nok numeric not null,
+ *   created_at timestamptz default now()
+ * );
+ * -- Hver booking faktureres bare én gang (slettet utkast frigjør bookingene)
+ * create unique index if not exists invoice_lines_booking_once on public.invoice_lines(booking_id) where booking_id is not null;
+ * alter table public.invoices enable row level security;
+ * alter table public.invoice_lines enable row level security;
+ * create policy if not exists "invoices_read_staff" on public.invoices for select using (public.has_role('admin','staff'));
+ * create policy if not exists "invoices_delete_draft" on public.invoices for delete using (public.has_role('admin','staff') and status = 'draft');
+ * create policy if not exists "invoice_lines_read_staff" on public.invoice_lines for select using (public.has_role('admin','staff'));
+ * create policy if not exists "invoice_lines_write_staff" on public.invoice_lines for all using (public.has_role('admin','staff'));
+ *
+ * -- Linjer kan bare endres mens fakturaen er utkast
+ * create or replace function public.invoice_lines_lock() returns trigger
+ * language plpgsql set search_path = public as $$
+ * begin
+ *   if exists (select 1 from public.invoices i where i.id = coalesce(new.invoice_id, old.invoice_id) and i.status <> 'draft') then
+ *     raise exception 'INVOICE_LOCKED';
+ *   end if;
+ *   return coalesce(new, old);
+ * end $$;
+ * drop trigger if exists invoice_lines_lock on public.invoice_lines;
+ * create trigger invoice_lines_lock before insert or update or delete on public.invoice_lines
+ *   for each row execute function public.invoice_lines_lock();
+ *
+ * -- Om bookingen hører hjemme på fakturaen for måned og kunde: ikke klippekort, aktiv eller avlyst med gebyr
+ * create or replace function public.invoice_booking_billable(b public.bookings, p_period date, p_kind text, p_customer text)
+ * returns boolean language sql stable as $$
+ *   select b.date between date_trunc('month', p_period)::date and (date_trunc('month', p_period) + interval '1 month - 1 day')::date
+ *      and b.voucher_id is null and b.voucher_partner is null
+ *      and (b.status = 'active' or coalesce(b.cancel_fee_nok, 0) > 0)
+ *      and coalesce(case when p_kind = 'group' then coalesce(b.group_code, 'standard') = p_customer
+ *                        else lower(trim(b.booked_for)) = lower(trim(p_customer)) end, false)
+ * $$;
+ * -- Fakturalinjen for en booking: aktiv → pris, avlyst → avbestillingsgebyr
+ * create or replace function public.invoice_booking_line(b public.bookings, out kind text, out description text, out amount_nok numeric)
+ * language sql immutable as $$
+ *   select case when b.status = 'active' then 'booking' else 'fee' end,
+ *          to_char(b.date, 'YYYY-MM-DD') || ' ' || b.room_name || ' ' || public.fmt_min(b.start_min) || '–' || public.fmt_min(b.end_min)
+ *            || case when b.status = 'active' then '' else ' (avbestillingsgebyr)' end,
+ *          case when b.status = 'active' then coalesce(b.price_nok, 0) else b.cancel_fee_nok end
+ * $$;
+ *
+ * create or replace function public.invoice_create_draft(p_period date, p_kind text, p_customer text)
+ * returns uuid language plpgsql security definer set search_path = public as $$
+ * declare
+ *   v_id uuid;
+ *   v_from date := date_trunc('month', p_period)::date;
+ *   v_to date := (date_trunc('month', p_period) + interval '1 month - 1 day')::date;
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   insert into public.invoices(period, customer_kind, customer) values (v_from, p_kind, p_customer) returning id into v_id;
+ *   insert into public.invoice_lines(invoice_id, booking_id, kind, description, amount_nok)
+ *   select v_id, b.id, l.kind, l.description, l.amount_nok
+ *     from public.bookings b cross join lateral public.invoice_booking_line(b) l
+ *    where b.date between v_from and v_to
+ *      and public.invoice_booking_billable(b, v_from, p_kind, p_customer)
+ *      and not exists (select 1 from public.invoice_lines l where l.booking_id = b.id)
+ *    order by b.date, b.start_min;
+ *   if not found then raise exception 'INVOICE_EMPTY'; end if;
+ *   return v_id;
+ * end $$;
+ *
+ * create or replace function public.invoice_set_status(p_id uuid, p_status text)
+ * returns void language plpgsql security definer set search_path = public as $$
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   if p_status = 'sent' then
+ *     update public.invoices set status = 'sent', number = coalesce(number, nextval('public.invoice_number_seq')),
+ *            issued_on = current_date, due_on = current_date + 14
+ *      where id = p_id and status = 'draft';
+ *   elsif p_status = 'paid' then
+ *     update public.invoices set status = 'paid', paid_on = current_date where id = p_id and status = 'sent';
+ *   end if;
+ *   if not found then raise exception 'INVOICE_BAD_STATUS'; end if;
+ * end $$;
+ *
+ * -- Utkast følger bookingene: flyttes, endres eller avlyses en booking som står på et utkast, bygges linjen på nytt – eller
+ * -- fjernes når bookingen ikke lenger hører til fakturaen (annen måned/kunde, avlyst uten gebyr). Står bookingen på en
+ * -- sendt eller betalt faktura, er den låst (BOOKING_INVOICED).
+ * create or replace function public.bookings_invoice_sync() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * declare l record;
+ * begin
+ *   select il.id, i.status, i.period, i.customer_kind, i.customer into l
+ *     from public.invoice_lines il join public.invoices i on i.id = il.invoice_id where il.booking_id = new.id;
+ *   if not found then return new; end if;
+ *   if l.status <> 'draft' then
+ *     if (new.date, new.room_name, new.start_min, new.end_min, new.status, new.price_nok, new.cancel_fee_nok, new.group_code, new.booked_for, new.voucher_id, new.voucher_partner)
+ *        is distinct from (old.date, old.room_name, old.start_min, old.end_min, old.status, old.price_nok, old.cancel_fee_nok, old.group_code, old.booked_for, old.voucher_id, old.voucher_partner) then
+ *       raise exception 'BOOKING_INVOICED';
+ *     end if;
+ *     return new;
+ *   end if;
+ *   if public.invoice_booking_billable(new, l.period, l.customer_kind, l.customer) then
+ *     update public.invoice_lines il set kind = x.kind, description = x.description, amount_nok = x.amount_nok
+ *       from public.invoice_booking_line(new) x where il.id = l.id;
+ *   else
+ *     delete from public.invoice_lines where id = l.id;
+ *   end if;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_invoice_sync on public.bookings;
+ * create trigger bookings_invoice_sync after update of date, room_name, start_min, end_min, status, price_nok, cancel_fee_nok, group_code, booked_for, voucher_id, voucher_partner
+ *   on public.bookings for each row execute function public.bookings_invoice_sync();
+ *
+ * -- ANALYSE: aggregeres i databasen for vilkårlig periode (maks 2 år), så klienten bare får noen hundre rader.
+ * -- Ukedag følger extract(dow) (0=søndag); timer deles på klokketimer etter overlapp (18:30–20:00 gir 0,5 + 1,0).
+ * create index if not exists bookings_date_status_idx on public.bookings(date, status);
+ * create or replace function public.analytics_summary(p_from date, p_to date)
+ * returns jsonb language plpgsql stable security definer set search_path = public as $$
+ * declare v jsonb;
+ * begin
+ *   if not public.has_role('admin','staff') then raise exception 'FORBIDDEN'; end if;
+ *   if p_to < p_from or p_to - p_from > 731 then raise exception 'ANALYTICS_RANGE'; end if;
+ *   with a as (select * from public.bookings where date between p_from and p_to),
+ *        b as (select *, (end_min - start_min) / 60.0 as hours from a where status = 'active')
+ *   select jsonb_build_object(
+ *     'heatmap', (select coalesce(jsonb_agg(x), '[]') from (
+ *        select b.room_id, extract(dow from b.date)::int as weekday, h as hour,
+ *               sum(least(b.end_min, (h + 1) * 60) - greatest(b.start_min, h * 60)) / 60.0 as hours
+ *          from b cross join lateral generate_series(b.start_min / 60, (b.end_min - 1) / 60) h
+ *         group by 1, 2, 3) x),
+ *     'monthly', (select coalesce(jsonb_agg(x order by x.month), '[]') from (
+ *        select to_char(date, 'YYYY-MM') as month,
+ *               count(*) filter (where status = 'active') as bookings,
+ *               coalesce(sum((end_min - start_min) / 60.0) filter (where status = 'active'), 0) as hours,
+ *               coalesce(sum(price_nok) filter (where status = 'active'), 0) as revenue_nok,
+ *               coalesce(sum(cancel_fee_nok) filter (where status <> 'active'), 0) as fees_nok
+ *          from a group by 1) x),
+ *     'groups', (select coalesce(jsonb_agg(x order by x.revenue_nok desc), '[]') from (
+ *        select coalesce(group_code, 'standard') as group_code, count(*) as bookings, sum(hours) as hours, coalesce(sum(price_nok), 0) as revenue_nok
+ *          from b group by 1) x),
+ *     'partners', (select coalesce(jsonb_agg(x order by x.hours desc), '[]') from (
+ *        select voucher_partner as partner, count(*) as bookings, sum(hours) as hours, coalesce(sum(price_nok), 0) as revenue_nok
+ *          from b where voucher_partner is not null group by 1) x),
+ *     'mix', (select coalesce(jsonb_agg(x), '[]') from (
+ *        select type as room_type, coalesce(group_code, 'standard') as group_code, count(*) as bookings, sum(hours) as hours, coalesce(sum(price_nok), 0) as revenue_nok
+ *          from b group by 1, 2) x)
+ *   ) into v;
+ *   return v;
+ * end $$;
+ *
+ * -- KOSTNADER: faste kostnader per måned (fritt antall linjer), energipris og renhold per booking. Break-even regnes i
+ * -- klienten fra kostnadene, åpne timer i måneden og faktisk pris- og gruppemiks (analytics_summary.mix).
+ * create table if not exists public.cost_settings (
+ *   id int primary key default 1 check (id = 1),
+ *   fixed jsonb not null default '[]',                  -- [{ id, label, monthly_nok }]
+ *   energy_price_nok_kwh numeric not null default 1.5,  -- inkl. nettleie og avgifter
+ *   cleaning_per_booking_nok numeric not null default 40,
+ *   updated_at timestamptz not null default now()
+ * );
+ * insert into public.cost_settings(id) values (1) on conflict (id) do nothing;
+ * alter table public.cost_settings enable row level security;
+ * create policy if not exists "cost_settings_read" on public.cost_settings for select using (public.has_role('admin','staff'));
+ * create policy if not exists "cost_settings_write_admin" on public.cost_settings for update using (public.has_role('admin'));
+ *
+ * -- E-POST: bekreftelse, endring og avlysning sendes av Edge Function booking_email (SMTP), varslet via pg_net fra
+ * -- statement-triggerne under – én insert (serie, import) gir ett kall med alle id-ene. Påminnelsen med tilgangsvindu og PIN
+ * -- sendes reminder_hours_before før start (pg_cron). Språk per booking (nb/en), valgt av den som booker.
+ * alter table public.bookings add column if not exists email_lang text not null default 'nb' check (email_lang in ('nb','en'));
+ * alter table public.bookings add column if not exists reminder_sent_at timestamptz;
+ * create table if not exists public.notification_settings (
+ *   id int primary key default 1 check (id = 1),
+ *   enabled boolean not null default true,
+ *   reminder_hours_before int not null default 24 check (reminder_hours_before between 1 and 168),
+ *   send_to_booked_for boolean not null default true,  -- også til booked_for når det er en e-postadresse
+ *   reply_to text,
+ *   function_url text,                                 -- https://<prosjekt>.functions.supabase.co/booking_email
+ *   notify_secret uuid not null default gen_random_uuid()
+ * );
+ * insert into public.notification_settings(id) values (1) on conflict (id) do nothing;
+ * alter table public.notification_settings enable row level security;
+ * create policy if not exists "notification_settings_read" on public.notification_settings for select using (public.has_role('admin','staff'));
+ * create policy if not exists "notification_settings_write_admin" on public.notification_settings for update using (public.has_role('admin'));
+ * -- Logg over sendte e-poster (uten innhold – PIN-koden lagres ikke her)
+ * create table if not exists public.email_log (
+ *   id uuid primary key default gen_random_uuid(),
+ *   kind text not null check (kind in ('confirmation','change','cancellation','reminder')),
+ *   booking_ids uuid[] not null,
+ *   recipient text not null,
+ *   lang text not null,
+ *   subject text not null,
+ *   status text not null check (status in ('sent','failed')),
+ *   error text,
+ *   sent_at timestamptz not null default now()
+ * );
+ * create index if not exists email_log_sent_idx on public.email_log(sent_at desc);
+ * alter table public.email_log enable row level security;
+ * create policy if not exists "email_log_read" on public.email_log for select using (public.has_role('admin','staff'));
+ * create or replace function public.booking_email_post(p_kind text, p_ids uuid[]) returns void
+ * language plpgsql security definer set search_path = public as $$
+ * declare s public.notification_settings;
+ * begin
+ *   select * into s from public.notification_settings where id = 1;
+ *   if not s.enabled or s.function_url is null or (p_kind <> 'reminder' and coalesce(cardinality(p_ids), 0) = 0) then return; end if;
+ *   perform net.http_post(url := s.function_url, headers := jsonb_build_object('content-type', 'application/json', 'x-notify-secret', s.notify_secret::text),
+ *     body := jsonb_build_object('kind', p_kind, 'booking_ids', p_ids));
+ * end $$;
+ * create or replace function public.bookings_email_inserted() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin
+ *   perform public.booking_email_post('confirmation', (select array_agg(id) from inserted where status = 'active' and date >= current_date));
+ *   return null;
+ * end $$;
+ * create or replace function public.bookings_email_updated() returns trigger
+ * language plpgsql security definer set search_path = public as $$
+ * begin
+ *   perform public.booking_email_post('cancellation', (select array_agg(n.id) from new_rows n join old_rows o using (id)
+ *     where o.status = 'active' and n.status = 'cancelled' and n.date >= current_date));
+ *   perform public.booking_email_post('change', (select array_agg(n.id) from new_rows n join old_rows o using (id)
+ *     where n.status = 'active' and n.date >= current_date and (o.date, o.room_id, o.start_min, o.end_min) is distinct from (n.date, n.room_id, n.start_min, n.end_min)));
+ *   return null;
+ * end $$;
+ * drop trigger if exists bookings_email_inserted on public.bookings;
+ * create trigger bookings_email_inserted after insert on public.bookings referencing new table as inserted
+ *   for each statement execute function public.bookings_email_inserted();
+ * drop trigger if exists bookings_email_updated on public.bookings;
+ * create trigger bookings_email_updated after update on public.bookings referencing old table as old_rows new table as new_rows
+ *   for each statement execute function public.bookings_email_updated();
+ * -- Flyttet booking får ny påminnelse (med den nye PIN-koden)
+ * create or replace function public.bookings_reset_reminder() returns trigger language plpgsql as $$
+ * begin
+ *   new.reminder_sent_at := null;
+ *   return new;
+ * end $$;
+ * drop trigger if exists bookings_reset_reminder on public.bookings;
+ * create trigger bookings_reset_reminder before update of date, start_min on public.bookings
+ *   for each row when ((old.date, old.start_min) is distinct from (new.date, new.start_min)) execute function public.bookings_reset_reminder();
+ * select cron.schedule('booking-reminders', '0,10,20,30,40,50 * * * *', $$select public.booking_email_post('reminder', null)$$);
+ *
  * ---------------------------------------------------------------------------
  * SUPABASE EDGE FUNCTIONS (skjelett) – deploy via Supabase CLI
  *   supabase functions new access_get_or_issue
  *   supabase functions new access_revoke
  *   supabase functions deploy access_get_or_issue
  *   supabase functions deploy access_revoke
+ *   supabase functions new calendar_feed
+ *   supabase functions deploy calendar_feed --no-verify-jwt   (kalenderapper sender ikke JWT – tokenet er nøkkelen)
+ *   supabase functions new door_events
+ *   supabase functions deploy door_events --no-verify-jwt     (låsesystemet autentiseres med DOOR_EVENTS_SECRET)
+ *   supabase functions new energy_ingest
+ *   supabase functions deploy energy_ingest --no-verify-jwt   (undermålere/MQTT-bro autentiseres med ENERGY_INGEST_SECRET)
+ *   supabase functions new hvac_schedule
+ *   supabase functions deploy hvac_schedule --no-verify-jwt   (byggstyringen bruker feed_token fra hvac_settings)
+ *   supabase functions new booking_email
+ *   supabase functions deploy booking_email --no-verify-jwt   (databasen autentiseres med notify_secret fra notification_settings)
  * Sett miljøvariabler (Dashboard → Functions):
- *   ACCESS_PROVIDER=pin-demo
+ *   ACCESS_PROVIDER=pin-keypad          (pin-keypad | mobile-key)
+ *   ACCESS_LOCK_URL=https://las.example  (låsesystemets API – lokalt: http://host.docker.internal:8787 mot mock_lock_server.mjs)
+ *   ACCESS_LOCK_TOKEN=...
  *   DOOR_BUFFER_BEFORE_MIN=15
  *   DOOR_BUFFER_AFTER_MIN=10
+ *   DOOR_EVENTS_SECRET=...               (delt hemmelighet i x-lock-secret fra låsesystemet)
+ *   ENERGY_INGEST_SECRET=...             (delt hemmelighet i x-meter-secret fra undermålere)
+ *   SMTP_HOST=smtp.example.no            (lokalt: host.docker.internal mot Mailpit/MailHog)
+ *   SMTP_PORT=587                        (Mailpit: 1025)
+ *   SMTP_TLS=true                        (false mot lokal e-postfanger uten TLS)
+ *   SMTP_USER=... / SMTP_PASS=...        (utelates mot e-postfanger)
+ *   SMTP_FROM="Øvingsrommet <booking@ovingsrommet.no>"
  * ---------------------------------------------------------------------------
- * // access_get_or_issue/index.ts (Deno)
+ * // _shared/access_providers.ts – kopi av accessWindow, grantMatchesWindow, randomPin, lockApi, pinKeypadProvider,
+ * // mobileKeyProvider, accessProviderFor, issueWithRetry, isRevokeFailure og revokeWithRetry i appen (Door access (pure)). Hver adapter har
+ * // issue(grant) → { secret, deep_link, external_ref }, revoke(grant) og status(grant) → 'issued' | 'revoked' | 'unknown'.
+ *
+ * // access_get_or_issue/index.ts (Deno) – body { booking_id, sync_only? }. Gyldig nøkkel for bookingens tidsrom returneres;
+ * // er bookingen flyttet/forlenget trekkes gammel nøkkel tilbake og ny utstedes. sync_only: bare oppdater eksisterende nøkkel.
  * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
  * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * import { accessWindow, grantMatchesWindow, accessProviderFor, issueWithRetry, isRevokeFailure, revokeWithRetry } from '../_shared/access_providers.ts'
  * serve(async (req) => {
  *   try {
- *     const { booking_id } = await req.json(); if (!booking_id) return new Response('booking_id missing', { status: 400 });
+ *     const { booking_id, sync_only } = await req.json(); if (!booking_id) return new Response('booking_id missing', { status: 400 });
  *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
- *     const { data: booking } = await supabase.from('bookings').select('id,date,hour,room_id,created_by,booked_for').eq('id', booking_id).single();
- *     const nowISO = new Date().toISOString();
- *     const { data: existing } = await supabase.from('access_grants').select('*').eq('booking_id', booking_id).eq('status','issued').gte('end_at', nowISO).limit(1);
- *     if (existing && existing.length) return Response.json(existing[0]);
- *     const { data: dg } = await supabase.from('door_groups').select('door_ids').eq('room_id', booking.room_id).maybeSingle();
- *     const door_ids = dg?.door_ids || ['main'];
+ *     const { data: booking } = await supabase.from('bookings').select('id,date,start_min,end_min,room_id,created_by,booked_for,org_id').eq('id', booking_id).single();
+ *     // Bare eier av bookingen, medlemmer av bandet den er booket for eller ansatte (admin/staff) får nøkkel –
+ *     // og booking_email (service role) for PIN i påminnelsen
+ *     const internal = req.headers.get('Authorization') === `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`;
+ *     const asUser = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, { global: { headers: { Authorization: req.headers.get('Authorization') || '' } } });
+ *     const { data: { user } } = internal ? { data: { user: null } } : await asUser.auth.getUser();
+ *     const { data: isStaff } = internal ? { data: true } : await asUser.rpc('has_role', { p_roles: ['admin','staff'] });
+ *     const { data: isMember } = internal || !booking.org_id ? { data: false } : await asUser.rpc('is_org_member', { p_org: booking.org_id });
+ *     if (!internal && (!user || (booking.created_by !== user.id && !isStaff && !isMember))) return new Response('forbidden', { status: 403 });
  *     const before = Number(Deno.env.get('DOOR_BUFFER_BEFORE_MIN')||'15');
  *     const after = Number(Deno.env.get('DOOR_BUFFER_AFTER_MIN')||'10');
- *     const start = new Date(`${booking.date}T${String(booking.hour).padStart(2,'0')}:00:00Z`);
- *     start.setMinutes(start.getMinutes()-before);
- *     const end = new Date(`${booking.date}T${String(booking.hour+1).padStart(2,'0')}:00:00Z`);
- *     end.setMinutes(end.getMinutes()+after);
- *     const pin = String(Math.floor(100000 + Math.random()*900000));
- *     const payload = { booking_id, provider: Deno.env.get('ACCESS_PROVIDER')||'pin-demo', door_ids, secret: pin, deep_link: null, start_at: start.toISOString(), end_at: end.toISOString(), status: 'issued', issued_to: booking.booked_for||null, created_by: booking.created_by };
- *     const { data: grant, error: ge } = await supabase.from('access_grants').insert(payload).select('*').single();
+ *     // Én nøkkel for hele bookingen (start_min–end_min) pluss buffere
+ *     const win = accessWindow({ date: booking.date, startMin: booking.start_min, endMin: booking.end_min }, before, after);
+ *     const { data: open } = await supabase.from('access_grants').select('*').eq('booking_id', booking_id).in('status', ['issued','error']).order('created_at', { ascending: false });
+ *     const config = { baseUrl: Deno.env.get('ACCESS_LOCK_URL'), token: Deno.env.get('ACCESS_LOCK_TOKEN') };
+ *     // Raden settes til 'revoked' bare når låsen bekrefter; ellers 'error' med last_error og nytt forsøk ved neste kall
+ *     const revoke = async (g) => {
+ *       const result = await revokeWithRetry(accessProviderFor(g.provider, config), g);
+ *       await supabase.from('access_grants').update({ ...result, updated_at: new Date().toISOString() }).eq('id', g.id);
+ *     };
+ *     for (const g of (open || []).filter(isRevokeFailure)) await revoke(g);
+ *     const current = (open || []).find(g => !isRevokeFailure(g)) || null;
+ *     const provider = accessProviderFor(current?.provider || Deno.env.get('ACCESS_PROVIDER') || 'pin-keypad', config);
+ *     if (current?.status === 'issued' && grantMatchesWindow(current, win)) {
+ *       // Låsen kan ha mistet koden (omstart, manuell sletting) – da utstedes en ny
+ *       const live = await provider.status(current).catch(() => 'unknown');
+ *       if (live !== 'revoked') return Response.json(current);
+ *     }
+ *     if (sync_only && !current) return Response.json(null);
+ *     const nowISO = new Date().toISOString();
+ *     if (current?.status === 'issued') await revoke(current);
+ *     const { data: dg } = await supabase.from('door_groups').select('door_ids').eq('room_id', booking.room_id).maybeSingle();
+ *     const draft = { booking_id, provider: provider.name, door_ids: dg?.door_ids || ['main'], ...win, issued_to: booking.booked_for||null, created_by: booking.created_by };
+ *     const issued = await issueWithRetry(provider, draft);
+ *     const row = { ...issued, attempts: (current?.status === 'error' ? current.attempts : 0) + issued.attempts, updated_at: nowISO };
+ *     // En nøkkel som feilet ved utstedelse gjenbrukes ved neste forsøk, så det blir én rad per booking
+ *     const { data: grant, error: ge } = current?.status === 'error'
+ *       ? await supabase.from('access_grants').update(row).eq('id', current.id).select('*').single()
+ *       : await supabase.from('access_grants').insert(row).select('*').single();
  *     if (ge) return new Response(ge.message, { status: 500 });
- *     return Response.json(grant);
+ *     return Response.json(grant, { status: grant.status === 'error' ? 502 : 200 });
  *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
  * });
  *
- * // access_revoke/index.ts (Deno)
+ * // access_revoke/index.ts (Deno) – trekker tilbake hos låsen først; feiler det beholdes raden som 'error' med last_error
  * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
  * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * import { accessProviderFor, isRevokeFailure } from '../_shared/access_providers.ts'
  * serve(async (req) => {
  *   try {
  *     const { booking_id } = await req.json(); if (!booking_id) return new Response('booking_id missing', { status: 400 });
  *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
- *     const { error } = await supabase.from('access_grants').update({ status: 'revoked' }).eq('booking_id', booking_id).eq('status','issued');
+ *     const { data: open, error } = await supabase.from('access_grants').select('*').eq('booking_id', booking_id).in('status', ['issued','error']);
+ *     const grants = (open || []).filter(g => g.status === 'issued' || isRevokeFailure(g));
  *     if (error) return new Response(error.message, { status: 500 });
- *     return Response.json({ ok: true });
+ *     const config = { baseUrl: Deno.env.get('ACCESS_LOCK_URL'), token: Deno.env.get('ACCESS_LOCK_TOKEN') };
+ *     const failed = [];
+ *     for (const g of grants) {
+ *       const nowISO = new Date().toISOString();
+ *       try {
+ *         await accessProviderFor(g.provider, config).revoke(g);
+ *         await supabase.from('access_grants').update({ status: 'revoked', updated_at: nowISO }).eq('id', g.id);
+ *       } catch (e) {
+ *         failed.push(g.id);
+ *         await supabase.from('access_grants').update({ status: 'error', last_error: `revoke: ${e?.message||e}`, updated_at: nowISO }).eq('id', g.id);
+ *       }
+ *     }
+ *     return Response.json({ ok: failed.length === 0, failed }, { status: failed.length ? 502 : 200 });
+ *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
+ * });
+ *
+ * // door_events/index.ts (Deno) – POST { door_id, credential, occurred_at, result? } eller en liste av slike fra låsesystemet
+ * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
+ * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * serve(async (req) => {
+ *   try {
+ *     if (req.method !== 'POST') return new Response('method not allowed', { status: 405 });
+ *     if (req.headers.get('x-lock-secret') !== Deno.env.get('DOOR_EVENTS_SECRET')) return new Response('unauthorized', { status: 401 });
+ *     const body = await req.json();
+ *     const events = Array.isArray(body) ? body : [body];
+ *     if (events.some(ev => !ev.door_id || !ev.occurred_at || isNaN(Date.parse(ev.occurred_at)))) return new Response('door_id and occurred_at required', { status: 400 });
+ *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+ *     const ids = [];
+ *     for (const ev of events) {
+ *       const { data, error } = await supabase.rpc('door_event_ingest', {
+ *         p_door_id: String(ev.door_id), p_credential: ev.credential == null ? null : String(ev.credential), p_occurred_at: ev.occurred_at,
+ *         p_result: ev.result === 'denied' ? 'denied' : 'granted', p_raw: ev,
+ *       });
+ *       if (error) return new Response(error.message, { status: 500 });
+ *       ids.push(data);
+ *     }
+ *     return Response.json({ ok: true, ids });
+ *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
+ * });
+ *
+ * // hvac_schedule/index.ts (Deno) – GET ?token=...&from=YYYY-MM-DD&days=7&format=json|csv. Planen beregnes ved hvert kall
+ * // (alltid oppdatert); ETag gjør at byggstyringen kan polle ofte med If-None-Match og få 304 når ingenting er endret.
+ * // hvacSchedule, hvacScheduleCSV og localDateTime er kopi av funksjonene i appen (Building control (pure)).
+ * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
+ * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * serve(async (req) => {
+ *   try {
+ *     const url = new URL(req.url);
+ *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+ *     const { data: s } = await supabase.from('hvac_settings').select('*').eq('id', 1).single();
+ *     if (!s || url.searchParams.get('token') !== s.feed_token) return new Response('not found', { status: 404 });
+ *     // Standard er dagens dato i Oslo (bookingene har lokal tid)
+ *     const from = url.searchParams.get('from') || new Date().toLocaleDateString('sv-SE', { timeZone: 'Europe/Oslo' });
+ *     if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || isNaN(Date.parse(from))) return new Response('from must be YYYY-MM-DD', { status: 400 });
+ *     const days = Math.min(31, Math.max(1, Number(url.searchParams.get('days') || '7')));
+ *     const to = new Date(Date.parse(from) + (days - 1) * 864e5).toISOString().slice(0,10);
+ *     const [{ data: rows, error }, { data: rooms }] = await Promise.all([
+ *       supabase.from('bookings').select('id,date,room_id,start_min,end_min').eq('status','active').gte('date', from).lte('date', to),
+ *       supabase.from('rooms').select('id,name'),
+ *     ]);
+ *     if (error) return new Response(error.message, { status: 500 });
+ *     const store = {};
+ *     for (const r of rows) ((store[r.date] ||= {})[r.room_id] ||= {})[r.id] = { startMin: r.start_min, endMin: r.end_min };
+ *     const settings = { preheatMin: s.preheat_min, ventAfterMin: s.vent_after_min, lightsBeforeMin: s.lights_before_min, lightsAfterMin: s.lights_after_min, mergeGapMin: s.merge_gap_min };
+ *     const schedule = hvacSchedule(store, rooms, settings);
+ *     const csv = url.searchParams.get('format') === 'csv';
+ *     const body = csv ? hvacScheduleCSV(schedule) : JSON.stringify({ timezone: 'Europe/Oslo', from, to, settings, schedule });
+ *     const etag = `"${Array.from(new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(body)))).map(b => b.toString(16).padStart(2,'0')).join('')}"`;
+ *     if (req.headers.get('if-none-match') === etag) return new Response(null, { status: 304, headers: { etag } });
+ *     return new Response(body, { headers: { 'content-type': csv ? 'text/csv; charset=utf-8' : 'application/json', etag, 'cache-control': 'no-cache' } });
+ *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
+ * });
+ *
+ * // energy_ingest/index.ts (Deno) – POST [{ meter_id, ts, kwh }] med kWh brukt i intervallet siden forrige melding.
+ * // Hver melding lagres med sitt eget tidspunkt (p_source 'feed') og summeres per time ved lesing, så undermålere kan sende
+ * // hvert minutt eller hvert kvarter, og en melding som sendes på nytt, telles bare én gang.
+ * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
+ * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * serve(async (req) => {
+ *   try {
+ *     if (req.method !== 'POST') return new Response('method not allowed', { status: 405 });
+ *     if (req.headers.get('x-meter-secret') !== Deno.env.get('ENERGY_INGEST_SECRET')) return new Response('unauthorized', { status: 401 });
+ *     const body = await req.json();
+ *     const rows = (Array.isArray(body) ? body : [body]).map(r => ({ meter_id: String(r.meter_id||''), ts: r.ts, kwh: Number(r.kwh) }));
+ *     // ts er påkrevd: et tidspunkt satt her ville gitt en ny nøkkel hver gang en melding sendes på nytt
+ *     if (rows.some(r => !r.meter_id || !r.ts || isNaN(Date.parse(r.ts)) || !(r.kwh >= 0))) return new Response('meter_id, ts and kwh >= 0 required', { status: 400 });
+ *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+ *     const { data, error } = await supabase.rpc('energy_readings_upsert', { p_rows: rows, p_source: 'feed' });
+ *     if (error) return new Response(error.message, { status: error.code === '23503' ? 422 : 500 }); // 23503: ukjent måler
+ *     return Response.json({ ok: true, hours: data });
+ *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
+ * });
+ *
+ * // mqtt_energy_bridge.mjs (Node 18+, npm i mqtt) – lokal bro fra undermålere på MQTT til energy_ingest.
+ * //   Topic ovingsrommet/energy/<meter_id>, melding { "kwh": 0.12, "ts": "..." } (kWh siden forrige melding).
+ * //   MQTT_URL=mqtt://localhost:1883 ENERGY_INGEST_URL=https://<prosjekt>.functions.supabase.co/energy_ingest ENERGY_INGEST_SECRET=... node mqtt_energy_bridge.mjs
+ * import mqtt from 'mqtt'
+ * const pending = new Map(); // "meter|tidspunkt" → kWh, én per melding (samme nøkkel ved retry)
+ * const add = (meter, tsISO, kwh) => pending.set(`${meter}|${tsISO}`, kwh);
+ * const client = mqtt.connect(process.env.MQTT_URL || 'mqtt://localhost:1883');
+ * client.on('connect', () => client.subscribe(process.env.MQTT_TOPIC || 'ovingsrommet/energy/+'));
+ * client.on('message', (topic, msg) => {
+ *   try {
+ *     const { kwh, ts } = JSON.parse(msg.toString());
+ *     add(topic.split('/').pop(), new Date(ts || Date.now()).toISOString(), Number(kwh) || 0);
+ *   } catch (e) { console.error('ugyldig melding', topic, e.message); }
+ * });
+ * setInterval(async () => {
+ *   if (!pending.size) return;
+ *   const rows = [...pending].map(([k, kwh]) => { const [meter_id, ts] = k.split('|'); return { meter_id, ts, kwh }; });
+ *   pending.clear();
+ *   const res = await fetch(process.env.ENERGY_INGEST_URL, { method: 'POST', headers: { 'content-type': 'application/json', 'x-meter-secret': process.env.ENERGY_INGEST_SECRET || '' }, body: JSON.stringify(rows) }).catch(e => ({ ok: false, statusText: e.message }));
+ *   if (!res.ok) { console.error('energy_ingest feilet:', res.statusText); for (const r of rows) add(r.meter_id, r.ts, r.kwh); } // prøv igjen neste runde
+ * }, 60000);
+ *
+ * // mock_lock_server.mjs (Node 18+, ingen avhengigheter) – lokal lås for testing av adapterne.
+ * //   node mock_lock_server.mjs                      → http://localhost:8787
+ * //   MOCK_LOCK_FAIL_RATE=0.5 node mock_lock_server.mjs  → annenhver forespørsel gir 503 (tester retry og 'error')
+ * // Lokal demo uten Supabase bruker den når VITE_LOCK_SERVER_URL=http://localhost:8787 er satt.
+ * //   POST /codes/:id/open (eller /keys/:id/open) { door_id } simulerer en døråpning og sender hendelsen til
+ * //   DOOR_EVENTS_URL (door_events-funksjonen) med x-lock-secret: DOOR_EVENTS_SECRET.
+ * import http from 'node:http'
+ * const items = new Map(); let seq = 0;
+ * http.createServer(async (req, res) => {
+ *   const send = (status, body) => {
+ *     res.writeHead(status, { 'content-type': 'application/json', 'access-control-allow-origin': '*', 'access-control-allow-methods': 'GET,POST,DELETE,OPTIONS', 'access-control-allow-headers': 'authorization,content-type' });
+ *     res.end(body === undefined ? '' : JSON.stringify(body));
+ *   };
+ *   if (req.method === 'OPTIONS') return send(204);
+ *   if (Math.random() < Number(process.env.MOCK_LOCK_FAIL_RATE || 0)) return send(503, { error: 'lock offline' });
+ *   const [, kind, id, action] = new URL(req.url, 'http://localhost').pathname.split('/'); // /codes[/:id[/open]] (PIN) eller /keys[/:id[/open]] (mobilnøkkel)
+ *   if (kind !== 'codes' && kind !== 'keys') return send(404, { error: 'not found' });
+ *   if (req.method === 'POST' && !id) {
+ *     let raw = ''; for await (const chunk of req) raw += chunk;
+ *     const rec = { ...JSON.parse(raw || '{}'), id: `${kind}-${++seq}`, status: 'issued' };
+ *     if (kind === 'keys') rec.deep_link = `ovingsrommet-lock://unlock/${rec.id}`;
+ *     items.set(rec.id, rec); console.log('issue', rec);
+ *     return send(201, rec);
+ *   }
+ *   const rec = items.get(id); if (!rec) return send(404, { error: 'unknown id' });
+ *   if (req.method === 'POST' && action === 'open') {
+ *     let raw = ''; for await (const chunk of req) raw += chunk;
+ *     const door_id = JSON.parse(raw || '{}').door_id || rec.doors?.[rec.doors.length - 1];
+ *     const now = new Date().toISOString();
+ *     const ok = rec.status === 'issued' && rec.doors?.includes(door_id) && now >= rec.valid_from && now <= rec.valid_to;
+ *     const event = { door_id, credential: rec.pin || rec.id, occurred_at: now, result: ok ? 'granted' : 'denied' };
+ *     if (process.env.DOOR_EVENTS_URL) await fetch(process.env.DOOR_EVENTS_URL, { method: 'POST', headers: { 'content-type': 'application/json', 'x-lock-secret': process.env.DOOR_EVENTS_SECRET || '' }, body: JSON.stringify(event) }).catch(e => console.error('event', e.message));
+ *     console.log('open', event);
+ *     return send(200, event);
+ *   }
+ *   if (req.method === 'DELETE') { rec.status = 'revoked'; console.log('revoke', id); return send(204); }
+ *   if (req.method === 'GET') return send(200, rec);
+ *   send(405, { error: 'method not allowed' });
+ * }).listen(Number(process.env.PORT || 8787), () => console.log(`mock lock server on :${process.env.PORT || 8787}`));
+ *
+ * // calendar_feed/index.ts (Deno) – GET ?token=... gir text/calendar. Avlyste bookinger (siste 30 dager og fremover)
+ * // sendes med STATUS:CANCELLED slik at kalenderen fjerner dem. Rom- og gruppefeeder virker bare så lenge eieren er admin/ansatt.
+ * // _shared/ics.ts – kopi av fmtMin, addDaysISO, typeLabel, roomTypeLabel, DEFAULT_ROOM_TYPES, ACCESS_BUFFER_BEFORE_MIN/AFTER_MIN og
+ * // hele iCalendar-seksjonen (icsLocal, icsUTC, icsEscape, icsFold, icsEvent, ICS_VTIMEZONE, buildICS, feedName) i appen, med export.
+ * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
+ * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * import { icsEvent, buildICS, feedName } from '../_shared/ics.ts'
+ * serve(async (req) => {
+ *   try {
+ *     const token = new URL(req.url).searchParams.get('token'); if (!token) return new Response('token missing', { status: 400 });
+ *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+ *     const { data: feed } = await supabase.from('calendar_feeds').select('*').eq('token', token).is('revoked_at', null).maybeSingle();
+ *     if (!feed) return new Response('not found', { status: 404 });
+ *     if (feed.scope !== 'user') {
+ *       const { data: owner } = await supabase.from('user_roles').select('role').eq('user_id', feed.created_by).maybeSingle();
+ *       if (!['admin','staff'].includes(owner?.role)) return new Response('not found', { status: 404 });
+ *     }
+ *     const from = new Date(Date.now() - 30*864e5).toISOString().slice(0,10);
+ *     let q = supabase.from('bookings').select('id,date,start_min,end_min,type,room_name,status,version,updated_at,inserted_at').gte('date', from).order('date');
+ *     if (feed.scope === 'user') q = q.eq('created_by', feed.created_by);
+ *     if (feed.scope === 'room') q = q.eq('room_id', feed.room_id);
+ *     if (feed.scope === 'group') q = q.eq('group_code', feed.group_code);
+ *     const { data: rows, error } = await q;
+ *     if (error) return new Response(error.message, { status: 500 });
+ *     const before = Number(Deno.env.get('DOOR_BUFFER_BEFORE_MIN')||'15');
+ *     const after = Number(Deno.env.get('DOOR_BUFFER_AFTER_MIN')||'10');
+ *     const events = rows.map(r => icsEvent({ id: r.id, date: r.date, startMin: r.start_min, endMin: r.end_min, type: r.type, roomName: r.room_name, status: r.status, version: r.version, updatedAt: r.updated_at || r.inserted_at }, { before, after }));
+ *     return new Response(buildICS(events, feedName(feed)), { headers: { 'content-type': 'text/calendar; charset=utf-8', 'cache-control': 'private, max-age=300' } });
+ *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
+ * });
+ *
+ * // booking_email/index.ts (Deno) – POST { kind, booking_ids } fra triggerne, eller { kind: 'reminder' } fra pg_cron (finner selv
+ * // bookingene som starter innen reminder_hours_before og ikke har fått påminnelse). _shared/booking_email.ts er kopi av
+ * // bookingStart, startsWithinHours, reminderKey, remindersDue, emailRecipients, bookingEmail og composeEmails i appen (E-post (pure)).
+ * // Test lokalt mot en e-postfanger:
+ * //   docker run -p 1025:1025 -p 8025:8025 axllent/mailpit
+ * //   SMTP_HOST=host.docker.internal SMTP_PORT=1025 SMTP_TLS=false supabase functions serve booking_email --env-file .env.local
+ * //   curl -X POST localhost:54321/functions/v1/booking_email -H 'x-notify-secret: <notify_secret>' -d '{"kind":"reminder"}'
+ * //   → e-postene vises på http://localhost:8025
+ * import { serve } from 'https://deno.land/std@0.181.0/http/server.ts'
+ * import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+ * import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts'
+ * import { startsWithinHours, remindersDue, composeEmails } from '../_shared/booking_email.ts'
+ * serve(async (req) => {
+ *   try {
+ *     if (req.method !== 'POST') return new Response('method not allowed', { status: 405 });
+ *     const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+ *     const { data: s } = await supabase.from('notification_settings').select('*').eq('id', 1).single();
+ *     if (!s || req.headers.get('x-notify-secret') !== s.notify_secret) return new Response('unauthorized', { status: 401 });
+ *     const { kind, booking_ids } = await req.json();
+ *     if (!['confirmation','change','cancellation','reminder'].includes(kind)) return new Response('unknown kind', { status: 400 });
+ *     if (!s.enabled) return Response.json({ ok: true, sent: 0 });
+ *     // Bookingene har lokal tid (Europe/Oslo) – sammenlign med Oslo-tid uttrykt på samme måte som bookingStart
+ *     const now = new Date(new Date().toLocaleString('sv-SE', { timeZone: 'Europe/Oslo' }).replace(' ', 'T'));
+ *     const settings = { reminderHoursBefore: s.reminder_hours_before, sendToBookedFor: s.send_to_booked_for };
+ *     let q = supabase.from('bookings').select('id,date,start_min,end_min,room_name,booked_for,created_by,email_lang,price_nok,cancel_fee_nok');
+ *     q = kind === 'reminder'
+ *       ? q.eq('status', 'active').is('reminder_sent_at', null).gte('date', now.toISOString().slice(0,10)).lte('date', new Date(now.getTime() + s.reminder_hours_before * 3600e3).toISOString().slice(0,10))
+ *       : q.in('id', booking_ids || []);
+ *     const { data: rows, error } = await q;
+ *     if (error) return new Response(error.message, { status: 500 });
+ *     const all = rows.map(r => ({ id: r.id, date: r.date, startMin: r.start_min, endMin: r.end_min, roomName: r.room_name, bookedFor: r.booked_for, createdBy: r.created_by,
+ *       emailLang: r.email_lang, priceNOK: Number(r.price_nok)||0, cancelFeeNOK: Number(r.cancel_fee_nok)||0 }));
+ *     const list = kind === 'reminder' ? remindersDue(all, { hoursBefore: s.reminder_hours_before, now }) : all;
+ *     if (!list.length) return Response.json({ ok: true, sent: 0 });
+ *     // PIN/mobilnøkkel for bookinger som starter snart (samme nøkkel som «Tilgang» i appen)
+ *     const grants = {};
+ *     if (kind !== 'cancellation') {
+ *       for (const b of list.filter(b => kind === 'reminder' || startsWithinHours(b, s.reminder_hours_before, now))) {
+ *         const { data, error: ge } = await supabase.functions.invoke('access_get_or_issue', { body: { booking_id: b.id } });
+ *         grants[b.id] = ge ? { status: 'error' } : data;
+ *       }
+ *     }
+ *     const ownerEmails = {};
+ *     for (const id of new Set(list.map(b => b.createdBy))) ownerEmails[id] = (await supabase.auth.admin.getUserById(id)).data.user?.email || null;
+ *     const access = { before: Number(Deno.env.get('DOOR_BUFFER_BEFORE_MIN')||'15'), after: Number(Deno.env.get('DOOR_BUFFER_AFTER_MIN')||'10') };
+ *     const mails = composeEmails(kind, list, { ownerEmails, settings, grants, access });
+ *     const plain = Deno.env.get('SMTP_TLS') === 'false';
+ *     const smtp = new SMTPClient({
+ *       connection: { hostname: Deno.env.get('SMTP_HOST')!, port: Number(Deno.env.get('SMTP_PORT') || '587'), tls: !plain,
+ *         auth: Deno.env.get('SMTP_USER') ? { username: Deno.env.get('SMTP_USER')!, password: Deno.env.get('SMTP_PASS')! } : undefined },
+ *       debug: { allowUnsecure: plain, noStartTLS: plain },
+ *     });
+ *     const reminded = new Set(); let sent = 0;
+ *     try {
+ *       for (const m of mails) {
+ *         let status = 'sent', err = null;
+ *         try { await smtp.send({ from: Deno.env.get('SMTP_FROM')!, to: m.to, replyTo: s.reply_to || undefined, subject: m.subject, content: m.text }); sent++; }
+ *         catch (e) { status = 'failed'; err = String(e?.message||e); }
+ *         if (status === 'sent') for (const key of m.reminderKeys) reminded.add(key.split('|')[0]);
+ *         await supabase.from('email_log').insert({ kind, booking_ids: m.bookingIds, recipient: m.to, lang: m.lang, subject: m.subject, status, error: err });
+ *       }
+ *     } finally { await smtp.close(); }
+ *     if (reminded.size) await supabase.from('bookings').update({ reminder_sent_at: new Date().toISOString() }).in('id', [...reminded]);
+ *     return Response.json({ ok: sent === mails.length, sent, failed: mails.length - sent }, { status: sent === mails.length ? 200 : 502 });
  *   } catch (e) { return new Response(String(e?.message||e), { status: 500 }); }
  * });
  */
@@ -137,7 +1641,9 @@ import { createClient } from '@supabase/supabase-js';
 const OPEN_HOUR = 10; // 10:00
 const CLOSE_HOUR = 23; // 23:00 (exclusive end)
 const HOURS_PER_DAY = CLOSE_HOUR - OPEN_HOUR; // 13
-const BREAK_EVEN = 17.4; // % utilization target
+const SLOT_MINUTES = 30; // minste bookbare enhet
+const ACCESS_BUFFER_BEFORE_MIN = 15; // tilgang før start (samme som DOOR_BUFFER_BEFORE_MIN i Edge Function)
+const ACCESS_BUFFER_AFTER_MIN = 10; // tilgang etter slutt
 
 const DEFAULT_ROOMS = [
   { id: "s1", name: "Solo 1", type: "solo" },
@@ -166,9 +1672,27 @@ const DEFAULT_PRICING = {
 // Energi (enkle demo-tall – juster i Admin)
 const DEFAULT_ENERGY = { solo: 3.0, band: 4.5, preprod: 7.0, optimizationFactor: 0.88 };
 
+// Romtyper eier grunnpris og energiprofil (public.room_types). Standardtypene speiler RATECARD/DEFAULT_ENERGY.
+const DEFAULT_ROOM_TYPES = [
+  { id: "solo", label: "Solo", basePriceNOK: RATECARD.solo, kwhPerHour: DEFAULT_ENERGY.solo },
+  { id: "band", label: "Band", basePriceNOK: RATECARD.band, kwhPerHour: DEFAULT_ENERGY.band },
+  { id: "preprod", label: "Preprod", basePriceNOK: RATECARD.preprod, kwhPerHour: DEFAULT_ENERGY.preprod },
+];
+
+// Utleieutstyr (public.equipment) – lokal demo-beholdning
+const DEFAULT_EQUIPMENT = [
+  { id: "eq-gitarforsterker", name: "Gitarforsterker", quantity: 3, priceNOK: 50, unit: "booking", active: true },
+  { id: "eq-bassforsterker", name: "Bassforsterker", quantity: 2, priceNOK: 50, unit: "booking", active: true },
+  { id: "eq-cymbaler", name: "Cymbalsett", quantity: 2, priceNOK: 30, unit: "booking", active: true },
+  { id: "eq-pa", name: "PA-anlegg (Scene)", quantity: 1, priceNOK: 150, unit: "hour", active: true },
+];
+
 // ----- ENV / Supabase client -----
 const SUPABASE_URL = import.meta?.env?.VITE_SUPABASE_URL;
 const SUPABASE_ANON_KEY = import.meta?.env?.VITE_SUPABASE_ANON_KEY;
+// Dørtilgang i lokal demo (Supabase-modus bruker ACCESS_PROVIDER/ACCESS_LOCK_URL i Edge Function)
+const LOCAL_ACCESS_PROVIDER = import.meta?.env?.VITE_ACCESS_PROVIDER || 'pin-keypad';
+const LOCK_SERVER_URL = import.meta?.env?.VITE_LOCK_SERVER_URL; // f.eks. mock_lock_server.mjs på http://localhost:8787
 const hasSupabase = Boolean(SUPABASE_URL && SUPABASE_ANON_KEY);
 const supabase = hasSupabase ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
 
@@ -177,8 +1701,9 @@ const fmtDate = (d) => new Date(d.getTime() - d.getTimezoneOffset()*60000).toISO
 const todayISO = () => fmtDate(new Date());
 const nextId = () => Math.random().toString(36).slice(2,8);
 const clone = (obj) => { try { return structuredClone(obj); } catch { return JSON.parse(JSON.stringify(obj)); } };
-function hoursArray() { return Array.from({ length: HOURS_PER_DAY }, (_, i) => OPEN_HOUR + i); }
-function generateAccessCode(booking) { const seed = `${booking.date}|${booking.roomId}|${booking.hour}`; let h=0; for (let i=0;i<seed.length;i++) h=(h*31+seed.charCodeAt(i))>>>0; return (h%1000000).toString().padStart(6,"0"); }
+// day = resultat fra openingHoursFor (standard: faste åpningstider)
+function hoursArray(day = { open: OPEN_HOUR, close: CLOSE_HOUR }) { return day.closed ? [] : Array.from({ length: day.close - day.open }, (_, i) => day.open + i); }
+function slotsArray(day = { open: OPEN_HOUR, close: CLOSE_HOUR }) { return day.closed ? [] : Array.from({ length: (day.close - day.open) * 60 / SLOT_MINUTES }, (_, i) => day.open*60 + i*SLOT_MINUTES); }
 function saveLS(key, value) { localStorage.setItem(key, JSON.stringify(value)); }
 function loadLS(key, fallback) { try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : fallback; } catch { return fallback; } }
 
@@ -195,10 +1720,1105 @@ function startOfMonthISO(s){ const dt=parseISO(s); dt.setUTCDate(1); return fmtD
 function endOfMonthISO(s){ const dt=parseISO(s); dt.setUTCMonth(dt.getUTCMonth()+1,0); return fmtDate(dt); }
 function eachDateISO(startISO, endISO){ const out=[]; let d=startISO; while(d<=endISO){ out.push(d); d = addDaysISO(d,1); } return out; }
 
+// Opening hours (pure) – weekly[0..6] følger getUTCDay (0=søndag), exceptions har from/to (inkl.)
+const DEFAULT_SCHEDULE = {
+  weekly: Array.from({ length: 7 }, () => ({ open: OPEN_HOUR, close: CLOSE_HOUR, closed: false })),
+  exceptions: [], // { id, from, to, closed, open, close, label }
+};
+const WEEKDAY_LABELS = ['Søndag','Mandag','Tirsdag','Onsdag','Torsdag','Fredag','Lørdag'];
+function openingHoursFor(dateISO, schedule = DEFAULT_SCHEDULE){
+  const span = (e) => eachDateISO(e.from, e.to || e.from).length;
+  const ex = (schedule?.exceptions || []).filter(e => dateISO >= e.from && dateISO <= (e.to || e.from)).sort((a, b) => span(a) - span(b))[0];
+  const src = ex || schedule?.weekly?.[parseISO(dateISO).getUTCDay()] || { open: OPEN_HOUR, close: CLOSE_HOUR };
+  if (src.closed || !(src.close > src.open)) return { open: 0, close: 0, closed: true, label: ex?.label || 'Stengt' };
+  return { open: src.open, close: src.close, closed: false, label: ex?.label || null };
+}
+function openHoursOn(dateISO, schedule){ const d = openingHoursFor(dateISO, schedule); return d.closed ? 0 : d.close - d.open; }
+function isWithinOpeningHours(b, schedule){ const d = openingHoursFor(b.date, schedule); return !d.closed && b.startMin >= d.open*60 && b.endMin <= d.close*60; }
+// Room blackouts (pure) – { id, roomId, from, to, startMin, endMin, reason }, from/to inkl.
+function blackoutsOn(blackouts, dateISO, roomId){ return (blackouts||[]).filter(x => x.roomId===roomId && dateISO >= x.from && dateISO <= (x.to || x.from)); }
+function findBlackout(blackouts, b){ return blackoutsOn(blackouts, b.date, b.roomId).find(x => rangesOverlap(x.startMin, x.endMin, b.startMin, b.endMin)) || null; }
+// Sperrede timer innenfor åpningstiden (overlappende sperringer telles én gang)
+function blockedHoursOn(blackouts, dateISO, roomId, day){
+  if (day.closed) return 0;
+  const lo = day.open*60, hi = day.close*60;
+  const spans = blackoutsOn(blackouts, dateISO, roomId).map(x => [Math.max(lo, x.startMin), Math.min(hi, x.endMin)]).filter(([a, c]) => c > a).sort((a, c) => a[0] - c[0]);
+  let minutes = 0, end = lo;
+  for (const [a, c] of spans) { if (c > end) { minutes += c - Math.max(a, end); end = c; } }
+  return minutes / 60;
+}
+// Eksisterende bookinger (rangeMap byDate[date][roomId][id]) som kolliderer med en ny sperring
+function blackoutCollisions(rangeMap, x){
+  const out = [];
+  for (const d of Object.keys(rangeMap||{}).sort()) {
+    if (d < x.from || d > (x.to || x.from)) continue;
+    for (const [id, b] of Object.entries(rangeMap[d]?.[x.roomId] || {})) if (rangesOverlap(b.startMin, b.endMin, x.startMin, x.endMin)) out.push({ id, date: d, startMin: b.startMin, endMin: b.endMin });
+  }
+  return out;
+}
+
+// Påske etter Meeus/Jones/Butcher (gregoriansk)
+function easterSundayISO(year){
+  const a = year % 19, b = Math.floor(year/100), c = year % 100, d = Math.floor(b/4), e = b % 4;
+  const f = Math.floor((b+8)/25), g = Math.floor((b-f+1)/3), h = (19*a+b-d-g+15) % 30;
+  const i = Math.floor(c/4), k = c % 4, l = (32+2*e+2*i-h-k) % 7, m = Math.floor((a+11*h+22*l)/451);
+  const month = Math.floor((h+l-7*m+114)/31), day = ((h+l-7*m+114) % 31) + 1;
+  return `${year}-${String(month).padStart(2,'0')}-${String(day).padStart(2,'0')}`;
+}
+function norwegianHolidays(year){
+  const easter = easterSundayISO(year);
+  return [
+    { date: `${year}-01-01`, label: 'Første nyttårsdag' },
+    { date: addDaysISO(easter, -3), label: 'Skjærtorsdag' },
+    { date: addDaysISO(easter, -2), label: 'Langfredag' },
+    { date: easter, label: 'Første påskedag' },
+    { date: addDaysISO(easter, 1), label: 'Andre påskedag' },
+    { date: `${year}-05-01`, label: 'Arbeidernes dag' },
+    { date: `${year}-05-17`, label: 'Grunnlovsdag' },
+    { date: addDaysISO(easter, 39), label: 'Kristi himmelfartsdag' },
+    { date: addDaysISO(easter, 49), label: 'Første pinsedag' },
+    { date: addDaysISO(easter, 50), label: 'Andre pinsedag' },
+    { date: `${year}-12-25`, label: 'Første juledag' },
+    { date: `${year}-12-26`, label: 'Andre juledag' },
+  ];
+}
+
+// Booking spans (pure) – startMin/endMin er minutter fra midnatt, endMin eksklusiv
+function durationHours(b){ return (b.endMin - b.startMin) / 60; }
+function rangesOverlap(aStart, aEnd, bStart, bEnd){ return aStart < bEnd && bStart < aEnd; }
+function findOverlap(byRoom, startMin, endMin){ return Object.values(byRoom||{}).find(x => rangesOverlap(x.startMin, x.endMin, startMin, endMin)) || null; }
+function bookingAt(byRoom, min){ return findOverlap(byRoom, min, min+1); }
+// Bookingtider er veggklokke i Europe/Oslo (som «at time zone 'Europe/Oslo'» i SQL) – låsen og databasen trenger UTC.
+// To runder gir riktig forskyvning også rundt skifte mellom sommer- og vintertid.
+function osloOffsetMin(ms){
+  const p = Object.fromEntries(new Intl.DateTimeFormat('en-US', { timeZone: 'Europe/Oslo', hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+    .formatToParts(new Date(ms)).map(x => [x.type, Number(x.value)]));
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - ms) / 60000);
+}
+function isoAt(dateISO, min){
+  const [y, m, d] = dateISO.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, min);
+  const guess = wall - osloOffsetMin(wall) * 60000;
+  return new Date(wall - osloOffsetMin(guess) * 60000).toISOString();
+}
+// UTC-tidspunkt → «YYYY-MM-DD HH:MM» i Oslo-tid (visning av tilgangsvinduet)
+function osloDateTime(iso){ return new Date(iso).toLocaleString('sv-SE', { timeZone: 'Europe/Oslo' }).slice(0, 16); }
+// Ett klipp per påbegynte time
+function voucherSlotsFor(b){ return Math.max(1, Math.ceil(durationHours(b))); }
+
+// Rooms and room types (pure) – rom: { id, name, type, capacity, sizeM2, description, photos[], equipment[], active }
+function roomTypePrices(types){ return Object.fromEntries(types.map(t => [t.id, t.basePriceNOK])); }
+function roomTypeEnergy(types){ return Object.fromEntries(types.map(t => [t.id, t.kwhPerHour])); }
+function activeRooms(rooms){ return rooms.filter(r => r.active !== false); }
+function roomTypeSlug(label){ return String(label||'').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/æ/g,'ae').replace(/ø/g,'o').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''); }
+function parseList(text){ return String(text||'').split(/[,\n]/).map(x => x.trim()).filter(Boolean); }
+function roomSummary(room){
+  return [room.capacity ? `${room.capacity} pers.` : null, room.sizeM2 ? `${room.sizeM2} m²` : null, room.description || null, room.equipment?.length ? `Utstyr: ${room.equipment.join(', ')}` : null].filter(Boolean).join(' • ');
+}
+
+// Door access (pure) – leverandøradaptere, kopiert til _shared/access_providers.ts i Edge Function.
+// Adapter: { name, issue(grant) → { secret, deep_link, external_ref }, revoke(grant), status(grant) → 'issued' | 'revoked' | 'unknown' }
+const ACCESS_PROVIDER_LABEL = { 'pin-keypad': 'PIN-tastatur', 'mobile-key': 'Mobilnøkkel' };
+const ACCESS_STATUS_LABEL = { issued: 'Utstedt', revoked: 'Tilbakekalt', error: 'Feil' };
+const ACCESS_MAX_ATTEMPTS = 3;
+const ACCESS_RETRY_DELAY_MS = 400; // dobles for hvert forsøk
+function randomPin(digits = 6){
+  const buf = new Uint32Array(1); crypto.getRandomValues(buf);
+  return String(buf[0] % 10 ** digits).padStart(digits, '0');
+}
+function accessWindow(b, before = ACCESS_BUFFER_BEFORE_MIN, after = ACCESS_BUFFER_AFTER_MIN){ return { start_at: isoAt(b.date, b.startMin - before), end_at: isoAt(b.date, b.endMin + after) }; }
+// Tidsstempler fra Postgres har annet format enn toISOString – sammenlign som tidspunkt
+function grantMatchesWindow(g, w){ return Date.parse(g.start_at) === Date.parse(w.start_at) && Date.parse(g.end_at) === Date.parse(w.end_at); }
+function lockApi(baseUrl, token, fetchImpl = (...args) => fetch(...args)){
+  return async (method, path, body) => {
+    const res = await fetchImpl(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      method, headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) }, body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) throw new Error(`Låsen svarte ${res.status}`);
+    return res.status === 204 ? null : res.json();
+  };
+}
+// PIN-tastatur: PIN genereres her og registreres i låsen. Uten låse-URL (demo) finnes koden bare i appen.
+function pinKeypadProvider({ baseUrl, token, fetchImpl } = {}){
+  const api = baseUrl ? lockApi(baseUrl, token, fetchImpl) : null;
+  return {
+    name: 'pin-keypad',
+    issue: async (g) => {
+      const pin = randomPin();
+      const rec = api ? await api('POST', '/codes', { doors: g.door_ids, pin, valid_from: g.start_at, valid_to: g.end_at }) : null;
+      return { secret: pin, deep_link: null, external_ref: rec?.id || null };
+    },
+    revoke: async (g) => { if (api && g.external_ref) await api('DELETE', `/codes/${encodeURIComponent(g.external_ref)}`); },
+    status: async (g) => api && g.external_ref ? (await api('GET', `/codes/${encodeURIComponent(g.external_ref)}`)).status : 'unknown',
+  };
+}
+// Mobilnøkkel: låsen utsteder nøkkelen og gir en dyplenke som åpner låse-appen
+function mobileKeyProvider({ baseUrl, token, fetchImpl } = {}){
+  const api = baseUrl ? lockApi(baseUrl, token, fetchImpl) : null;
+  return {
+    name: 'mobile-key',
+    issue: async (g) => {
+      if (!api) { const ref = `demo-${nextId()}`; return { secret: null, deep_link: `ovingsrommet-lock://unlock/${ref}`, external_ref: ref }; }
+      const rec = await api('POST', '/keys', { doors: g.door_ids, holder: g.issued_to, valid_from: g.start_at, valid_to: g.end_at });
+      return { secret: null, deep_link: rec.deep_link, external_ref: rec.id };
+    },
+    revoke: async (g) => { if (api && g.external_ref) await api('DELETE', `/keys/${encodeURIComponent(g.external_ref)}`); },
+    status: async (g) => api && g.external_ref ? (await api('GET', `/keys/${encodeURIComponent(g.external_ref)}`)).status : 'unknown',
+  };
+}
+function accessProviderFor(name, config = {}){ return name === 'mobile-key' ? mobileKeyProvider(config) : pinKeypadProvider(config); }
+// Utsteder med eksponentiell backoff. Returnerer alltid en grant – status 'error' med last_error når alle forsøk feiler.
+async function issueWithRetry(provider, draft, { attempts = ACCESS_MAX_ATTEMPTS, delayMs = ACCESS_RETRY_DELAY_MS, sleep = (ms) => new Promise(r => setTimeout(r, ms)) } = {}){
+  let lastError = null;
+  for (let i = 1; i <= attempts; i++) {
+    try {
+      const out = await provider.issue(draft);
+      return { ...draft, ...out, provider: provider.name, status: 'issued', attempts: i, last_error: null };
+    } catch (e) {
+      lastError = e?.message || String(e);
+      if (i < attempts) await sleep(delayMs * 2 ** (i - 1));
+    }
+  }
+  return { ...draft, secret: null, deep_link: null, external_ref: null, provider: provider.name, status: 'error', attempts, last_error: lastError };
+}
+// Tilbaketrekking som feilet: koden kan fortsatt virke i låsen, så raden blir stående som 'error' og forsøkes igjen
+function isRevokeFailure(g){ return g.status === 'error' && String(g.last_error || '').startsWith('revoke:'); }
+async function revokeWithRetry(provider, grant, { attempts = ACCESS_MAX_ATTEMPTS, delayMs = ACCESS_RETRY_DELAY_MS, sleep = (ms) => new Promise(r => setTimeout(r, ms)) } = {}){
+  let lastError = null;
+  for (let i = 1; i <= attempts; i++) {
+    try { await provider.revoke(grant); return { status: 'revoked', last_error: null }; }
+    catch (e) {
+      lastError = e?.message || String(e);
+      if (i < attempts) await sleep(delayMs * 2 ** (i - 1));
+    }
+  }
+  return { status: 'error', last_error: `revoke: ${lastError}` };
+}
+function currentGrant(grants, bookingId){ return grants.filter(g => g.booking_id === bookingId && g.status !== 'revoked' && !isRevokeFailure(g)).sort((a, b) => (b.created_at||'').localeCompare(a.created_at||''))[0] || null; }
+
+// CSV (pure) – skilletegn ; eller , (gjettes fra første linje), anførselstegn som i RFC 4180
+function parseCSV(text){
+  const src = String(text||'').replace(/^\ufeff/, '');
+  const first = src.split(/\r?\n/, 1)[0] || '';
+  const sep = first.includes(';') ? ';' : first.includes('\t') ? '\t' : ',';
+  const rows = []; let row = [], cell = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) { if (c === '"' && src[i+1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false; else cell += c; }
+    else if (c === '"') quoted = true;
+    else if (c === sep) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') { if (c === '\r' && src[i+1] === '\n') i++; row.push(cell); rows.push(row); row = []; cell = ''; }
+    else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(x => x.trim()));
+}
+function parseDecimal(s){ const t = String(s ?? '').trim().replace(/\s/g, ''); if (!t) return NaN; return Number(t.includes(',') && !t.includes('.') ? t.replace(',', '.') : t.replace(/,/g, '')); }
+
+// Energy metering (pure) – målere { id, label, roomId | null } og timesverdier { meterId, ts: 'YYYY-MM-DDTHH:00' (lokal tid), kwh }
+function localHourKey(d){ const x = new Date(d); return `${fmtDate(x)}T${String(x.getHours()).padStart(2,'0')}:00`; }
+// 'YYYY-MM-DD HH:MM', 'DD.MM.YYYY HH:MM' (lokal tid) eller ISO med sone → lokal time
+function parseMeterTime(s){
+  const t = String(s||'').trim();
+  let m = t.match(/^(\d{2})\.(\d{2})\.(\d{4})[ T](\d{1,2})(?::(\d{2}))?/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}T${m[4].padStart(2,'0')}:00`;
+  m = t.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2})(?::(\d{2}))?(?::\d{2}(?:\.\d+)?)?$/);
+  if (m) return `${m[1]}T${m[2].padStart(2,'0')}:00`;
+  const d = /[zZ]|[+-]\d{2}:?\d{2}$/.test(t) ? new Date(t) : null;
+  return d && !isNaN(d) ? localHourKey(d) : null;
+}
+// Forbruks-CSV fra nettselskap/Elhub eller undermåler. Kolonner gjenkjennes på navn; uten målerkolonne brukes defaultMeterId.
+// Kvarters-/minuttverdier summeres til hele timer.
+function parseMeterCSV(text, defaultMeterId = null){
+  const rows = parseCSV(text);
+  if (!rows.length) return { readings: [], errors: [{ line: 0, message: 'Tom fil' }] };
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const col = (...names) => head.findIndex(h => names.some(n => h.includes(n)));
+  const iMeter = col('måler', 'maler', 'meter', 'målepunkt'), iTs = col('fra', 'tid', 'time', 'start', 'dato', 'ts'), iKwh = col('kwh', 'forbruk', 'volum', 'verdi');
+  if (iTs < 0 || iKwh < 0) return { readings: [], errors: [{ line: 1, message: 'Fant ikke kolonner for tidspunkt og kWh' }] };
+  const byKey = {}; const errors = [];
+  rows.slice(1).forEach((r, i) => {
+    const line = i + 2;
+    const meterId = (iMeter >= 0 ? r[iMeter]?.trim() : '') || defaultMeterId;
+    const ts = parseMeterTime(r[iTs]); const kwh = parseDecimal(r[iKwh]);
+    if (!meterId) return errors.push({ line, message: 'Mangler måler' });
+    if (!ts) return errors.push({ line, message: `Ugyldig tidspunkt «${r[iTs] ?? ''}»` });
+    if (!(kwh >= 0)) return errors.push({ line, message: `Ugyldig kWh «${r[iKwh] ?? ''}»` });
+    const k = `${meterId}|${ts}`;
+    byKey[k] = { meterId, ts, kwh: (byKey[k]?.kwh || 0) + kwh };
+  });
+  return { readings: Object.values(byKey).sort((a, b) => a.ts.localeCompare(b.ts) || a.meterId.localeCompare(b.meterId)), errors };
+}
+// Import erstatter eksisterende timer (samme som energy_readings_upsert med 'csv')
+function mergeReadings(existing, incoming){
+  const byKey = Object.fromEntries(existing.map(r => [`${r.meterId}|${r.ts}`, r]));
+  for (const r of incoming) byKey[`${r.meterId}|${r.ts}`] = r;
+  return Object.values(byKey);
+}
+// Som energy_room_summary: hver time fordeles på booket/tom etter hvor stor del av timen rommet var booket.
+// store: store[date][roomId][id] = { startMin, endMin }. Nøkkel '' = felles målere.
+function energyRoomSummary(readings, meters, store, fromISO, toISO){
+  const roomOf = Object.fromEntries(meters.map(m => [m.id, m.roomId || '']));
+  const out = {};
+  for (const r of readings) {
+    const d = r.ts.slice(0,10);
+    if (!(r.meterId in roomOf) || d < fromISO || d > toISO) continue;
+    const roomId = roomOf[r.meterId], m = Number(r.ts.slice(11,13)) * 60;
+    const booked = roomId ? Object.values(store?.[d]?.[roomId] || {}).reduce((acc, b) => acc + Math.max(0, Math.min(b.endMin, m + 60) - Math.max(b.startMin, m)), 0) : 0;
+    const share = Math.min(1, booked / 60);
+    const o = out[roomId] = out[roomId] || { roomId: roomId || null, bookedKwh: 0, bookedHours: 0, idleKwh: 0, idleHours: 0 };
+    o.bookedKwh += r.kwh * share; o.bookedHours += share; o.idleKwh += r.kwh * (1 - share); o.idleHours += 1 - share;
+  }
+  return Object.values(out);
+}
+// Målt mot estimat (kWh/time for romtypen) og mål etter tiltak (estimat × optimaliseringsfaktor)
+function energyComparison(summary, rooms, energy){
+  const rows = summary.filter(x => x.roomId).map(x => {
+    const room = rooms.find(r => r.id===x.roomId);
+    const estimate = room ? (energy[room.type] || 0) : 0;
+    const perBooked = x.bookedHours ? x.bookedKwh / x.bookedHours : null;
+    return { ...x, roomName: room?.name || x.roomId, estimate, target: estimate * energy.optimizationFactor, perBooked, perIdle: x.idleHours ? x.idleKwh / x.idleHours : null,
+      savingPct: perBooked != null && estimate ? (1 - perBooked / estimate) * 100 : null };
+  }).sort((a, b) => a.roomName.localeCompare(b.roomName));
+  const booked = rows.filter(r => r.perBooked != null && r.estimate);
+  const hours = booked.reduce((a, r) => a + r.bookedHours, 0);
+  const measured = booked.reduce((a, r) => a + r.bookedKwh, 0), estimated = booked.reduce((a, r) => a + r.estimate * r.bookedHours, 0);
+  return { rows, shared: summary.find(x => !x.roomId) || null, totals: { hours, measured, estimated, savingPct: estimated ? (1 - measured / estimated) * 100 : null } };
+}
+
+// Building control (pure) – av/på-plan per rom for ventilasjon/varme ('hvac') og lys ('lights'), lokal tid (Europe/Oslo)
+const DEFAULT_HVAC = { preheatMin: 30, ventAfterMin: 15, lightsBeforeMin: 5, lightsAfterMin: 10, mergeGapMin: 30 };
+const HVAC_SYSTEM_LABEL = { hvac: 'Ventilasjon/varme', lights: 'Lys' };
+// Minutter utenfor 0–1440 ruller over til nabodøgnet
+function localDateTime(dateISO, min){ return `${addDaysISO(dateISO, Math.floor(min/1440))}T${fmtMin(((min % 1440) + 1440) % 1440)}`; }
+// store[date][roomId][id] = { startMin, endMin }. Intervaller med kortere opphold enn mergeGapMin slås sammen.
+function hvacSchedule(store, rooms, settings = DEFAULT_HVAC){
+  const out = [];
+  const systems = [['hvac', settings.preheatMin, settings.ventAfterMin], ['lights', settings.lightsBeforeMin, settings.lightsAfterMin]];
+  for (const date of Object.keys(store||{}).sort()) {
+    for (const room of rooms) {
+      const items = Object.values(store[date]?.[room.id] || {}).sort((a, b) => a.startMin - b.startMin);
+      if (!items.length) continue;
+      for (const [system, before, after] of systems) {
+        let cur = null;
+        for (const b of items) {
+          const on = b.startMin - before, off = b.endMin + after;
+          if (cur && on - cur.off < settings.mergeGapMin) { cur.off = Math.max(cur.off, off); cur.bookings++; }
+          else { if (cur) out.push(cur); cur = { date, roomId: room.id, roomName: room.name, system, on, off, bookings: 1 }; }
+        }
+        out.push(cur);
+      }
+    }
+  }
+  return out.map(x => ({ roomId: x.roomId, roomName: x.roomName, system: x.system, on: localDateTime(x.date, x.on), off: localDateTime(x.date, x.off), bookings: x.bookings }))
+    .sort((a, b) => a.on.localeCompare(b.on) || a.roomName.localeCompare(b.roomName) || a.system.localeCompare(b.system));
+}
+// Parametrene som publiseres sammen med planen (uten feed-token og webhook)
+function hvacPublicSettings(s){ return { preheatMin: s.preheatMin, ventAfterMin: s.ventAfterMin, lightsBeforeMin: s.lightsBeforeMin, lightsAfterMin: s.lightsAfterMin, mergeGapMin: s.mergeGapMin }; }
+function hvacScheduleCSV(schedule){
+  const header = ["room_id","room_name","system","on","off","bookings"];
+  return [header, ...schedule.map(x => [x.roomId, x.roomName, x.system, x.on, x.off, x.bookings])].map(r => r.map(v => `"${String(v).replace(/"/g,'""')}"`).join(",")).join("\n");
+}
+
+// Door events (pure) – { id, doorId, credentialHint, occurredAt, result: 'granted' | 'denied', grantId, bookingId, roomId }
+const NO_SHOW_GRACE_MIN = 20; // samme som p_grace_min i noshow_release
+const DOOR_RESULT_LABEL = { granted: 'Åpnet', denied: 'Avvist' };
+const ATTENDANCE_LABEL = { upcoming: 'Ikke startet', waiting: 'Venter', present: 'Møtt', noShow: 'Ikke møtt' };
+// Som door_event_ingest: utstedt grant med samme PIN/nøkkel-id og dør som var gyldig da døren ble brukt (ellers ukoblet)
+function linkDoorEvent(ev, grants){
+  const t = Date.parse(ev.occurredAt);
+  const hits = ev.credential ? grants.filter(g => (g.secret === ev.credential || g.external_ref === ev.credential) && (g.door_ids || []).includes(ev.doorId)
+    && g.status === 'issued' && t >= Date.parse(g.start_at) && t <= Date.parse(g.end_at)) : [];
+  const g = hits[hits.length - 1] || null;
+  const { credential, ...rest } = ev;
+  return { ...rest, credentialHint: credential ? credential.slice(-2) : null, grantId: g?.id || null, bookingId: g?.booking_id || null };
+}
+function doorEventsFor(events, { bookingId = null, roomId = null } = {}){
+  return events.filter(e => (!bookingId || e.bookingId === bookingId) && (!roomId || e.roomId === roomId)).sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
+}
+function attendanceFor(b, events, now = new Date(), graceMin = NO_SHOW_GRACE_MIN){
+  const opened = events.filter(e => e.bookingId === b.id && e.result === 'granted').map(e => e.occurredAt).sort()[0] || b.checkedInAt;
+  if (opened) return { state: 'present', at: opened };
+  const start = bookingStart(b).getTime();
+  if (now.getTime() < start) return { state: 'upcoming' };
+  return { state: now.getTime() >= start + graceMin * 60000 ? 'noShow' : 'waiting' };
+}
+
+// Equipment add-ons (pure) – utstyr: { id, name, quantity, priceNOK, unit: 'hour' | 'booking', active }
+// addons på bookingen: [{ equipmentId, name, qty, unit, priceNOK }] der priceNOK er totalen for linjen
+const EQUIPMENT_UNIT_LABEL = { hour: 'per time', booking: 'per booking' };
+function addonLinePrice(item, qty, hours){ return Math.round((item.priceNOK||0) * qty * (item.unit === 'hour' ? hours : 1)); }
+function addonsTotal(addons){ return (addons||[]).reduce((acc, a) => acc + (a.priceNOK||0), 0); }
+function addonsText(addons){ return (addons||[]).map(a => a.qty > 1 ? `${a.name} ×${a.qty}` : a.name).join(', '); }
+function buildAddons(selection, equipment, b){
+  return equipment.filter(e => (selection?.[e.id]||0) > 0).map(e => ({ equipmentId: e.id, name: e.name, qty: selection[e.id], unit: e.unit, priceNOK: addonLinePrice(e, selection[e.id], durationHours(b)) }));
+}
+// Høyeste samtidige bruk per halvtime (alle rom samme dag) – speiler bookings_equipment_check
+function equipmentInUse(dayStore, equipmentId, b){
+  const items = Object.values(dayStore||{}).flatMap(byRoom => Object.values(byRoom||{})).filter(x => x.id !== b.id && x.addons?.length);
+  let peak = 0;
+  for (let m = b.startMin; m < b.endMin; m += SLOT_MINUTES) {
+    const used = items.filter(x => m >= x.startMin && m < x.endMin).reduce((acc, x) => acc + x.addons.filter(a => a.equipmentId === equipmentId).reduce((s, a) => s + a.qty, 0), 0);
+    peak = Math.max(peak, used);
+  }
+  return peak;
+}
+function equipmentAvailable(equipment, dayStore, b){ return Object.fromEntries(equipment.map(e => [e.id, Math.max(0, (e.quantity||0) - equipmentInUse(dayStore, e.id, b))])); }
+function addonShortage(addons, equipment, dayStore, b){
+  const free = equipmentAvailable(equipment, dayStore, b);
+  return (addons||[]).find(a => a.qty > (free[a.equipmentId] ?? 0)) || null;
+}
+// Pris ved flytting (som booking_move): ansatte kan flytte til lavere pris, ellers beholdes gammel pris hvis ny er lavere
+function movePrice(b, quote, isStaff){
+  return !isStaff && quote.priceNOK < (b.priceNOK || 0) ? { priceNOK: b.priceNOK, priceRules: b.priceRules || [] } : { priceNOK: quote.priceNOK, priceRules: quote.applied };
+}
+function quoteWithAddons(quote, addons){
+  if (!addons?.length) return { ...quote, addons: [] };
+  return { ...quote, addons, priceNOK: quote.priceNOK + addonsTotal(addons), explanation: [...quote.explanation, ...addons.map(a => `Utstyr: ${a.name} ×${a.qty} = ${formatNOK(a.priceNOK)}`)] };
+}
+
+// Recurring series (pure)
+const SERIES_MAX_OCCURRENCES = 60; // sikkerhetsgrense (ca. ett år ukentlig)
+function expandSeries({ startDate, freq, untilDate, count, skipDates }){
+  const step = freq === 'biweekly' ? 14 : 7;
+  const skip = new Set(skipDates||[]);
+  const max = Math.min(Number(count) || SERIES_MAX_OCCURRENCES, SERIES_MAX_OCCURRENCES);
+  if (!untilDate && !count) return skip.has(startDate) ? [] : [startDate];
+  const out = [];
+  for (let d = startDate, i = 0; out.length < max && i < SERIES_MAX_OCCURRENCES*4; d = addDaysISO(d, step), i++) {
+    if (untilDate && d > untilDate) break;
+    if (!skip.has(d)) out.push(d);
+  }
+  return out;
+}
+function parseSkipDates(text){ return String(text||'').split(/[\s,;]+/).filter(x => /^\d{4}-\d{2}-\d{2}$/.test(x)); }
+// rangeMap: date -> roomId -> id -> { startMin, endMin }
+// Datoer som er stengt, utenfor åpningstid eller sperret regnes også som konflikt
+function partitionOccurrences(dates, rangeMap, roomId, startMin, endMin, schedule = DEFAULT_SCHEDULE, blackouts = []){
+  const free = [], conflicts = [];
+  for (const d of dates) {
+    const b = { date: d, roomId, startMin, endMin };
+    const blocked = findOverlap(rangeMap?.[d]?.[roomId], startMin, endMin) || !isWithinOpeningHours(b, schedule) || findBlackout(blackouts, b);
+    (blocked ? conflicts : free).push(d);
+  }
+  return { free, conflicts };
+}
+function seriesBookingsFrom(store, seriesId, fromISO){
+  const out = [];
+  for (const d of Object.keys(store||{})) {
+    if (d < fromISO) continue;
+    for (const byRoom of Object.values(store[d]||{})) for (const b of Object.values(byRoom||{})) if (b.seriesId === seriesId) out.push(b);
+  }
+  return out;
+}
+
+// Waitlist (pure) – status: waiting → offered → accepted | declined | expired (eller cancelled)
+const WAITLIST_OFFER_MINUTES = 30;
+function waitlistMatches(entry, roomId, roomType){ return entry.roomId ? entry.roomId === roomId : entry.roomType === roomType; }
+// Tilby et frigjort rom til første ventende som passer. dayStore = byRoom-kart for datoen etter slettingen.
+function offerNextWaitlist(waitlist, { date, roomId, roomType }, dayStore, nowISO){
+  const offered = waitlist.filter(w => w.status==='offered' && w.date===date && w.offeredRoomId===roomId);
+  const next = waitlist
+    .filter(w => w.status==='waiting' && w.date===date && waitlistMatches(w, roomId, roomType))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .find(w => !findOverlap(dayStore?.[roomId], w.startMin, w.endMin) && !offered.some(o => rangesOverlap(o.startMin, o.endMin, w.startMin, w.endMin)));
+  if (!next) return waitlist;
+  const expires = new Date(new Date(nowISO).getTime() + WAITLIST_OFFER_MINUTES*60000).toISOString();
+  return waitlist.map(w => w.id===next.id ? { ...w, status: 'offered', offeredRoomId: roomId, offeredAt: nowISO, offerExpiresAt: expires } : w);
+}
+// Utløpte tilbud markeres og går videre til neste i køen
+function expireWaitlistOffers(waitlist, store, rooms, nowISO){
+  let out = waitlist;
+  for (const w of waitlist) {
+    if (w.status !== 'offered' || w.offerExpiresAt >= nowISO) continue;
+    out = out.map(x => x.id===w.id ? { ...x, status: 'expired' } : x);
+    const room = rooms.find(r => r.id===w.offeredRoomId);
+    out = offerNextWaitlist(out, { date: w.date, roomId: w.offeredRoomId, roomType: room?.type || w.roomType }, store[w.date], nowISO);
+  }
+  return out;
+}
+function heldByOffer(waitlist, b, exceptId = null){
+  return waitlist.find(w => w.status==='offered' && w.id!==exceptId && w.date===b.date && w.offeredRoomId===b.roomId && rangesOverlap(w.startMin, w.endMin, b.startMin, b.endMin)) || null;
+}
+// Plass i køen blant ventende som konkurrerer om samme rom (eller «hvilket som helst rom» av typen) i overlappende tid
+function waitlistPosition(waitlist, entry){
+  return waitlist.filter(w => w.status==='waiting' && w.date===entry.date && w.roomType===entry.roomType
+    && (!w.roomId || !entry.roomId || w.roomId===entry.roomId) && rangesOverlap(w.startMin, w.endMin, entry.startMin, entry.endMin)
+    && w.createdAt <= entry.createdAt).length;
+}
+
+// Realtime (pure) – endringer patches inn i date → roomId → id-kart (dagvisning og uke/måned)
+const REALTIME_FLASH_MS = 4000;
+// payload fra postgres_changes → { id, before, after }; after er null når bookingen er slettet eller avlyst
+function bookingChangeFrom(payload){
+  const oldRow = payload.old?.date ? payload.old : null;
+  const newRow = payload.eventType !== 'DELETE' && payload.new?.status === 'active' ? payload.new : null;
+  return { id: payload.new?.id || payload.old?.id, before: oldRow && bookingFromRow(oldRow), after: newRow && bookingFromRow(newRow) };
+}
+function withoutBookingId(store, id){
+  for (const [d, byRoom] of Object.entries(store||{})) for (const [r, cells] of Object.entries(byRoom||{})) {
+    if (cells?.[id]) { const out = clone(store); delete out[d][r][id]; return out; }
+  }
+  return store;
+}
+// Realtime-filter for alle datoene i perioden (in-filteret tar inntil 100 verdier – perioden er høyst en måned + en uke)
+function realtimeDateFilter(fromISO, toISO, column = 'date'){
+  const dates = [];
+  for (let d = fromISO; d <= toISO; d = addDaysISO(d, 1)) dates.push(d);
+  return `${column}=in.(${dates.join(',')})`;
+}
+function applyBookingChange(store, change, fromISO, toISO){
+  const out = withoutBookingId(store, change.id);
+  const b = change.after;
+  if (!b || b.date < fromISO || b.date > toISO) return out;
+  const next = out === store ? clone(store) : out;
+  next[b.date] = next[b.date] || {}; next[b.date][b.roomId] = next[b.date][b.roomId] || {};
+  next[b.date][b.roomId][b.id] = b;
+  return next;
+}
+// Lokalt (flere faner): bookinger som er lagt til, fjernet eller flyttet mellom to lagringer
+function changedBookings(prev, next){
+  const sig = (b) => `${b.id}|${b.date}|${b.roomId}|${b.startMin}|${b.endMin}`;
+  const a = flattenStore(prev), b = flattenStore(next);
+  const sa = new Set(a.map(sig)), sb = new Set(b.map(sig));
+  return [...a.filter(x => !sb.has(sig(x))), ...b.filter(x => !sa.has(sig(x)))];
+}
+function flashKeysFor(b){ const out = []; for (let m = b.startMin; m < b.endMin; m += SLOT_MINUTES) out.push(`${b.date}|${b.roomId}|${m}`); return out; }
+
+// Offline-kø (pure) – bookinger laget uten nett: { id (= client_ref), booking, row, voucherId, status, error, queuedAt, syncedAt }
+// status: pending → synced | conflict. Nettverksfeil under avspilling lar den stå som pending.
+const SYNC_STATE_LABEL = { pending: 'Venter på synk', synced: 'Synkronisert', conflict: 'Konflikt' };
+function newClientRef(){ return `${Date.now().toString(36)}-${nextId()}${nextId()}`; }
+function isNetworkError(error){ return /failed to fetch|networkerror|network request failed|fetch failed|load failed/i.test(error?.message || String(error || '')); }
+function syncOutcome(error){
+  if (!error) return 'synced';
+  if (error.code === '23505' && /client_ref/.test(error.message || '')) return 'synced'; // allerede avspilt
+  return isNetworkError(error) ? 'pending' : 'conflict';
+}
+// Ventende bookinger vises i rutenettet og statistikken sammen med de synkroniserte (hopper over dem som allerede kolliderer)
+function withPendingBookings(store, queue){
+  return (queue||[]).filter(e => e.status === 'pending').reduce((acc, e) => addBooking(acc, { ...e.booking, syncState: 'pending' }), store);
+}
+function pruneSyncQueue(queue, nowISO, keepHours = 24){
+  const cutoff = new Date(new Date(nowISO).getTime() - keepHours*3600000).toISOString();
+  return queue.filter(e => e.status !== 'synced' || (e.syncedAt || '') >= cutoff);
+}
+
+// Cancellation policy (pure) – speiler public.cancellation_outcome i databasen
+const DEFAULT_CANCELLATION_RULES = [
+  { id: 'default', groupCode: null, roomType: null, freeHours: 24, lateFeePct: 50, voucherNoRefundHours: 2 },
+];
+// Mest spesifikke regel vinner: gruppe+romtype > gruppe > romtype > alle
+function findCancellationRule(rules, groupCode, roomType){
+  const score = (r) => (r.groupCode ? 2 : 0) + (r.roomType ? 1 : 0);
+  return (rules||[])
+    .filter(r => (!r.groupCode || r.groupCode === (groupCode||'standard')) && (!r.roomType || r.roomType === roomType))
+    .sort((a, b) => score(b) - score(a))[0] || null;
+}
+function bookingStart(b){ return new Date(`${b.date}T${fmtMin(b.startMin)}:00`); } // lokal tid
+function evaluateCancellation(b, rules, now = new Date()){
+  const rule = findCancellationRule(rules, b.groupCode, b.type);
+  const hoursBefore = (bookingStart(b).getTime() - now.getTime()) / 3600000;
+  const usesVoucher = !!(b.voucherId || b.voucherPartner);
+  const price = typeof b.priceNOK === 'number' ? b.priceNOK : 0;
+  const feeNOK = (usesVoucher || !rule || hoursBefore >= rule.freeHours) ? 0 : Math.round(price * rule.lateFeePct / 100);
+  const refundKlipp = !usesVoucher ? 0 : (rule && hoursBefore < rule.voucherNoRefundHours) ? 0 : voucherSlotsFor(b);
+  return { hoursBefore, feeNOK, refundKlipp, rule };
+}
+function cancellationPrompt(outcome, wholeRest){
+  const parts = [wholeRest ? 'Avlyse denne og resten av serien?' : 'Avlyse bookingen?'];
+  if (outcome.feeNOK > 0) parts.push(`Gebyr: ${formatNOK(outcome.feeNOK)}.`);
+  if (outcome.refundKlipp > 0) parts.push(`${outcome.refundKlipp} klipp refunderes.`);
+  else if (outcome.rule && outcome.hoursBefore < outcome.rule.voucherNoRefundHours) parts.push('Klipp refunderes ikke så nær start.');
+  if (wholeRest) parts.push('(Vurdert for første booking – hver booking beregnes for seg.)');
+  return parts.join(' ');
+}
+function cancellationSummary(outcomes){
+  const fee = outcomes.reduce((a, o) => a + o.feeNOK, 0);
+  const klipp = outcomes.reduce((a, o) => a + o.refundKlipp, 0);
+  return `${outcomes.length} booking(er) avlyst.${fee ? ` Gebyr ${formatNOK(fee)}.` : ''}${klipp ? ` ${klipp} klipp refundert.` : ''}`;
+}
+
+// E-post (pure) – kopiert til _shared/booking_email.ts i Edge Function. Én e-post per mottaker og språk med alle bookingene
+// fra samme handling (en serie gir én bekreftelse). PIN tas med når bookingen starter innen påminnelsestiden.
+const DEFAULT_NOTIFY = { enabled: true, reminderHoursBefore: 24, sendToBookedFor: true, replyTo: '' };
+const EMAIL_KIND_LABEL = { confirmation: 'Bekreftelse', change: 'Endring', cancellation: 'Avlysning', reminder: 'Påminnelse' };
+const EMAIL_LANG_LABEL = { nb: 'Norsk', en: 'English' };
+const LOCAL_OWNER_EMAIL = 'demo@ovingsrommet.local'; // lokal demo har ingen innlogget bruker
+const EMAIL_TEXT = {
+  nb: {
+    date: (iso) => { const [y, m, d] = iso.split('-'); return `${['søn.','man.','tir.','ons.','tor.','fre.','lør.'][parseISO(iso).getUTCDay()]} ${d}.${m}.${y}`; },
+    money: (n) => formatNOK(n),
+    subject: { confirmation: 'Bekreftet', change: 'Endret', cancellation: 'Avlyst', reminder: 'Påminnelse' },
+    intro: { confirmation: 'Bookingen er bekreftet.', change: 'Bookingen er flyttet. Ny tid:', cancellation: 'Bookingen er avlyst.', reminder: 'Snart er det din tur i øvingsrommet.' },
+    introMany: { confirmation: 'Bookingene er bekreftet.', change: 'Bookingene er flyttet. Nye tider:', cancellation: 'Bookingene er avlyst.', reminder: 'Snart er det din tur i øvingsrommet.' },
+    many: (n) => `${n} bookinger`,
+    bookedFor: 'Booket for', fee: 'Avbestillingsgebyr',
+    door: (from, to) => `Dørene åpnes for deg ${from}–${to}`,
+    pin: 'PIN-kode', mobileKey: 'Mobilnøkkel',
+    pinLater: (h) => `PIN-koden sendes på e-post ${h} timer før start.`,
+    pinError: 'Tilgangen kunne ikke utstedes – åpne «Tilgang» i appen eller kontakt oss.',
+    greeting: 'Hei!', signoff: 'Hilsen Øvingsrommet',
+  },
+  en: {
+    date: (iso) => { const [y, m, d] = iso.split('-'); return `${['Sun','Mon','Tue','Wed','Thu','Fri','Sat'][parseISO(iso).getUTCDay()]} ${d}/${m}/${y}`; },
+    money: (n) => `NOK ${Math.round(n)}`,
+    subject: { confirmation: 'Confirmed', change: 'Changed', cancellation: 'Cancelled', reminder: 'Reminder' },
+    intro: { confirmation: 'Your booking is confirmed.', change: 'Your booking has been moved. New time:', cancellation: 'Your booking has been cancelled.', reminder: 'Your rehearsal room session is coming up.' },
+    introMany: { confirmation: 'Your bookings are confirmed.', change: 'Your bookings have been moved. New times:', cancellation: 'Your bookings have been cancelled.', reminder: 'Your rehearsal room sessions are coming up.' },
+    many: (n) => `${n} bookings`,
+    bookedFor: 'Booked for', fee: 'Cancellation fee',
+    door: (from, to) => `The doors open for you ${from}–${to}`,
+    pin: 'PIN code', mobileKey: 'Mobile key',
+    pinLater: (h) => `Your PIN code will be emailed ${h} hours before the start.`,
+    pinError: 'Access could not be issued – open “Access” in the app or contact us.',
+    greeting: 'Hi!', signoff: 'Øvingsrommet',
+  },
+};
+function isEmailAddress(s){ return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s||'').trim()); }
+function emailRecipients(ownerEmail, b, settings = DEFAULT_NOTIFY){
+  const out = [ownerEmail, settings.sendToBookedFor && isEmailAddress(b.bookedFor) ? b.bookedFor : null].filter(Boolean).map(x => x.trim().toLowerCase());
+  return [...new Set(out)];
+}
+function startsWithinHours(b, hours, now = new Date()){ const ms = bookingStart(b) - now; return ms > 0 && ms <= hours * 3600e3; }
+function reminderKey(b){ return `${b.id}|${b.date}|${b.startMin}`; } // ny tid gir ny påminnelse
+function remindersDue(list, { hoursBefore, now = new Date(), sentKeys = new Set() }){ return list.filter(b => startsWithinHours(b, hoursBefore, now) && !sentKeys.has(reminderKey(b))); }
+// grants: bookingId → access_grants-rad (secret/deep_link/status). access: dørbuffere i minutter.
+function bookingEmail(kind, list, { lang = 'nb', grants = {}, access = { before: ACCESS_BUFFER_BEFORE_MIN, after: ACCESS_BUFFER_AFTER_MIN }, reminderHours = DEFAULT_NOTIFY.reminderHoursBefore } = {}){
+  const t = EMAIL_TEXT[lang] || EMAIL_TEXT.nb;
+  const sorted = [...list].sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+  const when = (b) => `${t.date(b.date)} ${fmtMin(b.startMin)}–${fmtMin(b.endMin)}`;
+  const first = sorted[0];
+  const subject = `Øvingsrommet: ${t.subject[kind]} – ${sorted.length === 1 ? `${first.roomName}, ${when(first)}` : `${t.many(sorted.length)} (${[...new Set(sorted.map(b => b.roomName))].join(', ')})`}`;
+  const lines = [t.greeting, '', (sorted.length === 1 ? t.intro : t.introMany)[kind], ''];
+  for (const b of sorted) {
+    lines.push(`• ${when(b)} – ${b.roomName}${kind !== 'cancellation' && b.priceNOK ? ` (${t.money(b.priceNOK)})` : ''}`);
+    if (kind === 'cancellation') { if (b.cancelFeeNOK > 0) lines.push(`  ${t.fee}: ${t.money(b.cancelFeeNOK)}`); continue; }
+    lines.push(`  ${t.door(fmtMin(b.startMin - access.before), fmtMin(b.endMin + access.after))}`);
+    const g = grants[b.id];
+    if (g?.status === 'issued' && g.secret) lines.push(`  ${t.pin}: ${g.secret}`);
+    else if (g?.status === 'issued' && g.deep_link) lines.push(`  ${t.mobileKey}: ${g.deep_link}`);
+    else if (g) lines.push(`  ${t.pinError}`);
+  }
+  const bookedFor = [...new Set(sorted.map(b => b.bookedFor).filter(Boolean))];
+  if (bookedFor.length) lines.push('', `${t.bookedFor}: ${bookedFor.join(', ')}`);
+  if (kind !== 'cancellation' && sorted.some(b => !grants[b.id])) lines.push('', t.pinLater(reminderHours));
+  lines.push('', t.signoff);
+  return { subject, text: lines.join('\n') };
+}
+// ownerEmails: createdBy → e-post. Gir [{ to, lang, kind, bookingIds, reminderKeys, subject, text }] – reminderKeys er bookingene
+// som ikke trenger egen påminnelse (påminnelsen selv, eller PIN allerede sendt).
+function composeEmails(kind, list, { ownerEmails = {}, settings = DEFAULT_NOTIFY, grants = {}, access } = {}){
+  const groups = new Map();
+  for (const b of list) {
+    for (const to of emailRecipients(ownerEmails[b.createdBy], b, settings)) {
+      const key = `${to}|${b.emailLang || 'nb'}`;
+      if (!groups.has(key)) groups.set(key, { to, lang: b.emailLang || 'nb', list: [] });
+      groups.get(key).list.push(b);
+    }
+  }
+  return [...groups.values()].map(({ to, lang, list: own }) => ({
+    to, lang, kind, bookingIds: own.map(b => b.id), reminderKeys: own.filter(b => kind === 'reminder' || grants[b.id]?.status === 'issued').map(reminderKey),
+    ...bookingEmail(kind, own, { lang, grants, access, reminderHours: settings.reminderHoursBefore }),
+  }));
+}
+
+// Invoicing (pure) – faktura per måned og kunde (gruppe eller booked_for). Klippekort-bookinger faktureres ikke.
+const INVOICE_DUE_DAYS = 14;
+const INVOICE_FIRST_NUMBER = 1001;
+const INVOICE_STATUS_LABEL = { draft: 'Utkast', sent: 'Sendt', paid: 'Betalt' };
+function flattenStore(store){ return Object.values(store||{}).flatMap(byRoom => Object.values(byRoom||{}).flatMap(cells => Object.values(cells||{}))); }
+function storeFromList(list){
+  const out = {};
+  for (const b of list) { out[b.date] = out[b.date] || {}; out[b.date][b.roomId] = out[b.date][b.roomId] || {}; out[b.date][b.roomId][b.id] = b; }
+  return out;
+}
+function invoiceCustomerMatches(b, kind, customer){
+  return kind === 'group' ? (b.groupCode || 'standard') === customer : (b.bookedFor || '').trim().toLowerCase() === customer.trim().toLowerCase();
+}
+// active: aktive bookinger, cancelled: avlyste (bare de med gebyr tas med), invoicedIds: bookinger som allerede er fakturert
+function collectInvoiceLines({ active, cancelled, monthISO, kind, customer, invoicedIds = new Set() }){
+  const from = `${monthISO.slice(0,7)}-01`, to = endOfMonthISO(from);
+  const pick = (b) => b.date >= from && b.date <= to && !b.voucherId && !b.voucherPartner && invoiceCustomerMatches(b, kind, customer) && !invoicedIds.has(b.id);
+  return sortInvoiceLines([
+    ...active.filter(pick).map(b => ({ id: nextId(), bookingId: b.id, kind: 'booking', description: bookingLabel(b), amountNOK: typeof b.priceNOK==='number' ? b.priceNOK : (RATECARD[b.type]||0)*durationHours(b) })),
+    ...cancelled.filter(b => pick(b) && b.cancelFeeNOK > 0).map(b => ({ id: nextId(), bookingId: b.id, kind: 'fee', description: `${bookingLabel(b)} (avbestillingsgebyr)`, amountNOK: b.cancelFeeNOK })),
+  ]);
+}
+// Utkast følger bookingene (som bookings_invoice_sync): booking- og gebyrlinjer bygges på nytt fra dagens bookinger, og linjer
+// for bookinger som ikke lenger hører til fakturaen fjernes. Gir samme liste tilbake når ingenting er endret.
+function syncInvoiceDrafts(invoices, active, cancelled){
+  let changed = false;
+  const out = invoices.map(inv => {
+    if (inv.status !== 'draft' || !inv.lines.some(l => l.bookingId)) return inv;
+    const ids = new Set(inv.lines.map(l => l.bookingId).filter(Boolean));
+    const fresh = collectInvoiceLines({ active: active.filter(b => ids.has(b.id)), cancelled: cancelled.filter(b => ids.has(b.id)), monthISO: inv.period, kind: inv.customerKind, customer: inv.customer });
+    const lines = sortInvoiceLines(inv.lines.flatMap(l => {
+      if (!l.bookingId) return [l];
+      const f = fresh.find(x => x.bookingId === l.bookingId);
+      return f ? [{ ...f, id: l.id }] : [];
+    }));
+    if (JSON.stringify(lines) === JSON.stringify(inv.lines)) return inv;
+    changed = true;
+    return { ...inv, lines };
+  });
+  return changed ? out : invoices;
+}
+// Bookinger på sendt eller betalt faktura er låst (som BOOKING_INVOICED i bookings_invoice_sync)
+function invoiceLockedIds(invoices){ return new Set(invoices.filter(i => i.status !== 'draft').flatMap(i => i.lines.map(l => l.bookingId).filter(Boolean))); }
+// Booking-/gebyrlinjer sortert på dato (beskrivelsen starter med dato), kreditlinjer sist
+function sortInvoiceLines(lines){ return [...lines].sort((a, b) => (a.kind==='credit') - (b.kind==='credit') || a.description.localeCompare(b.description)); }
+function invoiceTotal(inv){ return inv.lines.reduce((acc, l) => acc + l.amountNOK, 0); }
+function nextInvoiceNumber(invoices){ return Math.max(INVOICE_FIRST_NUMBER - 1, ...invoices.map(i => i.number || 0)) + 1; }
+function invoiceTitle(inv){ return inv.number ? `Faktura ${inv.number}` : 'Fakturautkast'; }
+function invoiceCustomerLabel(inv){ return inv.customerKind === 'group' ? `Gruppe ${inv.customer}` : inv.customer; }
+function invoiceToJSON(inv){
+  return JSON.stringify({
+    number: inv.number, status: inv.status, period: inv.period.slice(0,7), customer: { kind: inv.customerKind, name: inv.customer },
+    issuedOn: inv.issuedOn || null, dueOn: inv.dueOn || null, paidOn: inv.paidOn || null, currency: 'NOK',
+    lines: inv.lines.map(l => ({ kind: l.kind, bookingId: l.bookingId || null, description: l.description, amountNOK: l.amountNOK })),
+    totalNOK: invoiceTotal(inv),
+  }, null, 2);
+}
+function invoiceToCSV(inv){
+  const header = ["Fakturanr","Periode","Kunde","Type","Beskrivelse","Beløp (NOK)"];
+  const rows = inv.lines.map(l => [inv.number || '', inv.period.slice(0,7), inv.customer, l.kind, l.description, l.amountNOK]);
+  rows.push([inv.number || '', inv.period.slice(0,7), inv.customer, 'total', 'Sum', invoiceTotal(inv)]);
+  return [header, ...rows].map(r => r.map(x => `"${String(x).replace(/"/g,'""')}"`).join(",")).join("\n");
+}
+// Minimal PDF 1.4 (Helvetica/WinAnsi, A4) uten eksterne biblioteker. Returnerer en latin1-streng (én byte per tegn).
+function pdfText(s){
+  return String(s).replace(/[\u2013\u2212]/g, m => m === '\u2013' ? '\x96' : '-').replace(/[\u00a0\u202f]/g, ' ').replace(/[^\x00-\xff]/g, '?').replace(/[\\()]/g, m => '\\' + m);
+}
+function buildInvoicePDF(inv){
+  const amount = (n) => `${n < 0 ? '-' : ''}${Math.abs(n).toFixed(2)} kr`;
+  const head = [
+    [invoiceTitle(inv), 16], ['Øvingsrommet', 10], [`Kunde: ${invoiceCustomerLabel(inv)}`, 10], [`Periode: ${inv.period.slice(0,7)}`, 10],
+    [`Fakturadato: ${inv.issuedOn || '–'}   Forfall: ${inv.dueOn || '–'}   Status: ${INVOICE_STATUS_LABEL[inv.status]}`, 10], ['', 10],
+  ];
+  const rows = [...inv.lines.map(l => [l.description, amount(l.amountNOK)]), ['', ''], ['Sum å betale', amount(invoiceTotal(inv))]];
+  const perPage = 50, pages = [];
+  for (let i = 0; i < Math.max(1, rows.length); i += perPage) pages.push(rows.slice(i, i + perPage));
+  const streams = pages.map((chunk, p) => {
+    let y = 800; const ops = [];
+    if (p === 0) for (const [t, size] of head) { ops.push(`BT /F1 ${size} Tf 50 ${y} Td (${pdfText(t)}) Tj ET`); y -= size + 6; }
+    for (const [desc, amt] of chunk) { ops.push(`BT /F1 10 Tf 50 ${y} Td (${pdfText(desc)}) Tj ET`, `BT /F1 10 Tf 460 ${y} Td (${pdfText(amt)}) Tj ET`); y -= 14; }
+    ops.push(`BT /F1 8 Tf 50 30 Td (${pdfText(`Side ${p+1} av ${pages.length}`)}) Tj ET`);
+    return ops.join('\n');
+  });
+  const objs = ['<< /Type /Catalog /Pages 2 0 R >>', `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i*2} 0 R`).join(' ')}] /Count ${pages.length} >>`, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'];
+  streams.forEach((st, i) => { objs.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i*2} 0 R >>`, `<< /Length ${st.length} >>\nstream\n${st}\nendstream`); });
+  let out = '%PDF-1.4\n'; const offsets = [];
+  objs.forEach((o, i) => { offsets.push(out.length); out += `${i+1} 0 obj\n${o}\nendobj\n`; });
+  const xref = out.length;
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10,'0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
+function downloadInvoice(inv, format){
+  const name = `${inv.number ? `faktura_${inv.number}` : `fakturautkast_${inv.period.slice(0,7)}`}.${format}`;
+  if (format === 'pdf') return downloadFile(Uint8Array.from(buildInvoicePDF(inv), c => c.charCodeAt(0)), 'application/pdf', name);
+  if (format === 'json') return downloadFile(invoiceToJSON(inv), 'application/json', name);
+  return downloadFile("\ufeff" + invoiceToCSV(inv), 'text/csv;charset=utf-8;', name);
+}
+
+// Eksport (pure) – valgfrie kolonner, filtre og totalrad for sum-kolonnene. Tilgangskoder eksporteres aldri.
+const EXPORT_COLUMNS = [
+  { id: 'date', label: 'Dato', value: b => b.date },
+  { id: 'weekday', label: 'Ukedag', value: b => WEEKDAY_LABELS[parseISO(b.date).getUTCDay()] },
+  { id: 'room', label: 'Rom', value: b => b.roomName },
+  { id: 'type', label: 'Romtype', value: (b, ctx) => roomTypeLabel(b.type, ctx.roomTypes) },
+  { id: 'group', label: 'Gruppe', value: b => b.groupCode || 'standard' },
+  { id: 'start', label: 'Start', value: b => fmtMin(b.startMin) },
+  { id: 'end', label: 'Slutt', value: b => fmtMin(b.endMin) },
+  { id: 'hours', label: 'Timer', value: b => durationHours(b), sum: true },
+  { id: 'bookedFor', label: 'Booket for', value: b => b.bookedFor || '' },
+  { id: 'owner', label: 'Eier', value: b => b.ownerEmail || '' },
+  { id: 'voucherPartner', label: 'Klippekort-partner', value: b => b.voucherPartner || '' },
+  { id: 'addons', label: 'Utstyr', value: b => addonsText(b.addons) },
+  { id: 'addonsNOK', label: 'Utstyr (NOK)', value: b => addonsTotal(b.addons), sum: true },
+  { id: 'priceNOK', label: 'Pris (NOK)', value: b => typeof b.priceNOK==='number' ? b.priceNOK : (RATECARD[b.type]||0)*durationHours(b), sum: true },
+  { id: 'id', label: 'Booking-id', value: b => b.id },
+];
+const DEFAULT_EXPORT_COLUMNS = ['date','room','type','group','start','end','hours','bookedFor','voucherPartner','addons','addonsNOK','priceNOK'];
+const EXPORT_FORMATS = { csv: 'CSV', xlsx: 'Excel (XLSX)', json: 'JSON' };
+// filters: { roomId, roomType, groupCode, voucherPartner, bookedFor (delstreng), owner (delstreng av ownerEmail), ownerId } – tomme felt filtrerer ikke
+function filterExportBookings(list, f = {}){
+  const needle = (f.bookedFor || '').trim().toLowerCase(), owner = (f.owner || '').trim().toLowerCase();
+  return list.filter(b => (!f.roomId || b.roomId === f.roomId) && (!f.roomType || b.type === f.roomType) && (!f.groupCode || (b.groupCode || 'standard') === f.groupCode)
+      && (!f.voucherPartner || b.voucherPartner === f.voucherPartner) && (!needle || (b.bookedFor || '').toLowerCase().includes(needle))
+      && (!owner || (b.ownerEmail || '').toLowerCase().includes(owner)) && (!f.ownerId || b.createdBy === f.ownerId))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin || (a.roomName||'').localeCompare(b.roomName||''));
+}
+function buildExportTable(list, columnIds, ctx = {}){
+  const columns = EXPORT_COLUMNS.filter(c => columnIds.includes(c.id));
+  const rows = list.map(b => columns.map(c => c.value(b, ctx)));
+  const totals = columns.some(c => c.sum) ? columns.map((c, i) => c.sum ? rows.reduce((acc, r) => acc + (Number(r[i])||0), 0) : i === 0 ? `Sum (${rows.length} bookinger)` : '') : null;
+  return { columns, rows, totals };
+}
+// Tekst som starter med = + - @ (eller tab/CR) tolkes som formel i Excel – prefikses med ' (tall røres ikke)
+function csvSafe(x){ return typeof x === 'string' && /^[=+\-@\t\r]/.test(x) ? `'${x}` : x; }
+function exportToCSV(table){
+  return [table.columns.map(c => c.label), ...table.rows, ...(table.totals ? [table.totals] : [])].map(r => r.map(x => `"${String(csvSafe(x)).replace(/"/g,'""')}"`).join(",")).join("\n");
+}
+function exportToJSON(table, meta){
+  const obj = (r) => Object.fromEntries(table.columns.map((c, i) => [c.id, r[i]]));
+  const totals = table.totals && Object.fromEntries(table.columns.filter(c => c.sum).map(c => [c.id, table.totals[table.columns.indexOf(c)]]));
+  return JSON.stringify({ ...meta, count: table.rows.length, bookings: table.rows.map(obj), totals }, null, 2);
+}
+function exportFileName(from, to, ext){ return `bookinger_${from === to ? from : `${from}_${to}`}.${ext}`; }
+
+// ZIP uten komprimering (metode 0) – nok for XLSX, som bare er en ZIP med XML-filer
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+function crc32(bytes){ let c = 0xffffffff; for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8); return (c ^ 0xffffffff) >>> 0; }
+function zipStored(files){
+  const enc = new TextEncoder(), parts = [], central = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name), data = typeof f.data === 'string' ? enc.encode(f.data) : f.data, crc = crc32(data);
+    const head = new DataView(new ArrayBuffer(30));
+    [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2]].forEach(([o, v, n]) => n === 4 ? head.setUint32(o, v, true) : head.setUint16(o, v, true));
+    const dir = new DataView(new ArrayBuffer(46));
+    [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [42, offset, 4]].forEach(([o, v, n]) => n === 4 ? dir.setUint32(o, v, true) : dir.setUint16(o, v, true));
+    parts.push(new Uint8Array(head.buffer), name, data);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = central.reduce((acc, p) => acc + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  [[0, 0x06054b50, 4], [8, files.length, 2], [10, files.length, 2], [12, size, 4], [16, offset, 4]].forEach(([o, v, n]) => n === 4 ? end.setUint32(o, v, true) : end.setUint16(o, v, true));
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((acc, p) => acc + p.length, 0));
+  let pos = 0; for (const p of all) { out.set(p, pos); pos += p.length; }
+  return out;
+}
+function xmlEscape(s){ return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+function xlsxColumn(i){ let s = ''; for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s; return s; }
+// Ett regneark; tall som tall, tekst som inlineStr. Stil 1 (fet) brukes på overskrift og totalrad.
+function buildXLSX(table, sheetName = 'Bookinger'){
+  const cell = (v, ref, style) => typeof v === 'number'
+    ? `<c r="${ref}"${style ? ' s="1"' : ''}><v>${v}</v></c>`
+    : `<c r="${ref}" t="inlineStr"${style ? ' s="1"' : ''}><is><t xml:space="preserve">${xmlEscape(v ?? '')}</t></is></c>`;
+  const lines = [[table.columns.map(c => c.label), true], ...table.rows.map(r => [r, false]), ...(table.totals ? [[table.totals, true]] : [])];
+  const sheetRows = lines.map(([r, bold], i) => `<row r="${i+1}">${r.map((v, j) => cell(v, `${xlsxColumn(j)}${i+1}`, bold)).join('')}</row>`).join('');
+  const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"', rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  return zipStored([
+    { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>' },
+    { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook ${ns} xmlns:r="${rel}"><sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/></Relationships>` },
+    { name: 'xl/styles.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet ${ns}><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf fontId="0"/><xf fontId="1" applyFont="1"/></cellXfs></styleSheet>` },
+    { name: 'xl/worksheets/sheet1.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet ${ns}><sheetData>${sheetRows}</sheetData></worksheet>` },
+  ]);
+}
+
+// Les ZIP (metode 0 og 8). Filene pakkes ut ved behov; deflate via DecompressionStream('deflate-raw') (nettleser og Node 18+).
+function readZip(bytes){
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = bytes.length - 22;
+  while (eocd >= 0 && dv.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error('Filen er ikke en gyldig XLSX/ZIP');
+  const files = {};
+  let p = dv.getUint32(eocd + 16, true);
+  for (let i = 0, n = dv.getUint16(eocd + 10, true); i < n; i++) {
+    const method = dv.getUint16(p + 10, true), size = dv.getUint32(p + 20, true), nameLen = dv.getUint16(p + 28, true), off = dv.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    const start = off + 30 + dv.getUint16(off + 26, true) + dv.getUint16(off + 28, true);
+    const raw = bytes.subarray(start, start + size);
+    files[name] = async () => {
+      if (method === 0) return raw;
+      if (method !== 8) throw new Error(`Ukjent komprimering i ${name}`);
+      return new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+    };
+    p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+  }
+  return files;
+}
+function xmlUnescape(s){ return String(s).replace(/&(lt|gt|quot|apos|amp|#(\d+)|#x([0-9a-f]+));/gi, (m, e, d, h) => d ? String.fromCodePoint(Number(d)) : h ? String.fromCodePoint(parseInt(h, 16)) : ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[e.toLowerCase()]); }
+function xmlText(s){ return [...String(s).matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => xmlUnescape(m[1])).join(''); }
+// Første regneark som rader (tekst eller tall). Datoer/klokkeslett kommer som Excel-serienumre (dager siden 1899-12-30).
+async function parseXLSX(bytes){
+  const files = readZip(bytes);
+  const read = async (name) => files[name] ? new TextDecoder().decode(await files[name]()) : '';
+  const workbook = await read('xl/workbook.xml'), rels = await read('xl/_rels/workbook.xml.rels');
+  const rid = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+  const target = rid && new RegExp(`<Relationship\\b[^>]*Id="${rid}"[^>]*Target="([^"]+)"`).exec(rels)?.[1] || new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${rid}"`).exec(rels)?.[1];
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+  const shared = [...(await read('xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => xmlText(m[1]));
+  const sheet = await read(sheetPath);
+  if (!sheet) throw new Error('Fant ikke regnearket i filen');
+  const rows = [];
+  for (const [, attrs, inner = ''] of sheet.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const ref = /\br="([A-Z]+)(\d+)"/.exec(attrs);
+    if (!ref) continue;
+    const t = /\bt="([^"]+)"/.exec(attrs)?.[1], v = /<v>([\s\S]*?)<\/v>/.exec(inner)?.[1];
+    const value = t === 's' ? shared[Number(v)] ?? '' : t === 'inlineStr' ? xmlText(inner) : t === 'str' || t === 'e' ? xmlUnescape(v ?? '') : v == null ? '' : t === 'b' ? v : Number(v);
+    const col = [...ref[1]].reduce((acc, ch) => acc * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+    const row = (rows[Number(ref[2]) - 1] ||= []);
+    row[col] = value;
+  }
+  return rows.filter(Boolean).map(r => Array.from(r, x => x ?? '')).filter(r => r.some(x => String(x).trim()));
+}
+
+// Masseimport (pure) – semesterplaner fra CSV/XLSX. Kolonner kobles til felt (gjettet fra overskriftene, kan endres),
+// og hver linje kontrolleres mot rom, grupper, åpningstid, sperringer og eksisterende bookinger før noe lagres.
+const IMPORT_FIELDS = [
+  { id: 'date', label: 'Dato', names: ['dato', 'date', 'dag'] },
+  { id: 'room', label: 'Rom', names: ['rom', 'room', 'sal'] },
+  { id: 'start', label: 'Fra', names: ['fra', 'start'] },
+  { id: 'end', label: 'Til', names: ['til', 'slutt', 'end'] },
+  { id: 'time', label: 'Tid (f.eks. 18–21)', names: ['tid', 'klokkeslett', 'timer', 'time', 'hours'] },
+  { id: 'group', label: 'Gruppe', names: ['gruppe', 'group', 'kundegruppe'] },
+  { id: 'bookedFor', label: 'Booket for', names: ['booket for', 'booked_for', 'booked for', 'navn', 'kontakt', 'lærer', 'elev', 'e-post', 'epost'] },
+];
+const IMPORT_STATUS_LABEL = { ok: 'OK', conflict: 'Konflikt', error: 'Feil' };
+// Eksakt treff på overskrift først, deretter delstreng; hver kolonne brukes bare én gang
+function guessImportMapping(header){
+  const head = header.map(h => String(h).trim().toLowerCase()), used = new Set(), out = {};
+  for (const pass of ['exact', 'includes']) for (const f of IMPORT_FIELDS) {
+    if (out[f.id] != null) continue;
+    const i = head.findIndex((h, j) => !used.has(j) && f.names.some(n => pass === 'exact' ? h === n : h.includes(n)));
+    if (i >= 0) { out[f.id] = i; used.add(i); }
+  }
+  return out;
+}
+// 'YYYY-MM-DD', 'D.M.YYYY', 'D.M.YY' eller Excel-serienummer
+function parseImportDate(v){
+  let iso = null;
+  if (typeof v === 'number' || /^\d{5}(\.\d+)?$/.test(String(v).trim())) iso = fmtDate(new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(v)) * 864e5));
+  else {
+    const t = String(v ?? '').trim();
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(t);
+    if (m) iso = `${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}`;
+    m = /^(\d{1,2})[./](\d{1,2})[./](\d{2}|\d{4})$/.exec(t);
+    if (m) iso = `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${m[2].padStart(2,'0')}-${m[1].padStart(2,'0')}`;
+  }
+  return iso && fmtDate(parseISO(iso)) === iso ? iso : null;
+}
+// 'HH:MM', 'HH.MM', 'HH' eller Excel-brøkdel av døgnet → minutter fra midnatt
+function parseImportTime(v){
+  if (typeof v === 'number') return v < 1 ? Math.round(v * 1440) : v <= 24 ? Math.round(v * 60) : null;
+  const m = /^(\d{1,2})(?:[:.](\d{2}))?$/.exec(String(v ?? '').trim());
+  if (!m || Number(m[1]) > 24 || Number(m[2]||0) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]||0);
+}
+function parseImportSpan(v){
+  const parts = String(v ?? '').split(/\s*[-–—]\s*/);
+  return parts.length === 2 ? [parseImportTime(parts[0]), parseImportTime(parts[1])] : [null, null];
+}
+// ctx: { rooms, groups, schedule, blackouts, existing (store), waitlist, pricing, pricingRules }. Linjenummer er filens (overskrift = 1).
+function planImport(rows, mapping, ctx){
+  const cell = (r, f) => mapping[f] == null ? '' : r[mapping[f]] ?? '';
+  const rooms = activeRooms(ctx.rooms), accepted = {};
+  const lines = rows.map((r, i) => {
+    const line = i + 2, fail = (status, message, booking = null) => ({ line, status, message, booking });
+    const date = parseImportDate(cell(r, 'date'));
+    if (!date) return fail('error', `Ugyldig dato «${cell(r, 'date')}»`);
+    const name = String(cell(r, 'room')).trim().toLowerCase();
+    const room = rooms.find(x => x.name.toLowerCase() === name || x.id.toLowerCase() === name);
+    if (!room) return fail('error', `Ukjent rom «${cell(r, 'room')}»`);
+    let [startMin, endMin] = mapping.time != null && String(cell(r, 'time')).trim() ? parseImportSpan(cell(r, 'time')) : [parseImportTime(cell(r, 'start')), parseImportTime(cell(r, 'end'))];
+    if (endMin === 0) endMin = 1440;
+    if (startMin == null || endMin == null || !(endMin > startMin)) return fail('error', 'Ugyldig tidsrom');
+    if (startMin % SLOT_MINUTES || endMin % SLOT_MINUTES) return fail('error', `Tidene må være hele ${SLOT_MINUTES}-minutter`);
+    const groupCode = String(cell(r, 'group')).trim() || 'standard';
+    if (!ctx.groups.includes(groupCode)) return fail('error', `Ukjent gruppe «${groupCode}»`);
+    const b = { date, roomId: room.id, roomName: room.name, type: room.type, startMin, endMin, groupCode, bookedFor: String(cell(r, 'bookedFor')).trim() || null };
+    if (!isWithinOpeningHours(b, ctx.schedule)) return fail('conflict', 'Utenfor åpningstid', b);
+    const blackout = findBlackout(ctx.blackouts, b);
+    if (blackout) return fail('conflict', `Rommet er sperret (${blackout.reason})`, b);
+    const taken = findOverlap(ctx.existing?.[date]?.[room.id], startMin, endMin);
+    if (taken) return fail('conflict', `Overlapper eksisterende booking ${fmtMin(taken.startMin)}–${fmtMin(taken.endMin)}`, b);
+    const dup = findOverlap(accepted[date]?.[room.id], startMin, endMin);
+    if (dup) return fail('conflict', `Overlapper linje ${dup.line} i filen`, b);
+    if (heldByOffer(ctx.waitlist || [], b)) return fail('conflict', 'Holdt av for noen på ventelisten', b);
+    ((accepted[date] ||= {})[room.id] ||= {})[line] = { startMin, endMin, line };
+    const q = quotePrice(b, ctx.pricing, ctx.pricingRules, groupCode);
+    return { line, status: 'ok', message: '', booking: { ...b, priceNOK: q.priceNOK, priceRules: q.applied } };
+  });
+  const ok = lines.filter(l => l.status === 'ok');
+  return { lines, ok: ok.length, hours: ok.reduce((acc, l) => acc + durationHours(l.booking), 0), priceNOK: ok.reduce((acc, l) => acc + l.booking.priceNOK, 0) };
+}
+function importDateRange(rows, mapping){
+  const dates = rows.map(r => parseImportDate(mapping.date == null ? '' : r[mapping.date])).filter(Boolean).sort();
+  return dates.length ? { from: dates[0], to: dates[dates.length - 1] } : null;
+}
+
+// Analytics (pure) – samme form som analytics_summary() i databasen; lokal demo aggregerer fra store/arkiv
+function analyticsSummary(active, cancelled, from, to){
+  const inRange = (b) => b.date >= from && b.date <= to;
+  const heat = {}, months = {}, groups = {}, partners = {}, mix = {};
+  const bump = (map, key, init, b) => { const x = map[key] ||= { ...init, bookings: 0, hours: 0, revenueNOK: 0 }; x.bookings++; x.hours += durationHours(b); x.revenueNOK += b.priceNOK || 0; };
+  for (const b of active.filter(inRange)) {
+    const weekday = parseISO(b.date).getUTCDay();
+    for (let hour = Math.floor(b.startMin/60); hour*60 < b.endMin; hour++) {
+      const k = `${b.roomId}|${weekday}|${hour}`;
+      heat[k] ||= { roomId: b.roomId, weekday, hour, hours: 0 };
+      heat[k].hours += (Math.min(b.endMin, (hour+1)*60) - Math.max(b.startMin, hour*60)) / 60;
+    }
+    bump(months, b.date.slice(0,7), { month: b.date.slice(0,7), feesNOK: 0 }, b);
+    bump(groups, b.groupCode || 'standard', { groupCode: b.groupCode || 'standard' }, b);
+    if (b.voucherPartner) bump(partners, b.voucherPartner, { partner: b.voucherPartner }, b);
+    bump(mix, `${b.type}|${b.groupCode || 'standard'}`, { roomType: b.type, groupCode: b.groupCode || 'standard' }, b);
+  }
+  for (const c of cancelled.filter(inRange)) {
+    if (!c.cancelFeeNOK) continue;
+    const m = c.date.slice(0,7);
+    (months[m] ||= { month: m, feesNOK: 0, bookings: 0, hours: 0, revenueNOK: 0 }).feesNOK += c.cancelFeeNOK;
+  }
+  return {
+    heatmap: Object.values(heat),
+    monthly: Object.values(months).sort((a, b) => a.month.localeCompare(b.month)),
+    groups: Object.values(groups).sort((a, b) => b.revenueNOK - a.revenueNOK),
+    partners: Object.values(partners).sort((a, b) => b.hours - a.hours),
+    mix: Object.values(mix),
+  };
+}
+// Ukedag (mandag først) × klokketime. capacity = åpne romtimer i perioden (sperringer regnes ikke her), pct = booket/åpent.
+function heatmapGrid(heatmap, roomIds, from, to, schedule = DEFAULT_SCHEDULE){
+  const ids = new Set(roomIds);
+  const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ hours: 0, capacity: 0, pct: null })));
+  for (const d of eachDateISO(from, to)) {
+    const w = parseISO(d).getUTCDay();
+    for (const h of hoursArray(openingHoursFor(d, schedule))) cells[w][h].capacity += ids.size;
+  }
+  for (const x of heatmap) if (ids.has(x.roomId)) cells[x.weekday][x.hour].hours += x.hours;
+  let first = 24, last = 0;
+  cells.forEach(row => row.forEach((c, h) => { c.pct = c.capacity ? (c.hours / c.capacity) * 100 : null; if (c.capacity || c.hours) { first = Math.min(first, h); last = Math.max(last, h + 1); } }));
+  return { hours: Array.from({ length: Math.max(0, last - first) }, (_, i) => first + i), rows: [1,2,3,4,5,6,0].map(w => ({ weekday: w, label: WEEKDAY_LABELS[w], cells: cells[w] })) };
+}
+// Måned for måned i perioden (også tomme), med utnyttelse mot åpne timer og endring fra forrige måned
+function analyticsTrend(monthly, rooms, from, to, schedule = DEFAULT_SCHEDULE, blackouts = []){
+  const byMonth = Object.fromEntries(monthly.map(m => [m.month, m]));
+  const out = [];
+  for (let m = startOfMonthISO(from); m <= to; m = addDaysISO(endOfMonthISO(m), 1)) {
+    const x = byMonth[m.slice(0,7)] || { bookings: 0, hours: 0, revenueNOK: 0, feesNOK: 0 };
+    const { total } = computeUtilizationRange({}, rooms, m < from ? from : m, endOfMonthISO(m) > to ? to : endOfMonthISO(m), schedule, blackouts);
+    const row = { month: m.slice(0,7), bookings: x.bookings, hours: x.hours, revenueNOK: x.revenueNOK + (x.feesNOK || 0), total, utilization: total ? (x.hours / total) * 100 : 0 };
+    const prev = out[out.length - 1];
+    out.push({ ...row, utilizationDelta: prev ? row.utilization - prev.utilization : null, revenueDelta: prev ? row.revenueNOK - prev.revenueNOK : null });
+  }
+  return out;
+}
+
+// Kostnadsmodell (pure) – faste kostnader per måned, variable per booket time (energi) og per booking (renhold).
+// mix er analytics_summary().mix for en referanseperiode: [{ roomType, groupCode, bookings, hours, revenueNOK }]
+const DEFAULT_COSTS = {
+  fixed: [
+    { id: 'husleie', label: 'Husleie', monthlyNOK: 95000 },
+    { id: 'lonn', label: 'Lønn inkl. sosiale kostnader', monthlyNOK: 65000 },
+    { id: 'forsikring', label: 'Forsikring', monthlyNOK: 4500 },
+    { id: 'drift', label: 'Drift og vedlikehold', monthlyNOK: 9500 },
+  ],
+  energyPricePerKwh: 1.5,
+  cleaningPerBookingNOK: 40,
+};
+function fixedCostsTotal(costs){ return (costs.fixed||[]).reduce((acc, c) => acc + (Number(c.monthlyNOK)||0), 0); }
+// Uten historikk: listepris for standardgruppen, rommene like mye brukt og én booking per to timer
+function listPriceMix(rooms, pricing){ return rooms.map(r => ({ roomType: r.type, groupCode: 'standard', bookings: 0.5, hours: 1, revenueNOK: computePrice(r.type, pricing, 'standard') })); }
+function mixUnitEconomics(mix, costs, energy){
+  const sum = (f) => mix.reduce((acc, m) => acc + f(m), 0);
+  const hours = sum(m => m.hours);
+  if (!hours) return null;
+  const kwh = sum(m => m.hours * (energy[m.roomType]||0)) * (energy.optimizationFactor ?? 1);
+  const revenuePerHour = sum(m => m.revenueNOK) / hours;
+  const variablePerHour = (kwh * costs.energyPricePerKwh + sum(m => m.bookings) * costs.cleaningPerBookingNOK) / hours;
+  return { revenuePerHour, variablePerHour, kwhPerHour: kwh / hours, marginPerHour: revenuePerHour - variablePerHour };
+}
+// Break-even: timer (og utnyttelse av åpne timer) der dekningsbidraget dekker de faste kostnadene. null når bidraget ikke er positivt.
+function breakEvenFor({ costs, mix, energy, capacityHours }){
+  const unit = mixUnitEconomics(mix, costs, energy);
+  const fixedNOK = fixedCostsTotal(costs);
+  const hours = unit && unit.marginPerHour > 0 ? fixedNOK / unit.marginPerHour : null;
+  return { ...unit, fixedNOK, capacityHours, hours, utilization: hours != null && capacityHours ? (hours / capacityHours) * 100 : null, revenueNOK: hours != null ? hours * unit.revenuePerHour : null };
+}
+// Hva om: prisendring i prosent per romtype og nye gruppemultiplikatorer. Prisregler og utstyr i miksen skaleres forholdsmessig.
+function whatIfMix(mix, pricing, whatIf){
+  return mix.map(m => {
+    const oldMult = pricing.groups?.[m.groupCode] ?? 1, newMult = whatIf.groups?.[m.groupCode] ?? oldMult;
+    const factor = (1 + (Number(whatIf.pricePct?.[m.roomType])||0) / 100) * (oldMult ? newMult / oldMult : 1);
+    return { ...m, revenueNOK: m.revenueNOK * factor };
+  });
+}
+function monthForecast({ costs, mix, energy, capacityHours, utilization }){
+  const unit = mixUnitEconomics(mix, costs, energy);
+  const hours = capacityHours * utilization / 100;
+  const revenueNOK = unit ? hours * unit.revenuePerHour : 0, variableNOK = unit ? hours * unit.variablePerHour : 0, fixedNOK = fixedCostsTotal(costs);
+  return { hours, revenueNOK, variableNOK, fixedNOK, resultNOK: revenueNOK - variableNOK - fixedNOK };
+}
+
 // Voucher utils (pure)
-function checkVoucherAvailable(vouchers, id){ const v = vouchers.find(x=>x.id===id); return !!(v && v.slots>0); }
+function isVoucherValidOn(v, dateISO){ return !v?.expiresOn || dateISO <= v.expiresOn; }
+function checkVoucherAvailable(vouchers, id, needed = 1, onISO = null){ const v = vouchers.find(x=>x.id===id); return !!(v && v.slots>=needed && (!onISO || isVoucherValidOn(v, onISO))); }
 function adjustVoucherSlots(vouchers, id, delta){ return vouchers.map(v => v.id===id ? { ...v, slots: Math.max(0, (v.slots||0)+delta) } : v); }
 function findVoucherByPartner(vouchers, partner){ return vouchers.find(v=>v.partner===partner); }
+function findVoucherForBooking(vouchers, b){ return (b.voucherId && vouchers.find(v=>v.id===b.voucherId)) || (b.voucherPartner && findVoucherByPartner(vouchers, b.voucherPartner)) || null; }
+// Lokal transaksjonslogg (speiler public.voucher_transactions)
+function appendLedger(ledger, entry){ return [...ledger, { id: nextId(), at: new Date().toISOString(), bookingId: null, bookingLabel: null, ...entry }]; }
+function bookingLabel(b){ return `${b.date} ${b.roomName} ${fmtMin(b.startMin)}–${fmtMin(b.endMin)}`; }
+function bookingErrorText(error){
+  const m = error?.message || '';
+  if (m.includes('VOUCHER_EMPTY')) return 'Ikke nok klipp igjen på valgt klippekort.';
+  if (m.includes('VOUCHER_EXPIRED')) return 'Klippekortet er utløpt for valgt dato.';
+  if (m.includes('VOUCHER_NOT_FOUND')) return 'Fant ikke klippekortet.';
+  if (m.includes('SLOT_HELD')) return 'Tidsrommet er holdt av for noen på ventelisten.';
+  if (m.includes('OUTSIDE_OPENING_HOURS')) return 'Tidsrommet er utenfor åpningstiden.';
+  if (m.includes('ROOM_BLACKED_OUT')) return 'Rommet er sperret i dette tidsrommet.';
+  if (m.includes('INVOICE_EMPTY')) return 'Ingen fakturerbare bookinger for valgt måned og kunde.';
+  if (m.includes('INVOICE_LOCKED')) return 'Fakturaen er sendt og kan ikke endres.';
+  if (m.includes('INVOICE_BAD_STATUS')) return 'Ugyldig statusendring for fakturaen.';
+  if (m.includes('INVALID_ADDON')) return 'Antall utstyr må være et helt tall større enn 0.';
+  if (m.includes('BOOKING_INVOICED')) return 'Bookingen står på en sendt faktura og kan ikke endres eller avlyses. Ta kontakt med administrasjonen.';
+  if (m.includes('EQUIPMENT_UNAVAILABLE')) return `Utstyret er ikke ledig i hele tidsrommet${m.split('EQUIPMENT_UNAVAILABLE:')[1] ? ` (${m.split('EQUIPMENT_UNAVAILABLE:')[1].trim()})` : ''}.`;
+  if (m.includes('NOT_NO_SHOW')) return 'Bookingen er ikke registrert som no-show (noen har åpnet døren, eller fristen er ikke passert).';
+  if (m.includes('ANALYTICS_RANGE')) return 'Velg en periode på høyst to år, med sluttdato etter startdato.';
+  if (m.includes('BOOKING_NOT_FOUND')) return 'Bookingen finnes ikke lenger – den kan være avlyst.';
+  if (m.includes('FORBIDDEN')) return 'Du har ikke tilgang til denne handlingen.';
+  if (m.includes('USER_NOT_FOUND')) return 'Fant ingen bruker med denne e-postadressen.';
+  if (m.includes('INVITE_INVALID')) return 'Invitasjonen er brukt, trukket tilbake eller utløpt.';
+  if (m.includes('INVITE_OTHER_EMAIL')) return 'Invitasjonen er sendt til en annen e-postadresse – logg inn med den adressen for å godta.';
+  return null;
+}
+
+// Roller og tilgang (pure) – speiler has_role()-sjekkene i RLS-policyene
+const ROLES = ['admin', 'staff', 'partner', 'member'];
+const ROLE_LABEL = { admin: 'Administrator', staff: 'Ansatt', partner: 'Partnerkoordinator', member: 'Medlem' };
+const PERMISSIONS = {
+  admin: ['*'],
+  staff: ['view:admin', 'view:vouchers', 'edit:vouchers', 'view:invoices', 'edit:invoices', 'view:energy', 'view:analytics', 'manage:bookings', 'edit:blackouts'],
+  partner: ['view:vouchers', 'view:energy'],
+  member: [],
+};
+function can(role, perm){ const p = PERMISSIONS[role] || PERMISSIONS.member; return p.includes('*') || p.includes(perm); }
+const VIEW_PERMISSION = { vouchers: 'view:vouchers', invoices: 'view:invoices', analytics: 'view:analytics', energy: 'view:energy', admin: 'view:admin' };
+function canView(role, view){ return !VIEW_PERMISSION[view] || can(role, VIEW_PERMISSION[view]); }
+function visibleVouchersFor(role, partner, vouchers){ return role === 'partner' ? vouchers.filter(v => v.partner === partner) : vouchers; }
+// Band og organisasjoner (pure) – { id, name, kind, members: [{ userId, email, role }], invites: [{ id, email, role, token, expiresAt }] }
+const ORG_KIND_LABEL = { band: 'Band', organisation: 'Organisasjon' };
+const ORG_ROLE_LABEL = { owner: 'Eier', admin: 'Administrator', member: 'Medlem' };
+function orgRoleOf(org, userId){ return org?.members.find(m => m.userId === userId)?.role || null; }
+function canManageOrg(org, userId){ return ['owner', 'admin'].includes(orgRoleOf(org, userId)); }
+function memberOrgIds(orgs, userId){ return orgs.filter(o => orgRoleOf(o, userId)).map(o => o.id); }
+function orgInviteError(org, email){
+  const e = String(email||'').trim().toLowerCase();
+  if (!isEmailAddress(e)) return 'Skriv inn en gyldig e-postadresse.';
+  if (org.members.some(m => m.email?.toLowerCase() === e)) return `${e} er allerede medlem.`;
+  if (org.invites.some(i => i.email.toLowerCase() === e)) return `${e} er allerede invitert.`;
+  return null;
+}
+function orgInviteURL(baseURL, token){ return `${baseURL}?invite=${encodeURIComponent(token)}`; }
+// Historikk: kommende (først først), gjennomførte og avlyste (sist først). Brukt beløp = gjennomførte + avbestillingsgebyr.
+function orgHistory(list, orgId, now = new Date()){
+  const own = list.filter(b => b.orgId === orgId).sort((a, b) => b.date.localeCompare(a.date) || b.startMin - a.startMin);
+  const active = own.filter(b => b.status !== 'cancelled'), cancelled = own.filter(b => b.status === 'cancelled');
+  const past = active.filter(b => bookingStart(b) <= now);
+  return {
+    upcoming: active.filter(b => bookingStart(b) > now).reverse(), past, cancelled,
+    hours: past.reduce((acc, b) => acc + durationHours(b), 0),
+    spentNOK: past.reduce((acc, b) => acc + (b.priceNOK||0), 0) + cancelled.reduce((acc, b) => acc + (b.cancelFeeNOK||0), 0),
+  };
+}
+function parseHHMM(s){ const m = /^(\d{1,2}):(\d{2})$/.exec(String(s||'').trim()); return m ? Number(m[1])*60 + Number(m[2]) : null; }
 
 // Booking mode helper (pure)
 function determineBookingMode({ voucherRequired, bookForOthers }){
@@ -207,11 +2827,57 @@ function determineBookingMode({ voucherRequired, bookForOthers }){
   return 'open';
 }
 
-// Pricing helpers
-function computePrice(roomType, pricing, groupCode){
+// Pricing helpers – base er timepris, hours er bookingens varighet (uten prisregler)
+function computePrice(roomType, pricing, groupCode, hours = 1){
   const base = pricing?.base?.[roomType] ?? RATECARD[roomType] ?? 0;
   const mult = pricing?.groups?.[groupCode||'standard'] ?? 1.0;
-  return Math.round(base * mult);
+  return Math.round(base * mult * hours);
+}
+
+// Prisregler (pure) – { id, name, priority, roomType, roomId, weekdays[], fromMin, toMin, dateFrom, dateTo, minHours, effect, value, active }
+// Tidsregler virker på timeprisen per halvtime, varighetsregler på summen. Gruppemultiplikator til slutt.
+const PRICING_EFFECT_LABEL = { multiply: '×', add: '+', set: '=' };
+function sortPricingRules(rules){ return [...(rules||[])].sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100) || (a.name||'').localeCompare(b.name||'') || String(a.id).localeCompare(String(b.id))); }
+function pricingRuleScopeMatches(r, b){
+  return r.active !== false && (!r.roomId || r.roomId === b.roomId) && (!r.roomType || r.roomType === b.type)
+    && (!r.dateFrom || b.date >= r.dateFrom) && (!r.dateTo || b.date <= r.dateTo);
+}
+function pricingRuleSlotMatches(r, dateISO, min){
+  if (r.weekdays?.length && !r.weekdays.includes(parseISO(dateISO).getUTCDay())) return false;
+  return (r.fromMin == null || min >= r.fromMin) && (r.toMin == null || min < r.toMin);
+}
+function applyPricingEffect(amount, r, hours = 1){ return r.effect === 'multiply' ? amount * r.value : r.effect === 'add' ? amount + r.value : r.value * hours; }
+function pricingEffectText(r){ return r.effect === 'set' ? `${formatNOK(r.value)}/t` : r.effect === 'add' ? `${r.value >= 0 ? '+' : '−'}${formatNOK(Math.abs(r.value))}${r.minHours ? '' : '/t'}` : `× ${r.value}`; }
+function quotePrice(b, pricing, rules, groupCode){
+  const base = pricing?.base?.[b.type] ?? RATECARD[b.type] ?? 0;
+  const mult = pricing?.groups?.[groupCode||'standard'] ?? 1.0;
+  const hours = durationHours(b);
+  const ordered = sortPricingRules(rules).filter(r => pricingRuleScopeMatches(r, b));
+  const hits = new Map(); // id -> { rule, slots }
+  let total = 0;
+  for (let m = b.startMin; m < b.endMin; m += SLOT_MINUTES) {
+    let rate = base;
+    for (const r of ordered) {
+      if (r.minHours || !pricingRuleSlotMatches(r, b.date, m)) continue;
+      rate = applyPricingEffect(rate, r);
+      if (!hits.has(r.id)) hits.set(r.id, { rule: r, slots: 0 });
+      hits.get(r.id).slots++;
+    }
+    total += rate * SLOT_MINUTES / 60;
+  }
+  for (const r of ordered) {
+    if (!r.minHours || hours < r.minHours) continue;
+    total = applyPricingEffect(total, r, hours);
+    hits.set(r.id, { rule: r, slots: (b.endMin - b.startMin) / SLOT_MINUTES });
+  }
+  const priceNOK = Math.max(0, Math.round(total * mult));
+  const applied = [...hits.values()].map(({ rule, slots }) => ({ id: rule.id, name: rule.name, effect: rule.effect, value: rule.value, hours: slots * SLOT_MINUTES / 60 }));
+  const explanation = [
+    `Grunnpris ${roomTypeLabel(b.type).toLowerCase()} ${formatNOK(base)}/t × ${hours.toLocaleString('nb-NO')} t`,
+    ...[...hits.values()].map(({ rule, slots }) => `${rule.name}: ${pricingEffectText(rule)}${rule.minHours ? '' : ` (${(slots * SLOT_MINUTES / 60).toLocaleString('nb-NO')} t)`}`),
+    ...(mult !== 1 ? [`Gruppe ${groupCode} × ${mult}`] : []),
+  ];
+  return { priceNOK, applied, explanation };
 }
 
 // ----- App Root -----
@@ -220,14 +2886,26 @@ export default function App() {
   useEffect(() => { document.title = "Øvingsrommet"; }, []);
   const [rooms, setRooms] = useState(loadLS("rooms", DEFAULT_ROOMS));
   const [dateISO, setDateISO] = useState(todayISO());
-  const [bookings, setBookings] = useState(loadLS("bookings", {})); // fallback only
+  const [bookings, setBookings] = useState(migrateLocalStore(loadLS("bookings", {}))); // fallback only
   const [vouchers, setVouchers] = useState(loadLS("vouchers", [
     { id: nextId(), partner: "Ung Kultur Lerkendal", slots: 40 },
     { id: nextId(), partner: "Fritidsklubb Midtbyen", slots: 30 },
   ]));
-  const [energy, setEnergy] = useState(loadLS("energy", DEFAULT_ENERGY));
-  const [pricing, setPricing] = useState(loadLS("pricing", DEFAULT_PRICING));
+  const [voucherLedger, setVoucherLedger] = useState(loadLS("voucherLedger", []));
+  const [energySettings, setEnergy] = useState(loadLS("energy", DEFAULT_ENERGY));
+  const [pricingSettings, setPricing] = useState(loadLS("pricing", DEFAULT_PRICING));
+  const [costs, setCosts] = useState(loadLS("costs", DEFAULT_COSTS)); // Supabase: cost_settings (kun admin/ansatte)
+  const [roomTypes, setRoomTypes] = useState(loadLS("roomTypes", DEFAULT_ROOM_TYPES));
+  const [equipment, setEquipment] = useState(loadLS("equipment", DEFAULT_EQUIPMENT));
+  // Grunnpris og kWh per romtype kommer fra romtypene – gruppemultiplikatorer og optimaliseringsfaktor fra innstillingene
+  const pricing = useMemo(() => ({ ...pricingSettings, base: roomTypePrices(roomTypes) }), [pricingSettings, roomTypes]);
+  const energy = useMemo(() => ({ ...roomTypeEnergy(roomTypes), optimizationFactor: energySettings.optimizationFactor }), [energySettings, roomTypes]);
+  const bookableRooms = useMemo(() => activeRooms(rooms), [rooms]);
+  const activeEquipment = useMemo(() => equipment.filter(e => e.active !== false), [equipment]);
   const [view, setView] = useState("dashboard");
+  const [demoRole, setDemoRole] = useState(loadLS("demoRole", "admin")); // kun lokal demo – Supabase bruker user_roles
+  const [access, setAccess] = useState({ role: 'member', partner: null });
+  const [userRoles, setUserRoles] = useState([]);
   const [busyCells, setBusyCells] = useState(new Set());
   const [notice, setNotice] = useState("");
   const [voucherRequired, setVoucherRequired] = useState(true);
@@ -236,6 +2914,30 @@ export default function App() {
   const [bookedFor, setBookedFor] = useState(""); // navn/epost
   const [activeGroup, setActiveGroup] = useState('standard');
   const [accessModal, setAccessModal] = useState({ open:false, grant:null, booking:null, error:null, loading:false });
+  const [waitlist, setWaitlist] = useState(loadLS("waitlist", []));
+  const [schedule, setSchedule] = useState(loadLS("schedule", DEFAULT_SCHEDULE));
+  const [blackouts, setBlackouts] = useState(loadLS("blackouts", []));
+  const [invoices, setInvoices] = useState(loadLS("invoices", []));
+  const [calendarFeeds, setCalendarFeeds] = useState([]); // kun Supabase (feed-URL krever Edge Function)
+  const [cancellationRules, setCancellationRules] = useState(loadLS("cancellationRules", DEFAULT_CANCELLATION_RULES));
+  const [pricingRules, setPricingRules] = useState(loadLS("pricingRules", []));
+  const [preview, setPreview] = useState(null); // valgt tidsrom i BookingView (for prisvisning i Header)
+  const [cancelledBookings, setCancelledBookings] = useState(loadLS("cancelledBookings", [])); // lokalt arkiv
+  const [cancelledList, setCancelledList] = useState([]); // avlyste på valgt dato (Supabase)
+  const [syncQueue, setSyncQueue] = useState(loadLS("syncQueue", [])); // offline-kø (Supabase)
+  const [accessGrants, setAccessGrants] = useState(loadLS("accessGrants", [])); // kun lokal demo – Supabase bruker access_grants
+  const [doorEvents, setDoorEvents] = useState(loadLS("doorEvents", [])); // Supabase: hendelser for valgt dato
+  const [meters, setMeters] = useState(loadLS("energyMeters", []));
+  const [meterReadings, setMeterReadings] = useState(loadLS("meterReadings", [])); // kun lokal demo – Supabase: energy_readings
+  const [energySummarySb, setEnergySummarySb] = useState([]); // energy_room_summary for valgt måned
+  const [hvacSettings, setHvacSettings] = useState(loadLS("hvac", DEFAULT_HVAC)); // Supabase: hvac_settings (med feed_token og webhook_url)
+  const [emailLang, setEmailLang] = useState(loadLS("emailLang", "nb")); // språk på e-poster om egne bookinger
+  const [notifySettings, setNotifySettings] = useState(loadLS("notify", DEFAULT_NOTIFY)); // Supabase: notification_settings
+  const [outbox, setOutbox] = useState(loadLS("outbox", [])); // lokal demo: e-poster som ville blitt sendt – Supabase: email_log
+  const [orgs, setOrgs] = useState(loadLS("orgs", [])); // band/organisasjoner med medlemmer og invitasjoner – Supabase: organisations
+  const [orgInvites, setOrgInvites] = useState([]); // invitasjoner til innlogget bruker (Supabase)
+  const [activeOrgId, setActiveOrgId] = useState(""); // nye bookinger gjøres på vegne av dette bandet
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine !== false);
 
   // Range bookings for week/month (Supabase) – maps by dateISO -> byRoom
   const [rangeWeek, setRangeWeek] = useState({});
@@ -244,18 +2946,133 @@ export default function App() {
   // Auth
   const [session, setSession] = useState(null);
   useEffect(() => { if(!hasSupabase) return; (async()=>{ const { data } = await supabase.auth.getSession(); setSession(data.session||null); supabase.auth.onAuthStateChange((_evt, s)=> setSession(s)); })(); }, []);
+  // Rolle fra user_roles (RLS håndhever uansett – UI-et skjuler bare det brukeren ikke har lov til)
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    const a = session ? await fetchRole(session.user.id) : { role: 'member', partner: null };
+    setAccess(a);
+    setUserRoles(a.role === 'admin' ? await fetchUserRoles() : []);
+  })(); }, [session]);
+  const role = hasSupabase ? access.role : demoRole;
+  const rolePartner = hasSupabase ? access.partner : (vouchers.find(v=>v.id===activeVoucherId)?.partner || null);
+  useEffect(() => { if (!canView(role, view)) setView("dashboard"); }, [role, view]);
 
   // Persist local parts
   useEffect(() => saveLS("rooms", rooms), [rooms]);
   useEffect(() => saveLS("vouchers", vouchers), [vouchers]);
-  useEffect(() => saveLS("energy", energy), [energy]);
-  useEffect(() => saveLS("pricing", pricing), [pricing]);
+  useEffect(() => saveLS("voucherLedger", voucherLedger), [voucherLedger]);
+  useEffect(() => saveLS("waitlist", waitlist), [waitlist]);
+  useEffect(() => saveLS("cancellationRules", cancellationRules), [cancellationRules]);
+  useEffect(() => saveLS("pricingRules", pricingRules), [pricingRules]);
+  useEffect(() => saveLS("schedule", schedule), [schedule]);
+  useEffect(() => saveLS("blackouts", blackouts), [blackouts]);
+  useEffect(() => saveLS("invoices", invoices), [invoices]);
+  useEffect(() => { if (!hasSupabase) setInvoices(prev => syncInvoiceDrafts(prev, flattenStore(bookings), cancelledBookings)); }, [bookings, cancelledBookings]);
+  useEffect(() => saveLS("cancelledBookings", cancelledBookings), [cancelledBookings]);
+  useEffect(() => saveLS("energy", energySettings), [energySettings]);
+  useEffect(() => saveLS("costs", costs), [costs]);
+  useEffect(() => saveLS("pricing", pricingSettings), [pricingSettings]);
+  useEffect(() => saveLS("roomTypes", roomTypes), [roomTypes]);
+  useEffect(() => saveLS("equipment", equipment), [equipment]);
+  useEffect(() => saveLS("demoRole", demoRole), [demoRole]);
+  useEffect(() => saveLS("syncQueue", syncQueue), [syncQueue]);
+  useEffect(() => saveLS("accessGrants", accessGrants), [accessGrants]);
+  useEffect(() => { if (!hasSupabase) saveLS("doorEvents", doorEvents); }, [doorEvents]);
+  useEffect(() => saveLS("energyMeters", meters), [meters]);
+  useEffect(() => saveLS("hvac", hvacSettings), [hvacSettings]);
+  useEffect(() => saveLS("emailLang", emailLang), [emailLang]);
+  useEffect(() => saveLS("notify", notifySettings), [notifySettings]);
+  useEffect(() => { if (!hasSupabase) saveLS("outbox", outbox); }, [outbox]);
+  useEffect(() => { if (!hasSupabase) saveLS("orgs", orgs); }, [orgs]);
+  useEffect(() => { if (!hasSupabase) saveLS("meterReadings", meterReadings); }, [meterReadings]);
 
   // Self-tests
   useEffect(() => { runSelfTests(); }, []);
 
+  // Klippekort og transaksjonslogg fra databasen når innlogget
+  const refreshVouchers = async () => {
+    try {
+      const { vouchers: vs, ledger } = await fetchVouchers();
+      setVouchers(vs); setVoucherLedger(ledger);
+      setActiveVoucherId(curr => vs.some(v=>v.id===curr) ? curr : (vs[0]?.id || ""));
+    } catch (error) { setNotice(`Feil ved henting av klippekort: ${error.message}`); }
+  };
+  useEffect(() => { if (hasSupabase && session) refreshVouchers(); }, [session]);
+  useEffect(() => { (async () => {
+    if (!(hasSupabase && session)) return;
+    try { setCalendarFeeds(await fetchCalendarFeeds()); }
+    catch (error) { setNotice(`Feil ved henting av kalenderabonnement: ${error.message}`); }
+  })(); }, [session]);
+  const refreshInvoices = async () => {
+    try { setInvoices(await fetchInvoices()); }
+    catch (error) { setNotice(`Feil ved henting av fakturaer: ${error.message}`); }
+  };
+  useEffect(() => { if (hasSupabase && session) refreshInvoices(); }, [session]);
+
+  // Venteliste: Supabase håndterer tilbud/utløp i databasen (trigger + pg_cron) – her hentes bare status.
+  // Lokalt sjekkes utløpte tilbud jevnlig.
+  const refreshWaitlist = async () => {
+    if (!hasSupabase) return;
+    try { setWaitlist(await fetchWaitlist(todayISO())); }
+    catch (error) { setNotice(`Feil ved henting av venteliste: ${error.message}`); }
+  };
+  useEffect(() => {
+    refreshWaitlist();
+    const t = setInterval(() => {
+      if (hasSupabase) refreshWaitlist();
+      else setWaitlist(prev => expireWaitlistOffers(prev, migrateLocalStore(loadLS("bookings", {})), bookableRooms, new Date().toISOString()));
+    }, 30000);
+    return () => clearInterval(t);
+  }, [bookableRooms]);
+
+  // Avbestillingsregler fra databasen (gjelder for både forhåndsvisning og RPC)
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { setCancellationRules(await fetchCancellationRules()); }
+    catch (error) { setNotice(`Feil ved henting av avbestillingsregler: ${error.message}`); }
+  })(); }, []);
+  // Prisregler fra databasen – alle klienter priser likt
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { setPricingRules(await fetchPricingRules()); }
+    catch (error) { setNotice(`Feil ved henting av prisregler: ${error.message}`); }
+  })(); }, []);
+  const previewQuote = useMemo(() => preview ? { booking: preview, ...quoteWithAddons(quotePrice(preview, pricing, pricingRules, activeGroup), preview.addons) } : null, [preview, pricing, pricingRules, activeGroup]);
+  // Rom og romtyper fra databasen – alle klienter ser samme rom
+  const refreshRooms = async () => {
+    try { const [types, rs] = await Promise.all([fetchRoomTypes(), fetchRooms()]); setRoomTypes(types); setRooms(rs); }
+    catch (error) { setNotice(`Feil ved henting av rom: ${error.message}`); }
+  };
+  useEffect(() => { if (hasSupabase) refreshRooms(); }, []);
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { setEquipment(await fetchEquipment()); }
+    catch (error) { setNotice(`Feil ved henting av utstyr: ${error.message}`); }
+  })(); }, []);
+  // Åpningstider fra databasen (samme regler som insert-triggeren)
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { setSchedule(await fetchSchedule()); }
+    catch (error) { setNotice(`Feil ved henting av åpningstider: ${error.message}`); }
+  })(); }, []);
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { setBlackouts(await fetchBlackouts()); }
+    catch (error) { setNotice(`Feil ved henting av sperringer: ${error.message}`); }
+  })(); }, []);
+
   // Load bookings for date (Supabase > fallback)
-  useEffect(() => { (async () => { if (hasSupabase) await refreshBookings(dateISO, setBookings); })(); }, [dateISO]);
+  useEffect(() => { (async () => {
+    if (!hasSupabase) return;
+    try { await refreshBookings(dateISO, setBookings); setCancelledList(await fetchCancelled(dateISO)); }
+    catch (error) { setNotice(`Feil ved henting av bookinger: ${error.message}`); }
+  })(); }, [dateISO]);
+  useEffect(() => { (async () => {
+    if (!hasSupabase || !session) return;
+    try { setDoorEvents(await fetchDoorEvents(dateISO)); }
+    catch (error) { setNotice(`Feil ved henting av dørlogg: ${error.message}`); }
+  })(); }, [dateISO, session]);
+  const cancelledToday = hasSupabase ? cancelledList : cancelledBookings.filter(c => c.date === dateISO);
 
   // Load week & month ranges when date changes (Supabase) – else use local store
   useEffect(() => { (async () => {
@@ -272,40 +3089,555 @@ export default function App() {
     }
   })(); }, [dateISO, hasSupabase]);
 
-  const stats = useMemo(() => computeStats({ bookings, dateISO, rooms, energy }), [bookings, dateISO, rooms, energy]);
+  // Live-oppdatering: endringer fra andre patches inn i dag-, uke- og månedskartene og blinker i rutenettet
+  const [flash, setFlash] = useState({ ids: new Set(), slots: new Set() });
+  const flashBookings = (list) => {
+    if (!list.length) return;
+    const ids = list.map(b => b.id), slots = list.flatMap(flashKeysFor);
+    setFlash(prev => ({ ids: new Set([...prev.ids, ...ids]), slots: new Set([...prev.slots, ...slots]) }));
+    setTimeout(() => setFlash(prev => ({ ids: new Set([...prev.ids].filter(x => !ids.includes(x))), slots: new Set([...prev.slots].filter(x => !slots.includes(x))) })), REALTIME_FLASH_MS);
+  };
+  useEffect(() => {
+    if (!hasSupabase) return;
+    const ws = startOfWeekISO(dateISO), we = endOfWeekISO(dateISO);
+    const ms = startOfMonthISO(dateISO), me = endOfMonthISO(dateISO);
+    const from = ws < ms ? ws : ms, to = we > me ? we : me;
+    // Bare datoene som vises. Realtime filtrerer update på den nye raden – flyttinger ut av perioden kommer via booking_moves.
+    const remove = (id) => {
+      const change = { id, before: null, after: null };
+      setBookings(prev => applyBookingChange(prev, change, dateISO, dateISO));
+      setRangeWeek(prev => applyBookingChange(prev, change, ws, we));
+      setRangeMonth(prev => applyBookingChange(prev, change, ms, me));
+    };
+    const channel = supabase.channel(`bookings-${from}-${to}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'booking_moves', filter: realtimeDateFilter(from, to, 'from_date') }, ({ new: m }) => {
+        if (m.to_date < from || m.to_date > to) remove(m.booking_id); // flytting innenfor perioden kommer som vanlig update
+      })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'bookings', filter: realtimeDateFilter(from, to) }, (payload) => {
+        const change = bookingChangeFrom(payload);
+        setBookings(prev => applyBookingChange(prev, change, dateISO, dateISO));
+        setRangeWeek(prev => applyBookingChange(prev, change, ws, we));
+        setRangeMonth(prev => applyBookingChange(prev, change, ms, me));
+        if (payload.new?.status === 'cancelled' && payload.new.date === dateISO) fetchCancelled(dateISO).then(setCancelledList)
+          .catch(error => setNotice(`Feil ved henting av avlyste bookinger: ${error.message}`));
+        const by = (change.after || change.before)?.createdBy;
+        if (!(session && by === session.user.id)) flashBookings([change.before, change.after].filter(Boolean));
+      })
+      .subscribe();
+    return () => { supabase.removeChannel(channel); };
+  }, [dateISO, session]);
+  // Lokalt: hold flere faner i synk via storage-hendelsen
+  useEffect(() => {
+    if (hasSupabase) return;
+    const onStorage = (e) => {
+      if (e.key !== 'bookings' || !e.newValue) return;
+      const store = migrateLocalStore(JSON.parse(e.newValue));
+      flashBookings(changedBookings(bookings, store));
+      setBookings(store);
+      setRangeWeek(filterRangeLocal(store, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+      setRangeMonth(filterRangeLocal(store, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [bookings, dateISO]);
+
+  // Offline-kø: ventende bookinger vises sammen med databasens, og spilles av når nettet er tilbake
+  const displayBookings = useMemo(() => withPendingBookings(bookings, syncQueue), [bookings, syncQueue]);
+  useEffect(() => {
+    const on = () => setOnline(true), off = () => setOnline(false);
+    window.addEventListener('online', on); window.addEventListener('offline', off);
+    return () => { window.removeEventListener('online', on); window.removeEventListener('offline', off); };
+  }, []);
+  const syncing = useRef(false);
+  const replayQueue = async () => {
+    const pending = syncQueue.filter(e => e.status === 'pending');
+    if (!hasSupabase || !session || !pending.length || syncing.current) return;
+    syncing.current = true;
+    const results = {};
+    try {
+      for (const e of pending) { // i rekkefølge – første nettverksfeil stopper avspillingen
+        const { error } = e.voucherId
+          ? await supabase.rpc('book_with_voucher', { p_voucher_id: e.voucherId, p_rows: [e.row] })
+          : await supabase.from('bookings').insert(e.row).select('id');
+        const status = syncOutcome(error);
+        if (status === 'pending') break;
+        results[e.id] = { status, error: status === 'conflict' ? ((error.code === '23P01' ? 'Tidsrommet ble booket av noen andre i mellomtiden.' : bookingErrorText(error)) || error.message) : null };
+      }
+    } finally { syncing.current = false; }
+    const done = Object.values(results);
+    if (!done.length) return;
+    const nowISO = new Date().toISOString();
+    setSyncQueue(prev => pruneSyncQueue(prev.map(e => results[e.id] ? { ...e, ...results[e.id], syncedAt: results[e.id].status === 'synced' ? nowISO : null } : e), nowISO));
+    const conflicts = done.filter(r => r.status === 'conflict').length;
+    setNotice(`${done.length - conflicts} booking(er) synkronisert.${conflicts ? ` ${conflicts} i konflikt – se Dashboard.` : ''}`);
+    if (pending.some(e => e.voucherId)) await refreshVouchers();
+    try {
+      await refreshBookings(dateISO, setBookings);
+      setRangeWeek(await refreshRange(startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+      setRangeMonth(await refreshRange(startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+    } catch (error) { setNotice(`Synkronisert, men feil ved oppdatering av bookinger: ${error.message}`); }
+  };
+  useEffect(() => { if (online) replayQueue(); }, [online, session]);
+  const syncOps = {
+    retry: replayQueue,
+    remove: (id) => setSyncQueue(prev => prev.filter(e => e.id!==id)),
+  };
+
+  // Målt energi for valgt måned: lokalt beregnet fra timesverdiene, i Supabase av energy_room_summary
+  const refreshEnergy = async () => {
+    if (!hasSupabase || !canView(role, 'energy')) return;
+    try {
+      const [ms, summary] = await Promise.all([fetchEnergyMeters(), fetchEnergySummary(startOfMonthISO(dateISO), endOfMonthISO(dateISO))]);
+      setMeters(ms); setEnergySummarySb(summary);
+    } catch (error) { setNotice(`Feil ved henting av energimåling: ${error.message}`); }
+  };
+  useEffect(() => { refreshEnergy(); }, [dateISO.slice(0,7), session, role]);
+  useEffect(() => { (async () => {
+    if (!hasSupabase || !canView(role, 'energy')) return;
+    try { setHvacSettings(await fetchHvacSettings()); }
+    catch (error) { setNotice(`Feil ved henting av byggstyring: ${error.message}`); }
+  })(); }, [session, role]);
+  // Byggstyring: planen for uken følger bookingene (rangeWeek oppdateres ved egne endringer og realtime)
+  const hvacWeek = useMemo(() => hvacSchedule(rangeWeek, bookableRooms, hvacSettings), [rangeWeek, bookableRooms, hvacSettings]);
+  const saveHvac = async (next) => {
+    const minutes = ['preheatMin','ventAfterMin','lightsBeforeMin','lightsAfterMin','mergeGapMin'];
+    if (minutes.some(k => !Number.isInteger(next[k]) || next[k] < 0 || next[k] > 240)) return setNotice('Forvarsel og etterløp må være hele minutter mellom 0 og 240.');
+    if (hasSupabase) {
+      const { error } = await supabase.from('hvac_settings').update({ preheat_min: next.preheatMin, vent_after_min: next.ventAfterMin, lights_before_min: next.lightsBeforeMin,
+        lights_after_min: next.lightsAfterMin, merge_gap_min: next.mergeGapMin, webhook_url: next.webhookUrl?.trim() || null }).eq('id', 1);
+      if (error) return setNotice(`Feil ved lagring av byggstyring: ${error.message}`);
+    }
+    setHvacSettings(next);
+    setNotice('Byggstyring lagret.');
+  };
+
+  // E-post: i Supabase sender databasen (triggere og pg_cron → booking_email over SMTP). Lokalt legges e-postene
+  // i en utboks med de samme malene, og påminnelser sjekkes hvert minutt.
+  const [emailLog, setEmailLog] = useState([]);
+  useEffect(() => { (async () => {
+    if (!hasSupabase || view !== 'admin' || !can(role, 'view:admin')) return;
+    try {
+      const [s, log] = await Promise.all([fetchNotifySettings(), fetchEmailLog()]);
+      setNotifySettings(s); setEmailLog(log);
+    } catch (error) { setNotice(`Feil ved henting av e-postinnstillinger: ${error.message}`); }
+  })(); }, [view, session, role]);
+  // grants: allerede kjente nøkler (f.eks. etter flytting); ellers utstedes PIN når bookingen starter innen påminnelsestiden
+  const mailLocal = async (kind, list, grants = {}) => {
+    if (hasSupabase || !notifySettings.enabled || !list.length) return;
+    const all = { ...grants };
+    if (kind !== 'cancellation') {
+      for (const b of list) if (!all[b.id] && startsWithinHours(b, notifySettings.reminderHoursBefore)) all[b.id] = await localGrantFor(b);
+    }
+    const sentAt = new Date().toISOString();
+    const mails = composeEmails(kind, list, { ownerEmails: { local: LOCAL_OWNER_EMAIL }, settings: notifySettings, grants: all });
+    setOutbox(prev => [...mails.map(m => ({ ...m, id: nextId(), sentAt, status: 'sent' })), ...prev].slice(0, 100));
+  };
+  const mailing = useRef(false);
+  useEffect(() => {
+    if (hasSupabase || !notifySettings.enabled) return;
+    const check = async () => {
+      if (mailing.current) return;
+      const sentKeys = new Set(outbox.flatMap(m => m.reminderKeys || []));
+      const due = remindersDue(flattenStore(bookings), { hoursBefore: notifySettings.reminderHoursBefore, sentKeys });
+      if (!due.length) return;
+      mailing.current = true;
+      try { await mailLocal('reminder', due); } finally { mailing.current = false; }
+    };
+    check();
+    const t = setInterval(check, 60000);
+    return () => clearInterval(t);
+  }, [bookings, outbox, notifySettings]);
+  const saveNotify = async (next) => {
+    const hours = Number(next.reminderHoursBefore);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 168) return setNotice('Påminnelsen må sendes mellom 1 og 168 timer før start.');
+    if (next.replyTo?.trim() && !isEmailAddress(next.replyTo)) return setNotice('Svaradressen er ikke en gyldig e-postadresse.');
+    const clean = { ...next, reminderHoursBefore: hours, replyTo: next.replyTo?.trim() || '' };
+    if (hasSupabase) {
+      const { error } = await supabase.from('notification_settings').update({ enabled: !!clean.enabled, reminder_hours_before: hours, send_to_booked_for: !!clean.sendToBookedFor,
+        reply_to: clean.replyTo || null, function_url: clean.functionUrl?.trim() || null }).eq('id', 1);
+      if (error) return setNotice(`Feil ved lagring av e-postvarsler: ${error.message}`);
+    }
+    setNotifySettings(clean);
+    setNotice('E-postvarsler lagret.');
+  };
+
+  // Band og organisasjoner: medlemmer ser, avlyser og henter tilgang til bandets bookinger (RLS + access_get_or_issue).
+  // Invitasjoner deles som lenke (?invite=token); databasen godtar dem bare for innlogget bruker med samme e-postadresse.
+  const myUserId = hasSupabase ? (session?.user.id || null) : 'local';
+  const myOrgIds = useMemo(() => memberOrgIds(orgs, myUserId), [orgs, myUserId]);
+  useEffect(() => { if (activeOrgId && !myOrgIds.includes(activeOrgId)) setActiveOrgId(""); }, [myOrgIds, activeOrgId]);
+  const refreshOrgs = async () => {
+    if (!hasSupabase || !session) { if (hasSupabase) { setOrgs([]); setOrgInvites([]); } return; }
+    try {
+      const [os, invites] = await Promise.all([fetchOrgs(), fetchMyOrgInvites(session.user.email)]);
+      setOrgs(os); setOrgInvites(invites);
+    } catch (error) { setNotice(`Feil ved henting av band: ${error.message}`); }
+  };
+  useEffect(() => { refreshOrgs(); }, [session]);
+  const [orgHistorySb, setOrgHistorySb] = useState({});
+  const refreshOrgHistory = async (orgId) => {
+    if (!hasSupabase || !orgId) return;
+    try { const list = await fetchOrgHistory(orgId); setOrgHistorySb(prev => ({ ...prev, [orgId]: list })); }
+    catch (error) { setNotice(`Feil ved henting av bandets historikk: ${error.message}`); }
+  };
+  useEffect(() => { if (view === 'orgs') myOrgIds.forEach(refreshOrgHistory); }, [view, myOrgIds.join(',')]);
+  const orgHistories = useMemo(() => {
+    const all = hasSupabase ? null : [...flattenStore(bookings), ...cancelledBookings];
+    return Object.fromEntries(myOrgIds.map(id => [id, orgHistory(hasSupabase ? (orgHistorySb[id] || []) : all, id)]));
+  }, [myOrgIds, orgHistorySb, bookings, cancelledBookings]);
+  const acceptInviteToken = async (token) => {
+    const { data, error } = await supabase.rpc('org_accept_invite', { p_token: token });
+    if (error) return setNotice(bookingErrorText(error) || `Feil ved godkjenning av invitasjon: ${error.message}`);
+    await refreshOrgs();
+    setActiveOrgId(data);
+    setNotice('Du er nå medlem av bandet.');
+  };
+  // Invitasjonslenke: godtas når brukeren er innlogget, og token fjernes fra adressen
+  useEffect(() => {
+    if (!hasSupabase || !session || typeof window === 'undefined') return;
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get('invite');
+    if (!token) return;
+    url.searchParams.delete('invite');
+    window.history.replaceState(null, '', url.toString());
+    acceptInviteToken(token);
+  }, [session]);
+  const orgOps = {
+    create: async ({ name, kind }) => {
+      const clean = String(name||'').trim();
+      if (!clean) return setNotice('Gi bandet et navn.');
+      if (hasSupabase) {
+        if (!session) return setNotice('Du må være innlogget for å opprette band.');
+        const { data, error } = await supabase.rpc('org_create', { p_name: clean, p_kind: kind });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved oppretting: ${error.message}`);
+        await refreshOrgs();
+        setActiveOrgId(data);
+      } else {
+        const org = { id: nextId(), name: clean, kind, members: [{ userId: 'local', email: LOCAL_OWNER_EMAIL, role: 'owner' }], invites: [] };
+        setOrgs(prev => [...prev, org]);
+        setActiveOrgId(org.id);
+      }
+      setNotice(`${ORG_KIND_LABEL[kind]} «${clean}» opprettet.`);
+      return true;
+    },
+    invite: async (org, { email, role: r }) => {
+      const err = orgInviteError(org, email);
+      if (err) return setNotice(err);
+      const clean = email.trim().toLowerCase();
+      if (hasSupabase) {
+        const { error } = await supabase.from('organisation_invites').insert({ org_id: org.id, email: clean, role: r });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved invitasjon: ${error.message}`);
+        await refreshOrgs();
+      } else {
+        const invite = { id: nextId(), email: clean, role: r, token: newClientRef(), expiresAt: new Date(Date.now() + 14*24*3600*1000).toISOString() };
+        setOrgs(prev => prev.map(o => o.id === org.id ? { ...o, invites: [...o.invites, invite] } : o));
+      }
+      setNotice(`${clean} er invitert – del lenken med dem.`);
+      return true;
+    },
+    revokeInvite: async (org, invite) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('organisation_invites').delete().eq('id', invite.id);
+        if (error) return setNotice(`Feil ved tilbaketrekking: ${error.message}`);
+        return refreshOrgs();
+      }
+      setOrgs(prev => prev.map(o => o.id === org.id ? { ...o, invites: o.invites.filter(i => i.id !== invite.id) } : o));
+    },
+    accept: async (invite) => {
+      if (hasSupabase) return acceptInviteToken(invite.token);
+      // Lokal demo: invitasjonen godtas på vegne av mottakeren
+      setOrgs(prev => prev.map(o => o.invites.some(i => i.id === invite.id)
+        ? { ...o, invites: o.invites.filter(i => i.id !== invite.id), members: [...o.members, { userId: `demo-${invite.id}`, email: invite.email, role: invite.role }] } : o));
+    },
+    decline: async (invite) => {
+      const { error } = await supabase.from('organisation_invites').delete().eq('id', invite.id);
+      if (error) return setNotice(`Feil ved avslag: ${error.message}`);
+      refreshOrgs();
+    },
+    setRole: async (org, member, r) => {
+      if (member.role === 'owner') return setNotice('Eieren kan ikke endres – slett bandet i stedet.');
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('org_set_role', { p_org: org.id, p_user: member.userId, p_role: r });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved endring av rolle: ${error.message}`);
+        return refreshOrgs();
+      }
+      setOrgs(prev => prev.map(o => o.id === org.id ? { ...o, members: o.members.map(m => m.userId === member.userId ? { ...m, role: r } : m) } : o));
+    },
+    // Fjerner et medlem – eller brukeren selv («Forlat»)
+    remove: async (org, member) => {
+      if (member.role === 'owner') return setNotice('Eieren kan ikke fjernes – slett bandet i stedet.');
+      if (hasSupabase) {
+        const { error } = await supabase.from('organisation_members').delete().eq('org_id', org.id).eq('user_id', member.userId);
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved fjerning: ${error.message}`);
+        return refreshOrgs();
+      }
+      setOrgs(prev => prev.map(o => o.id === org.id ? { ...o, members: o.members.filter(m => m.userId !== member.userId) } : o));
+    },
+    // Bookingene beholdes, men er ikke lenger knyttet til bandet
+    delete: async (org) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('organisations').delete().eq('id', org.id);
+        if (error) return setNotice(`Feil ved sletting: ${error.message}`);
+        await refreshOrgs();
+      } else {
+        setOrgs(prev => prev.filter(o => o.id !== org.id));
+      }
+      setNotice(`«${org.name}» er slettet.`);
+    },
+  };
+  const orgNames = useMemo(() => Object.fromEntries(orgs.map(o => [o.id, o.name])), [orgs]);
+
+  // Analyse: Supabase aggregerer i analytics_summary, lokalt regnes det fra hele store og avlyst-arkivet
+  const [analyticsRange, setAnalyticsRange] = useState(() => ({ from: startOfMonthISO(addDaysISO(startOfMonthISO(todayISO()), -150)), to: endOfMonthISO(todayISO()) }));
+  const [analyticsSb, setAnalyticsSb] = useState(null);
+  useEffect(() => {
+    if (!hasSupabase || view !== 'analytics' || !canView(role, 'analytics')) return;
+    (async () => {
+      try { setAnalyticsSb(await fetchAnalytics(analyticsRange.from, analyticsRange.to)); }
+      catch (error) { setNotice(bookingErrorText(error) || `Feil ved henting av analyse: ${error.message}`); }
+    })();
+  }, [view, analyticsRange.from, analyticsRange.to, session, role]);
+  const analytics = useMemo(() => hasSupabase ? analyticsSb : analyticsSummary(flattenStore(bookings), cancelledBookings, analyticsRange.from, analyticsRange.to),
+    [analyticsSb, bookings, cancelledBookings, analyticsRange]);
+  const energySummary = useMemo(() => hasSupabase ? energySummarySb : energyRoomSummary(meterReadings, meters, rangeMonth, startOfMonthISO(dateISO), endOfMonthISO(dateISO)),
+    [energySummarySb, meterReadings, meters, rangeMonth, dateISO]);
+  const energyOps = {
+    importCSV: async (text, defaultMeterId) => {
+      const { readings, errors } = parseMeterCSV(text, defaultMeterId);
+      const unknown = [...new Set(readings.map(r => r.meterId))].filter(id => !meters.some(m => m.id===id));
+      if (unknown.length) return setNotice(`Ukjent måler i filen: ${unknown.join(', ')}. Legg dem til under Målere først.`);
+      if (!readings.length) return setNotice(`Ingen timesverdier å importere.${errors.length ? ` ${errors.length} feil, første: linje ${errors[0].line}: ${errors[0].message}.` : ''}`);
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('energy_readings_upsert', { p_rows: readings.map(r => ({ meter_id: r.meterId, ts: new Date(r.ts).toISOString(), kwh: r.kwh })), p_source: 'csv' });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved import: ${error.message}`);
+        await refreshEnergy();
+      } else {
+        setMeterReadings(prev => mergeReadings(prev, readings));
+      }
+      setNotice(`Importerte ${readings.length} timesverdier (${readings[0].ts.slice(0,10)} – ${readings[readings.length-1].ts.slice(0,10)}).${errors.length ? ` ${errors.length} linje(r) hoppet over, første: linje ${errors[0].line}: ${errors[0].message}.` : ''}`);
+    },
+    saveMeter: async (m) => {
+      const id = m.id?.trim();
+      if (!id || !m.label?.trim()) return setNotice('Måleren må ha id og navn.');
+      const meter = { id, label: m.label.trim(), roomId: m.roomId || null };
+      if (hasSupabase) {
+        const { error } = await supabase.from('energy_meters').upsert({ id, label: meter.label, room_id: meter.roomId });
+        if (error) return setNotice(`Feil ved lagring av måler: ${error.message}`);
+        return refreshEnergy();
+      }
+      setMeters(prev => prev.some(x => x.id===id) ? prev.map(x => x.id===id ? meter : x) : [...prev, meter]);
+    },
+    removeMeter: async (id) => {
+      if (!window.confirm('Slette måleren og alle timesverdiene?')) return;
+      if (hasSupabase) {
+        const { error } = await supabase.from('energy_meters').delete().eq('id', id);
+        if (error) return setNotice(`Feil ved sletting av måler: ${error.message}`);
+        return refreshEnergy();
+      }
+      setMeters(prev => prev.filter(x => x.id!==id));
+      setMeterReadings(prev => prev.filter(r => r.meterId!==id));
+    },
+  };
+
+  const stats = useMemo(() => computeStats({ bookings: displayBookings, dateISO, rooms: bookableRooms, energy, schedule, blackouts }), [displayBookings, dateISO, bookableRooms, energy, schedule, blackouts]);
 
-  const weekStats = useMemo(() => computeUtilizationRange(rangeWeek, rooms, startOfWeekISO(dateISO), endOfWeekISO(dateISO)), [rangeWeek, rooms, dateISO]);
-  const monthStats = useMemo(() => computeUtilizationRange(rangeMonth, rooms, startOfMonthISO(dateISO), endOfMonthISO(dateISO)), [rangeMonth, rooms, dateISO]);
+  const weekStats = useMemo(() => computeUtilizationRange(rangeWeek, bookableRooms, startOfWeekISO(dateISO), endOfWeekISO(dateISO), schedule, blackouts), [rangeWeek, bookableRooms, dateISO, schedule, blackouts]);
+  const monthStats = useMemo(() => computeUtilizationRange(rangeMonth, bookableRooms, startOfMonthISO(dateISO), endOfMonthISO(dateISO), schedule, blackouts), [rangeMonth, bookableRooms, dateISO, schedule, blackouts]);
+
+  // Eksport for vilkårlig periode – Supabase henter radene (RLS bestemmer hva brukeren ser), lokalt fra hele store
+  const exportOps = {
+    run: async ({ from, to, filters, columns, format }) => {
+      if (!from || !to || to < from) return setNotice('Velg en gyldig periode for eksporten.');
+      if (!columns.length) return setNotice('Velg minst én kolonne.');
+      let list;
+      try {
+        list = hasSupabase ? await fetchBookingsRange(from, to) : flattenStore(bookings).filter(b => b.date >= from && b.date <= to);
+        // Eier eksporteres og filtreres på e-post, ikke bruker-id
+        if (columns.includes('owner') || filters.owner?.trim()) {
+          const emails = hasSupabase ? await fetchUserEmails([...new Set(list.map(b => b.createdBy).filter(Boolean))]) : { local: LOCAL_OWNER_EMAIL };
+          list = list.map(b => ({ ...b, ownerEmail: emails[b.createdBy] || '' }));
+        }
+      }
+      catch (error) { return setNotice(`Feil ved henting av bookinger: ${error.message}`); }
+      const picked = filterExportBookings(list, { ...filters, ownerId: filters.mine ? (hasSupabase ? session?.user?.id : 'local') : null });
+      if (!picked.length) return setNotice('Ingen bookinger passer filteret i perioden.');
+      exportBookings(picked, { from, to, filters, columns, format, roomTypes });
+      setNotice(`Eksporterte ${picked.length} booking(er) ${from}${from === to ? '' : ` – ${to}`} som ${EXPORT_FORMATS[format]}.`);
+      return true;
+    },
+  };
+
+  // Masseimport: tørrkjøring mot rom, åpningstid, sperringer og bookingene i filens periode, deretter alle gyldige linjer samlet
+  const importOps = {
+    dryRun: async (rows, mapping) => {
+      const range = importDateRange(rows, mapping);
+      if (!range) { setNotice('Fant ingen gyldige datoer i filen – sjekk hvilken kolonne som er dato.'); return null; }
+      let existing = bookings;
+      if (hasSupabase) {
+        // Alle sider – en semesterperiode har lett flere enn PostgREST-grensen på 1000 rader
+        try { existing = storeFromList(await fetchBookingsRange(range.from, range.to)); }
+        catch (error) { setNotice(`Feil ved henting av bookinger: ${error.message}`); return null; }
+      }
+      return planImport(rows, mapping, { rooms, groups: Object.keys(pricing.groups), schedule, blackouts, existing, waitlist, pricing, pricingRules });
+    },
+    commit: async (plan) => {
+      const valid = plan.lines.filter(l => l.status === 'ok').map(l => l.booking);
+      if (!valid.length) return setNotice('Ingen gyldige linjer å importere.');
+      const failed = 'En av linjene kolliderer med en booking som ble lagt inn etter kontrollen – ingenting ble importert. Kontroller filen på nytt.';
+      if (hasSupabase) {
+        if (!session) return setNotice('Du må være innlogget for å importere.');
+        // Én insert er én transaksjon: feiler én rad, lagres ingen
+        const { error } = await supabase.from('bookings').insert(valid.map(b => ({
+          date: b.date, room_id: b.roomId, start_min: b.startMin, end_min: b.endMin, type: b.type, room_name: b.roomName,
+          booked_for: b.bookedFor, group_code: b.groupCode, price_nok: b.priceNOK, price_rules: b.priceRules, addons: [], email_lang: emailLang,
+        }))).select('id');
+        if (error) return setNotice(error.code === '23P01' || error.code === '23505' ? failed : bookingErrorText(error) || `Feil ved import: ${error.message}`);
+        try {
+          await refreshBookings(dateISO, setBookings);
+          setRangeWeek(await refreshRange(startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+          setRangeMonth(await refreshRange(startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+        } catch (error) { setNotice(`Importerte ${valid.length} bookinger, men feil ved oppdatering: ${error.message}`); return true; }
+      } else {
+        let store = bookings; const created = [];
+        for (const b of valid) {
+          const book = { ...b, id: nextId(), typeLabel: roomTypeLabel(b.type, roomTypes), voucherPartner: null, voucherId: null, addons: [], createdBy: 'local', seriesId: null, emailLang };
+          const next = addBooking(store, book);
+          if (next === store) return setNotice(failed);
+          store = next; created.push(book);
+        }
+        setBookings(store);
+        saveLS("bookings", store);
+        await mailLocal('confirmation', created);
+        setRangeWeek(filterRangeLocal(store, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+        setRangeMonth(filterRangeLocal(store, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+      }
+      setNotice(`Importerte ${valid.length} bookinger (${plan.hours.toLocaleString('nb-NO')} t, ${formatNOK(plan.priceNOK)}).`);
+      return true;
+    },
+  };
+
+  // Break-even for valgt måned: kostnadene mot pris- og gruppemiksen de tre siste månedene (listepris hvis det ikke finnes bookinger).
+  // Medlemmer i Supabase ser ikke kostnadene og får ingen break-even-markering.
+  const costsVisible = !hasSupabase || can(role, 'view:admin');
+  const mixFrom = startOfMonthISO(addDaysISO(startOfMonthISO(dateISO), -60)), mixTo = endOfMonthISO(dateISO);
+  const [costMixSb, setCostMixSb] = useState([]);
+  useEffect(() => {
+    if (!hasSupabase || !costsVisible) return;
+    (async () => {
+      try {
+        const [c, summary] = await Promise.all([fetchCosts(), fetchAnalytics(mixFrom, mixTo)]);
+        setCosts(c); setCostMixSb(summary.mix);
+      } catch (error) { setNotice(bookingErrorText(error) || `Feil ved henting av kostnader: ${error.message}`); }
+    })();
+  }, [mixFrom, session, role]);
+  const costMix = useMemo(() => {
+    const mix = hasSupabase ? costMixSb : analyticsSummary(flattenStore(bookings), [], mixFrom, mixTo).mix;
+    return mix.length ? mix : listPriceMix(bookableRooms, pricing);
+  }, [costMixSb, bookings, mixFrom, bookableRooms, pricing]);
+  const breakEven = useMemo(() => costsVisible ? breakEvenFor({ costs, mix: costMix, energy, capacityHours: monthStats.total }) : null, [costsVisible, costs, costMix, energy, monthStats.total]);
+  const saveCosts = async (next) => {
+    const fixed = next.fixed.filter(c => c.label?.trim()).map(c => ({ ...c, label: c.label.trim(), monthlyNOK: Number(c.monthlyNOK)||0 }));
+    if (fixed.some(c => c.monthlyNOK < 0) || !(next.energyPricePerKwh >= 0) || !(next.cleaningPerBookingNOK >= 0)) return setNotice('Kostnadene kan ikke være negative.');
+    const clean = { ...next, fixed };
+    if (hasSupabase) {
+      const { error } = await supabase.from('cost_settings').update({ fixed: fixed.map(c => ({ id: c.id, label: c.label, monthly_nok: c.monthlyNOK })),
+        energy_price_nok_kwh: clean.energyPricePerKwh, cleaning_per_booking_nok: clean.cleaningPerBookingNOK, updated_at: new Date().toISOString() }).eq('id', 1);
+      if (error) return setNotice(`Feil ved lagring av kostnader: ${error.message}`);
+    }
+    setCosts(clean);
+    setNotice('Kostnader lagret.');
+  };
 
   // ----- Booking handlers -----
-  const handleCreate = async (b) => {
+  // Forhåndssjekk av en serie: hvilke datoer er ledige, og hvilke kolliderer med eksisterende bookinger
+  const checkSeries = async (b, rule) => {
+    const dates = expandSeries({ ...rule, startDate: b.date });
+    if (!dates.length) return { free: [], conflicts: [] };
+    const existing = hasSupabase
+      ? await refreshRange(dates[0], dates[dates.length-1], b.roomId)
+      : filterRangeLocal(bookings, dates[0], dates[dates.length-1]);
+    return partitionOccurrences(dates, existing, b.roomId, b.startMin, b.endMin, schedule, blackouts);
+  };
+
+  // rule = null for enkeltbooking, ellers { freq, untilDate, count, skipDates }.
+  // opts.waitlistId: bookingen er et akseptert ventelistetilbud. Returnerer true ved suksess.
+  const handleCreate = async (b, rule = null, opts = {}) => {
     const mode = determineBookingMode({ voucherRequired, bookForOthers });
+    if (!(b.endMin > b.startMin)) return setNotice('Velg et gyldig tidsrom.');
+    if (!rule && !isWithinOpeningHours(b, schedule)) return setNotice('Tidsrommet er utenfor åpningstiden.');
+    const blackout = !rule && findBlackout(blackouts, b);
+    if (blackout) return setNotice(`Rommet er sperret: ${blackout.reason}.`);
+    if (!rule && heldByOffer(waitlist, b, opts.waitlistId)) return setNotice('Tidsrommet er holdt av for noen på ventelisten.');
+    const short = addonShortage(b.addons, equipment, displayBookings[b.date], b);
+    if (short) return setNotice(`Ikke nok ledig utstyr: ${short.name}.`);
+    const { free: dates, conflicts } = rule ? await checkSeries(b, rule) : { free: [b.date], conflicts: [] };
+    if (!dates.length) return setNotice('Ingen ledige datoer i serien.');
+    const klipp = voucherSlotsFor(b) * dates.length;
 
-    // Voucher gate
+    // Voucher gate (databasen sjekker på nytt atomisk ved innløsning)
     if (mode === 'voucher') {
       if (!activeVoucherId) return setNotice('Velg et aktivt klippekort før booking.');
-      if (!checkVoucherAvailable(vouchers, activeVoucherId)) return setNotice('Ingen klipp igjen på valgt klippekort.');
+      if (!checkVoucherAvailable(vouchers, activeVoucherId, klipp)) return setNotice(`Ikke nok klipp igjen på valgt klippekort (trenger ${klipp}).`);
+      if (!isVoucherValidOn(vouchers.find(v=>v.id===activeVoucherId), dates[dates.length-1])) return setNotice('Klippekortet er utløpt for valgt dato.');
     }
 
     const groupCode = activeGroup || 'standard';
-    const price = computePrice(b.type, pricing, groupCode);
+    // Prisen regnes per dato (ukedag/datoperiode kan gi ulik pris innen en serie). Utstyr legges på etter prisreglene.
+    const quoteOn = (d) => quoteWithAddons(quotePrice({ ...b, date: d }, pricing, pricingRules, groupCode), b.addons);
+    const seriesNote = conflicts.length ? ` ${conflicts.length} dato(er) hoppet over pga. konflikt: ${conflicts.join(', ')}.` : '';
 
     if (hasSupabase) {
       if (!session) return setNotice('Du må være innlogget for å booke.');
-      const key = `${b.roomId}-${b.hour}`; setBusyCells(new Set(busyCells).add(key));
+      const voucherPartner = mode === 'voucher' ? (vouchers.find(v=>v.id===activeVoucherId)?.partner || null) : null;
+      const bookedForVal = mode === 'external' ? (bookedFor?.trim() || null) : null;
+      const rowOn = (d, seriesId = null, clientRef = null) => {
+        const q = quoteOn(d);
+        return {
+          date: d, room_id: b.roomId, start_min: b.startMin, end_min: b.endMin, type: b.type, room_name: b.roomName,
+          voucher_partner: voucherPartner, booked_for: bookedForVal, group_code: groupCode, price_nok: q.priceNOK, price_rules: q.applied, addons: q.addons, series_id: seriesId, client_ref: clientRef,
+          email_lang: emailLang, org_id: activeOrgId || null,
+        };
+      };
+      // Uten nett legges enkeltbookinger i kø og spilles av når forbindelsen er tilbake.
+      // Samme client_ref brukes i første forsøk, så en insert som nådde frem før nettet falt ikke dobles.
+      const ref = rule ? null : newClientRef();
+      const enqueue = () => {
+        if (rule) return setNotice('Serier krever nettforbindelse – prøv igjen når du er tilkoblet.');
+        if (findOverlap(displayBookings[b.date]?.[b.roomId], b.startMin, b.endMin)) return setNotice('Tidsrommet overlapper en eksisterende booking.');
+        const row = rowOn(b.date, null, ref);
+        const booking = { ...b, id: ref, voucherPartner, voucherId: mode === 'voucher' ? activeVoucherId : null, bookedFor: bookedForVal, groupCode, priceNOK: row.price_nok, priceRules: row.price_rules, addons: row.addons, createdBy: session.user.id, seriesId: null, orgId: activeOrgId || null };
+        setSyncQueue(prev => [...prev, { id: ref, booking, row, voucherId: booking.voucherId, status: 'pending', error: null, queuedAt: new Date().toISOString(), syncedAt: null }]);
+        if (mode === 'external') setBookedFor("");
+        setNotice('Frakoblet – bookingen er lagt i kø og synkroniseres når nettet er tilbake.');
+        return true;
+      };
+      if (!online) return enqueue();
+      const key = `${b.roomId}-${b.startMin}`; setBusyCells(new Set(busyCells).add(key));
       try {
-        const voucherPartner = mode === 'voucher' ? (vouchers.find(v=>v.id===activeVoucherId)?.partner || null) : null;
-        const bookedForVal = mode === 'external' ? (bookedFor?.trim() || null) : null;
-        const { error } = await supabase.from('bookings').insert({
-          date: b.date, room_id: b.roomId, hour: b.hour, type: b.type, room_name: b.roomName,
-          voucher_partner: voucherPartner, booked_for: bookedForVal, group_code: groupCode, price_nok: price,
-        }).select('id').single();
+        let seriesId = null;
+        if (rule) {
+          const { data: series, error: se } = await supabase.from('booking_series').insert({
+            room_id: b.roomId, start_min: b.startMin, end_min: b.endMin, freq: rule.freq, start_date: b.date,
+            until_date: rule.untilDate || null, occurrences: rule.count || null, skip_dates: rule.skipDates || [],
+          }).select('id').single();
+          if (se) return isNetworkError(se) ? enqueue() : setNotice(`Feil ved oppretting av serie: ${se.message}`);
+          seriesId = series.id;
+        }
+        const rows = dates.map(d => rowOn(d, seriesId, ref));
+        // Alle forekomster i ett kall – feiler samlet hvis noen kolliderer. Med klippekort trekkes klipp i samme transaksjon.
+        const { error } = mode === 'voucher'
+          ? await supabase.rpc('book_with_voucher', { p_voucher_id: activeVoucherId, p_rows: rows })
+          : await supabase.from('bookings').insert(rows).select('id');
         if (error) {
-          if (error.code === '23505') setNotice('Tidslottet er allerede booket.'); else setNotice(`Feil ved booking: ${error.message}`);
+          if (seriesId) await supabase.from('booking_series').delete().eq('id', seriesId);
+          if (isNetworkError(error)) return enqueue();
+          if (error.code === '23P01' || error.code === '23505') { setNotice('Tidsrommet overlapper en eksisterende booking.'); await refreshBookings(dateISO, setBookings); }
+          else setNotice(bookingErrorText(error) || `Feil ved booking: ${error.message}`);
         } else {
-          if (mode === 'voucher' && activeVoucherId) setVouchers(prev => adjustVoucherSlots(prev, activeVoucherId, -1));
-          await refreshBookings(b.date, setBookings);
+          if (mode === 'voucher') await refreshVouchers();
+          await refreshBookings(dateISO, setBookings);
           if (mode === 'external') setBookedFor("");
+          if (rule) setNotice(`Serie opprettet med ${dates.length} bookinger.${seriesNote}`);
           // refresh ranges for fresh stats
           const ws = startOfWeekISO(dateISO), we = endOfWeekISO(dateISO);
           const ms = startOfMonthISO(dateISO), me = endOfMonthISO(dateISO);
@@ -313,86 +3645,566 @@ export default function App() {
             setRangeWeek(await refreshRange(ws, we));
             setRangeMonth(await refreshRange(ms, me));
           }
+          return true;
+        }
+      } finally { const s = new Set(busyCells); s.delete(key); setBusyCells(s); }
+    } else {
+      // Local fallback
+      const modeVoucherPartner = mode === 'voucher' ? (vouchers.find(v=>v.id===activeVoucherId)?.partner || null) : null;
+      const bookedForVal = mode === 'external' ? (bookedFor?.trim() || null) : null;
+      const seriesId = rule ? nextId() : null;
+      const voucherId = mode === 'voucher' ? activeVoucherId : null;
+      let newStore = bookings; let ledger = voucherLedger; const created = [];
+      for (const d of dates) {
+        const q = quoteOn(d);
+        const book = { ...b, id: rule ? nextId() : b.id, date: d, voucherPartner: modeVoucherPartner, voucherId, bookedFor: bookedForVal, groupCode, priceNOK: q.priceNOK, priceRules: q.applied, addons: q.addons, createdBy: 'local', seriesId, emailLang, orgId: activeOrgId || null };
+        const short = addonShortage(book.addons, equipment, newStore[d], book);
+        if (short) return setNotice(`Ikke nok ledig utstyr ${d}: ${short.name}.`);
+        const next = addBooking(newStore, book);
+        if (next === newStore) return setNotice('Tidsrommet overlapper en eksisterende booking.');
+        newStore = next; created.push(book);
+        if (voucherId) ledger = appendLedger(ledger, { voucherId, bookingId: book.id, bookingLabel: bookingLabel(book), delta: -voucherSlotsFor(book), reason: 'redeem' });
+      }
+      setBookings(newStore);
+      saveLS("bookings", newStore);
+      await mailLocal('confirmation', created);
+      if (voucherId) { setVouchers(prev => adjustVoucherSlots(prev, voucherId, -klipp)); setVoucherLedger(ledger); }
+      if (mode === 'external') setBookedFor("");
+      if (rule) setNotice(`Serie opprettet med ${dates.length} bookinger.${seriesNote}`);
+      // update local ranges
+      setRangeWeek(filterRangeLocal(newStore, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+      setRangeMonth(filterRangeLocal(newStore, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+      return true;
+    }
+  };
+
+  // scope: 'one' = kun denne forekomsten, 'rest' = denne og resten av serien.
+  // Avlysning følger avbestillingsreglene (gebyr/refusjon) og beholder bookingen som avlyst.
+  const handleDelete = async (b, scope = 'one') => {
+    if (b.syncState === 'pending') {
+      if (window.confirm('Fjerne bookingen fra synk-køen? Den er ikke sendt til databasen ennå.')) syncOps.remove(b.id);
+      return;
+    }
+    const wholeRest = scope === 'rest' && b.seriesId;
+    if (!window.confirm(cancellationPrompt(evaluateCancellation(b, cancellationRules), wholeRest))) return;
+    if (hasSupabase) {
+      if (!session) return setNotice('Du må være innlogget for å slette.');
+      if (!online) return setNotice('Avlysning krever nettforbindelse.');
+      const key = `${b.roomId}-${b.startMin}`; setBusyCells(new Set(busyCells).add(key));
+      try {
+        let q = supabase.from('bookings').select('id, voucher_id').eq('status', 'active');
+        q = wholeRest ? q.eq('series_id', b.seriesId).gte('date', b.date) : q.eq('id', b.id);
+        const existing = await q;
+        if (existing.error) return setNotice(`Feil ved henting av bookingen: ${existing.error.message}`);
+        const targets = existing.data || [];
+        // Avlysning, gebyr og klipp-refusjon skjer atomisk i databasen; tilgang trekkes tilbake bare for det som faktisk ble avlyst
+        const { data: outcomes, error } = await supabase.rpc('cancel_bookings', { p_ids: targets.map(t => t.id) });
+        if (error) {
+          setNotice(bookingErrorText(error) || `Feil ved avlysning: ${error.message}`);
+        } else if (!outcomes?.length) {
+          setNotice('Du har ikke tilgang til å avlyse denne bookingen, eller den er allerede avlyst.');
+        } else {
+          for (const o of outcomes) {
+            try { await supabase.functions.invoke('access_revoke', { body: { booking_id: o.id } }); } catch (_) {}
+          }
+          if (targets.some(t => t.voucher_id)) await refreshVouchers();
+          setNotice(cancellationSummary(outcomes.map(o => ({ feeNOK: Number(o.fee_nok)||0, refundKlipp: o.refunded_klipp||0 }))));
+          await refreshWaitlist(); // databasen har tilbudt ledig tid til neste på ventelisten
+          try {
+            await refreshBookings(dateISO, setBookings);
+            setCancelledList(await fetchCancelled(dateISO));
+            // refresh ranges
+            const ws = startOfWeekISO(dateISO), we = endOfWeekISO(dateISO);
+            const ms = startOfMonthISO(dateISO), me = endOfMonthISO(dateISO);
+            setRangeWeek(await refreshRange(ws, we));
+            setRangeMonth(await refreshRange(ms, me));
+          } catch (error) { setNotice(`Avlyst, men feil ved oppdatering av bookinger: ${error.message}`); }
         }
       } finally { const s = new Set(busyCells); s.delete(key); setBusyCells(s); }
     } else {
-      // Local fallback
-      const modeVoucherPartner = mode === 'voucher' ? (vouchers.find(v=>v.id===activeVoucherId)?.partner || null) : null;
-      const bookedForVal = mode === 'external' ? (bookedFor?.trim() || null) : null;
-      const book = { ...b, voucherPartner: modeVoucherPartner, bookedFor: bookedForVal, groupCode, priceNOK: price, createdBy: 'local' };
-      const newStore = addBooking(bookings, book);
+      // Local fallback – avlyste bookinger flyttes til arkivet med utfallet
+      const targets = wholeRest ? seriesBookingsFrom(bookings, b.seriesId, b.date) : [bookings[b.date]?.[b.roomId]?.[b.id]].filter(Boolean);
+      const locked = invoiceLockedIds(invoices);
+      if (targets.some(t => locked.has(t.id))) return setNotice(bookingErrorText({ message: 'BOOKING_INVOICED' }));
+      let newStore = bookings; let ledger = voucherLedger; const archived = []; const outcomes = [];
+      const now = new Date();
+      for (const cell of targets) {
+        const outcome = evaluateCancellation(cell, cancellationRules, now);
+        const v = findVoucherForBooking(vouchers, cell);
+        if (v && outcome.refundKlipp > 0) {
+          setVouchers(prev => adjustVoucherSlots(prev, v.id, +outcome.refundKlipp));
+          ledger = appendLedger(ledger, { voucherId: v.id, bookingId: cell.id, bookingLabel: bookingLabel(cell), delta: outcome.refundKlipp, reason: 'refund' });
+        }
+        newStore = removeBooking(newStore, cell);
+        archived.push({ ...cell, status: 'cancelled', cancelledAt: now.toISOString(), cancelFeeNOK: outcome.feeNOK, refundedKlipp: outcome.refundKlipp });
+        outcomes.push(outcome);
+      }
+      setVoucherLedger(ledger);
+      setCancelledBookings(prev => [...prev, ...archived]);
+      await revokeLocalGrants(targets.map(t => t.id));
+      // Tilby frigjort tid til neste på ventelisten
+      let wl = waitlist; const nowISO = now.toISOString();
+      for (const cell of targets) wl = offerNextWaitlist(wl, { date: cell.date, roomId: cell.roomId, roomType: cell.type }, newStore[cell.date], nowISO);
+      setWaitlist(wl);
+      if (targets.length) setNotice(cancellationSummary(outcomes));
       setBookings(newStore);
       saveLS("bookings", newStore);
-      if (mode === 'voucher' && activeVoucherId) setVouchers(prev => adjustVoucherSlots(prev, activeVoucherId, -1));
-      if (mode === 'external') setBookedFor("");
-      // update local ranges
+      await mailLocal('cancellation', archived);
       setRangeWeek(filterRangeLocal(newStore, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
       setRangeMonth(filterRangeLocal(newStore, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
     }
   };
 
-  const handleDelete = async (b) => {
+  // Flytting beholder varigheten; prisen regnes på nytt for nytt rom/tidspunkt. Eier, bandmedlem eller ansatte;
+  // frigjort tid tilbys neste på ventelisten.
+  const handleMove = async (b, { date, roomId, startMin }) => {
+    const room = bookableRooms.find(r => r.id===roomId);
+    if (!room || startMin == null) return setNotice('Velg dato, rom og starttid.');
+    const slot = { ...b, date, roomId, roomName: room.name, type: room.type, typeLabel: roomTypeLabel(room.type, roomTypes), startMin, endMin: startMin + (b.endMin - b.startMin) };
+    const q = quoteWithAddons(quotePrice(slot, pricing, pricingRules, b.groupCode || 'standard'), b.addons);
+    const moved = { ...slot, ...movePrice(b, q, can(role, 'manage:bookings')) };
+    if (!isWithinOpeningHours(moved, schedule)) return setNotice('Tidsrommet er utenfor åpningstiden.');
+    const blackout = findBlackout(blackouts, moved);
+    if (blackout) return setNotice(`Rommet er sperret: ${blackout.reason}.`);
+    if (heldByOffer(waitlist, moved)) return setNotice('Tidsrommet er holdt av for noen på ventelisten.');
+    const short = addonShortage(b.addons, equipment, displayBookings[date], moved); // databasen sjekker også dager som ikke er lastet
+    if (short) return setNotice(`Ikke nok ledig utstyr: ${short.name}.`);
     if (hasSupabase) {
-      if (!session) return setNotice('Du må være innlogget for å slette.');
-      const key = `${b.roomId}-${b.hour}`; setBusyCells(new Set(busyCells).add(key));
+      if (!session) return setNotice('Du må være innlogget for å flytte.');
+      if (!online) return setNotice('Flytting krever nettforbindelse.');
+      const { data: storedPrice, error } = await supabase.rpc('booking_move', { p_id: b.id, p_date: date, p_room_id: room.id, p_start_min: moved.startMin, p_price_nok: q.priceNOK, p_price_rules: q.applied });
+      if (error) return setNotice(error.code === '23P01' || error.code === '23505' ? 'Tidsrommet overlapper en eksisterende booking.' : (bookingErrorText(error) || `Feil ved flytting: ${error.message}`));
+      if (storedPrice != null) moved.priceNOK = Number(storedPrice);
+      // Utstedt nøkkel gjelder gammelt tidsrom – låsen får ny kode/nøkkel for det nye
+      try { await supabase.functions.invoke('access_get_or_issue', { body: { booking_id: b.id, sync_only: true } }); } catch (_) {}
+      await refreshWaitlist();
       try {
-        // Finn booking for å vite hvilken voucher som skal refunderes
-        const existing = await supabase.from('bookings')
-          .select('id, voucher_partner, created_by')
-          .eq('date', b.date).eq('room_id', b.roomId).eq('hour', b.hour).maybeSingle();
-        const bookingId = existing.data?.id;
-        const voucherPartner = existing.data?.voucher_partner || null;
-        if (bookingId) {
-          try { await supabase.functions.invoke('access_revoke', { body: { booking_id: bookingId } }); } catch (_) {}
-        }
-        const { error } = await supabase.from('bookings')
-          .delete()
-          .eq('date', b.date).eq('room_id', b.roomId).eq('hour', b.hour);
-        if (error) {
-          setNotice('Kun eier av bookingen kan slette denne.');
-        } else {
-          if (voucherPartner) {
-            const v = findVoucherByPartner(vouchers, voucherPartner);
-            if (v) setVouchers(prev => adjustVoucherSlots(prev, v.id, +1));
-          }
-          await refreshBookings(b.date, setBookings);
-          // refresh ranges
-          const ws = startOfWeekISO(dateISO), we = endOfWeekISO(dateISO);
-          const ms = startOfMonthISO(dateISO), me = endOfMonthISO(dateISO);
-          setRangeWeek(await refreshRange(ws, we));
-          setRangeMonth(await refreshRange(ms, me));
-        }
-      } finally { const s = new Set(busyCells); s.delete(key); setBusyCells(s); }
+        await refreshBookings(dateISO, setBookings);
+        setRangeWeek(await refreshRange(startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+        setRangeMonth(await refreshRange(startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+      } catch (error) { setNotice(`Flyttet, men feil ved oppdatering av bookinger: ${error.message}`); return true; }
     } else {
-      // Local fallback
-      const cell = bookings[b.date]?.[b.roomId]?.[b.hour];
-      if (cell?.voucherPartner) {
-        const v = findVoucherByPartner(vouchers, cell.voucherPartner);
-        if (v) setVouchers(prev => adjustVoucherSlots(prev, v.id, +1));
+      if (invoiceLockedIds(invoices).has(b.id)) return setNotice(bookingErrorText({ message: 'BOOKING_INVOICED' }));
+      const without = removeBooking(bookings, b);
+      const newStore = addBooking(without, moved);
+      if (newStore === without) return setNotice('Tidsrommet overlapper en eksisterende booking.');
+      setWaitlist(prev => offerNextWaitlist(prev, { date: b.date, roomId: b.roomId, roomType: b.type }, newStore[b.date], new Date().toISOString()));
+      setBookings(newStore);
+      saveLS("bookings", newStore);
+      const grant = await localGrantFor(moved, { syncOnly: true });
+      await mailLocal('change', [moved], grant ? { [moved.id]: grant } : {});
+      setRangeWeek(filterRangeLocal(newStore, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+      setRangeMonth(filterRangeLocal(newStore, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+    }
+    const kept = q.priceNOK < moved.priceNOK ? ` Prisen er ikke satt ned (${formatNOK(q.priceNOK)} på nytt tidspunkt) – ta kontakt med administrasjonen.` : '';
+    setNotice(`Booking flyttet til ${bookingLabel(moved)}${moved.priceNOK !== b.priceNOK ? ` – ny pris ${formatNOK(moved.priceNOK)}` : ''}.${kept}`);
+    return true;
+  };
+
+  const saveSchedule = async (next) => {
+    setSchedule(next);
+    if (!hasSupabase) return;
+    const { error } = await supabase.rpc('opening_hours_save', {
+      p_weekly: next.weekly.map((d, weekday) => ({ weekday, open_hour: d.open, close_hour: d.close, closed: !!d.closed })),
+      p_exceptions: next.exceptions.map(e => ({
+        date_from: e.from, date_to: e.to || e.from, closed: !!e.closed, open_hour: e.closed ? null : e.open, close_hour: e.closed ? null : e.close, label: e.label || null,
+      })),
+    });
+    if (error) setNotice(bookingErrorText(error) || `Feil ved lagring av åpningstider: ${error.message}`);
+    else setNotice('Åpningstider lagret.');
+  };
+
+  // Sperringer: advarer om eksisterende bookinger som kolliderer (de avlyses ikke automatisk)
+  const blackoutOps = {
+    create: async (x) => {
+      const existing = hasSupabase ? await refreshRange(x.from, x.to, x.roomId) : filterRangeLocal(bookings, x.from, x.to);
+      const hits = blackoutCollisions(existing, x);
+      if (hits.length && !window.confirm(`${hits.length} eksisterende booking(er) kolliderer med sperringen:\n${hits.map(h => `${h.date} ${fmtMin(h.startMin)}–${fmtMin(h.endMin)}`).join('\n')}\n\nOpprette sperringen likevel? Bookingene må avlyses manuelt.`)) return;
+      if (hasSupabase) {
+        const { error } = await supabase.from('room_blackouts').insert({ room_id: x.roomId, date_from: x.from, date_to: x.to, start_min: x.startMin, end_min: x.endMin, reason: x.reason });
+        if (error) return setNotice(`Feil ved oppretting av sperring: ${error.message}`);
+        setBlackouts(await fetchBlackouts());
+      } else {
+        setBlackouts(prev => [...prev, { ...x, id: nextId() }]);
+      }
+      setNotice(hits.length ? `Sperring opprettet. ${hits.length} booking(er) kolliderer og må avlyses manuelt.` : 'Sperring opprettet.');
+    },
+    remove: async (id) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('room_blackouts').delete().eq('id', id);
+        if (error) return setNotice(`Feil ved sletting av sperring: ${error.message}`);
+        return setBlackouts(await fetchBlackouts());
+      }
+      setBlackouts(prev => prev.filter(x => x.id!==id));
+    },
+  };
+
+  // Fakturering: RPC i Supabase (nummerserie og låsing i databasen), ellers lokalt fra bookinger + avlysningsarkiv
+  const invoiceOps = {
+    createDraft: async ({ monthISO, kind, customer }) => {
+      if (!can(role, 'edit:invoices')) return setNotice('Du har ikke tilgang til å fakturere.');
+      if (!customer?.trim()) return setNotice('Velg kunde for fakturaen.');
+      if (hasSupabase) {
+        if (!session) return setNotice('Du må være innlogget for å fakturere.');
+        const { error } = await supabase.rpc('invoice_create_draft', { p_period: `${monthISO}-01`, p_kind: kind, p_customer: customer.trim() });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved fakturering: ${error.message}`);
+        return refreshInvoices();
+      }
+      const invoicedIds = new Set(invoices.flatMap(i => i.lines.map(l => l.bookingId).filter(Boolean)));
+      const lines = collectInvoiceLines({ active: flattenStore(bookings), cancelled: cancelledBookings, monthISO, kind, customer: customer.trim(), invoicedIds });
+      if (!lines.length) return setNotice('Ingen fakturerbare bookinger for valgt måned og kunde.');
+      setInvoices(prev => [{ id: nextId(), number: null, period: `${monthISO}-01`, customerKind: kind, customer: customer.trim(), status: 'draft', lines, createdAt: new Date().toISOString() }, ...prev]);
+    },
+    addCredit: async (inv, { description, amountNOK }) => {
+      const line = { kind: 'credit', description: description.trim() || 'Kreditering', amountNOK: -Math.abs(amountNOK) };
+      if (hasSupabase) {
+        const { error } = await supabase.from('invoice_lines').insert({ invoice_id: inv.id, kind: line.kind, description: line.description, amount_nok: line.amountNOK });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved kreditering: ${error.message}`);
+        return refreshInvoices();
+      }
+      setInvoices(prev => prev.map(i => i.id===inv.id && i.status==='draft' ? { ...i, lines: sortInvoiceLines([...i.lines, { id: nextId(), ...line }]) } : i));
+    },
+    removeLine: async (inv, lineId) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('invoice_lines').delete().eq('id', lineId);
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved sletting av linje: ${error.message}`);
+        return refreshInvoices();
+      }
+      setInvoices(prev => prev.map(i => i.id===inv.id && i.status==='draft' ? { ...i, lines: i.lines.filter(l => l.id!==lineId) } : i));
+    },
+    setStatus: async (inv, status) => {
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('invoice_set_status', { p_id: inv.id, p_status: status });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved statusendring: ${error.message}`);
+        return refreshInvoices();
+      }
+      const today = todayISO();
+      setInvoices(prev => prev.map(i => {
+        if (i.id!==inv.id) return i;
+        if (status==='sent' && i.status==='draft') return { ...i, status, number: nextInvoiceNumber(prev), issuedOn: today, dueOn: addDaysISO(today, INVOICE_DUE_DAYS) };
+        if (status==='paid' && i.status==='sent') return { ...i, status, paidOn: today };
+        return i;
+      }));
+    },
+    remove: async (inv) => {
+      if (inv.status !== 'draft') return setNotice('Bare utkast kan slettes.');
+      if (hasSupabase) {
+        const { error } = await supabase.from('invoices').delete().eq('id', inv.id);
+        if (error) return setNotice(`Feil ved sletting av faktura: ${error.message}`);
+        return refreshInvoices();
+      }
+      setInvoices(prev => prev.filter(i => i.id!==inv.id));
+    },
+  };
+
+  // Kalenderabonnement: token-URL per bruker/rom/gruppe. Lokalt finnes ingen feed-server – da lastes en statisk .ics ned.
+  const feedOps = {
+    create: async ({ scope, roomId, groupCode }) => {
+      if (!session) return setNotice('Du må være innlogget for å lage kalenderabonnement.');
+      if (scope !== 'user' && !can(role, 'manage:bookings')) return setNotice('Bare ansatte kan lage abonnement for rom eller gruppe.');
+      const { error } = await supabase.from('calendar_feeds').insert({ scope, room_id: scope==='room' ? roomId : null, group_code: scope==='group' ? groupCode : null });
+      if (error) return setNotice(`Feil ved oppretting av kalenderabonnement: ${error.message}`);
+      setCalendarFeeds(await fetchCalendarFeeds());
+    },
+    revoke: async (id) => {
+      const { error } = await supabase.from('calendar_feeds').update({ revoked_at: new Date().toISOString() }).eq('id', id);
+      if (error) return setNotice(`Feil ved tilbaketrekking: ${error.message}`);
+      setCalendarFeeds(await fetchCalendarFeeds());
+    },
+    url: (feed) => calendarFeedURL(SUPABASE_URL, feed.token),
+    downloadLocal: () => {
+      const upcoming = flattenStore(bookings).filter(b => b.date >= todayISO());
+      const cancelled = cancelledBookings.filter(b => b.date >= todayISO());
+      downloadICS([...upcoming, ...cancelled].sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin), 'ovingsrommet.ics');
+    },
+  };
+
+  // Rom med bookinger (aktive eller avlyste) deaktiveres i stedet for å slettes
+  const roomOps = {
+    save: async (room) => {
+      if (!room.name?.trim()) return setNotice('Rommet må ha et navn.');
+      const r = { ...room, id: room.id || nextId(), name: room.name.trim(), active: room.active !== false };
+      if (hasSupabase) {
+        const { error } = await supabase.from('rooms').upsert({
+          id: r.id, name: r.name, type: r.type, capacity: r.capacity || null, size_m2: r.sizeM2 || null, description: r.description || null,
+          photos: r.photos || [], equipment: r.equipment || [], active: r.active,
+        });
+        if (error) return setNotice(`Feil ved lagring av rom: ${error.message}`);
+        return setRooms(await fetchRooms());
+      }
+      setRooms(prev => prev.some(x => x.id===r.id) ? prev.map(x => x.id===r.id ? r : x) : [...prev, r]);
+    },
+    remove: async (room) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('rooms').delete().eq('id', room.id);
+        if (error?.code === '23503') { await roomOps.save({ ...room, active: false }); return setNotice(`${room.name} har bookinger og er deaktivert i stedet for slettet.`); }
+        if (error) return setNotice(`Feil ved sletting av rom: ${error.message}`);
+        return setRooms(await fetchRooms());
+      }
+      const used = flattenStore(bookings).some(b => b.roomId===room.id) || cancelledBookings.some(b => b.roomId===room.id);
+      if (used) { setRooms(prev => prev.map(x => x.id===room.id ? { ...x, active: false } : x)); return setNotice(`${room.name} har bookinger og er deaktivert i stedet for slettet.`); }
+      setRooms(prev => prev.filter(x => x.id!==room.id));
+    },
+  };
+  const roomTypeOps = {
+    save: async (t) => {
+      const id = t.id || roomTypeSlug(t.label);
+      if (!id || !t.label?.trim()) return setNotice('Romtypen må ha et navn.');
+      if (!t.id && roomTypes.some(x => x.id===id)) return setNotice(`Romtypen «${t.label.trim()}» finnes allerede.`);
+      const type = { ...t, id, label: t.label.trim(), basePriceNOK: Math.max(0, Number(t.basePriceNOK)||0), kwhPerHour: Math.max(0, Number(t.kwhPerHour)||0) };
+      if (hasSupabase) {
+        const { error } = await supabase.from('room_types').upsert({ id, label: type.label, base_price_nok: type.basePriceNOK, kwh_per_hour: type.kwhPerHour });
+        if (error) return setNotice(`Feil ved lagring av romtype: ${error.message}`);
+        return setRoomTypes(await fetchRoomTypes());
+      }
+      setRoomTypes(prev => prev.some(x => x.id===id) ? prev.map(x => x.id===id ? type : x) : [...prev, type]);
+    },
+    remove: async (id) => {
+      if (rooms.some(r => r.type===id)) return setNotice('Romtypen er i bruk av ett eller flere rom.');
+      if (hasSupabase) {
+        const { error } = await supabase.from('room_types').delete().eq('id', id);
+        if (error) return setNotice(`Feil ved sletting av romtype: ${error.message}`);
+        return setRoomTypes(await fetchRoomTypes());
+      }
+      setRoomTypes(prev => prev.filter(x => x.id!==id));
+    },
+  };
+
+  // Utstyr som er brukt på bookinger beholdes i historikken – slett setter det inaktivt
+  const equipmentOps = {
+    save: async (item) => {
+      if (!item.name?.trim()) return setNotice('Utstyret må ha et navn.');
+      const e = { ...item, name: item.name.trim(), quantity: Math.max(0, Math.round(Number(item.quantity)||0)), priceNOK: Math.max(0, Number(item.priceNOK)||0), unit: item.unit === 'hour' ? 'hour' : 'booking', active: item.active !== false };
+      if (hasSupabase) {
+        const row = { name: e.name, quantity: e.quantity, price_nok: e.priceNOK, unit: e.unit, active: e.active };
+        const { error } = e.id ? await supabase.from('equipment').update(row).eq('id', e.id) : await supabase.from('equipment').insert(row);
+        if (error) return setNotice(`Feil ved lagring av utstyr: ${error.message}`);
+        return setEquipment(await fetchEquipment());
+      }
+      const withId = { ...e, id: e.id || nextId() };
+      setEquipment(prev => prev.some(x => x.id===withId.id) ? prev.map(x => x.id===withId.id ? withId : x) : [...prev, withId]);
+    },
+    remove: (item) => equipmentOps.save({ ...item, active: false }),
+  };
+
+  const savePricingRules = async (rules) => {
+    setPricingRules(rules);
+    if (!hasSupabase) return;
+    const { error } = await supabase.rpc('pricing_rules_save', { p_rules: rules.map(r => ({
+      name: r.name, priority: r.priority ?? 100, room_type: r.roomType || null, room_id: r.roomId || null, weekdays: r.weekdays || [],
+      from_min: r.fromMin ?? null, to_min: r.toMin ?? null, date_from: r.dateFrom || null, date_to: r.dateTo || null,
+      min_hours: r.minHours || null, effect: r.effect, value: r.value, active: r.active !== false,
+    })) });
+    if (error) return setNotice(bookingErrorText(error) || `Feil ved lagring av prisregler: ${error.message}`);
+    setNotice('Prisregler lagret.');
+    try { setPricingRules(await fetchPricingRules()); }
+    catch (error) { setNotice(`Prisregler lagret, men feil ved henting: ${error.message}`); }
+  };
+
+  const saveCancellationRules = async (rules) => {
+    setCancellationRules(rules);
+    if (!hasSupabase) return;
+    const { error } = await supabase.rpc('cancellation_rules_save', { p_rules: rules.map(r => ({
+      group_code: r.groupCode || null, room_type: r.roomType || null, free_hours: r.freeHours, late_fee_pct: r.lateFeePct, voucher_no_refund_hours: r.voucherNoRefundHours,
+    })) });
+    if (error) setNotice(bookingErrorText(error) || `Feil ved lagring av avbestillingsregler: ${error.message}`);
+    else setNotice('Avbestillingsregler lagret.');
+  };
+
+  // Klippekort-administrasjon: RPC i Supabase (med logg), ellers lokal saldo + lokal logg
+  const voucherOps = {
+    create: async ({ partner, slots, expiresOn }) => {
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('voucher_create', { p_partner: partner, p_slots: slots, p_expires_on: expiresOn || null });
+        if (error) return setNotice(`Feil ved oppretting av klippekort: ${error.message}`);
+        return refreshVouchers();
+      }
+      const v = { id: nextId(), partner, slots: Math.max(0, slots), expiresOn: expiresOn || null };
+      setVouchers(prev => [...prev, v]);
+      setVoucherLedger(prev => appendLedger(prev, { voucherId: v.id, delta: v.slots, reason: 'purchase' }));
+    },
+    adjust: async (id, delta) => {
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('voucher_adjust', { p_voucher_id: id, p_delta: delta });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved justering: ${error.message}`);
+        return refreshVouchers();
+      }
+      const applied = Math.max(-(vouchers.find(v=>v.id===id)?.slots||0), delta);
+      setVouchers(prev => adjustVoucherSlots(prev, id, applied));
+      setVoucherLedger(prev => appendLedger(prev, { voucherId: id, delta: applied, reason: 'adjust' }));
+    },
+    setExpiry: async (id, expiresOn) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('vouchers').update({ expires_on: expiresOn || null }).eq('id', id);
+        if (error) return setNotice(`Feil ved lagring av utløpsdato: ${error.message}`);
+        return refreshVouchers();
+      }
+      setVouchers(prev => prev.map(v => v.id===id ? { ...v, expiresOn: expiresOn || null } : v));
+    },
+    remove: async (id) => {
+      if (hasSupabase) {
+        const { error } = await supabase.from('vouchers').delete().eq('id', id);
+        if (error) return setNotice(`Feil ved sletting av klippekort: ${error.message}`);
+        return refreshVouchers();
+      }
+      setVouchers(prev => prev.filter(x => x.id!==id));
+      setVoucherLedger(prev => prev.filter(t => t.voucherId!==id));
+    },
+  };
+
+  const waitlistOps = {
+    join: async ({ date, roomId, roomType, startMin, endMin }) => {
+      if (!(endMin > startMin)) return setNotice('Velg et gyldig tidsrom.');
+      if (hasSupabase) {
+        if (!session) return setNotice('Du må være innlogget for å stå på venteliste.');
+        const { error } = await supabase.from('waitlist').insert({ date, room_id: roomId || null, room_type: roomType, start_min: startMin, end_min: endMin, contact: session.user.email || null });
+        if (error) return setNotice(`Feil ved venteliste: ${error.message}`);
+        await refreshWaitlist();
+      } else {
+        setWaitlist(prev => [...prev, { id: nextId(), date, roomId: roomId || null, roomType, startMin, endMin, status: 'waiting', createdBy: 'local', contact: null, createdAt: new Date().toISOString() }]);
+      }
+      setNotice('Du står nå på ventelisten.');
+    },
+    // Bookingen aksepterer tilbudet i databasen (bookings_waitlist_hold); et utløpt tilbud gir SLOT_HELD hvis tiden er gitt videre
+    accept: async (w) => {
+      const room = bookableRooms.find(r => r.id===w.offeredRoomId);
+      if (!room) return setNotice('Rommet finnes ikke lenger.');
+      if (w.offerExpiresAt && w.offerExpiresAt < new Date().toISOString()) {
+        setNotice('Tilbudet har gått ut.');
+        return hasSupabase ? refreshWaitlist() : setWaitlist(prev => expireWaitlistOffers(prev, bookings, bookableRooms, new Date().toISOString()));
+      }
+      const ok = await handleCreate({ id: nextId(), date: w.date, roomId: room.id, startMin: w.startMin, endMin: w.endMin, type: room.type, typeLabel: roomTypeLabel(room.type, roomTypes), roomName: room.name }, null, { waitlistId: w.id });
+      if (hasSupabase) return refreshWaitlist();
+      if (ok) setWaitlist(prev => prev.map(x => x.id===w.id ? { ...x, status: 'accepted' } : x));
+    },
+    decline: async (w) => {
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('waitlist_decline', { p_id: w.id });
+        if (error) setNotice(`Feil ved venteliste: ${error.message}`);
+        return refreshWaitlist();
+      }
+      const room = rooms.find(r => r.id===w.offeredRoomId);
+      setWaitlist(prev => offerNextWaitlist(prev.map(x => x.id===w.id ? { ...x, status: 'declined' } : x), { date: w.date, roomId: w.offeredRoomId, roomType: room?.type || w.roomType }, bookings[w.date], new Date().toISOString()));
+    },
+    leave: async (w) => {
+      if (hasSupabase) {
+        const { error } = await supabase.rpc('waitlist_leave', { p_id: w.id });
+        if (error) setNotice(`Feil ved venteliste: ${error.message}`);
+        return refreshWaitlist();
+      }
+      setWaitlist(prev => prev.map(x => x.id===w.id ? { ...x, status: 'cancelled' } : x));
+    },
+  };
+  const isOwnWaitlistEntry = (w) => hasSupabase ? (session && w.createdBy === session.user.id) : true;
+
+  // Eier, medlem i bandet bookingen er gjort for, eller ansatte som kan håndtere alle bookinger
+  const isOwnBooking = (cell) => !hasSupabase || (session && ((cell.createdBy && cell.createdBy === session.user.id) || (cell.orgId && myOrgIds.includes(cell.orgId))));
+  const canDelete = (cell) => {
+    if (!cell) return false;
+    if (hasSupabase && !session) return false;
+    return isOwnBooking(cell) || can(role, 'manage:bookings');
+  };
+  const canAccess = (cell) => cell?.syncState !== 'pending' && canDelete(cell);
+
+  const roleOps = {
+    assign: async ({ email, role: r, partner }) => {
+      if (!email?.trim()) return setNotice('Skriv inn e-postadresse.');
+      const { error } = await supabase.rpc('role_assign', { p_email: email.trim(), p_role: r, p_partner: r === 'partner' || r === 'member' ? (partner || null) : null });
+      if (error) return setNotice(bookingErrorText(error) || `Feil ved tildeling av rolle: ${error.message}`);
+      setUserRoles(await fetchUserRoles());
+      setNotice(`${email.trim()} er nå ${ROLE_LABEL[r].toLowerCase()}.`);
+    },
+    remove: async (userId) => {
+      const { error } = await supabase.from('user_roles').delete().eq('user_id', userId);
+      if (error) return setNotice(`Feil ved fjerning av rolle: ${error.message}`);
+      setUserRoles(await fetchUserRoles());
+    },
+  };
+
+  // Lokal demo: samme adaptere og regler som access_get_or_issue (mot mock-låsen når VITE_LOCK_SERVER_URL er satt)
+  const localGrantFor = async (b, { syncOnly = false } = {}) => {
+    const current = currentGrant(accessGrants, b.id);
+    const win = accessWindow(b);
+    const provider = accessProviderFor(current?.provider || LOCAL_ACCESS_PROVIDER, { baseUrl: LOCK_SERVER_URL });
+    if (current?.status === 'issued' && grantMatchesWindow(current, win) && await provider.status(current).catch(() => 'unknown') !== 'revoked') return current;
+    if (syncOnly && !current) return null;
+    // Gammel kode trekkes tilbake (også tidligere mislykkede forsøk); feiler låsen blir raden stående som 'error'
+    const results = {};
+    for (const g of accessGrants.filter(x => x.booking_id === b.id && (isRevokeFailure(x) || (x.id === current?.id && x.status === 'issued')))) {
+      results[g.id] = await revokeWithRetry(accessProviderFor(g.provider, { baseUrl: LOCK_SERVER_URL }), g);
+    }
+    const issued = await issueWithRetry(provider, { id: nextId(), booking_id: b.id, door_ids: ['main', b.roomId], ...win, issued_to: b.bookedFor || null, created_by: b.createdBy, created_at: new Date().toISOString() });
+    setAccessGrants(prev => [...prev.filter(g => !(g.id === current?.id && current.status === 'error')).map(g => results[g.id] ? { ...g, ...results[g.id] } : g), issued]);
+    return issued;
+  };
+  const revokeLocalGrants = async (bookingIds) => {
+    const targets = accessGrants.filter(g => (g.status === 'issued' || isRevokeFailure(g)) && bookingIds.includes(g.booking_id));
+    const results = {};
+    for (const g of targets) results[g.id] = await revokeWithRetry(accessProviderFor(g.provider, { baseUrl: LOCK_SERVER_URL }), g);
+    if (targets.length) setAccessGrants(prev => prev.map(g => results[g.id] ? { ...g, ...results[g.id] } : g));
+  };
+
+  // Dørlogg og no-show. I drift kommer hendelsene fra låsen (door_events) – lokalt kan en døråpning simuleres.
+  const doorOps = {
+    refresh: async () => {
+      if (!hasSupabase) return;
+      try { setDoorEvents(await fetchDoorEvents(dateISO)); }
+      catch (error) { setNotice(`Feil ved henting av dørlogg: ${error.message}`); }
+    },
+    simulate: ({ doorId, credential }) => {
+      if (!doorId) return setNotice('Oppgi dør.');
+      const linked = linkDoorEvent({ id: nextId(), doorId, credential: credential || null, occurredAt: new Date().toISOString() }, accessGrants);
+      const grant = accessGrants.find(g => g.id === linked.grantId);
+      const booking = linked.bookingId ? flattenStore(bookings).find(x => x.id === linked.bookingId) : null;
+      const ev = { ...linked, result: grant ? 'granted' : 'denied', roomId: booking?.roomId || (rooms.some(r => r.id === doorId) ? doorId : null) };
+      setDoorEvents(prev => [ev, ...prev]);
+      setNotice(`Dør ${doorId}: ${DOOR_RESULT_LABEL[ev.result].toLowerCase()}${booking ? ` (${bookingLabel(booking)})` : ''}.`);
+    },
+    // Frigir tiden til ventelisten; med gebyr faktureres full pris (klippekort: klippet refunderes ikke)
+    release: async (b, withFee) => {
+      const fee = withFee && !b.voucherId && !b.voucherPartner ? (b.priceNOK || 0) : 0;
+      if (!window.confirm(`Frigi ${bookingLabel(b)} som no-show? ${fee ? `No-show-gebyr ${formatNOK(fee)}.` : 'Uten gebyr.'} Klipp refunderes ikke.`)) return;
+      if (hasSupabase) {
+        const { data, error } = await supabase.rpc('noshow_release', { p_id: b.id, p_fee: !!withFee, p_grace_min: NO_SHOW_GRACE_MIN });
+        if (error) return setNotice(bookingErrorText(error) || `Feil ved frigiving: ${error.message}`);
+        try { await supabase.functions.invoke('access_revoke', { body: { booking_id: b.id } }); } catch (_) {}
+        await refreshWaitlist();
+        await refreshBookings(dateISO, setBookings);
+        setCancelledList(await fetchCancelled(dateISO));
+        setRangeWeek(await refreshRange(startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
+        setRangeMonth(await refreshRange(startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
+        return setNotice(`${bookingLabel(b)} er frigitt.${Number(data) > 0 ? ` No-show-gebyr ${formatNOK(Number(data))}.` : ''}`);
       }
+      if (attendanceFor(b, doorEvents).state !== 'noShow') return setNotice(bookingErrorText({ message: 'NOT_NO_SHOW' }));
       const newStore = removeBooking(bookings, b);
+      const nowISO = new Date().toISOString();
+      const archived = { ...b, status: 'cancelled', cancelledAt: nowISO, cancelFeeNOK: fee, refundedKlipp: 0 };
+      setCancelledBookings(prev => [...prev, archived]);
+      setWaitlist(prev => offerNextWaitlist(prev, { date: b.date, roomId: b.roomId, roomType: b.type }, newStore[b.date], nowISO));
+      await revokeLocalGrants([b.id]);
       setBookings(newStore);
       saveLS("bookings", newStore);
       setRangeWeek(filterRangeLocal(newStore, startOfWeekISO(dateISO), endOfWeekISO(dateISO)));
       setRangeMonth(filterRangeLocal(newStore, startOfMonthISO(dateISO), endOfMonthISO(dateISO)));
-    }
+      await mailLocal('cancellation', [archived]);
+      setNotice(`${bookingLabel(b)} er frigitt.${fee ? ` No-show-gebyr ${formatNOK(fee)}.` : ''}`);
+    },
   };
 
   const showAccessFor = async (b) => {
     if (!b) return;
     if (!hasSupabase) {
-      const before = 15, after = 10;
-      const start = new Date(`${b.date}T${String(b.hour).padStart(2,'0')}:00:00Z`);
-      start.setMinutes(start.getMinutes()-before);
-      const end = new Date(`${b.date}T${String(b.hour+1).padStart(2,'0')}:00:00Z`);
-      end.setMinutes(end.getMinutes()+after);
-      setAccessModal({ open:true, booking:b, grant:{ provider:'demo-pin', secret: generateAccessCode(b), start_at: start.toISOString(), end_at: end.toISOString() }, error:null, loading:false });
+      setAccessModal({ open:true, booking:b, grant:null, error:null, loading:true });
+      const grant = await localGrantFor(b);
+      setAccessModal({ open:true, booking:b, grant, error: grant.status === 'error' ? grant.last_error : null, loading:false });
       return;
     }
     if (!session) { setNotice('Du må være innlogget for å vise tilgang.'); return; }
     setAccessModal({ open:true, booking:b, grant:null, error:null, loading:true });
     const { data, error } = await supabase.functions.invoke('access_get_or_issue', { body: { booking_id: b.id } });
-    if (error) setAccessModal({ open:true, booking:b, grant:null, error: error.message, loading:false });
+    // 502 = låsen svarte ikke etter alle forsøk; raden har status 'error' og last_error
+    const failed = error ? await error.context?.json?.().catch(() => null) : null;
+    if (error) setAccessModal({ open:true, booking:b, grant: failed, error: failed?.last_error || error.message, loading:false });
     else setAccessModal({ open:true, booking:b, grant:data, error:null, loading:false });
   };
 
@@ -413,9 +4225,20 @@ export default function App() {
         bookedFor={bookedFor}
         setBookedFor={setBookedFor}
         pricing={pricing}
-        setPricing={setPricing}
+        roomTypes={roomTypes}
+        quote={view === "book" ? previewQuote : null}
         activeGroup={activeGroup}
         setActiveGroup={setActiveGroup}
+        role={role}
+        setDemoRole={setDemoRole}
+        online={online}
+        pendingCount={syncQueue.filter(e => e.status === 'pending').length}
+        breakEvenPct={breakEven?.utilization ?? null}
+        emailLang={emailLang}
+        setEmailLang={setEmailLang}
+        orgs={orgs.filter(o => myOrgIds.includes(o.id))}
+        activeOrgId={activeOrgId}
+        setActiveOrgId={setActiveOrgId}
       />
       {notice && (
         <div className="mx-auto max-w-7xl px-4 mt-3">
@@ -423,48 +4246,75 @@ export default function App() {
         </div>
       )}
       <main className="mx-auto max-w-7xl px-4 pb-24 w-full grow">
-        {view === "dashboard" && <Dashboard stats={stats} weekStats={weekStats} monthStats={monthStats} hasSupabase={hasSupabase} session={session} onShowAccess={showAccessFor} />}
+        {view === "dashboard" && <Dashboard stats={stats} weekStats={weekStats} monthStats={monthStats} hasSupabase={hasSupabase} session={session} onShowAccess={showAccessFor} onDelete={handleDelete} onMove={handleMove} canDelete={canDelete} canAccess={canAccess} flashIds={flash.ids} syncQueue={syncQueue} syncOps={syncOps} cancelled={cancelledToday} waitlist={waitlist} waitlistOps={waitlistOps} isOwnWaitlistEntry={isOwnWaitlistEntry} rooms={bookableRooms} feeds={calendarFeeds} feedOps={feedOps} groups={Object.keys(pricing.groups)}
+          doorEvents={doorEvents} doorOps={doorOps} canManageBookings={can(role, 'manage:bookings')} breakEven={breakEven}
+          dateISO={dateISO} roomTypes={roomTypes} partners={vouchers.map(v=>v.partner)} exportOps={exportOps} orgNames={orgNames} />}
         {view === "book" && (
           <BookingView
-            rooms={rooms}
-            bookings={bookings}
+            rooms={bookableRooms}
+            roomTypes={roomTypes}
+            bookings={displayBookings}
             dateISO={dateISO}
+            schedule={schedule}
+            blackouts={blackouts}
+            pricing={pricing}
+            pricingRules={pricingRules}
+            equipment={activeEquipment}
+            onPreview={setPreview}
+            activeGroup={activeGroup}
             onCreate={handleCreate}
+            onCheckSeries={checkSeries}
+            onJoinWaitlist={waitlistOps.join}
             onDelete={handleDelete}
             busyCells={busyCells}
-            canDelete={(cell)=> {
-              if (!cell) return false;
-              if (!hasSupabase) return true; // local fallback
-              if (!session) return false;
-              return cell.createdBy && cell.createdBy === session.user.id;
-            }}
+            flashSlots={flash.slots}
+            canDelete={canDelete}
           />
         )}
+        {view === "orgs" && (
+          <OrgsView orgs={orgs.filter(o => myOrgIds.includes(o.id))} userId={myUserId} invites={orgInvites} histories={orgHistories} ops={orgOps}
+            hasSupabase={hasSupabase} session={session} canAccess={canAccess} canDelete={canDelete} onShowAccess={showAccessFor}
+            onDelete={async (b) => { await handleDelete(b); await refreshOrgHistory(b.orgId); }} />
+        )}
         {view === "vouchers" && (
-          <VoucherView vouchers={vouchers} setVouchers={setVouchers} />
+          <VoucherView vouchers={visibleVouchersFor(role, rolePartner, vouchers)} ledger={voucherLedger} ops={voucherOps} readOnly={!can(role, 'edit:vouchers')} />
+        )}
+        {view === "invoices" && (
+          <InvoicesView invoices={invoices} groups={Object.keys(pricing.groups)} dateISO={dateISO} ops={invoiceOps} />
+        )}
+        {view === "analytics" && (
+          <AnalyticsView summary={analytics} range={analyticsRange} setRange={setAnalyticsRange} rooms={rooms} roomTypes={roomTypes} schedule={schedule} blackouts={blackouts} breakEvenPct={breakEven?.utilization ?? null} />
         )}
         {view === "energy" && (
-          <EnergyView stats={stats} energy={energy} setEnergy={setEnergy} />
+          <EnergyView stats={stats} energy={energy} roomTypes={roomTypes} setEnergy={setEnergy} readOnly={!can(role, 'edit:energy')}
+            rooms={rooms} meters={meters} summary={energySummary} monthISO={dateISO.slice(0,7)} energyOps={energyOps} canImport={can(role, 'edit:energy')}
+            hvacSettings={hvacSettings} hvacWeek={hvacWeek} weekISO={startOfWeekISO(dateISO)} dateISO={dateISO} onSaveHvac={saveHvac} />
         )}
         {view === "admin" && (
-          <AdminView rooms={rooms} setRooms={setRooms} bookings={bookings} dateISO={dateISO} pricing={pricing} setPricing={setPricing} />
+          <AdminView rooms={rooms} roomTypes={roomTypes} roomOps={roomOps} roomTypeOps={roomTypeOps} equipment={equipment} equipmentOps={equipmentOps} bookings={bookings} dateISO={dateISO} pricing={pricing} setPricing={setPricing} cancellationRules={cancellationRules} onSaveCancellationRules={saveCancellationRules} pricingRules={pricingRules} onSavePricingRules={savePricingRules} schedule={schedule} onSaveSchedule={saveSchedule} blackouts={blackouts} blackoutOps={blackoutOps}
+            role={role} userRoles={hasSupabase ? userRoles : null} roleOps={roleOps} partners={vouchers.map(v=>v.partner)}
+            costs={costs} onSaveCosts={saveCosts} breakEven={breakEven} costMix={costMix} energy={energy} monthStats={monthStats} importOps={importOps}
+            notifySettings={notifySettings} onSaveNotify={saveNotify} emailLog={hasSupabase ? emailLog : outbox} />
         )}
       </main>
       <Footer />
-      <AccessModal open={accessModal.open} onClose={()=>setAccessModal({...accessModal, open:false})} grant={accessModal.grant} booking={accessModal.booking} error={accessModal.error} loading={accessModal.loading} />
+      <AccessModal open={accessModal.open} onClose={()=>setAccessModal({...accessModal, open:false})} grant={accessModal.grant} booking={accessModal.booking} error={accessModal.error} loading={accessModal.loading} onRetry={()=>showAccessFor(accessModal.booking)} />
     </div>
   );
 }
 
 // ----- Header / Nav + Auth -----
-function Header({ view, setView, stats, dateISO, setDateISO, hasSupabase, session, vouchers, voucherRequired, setVoucherRequired, activeVoucherId, setActiveVoucherId, bookForOthers, setBookForOthers, bookedFor, setBookedFor, pricing, setPricing, activeGroup, setActiveGroup }) {
+function Header({ view, setView, stats, dateISO, setDateISO, hasSupabase, session, vouchers, voucherRequired, setVoucherRequired, activeVoucherId, setActiveVoucherId, bookForOthers, setBookForOthers, bookedFor, setBookedFor, pricing, roomTypes, quote, activeGroup, setActiveGroup, role, setDemoRole, online, pendingCount, breakEvenPct = null, emailLang = 'nb', setEmailLang, orgs = [], activeOrgId = "", setActiveOrgId }) {
   const tabs = [
     { id: "dashboard", label: "Dashboard" },
     { id: "book", label: "Booking" },
+    { id: "orgs", label: "Band" },
     { id: "vouchers", label: "Vouchers" },
+    { id: "invoices", label: "Faktura" },
+    { id: "analytics", label: "Analyse" },
     { id: "energy", label: "Energi" },
     { id: "admin", label: "Admin" },
-  ];
+  ].filter(t => canView(role, t.id));
   const voucherUIEnabled = !bookForOthers; // når man booker for andre, skal klippekort ikke kreves/brukes
   return (
     <header className="sticky top-0 z-10 backdrop-blur bg-white/80 border-b border-neutral-200">
@@ -480,13 +4330,25 @@ function Header({ view, setView, stats, dateISO, setDateISO, hasSupabase, sessio
         <div className="ml-auto flex items-center gap-3">
           <input type="date" value={dateISO} onChange={e=>setDateISO(e.target.value)} className="px-3 py-1.5 rounded-md border border-neutral-300 text-sm"/>
           <div className="hidden md:flex gap-3">
-            <StatPill label="Utnyttelse i dag" value={`${stats.utilization.toFixed(1)}%`} ok={stats.utilization>=BREAK_EVEN} />
+            <StatPill label="Utnyttelse i dag" value={`${stats.utilization.toFixed(1)}%`} ok={breakEvenPct != null && stats.utilization>=breakEvenPct} />
             <StatPill label="Inntekt (est)" value={`${formatNOK(stats.revenueToday)}`} />
             <StatPill label="kWh/time (baseline)" value={stats.kwhPerBookedHour.toFixed(2)} />
           </div>
           <span className={`text-xs px-2 py-1 rounded border ${hasSupabase?"bg-green-50 text-green-700 border-green-200":"bg-neutral-50 text-neutral-600 border-neutral-200"}`}>
             {hasSupabase? 'DB: Supabase' : 'DB: Lokal demo'}
           </span>
+          {hasSupabase && (!online || pendingCount > 0) && (
+            <span className={`text-xs px-2 py-1 rounded border ${online ? 'bg-amber-50 text-amber-800 border-amber-200' : 'bg-red-50 text-red-700 border-red-200'}`}>
+              {online ? 'Synkroniserer' : 'Frakoblet'}{pendingCount > 0 ? ` • ${pendingCount} i kø` : ''}
+            </span>
+          )}
+          {hasSupabase ? (
+            <span className="text-xs px-2 py-1 rounded border bg-white">{ROLE_LABEL[role]}</span>
+          ) : (
+            <select title="Demo-rolle (kun lokalt)" value={role} onChange={e=>setDemoRole(e.target.value)} className="text-xs px-2 py-1 rounded border">
+              {ROLES.map(r => <option key={r} value={r}>{ROLE_LABEL[r]}</option>)}
+            </select>
+          )}
         </div>
       </div>
       <div className="mx-auto max-w-7xl px-4 pb-3 flex flex-wrap items-center gap-3 text-sm">
@@ -507,8 +4369,32 @@ function Header({ view, setView, stats, dateISO, setDateISO, hasSupabase, sessio
             <option value="kulturskole">Kulturskole</option>
             <option value="kulturenheten">Kulturenheten</option>
           </select>
-          <span className="text-neutral-500">(solo {formatNOK(computePrice('solo',pricing,activeGroup))}, band {formatNOK(computePrice('band',pricing,activeGroup))}, preprod {formatNOK(computePrice('preprod',pricing,activeGroup))})</span>
+          <span className="text-neutral-500">({roomTypes.map(t => `${t.label.toLowerCase()} ${formatNOK(computePrice(t.id,pricing,activeGroup))}`).join(', ')})</span>
         </div>
+        {orgs.length > 0 && (
+          <div className="flex items-center gap-2" title="Alle medlemmer av bandet ser bookingen, kan avlyse den og hente tilgang">
+            <span>Book for band:</span>
+            <select value={activeOrgId} onChange={e=>setActiveOrgId(e.target.value)} className="px-2 py-1 border rounded">
+              <option value="">Meg selv</option>
+              {orgs.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select>
+          </div>
+        )}
+        {setEmailLang && (
+          <div className="flex items-center gap-2" title="Språk på bekreftelse, endring, avlysning og påminnelse">
+            <span>E-post:</span>
+            <select value={emailLang} onChange={e=>setEmailLang(e.target.value)} className="px-2 py-1 border rounded">
+              {Object.entries(EMAIL_LANG_LABEL).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </div>
+        )}
+        {quote && (
+          <div className="flex items-center gap-2" title={quote.explanation.join('\n')}>
+            <span>Valgt: {quote.booking.roomName} {fmtMin(quote.booking.startMin)}–{fmtMin(quote.booking.endMin)}</span>
+            <b>{formatNOK(quote.priceNOK)}</b>
+            <span className="text-xs text-neutral-500">{quote.applied.length ? quote.applied.map(r => r.name).join(', ') : 'grunnpris'}{quote.addons?.length ? ` + ${addonsText(quote.addons)}` : ''}</span>
+          </div>
+        )}
         <div className={`flex items-center gap-2 ${voucherUIEnabled? '' : 'opacity-50 pointer-events-none'}`}>
           <input id="voucherlock" type="checkbox" checked={voucherRequired} onChange={e=>setVoucherRequired(e.target.checked)} />
           <label htmlFor="voucherlock">Krev klippekort ved booking</label>
@@ -569,17 +4455,21 @@ function StatPill({ label, value, ok }) {
 }
 
 // ----- Dashboard -----
-function Dashboard({ stats, weekStats, monthStats, hasSupabase, session, onShowAccess }) {
+function Dashboard({ stats, weekStats, monthStats, hasSupabase, session, onShowAccess, onDelete, onMove, canDelete, canAccess, flashIds, syncQueue, syncOps, cancelled, waitlist, waitlistOps, isOwnWaitlistEntry, rooms, feeds, feedOps, groups, doorEvents = [], doorOps, canManageBookings, breakEven = null, dateISO, roomTypes = DEFAULT_ROOM_TYPES, partners = [], exportOps, orgNames = {} }) {
+  const activeWaitlist = waitlist.filter(w => w.status==='waiting' || w.status==='offered' || (isOwnWaitlistEntry(w) && (w.status==='accepted' || w.status==='expired')))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startMin - b.startMin);
+  const roomName = (id) => rooms.find(r=>r.id===id)?.name || id;
+  const [movingId, setMovingId] = useState(null);
   return (
     <section className="mt-6 grid md:grid-cols-3 gap-4">
       <Card title="Utnyttelse i dag">
         <div className="flex items-end gap-4">
-          <BigNumber value={`${stats.utilization.toFixed(1)}%`} subt="Break-even 17,4%" ok={stats.utilization>=BREAK_EVEN} />
+          <BigNumber value={`${stats.utilization.toFixed(1)}%`} subt={breakEven?.utilization != null ? `Break-even ${breakEven.utilization.toFixed(1)} %` : 'Break-even ikke beregnet'} ok={breakEven?.utilization != null && stats.utilization>=breakEven.utilization} />
           <Bars percentage={stats.utilization} />
         </div>
       </Card>
       <Card title="Estimert inntekt i dag">
-        <BigNumber value={formatNOK(stats.revenueToday)} subt="Sum av faktiske slot-priser" />
+        <BigNumber value={formatNOK(stats.revenueToday)} subt={`Sum av faktiske slot-priser${stats.addonRevenueToday ? `, herav utstyr ${formatNOK(stats.addonRevenueToday)}` : ''}`} />
       </Card>
       <Card title="Energi (kWh per brukstime)">
         <BigNumber value={stats.kwhPerBookedHour.toFixed(2)} subt={`Baseline i dag`} />
@@ -587,13 +4477,13 @@ function Dashboard({ stats, weekStats, monthStats, hasSupabase, session, onShowA
 
       <Card title="Utnyttelse denne uken (man–søn)">
         <div className="flex items-end gap-4">
-          <BigNumber value={`${weekStats.utilization.toFixed(1)}%`} subt={`${weekStats.booked}/${weekStats.total} timer`} />
+          <BigNumber value={`${weekStats.utilization.toFixed(1)}%`} subt={`${weekStats.booked}/${weekStats.total} timer${weekStats.blocked ? ` • ${weekStats.blocked} t sperret` : ''}`} />
           <Bars percentage={weekStats.utilization} />
         </div>
       </Card>
       <Card title="Utnyttelse denne måneden">
         <div className="flex items-end gap-4">
-          <BigNumber value={`${monthStats.utilization.toFixed(1)}%`} subt={`${monthStats.booked}/${monthStats.total} timer`} />
+          <BigNumber value={`${monthStats.utilization.toFixed(1)}%`} subt={`${monthStats.booked}/${monthStats.total} timer${monthStats.blocked ? ` • ${monthStats.blocked} t sperret` : ''}`} />
           <Bars percentage={monthStats.utilization} />
         </div>
       </Card>
@@ -601,41 +4491,199 @@ function Dashboard({ stats, weekStats, monthStats, hasSupabase, session, onShowA
       <Card title="Dagens bookinger">
         {stats.todayList.length===0 && <div className="text-sm text-neutral-500">Ingen bookinger ennå. Gå til Booking for å legge inn.</div>}
         <ul className="text-sm divide-y">
-          {stats.todayList.map((b)=> {
-            const canAccess = hasSupabase ? (session && b.createdBy === session.user.id) : true;
+          {stats.todayList.map((b)=> (
+            <li key={b.id} className={`py-2 flex flex-wrap items-center justify-between transition-colors ${flashIds?.has(b.id) ? 'bg-amber-50' : ''}`}>
+              <span>
+                <span className="font-medium mr-2">{b.roomName}</span>
+                <span className="text-neutral-500">{fmtMin(b.startMin)}–{fmtMin(b.endMin)} • {b.typeLabel}</span>
+                {b.voucherPartner && <span className="ml-2 text-xs text-neutral-500">• via {b.voucherPartner}</span>}
+                {b.bookedFor && <span className="ml-2 text-xs text-neutral-500">• for {b.bookedFor}</span>}
+                {b.orgId && orgNames[b.orgId] && <span className="ml-2 text-xs text-neutral-500">• {orgNames[b.orgId]}</span>}
+                {b.groupCode && b.groupCode!=='standard' && <span className="ml-2 text-xs text-neutral-500">• {b.groupCode}</span>}
+                {b.seriesId && <span className="ml-2 text-xs text-neutral-500">• serie</span>}
+                {b.addons?.length > 0 && <span className="ml-2 text-xs text-neutral-500">• {addonsText(b.addons)}</span>}
+                {b.syncState === 'pending' && <span className="ml-2 text-xs text-amber-700">• {SYNC_STATE_LABEL.pending.toLowerCase()}</span>}
+              </span>
+              <div className="flex items-center gap-2">
+                {typeof b.priceNOK === 'number' && <span className="text-xs text-neutral-600" title={b.priceRules?.length ? `Prisregler: ${b.priceRules.map(r => r.name).join(', ')}` : undefined}>{formatNOK(b.priceNOK)}</span>}
+                {canAccess(b) && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onShowAccess(b)}>Tilgang</button>}
+                <button title="Last ned kalenderfil (.ics)" className="px-2 py-1 text-xs rounded border" onClick={()=>downloadICS([b], `booking_${b.date}_${fmtMin(b.startMin).replace(':','')}.ics`)}>.ics</button>
+                {canDelete(b) && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onDelete(b)}>Avlys</button>}
+                {canDelete(b) && b.seriesId && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onDelete(b, 'rest')}>Avlys resten av serien</button>}
+                {canDelete(b) && b.syncState !== 'pending' && <button className="px-2 py-1 text-xs rounded border" onClick={()=>setMovingId(movingId===b.id ? null : b.id)}>Flytt</button>}
+              </div>
+              {movingId===b.id && <MoveBookingForm booking={b} rooms={rooms} onMove={async (to) => { if (await onMove(b, to)) setMovingId(null); }} onCancel={()=>setMovingId(null)} />}
+            </li>
+          ))}
+        </ul>
+      </Card>
+      {syncQueue?.length > 0 && (
+        <Card title="Synkronisering (offline-kø)">
+          <ul className="text-sm divide-y">
+            {syncQueue.map(e => (
+              <li key={e.id} className="py-2 flex items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium mr-2">{bookingLabel(e.booking)}</span>
+                  <span className={`text-xs ${e.status==='conflict' ? 'text-red-700' : e.status==='synced' ? 'text-green-700' : 'text-amber-700'}`}>• {SYNC_STATE_LABEL[e.status]}</span>
+                  {e.error && <div className="text-xs text-red-700">{e.error}</div>}
+                </span>
+                {e.status !== 'pending' && <button className="px-2 py-1 text-xs rounded border" onClick={()=>syncOps.remove(e.id)}>Fjern</button>}
+              </li>
+            ))}
+          </ul>
+          {syncQueue.some(e => e.status==='pending') && <button className="mt-2 px-3 py-1.5 text-sm rounded border" onClick={syncOps.retry}>Synk nå</button>}
+        </Card>
+      )}
+      <Card title="Avlysninger (valgt dato)">
+        {cancelled.length===0 && <div className="text-sm text-neutral-500">Ingen avlysninger.</div>}
+        <ul className="text-sm divide-y">
+          {cancelled.map(c => (
+            <li key={c.id} className="py-2 flex items-center justify-between">
+              <span>
+                <span className="font-medium mr-2">{c.roomName}</span>
+                <span className="text-neutral-500">{fmtMin(c.startMin)}–{fmtMin(c.endMin)}</span>
+                <span className="ml-2 text-xs text-neutral-500">• avlyst {c.cancelledAt?.replace('T',' ').slice(0,16)}</span>
+              </span>
+              <span className="text-xs text-neutral-600">
+                {c.cancelFeeNOK > 0 ? `Gebyr ${formatNOK(c.cancelFeeNOK)}` : 'Uten gebyr'}
+                {c.refundedKlipp > 0 && ` • ${c.refundedKlipp} klipp refundert`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </Card>
+      <DoorLogCard bookings={stats.todayList.filter(b => b.syncState !== 'pending')} events={doorEvents} rooms={rooms} hasSupabase={hasSupabase} canManage={canManageBookings} ops={doorOps} />
+      <Card title="Venteliste">
+        {activeWaitlist.length===0 && <div className="text-sm text-neutral-500">Ingen på venteliste.</div>}
+        <ul className="text-sm divide-y">
+          {activeWaitlist.map(w => {
+            const own = isOwnWaitlistEntry(w);
             return (
-              <li key={`${b.roomId}-${b.hour}`} className="py-2 flex items-center justify-between">
+              <li key={w.id} className="py-2 flex items-center justify-between gap-2">
                 <span>
-                  <span className="font-medium mr-2">{b.roomName}</span>
-                  <span className="text-neutral-500">{fmtHour(b.hour)}–{fmtHour(b.hour+1)} • {b.typeLabel}</span>
-                  {b.voucherPartner && <span className="ml-2 text-xs text-neutral-500">• via {b.voucherPartner}</span>}
-                  {b.bookedFor && <span className="ml-2 text-xs text-neutral-500">• for {b.bookedFor}</span>}
-                  {b.groupCode && b.groupCode!=='standard' && <span className="ml-2 text-xs text-neutral-500">• {b.groupCode}</span>}
+                  <span className="font-medium mr-2">{w.roomId ? roomName(w.roomId) : `Alle ${roomTypeLabel(w.roomType).toLowerCase()}rom`}</span>
+                  <span className="text-neutral-500">{w.date} {fmtMin(w.startMin)}–{fmtMin(w.endMin)}</span>
+                  {w.status==='waiting' && <span className="ml-2 text-xs text-neutral-500">• nr. {waitlistPosition(waitlist, w)} i kø</span>}
+                  {w.status==='offered' && <span className="ml-2 text-xs text-green-700">• tilbudt {roomName(w.offeredRoomId)} til {w.offerExpiresAt && osloDateTime(w.offerExpiresAt).slice(11,16)}</span>}
+                  {w.status==='accepted' && <span className="ml-2 text-xs text-neutral-500">• akseptert</span>}
+                  {w.status==='expired' && <span className="ml-2 text-xs text-red-600">• tilbud utløpt</span>}
                 </span>
-                <div className="flex items-center gap-2">
-                  {typeof b.priceNOK === 'number' && <span className="text-xs text-neutral-600">{formatNOK(b.priceNOK)}</span>}
-                  {!hasSupabase && <code className="text-xs bg-neutral-100 px-2 py-1 rounded">kode {generateAccessCode(b)}</code>}
-                  {canAccess && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onShowAccess(b)}>Tilgang</button>}
-                </div>
+                {own && (
+                  <div className="flex items-center gap-2">
+                    {w.status==='offered' && <button className="px-2 py-1 text-xs rounded bg-neutral-900 text-white" onClick={()=>waitlistOps.accept(w)}>Ta tiden</button>}
+                    {w.status==='offered' && <button className="px-2 py-1 text-xs rounded border" onClick={()=>waitlistOps.decline(w)}>Avslå</button>}
+                    {w.status==='waiting' && <button className="px-2 py-1 text-xs rounded border" onClick={()=>waitlistOps.leave(w)}>Forlat kø</button>}
+                  </div>
+                )}
               </li>
             );
           })}
         </ul>
       </Card>
-      <Card title="Rask eksport (CSV)">
-        <p className="text-sm text-neutral-600 mb-2">Eksporter bookinger for valgt dato.</p>
-        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white text-sm" onClick={()=>exportCSV(stats.todayList)}>Last ned CSV</button>
-      </Card>
-      <Card title="Break-even indikator">
-        <p className="text-sm">Utnyttelse i dag: <b>{stats.utilization.toFixed(1)}%</b>. Break-even: <b>{BREAK_EVEN}%</b>.</p>
-        <div className="h-2 bg-neutral-200 rounded mt-3 overflow-hidden">
-          <div className="h-full bg-neutral-900" style={{ width: `${Math.min(100, stats.utilization)}%` }} />
-        </div>
-      </Card>
+      <ExportCard dateISO={dateISO} rooms={rooms} roomTypes={roomTypes} groups={groups} partners={partners} ops={exportOps} />
+      <CalendarFeedsCard hasSupabase={hasSupabase} session={session} feeds={feeds} ops={feedOps} rooms={rooms} groups={groups} canShareAll={canManageBookings} />
+      {breakEven && (
+        <Card title="Break-even denne måneden">
+          {breakEven.utilization == null
+            ? <p className="text-sm text-red-600">Prisene dekker ikke de variable kostnadene – break-even kan ikke nås. Se Admin → Kostnader.</p>
+            : <p className="text-sm">Utnyttelse hittil: <b>{monthStats.utilization.toFixed(1)}%</b>. Break-even: <b>{breakEven.utilization.toFixed(1)}%</b> ({Math.ceil(breakEven.hours)} t, {formatNOK(breakEven.revenueNOK)}).</p>}
+          <div className="relative h-2 bg-neutral-200 rounded mt-3 overflow-hidden">
+            <div className={`h-full ${breakEven.utilization != null && monthStats.utilization >= breakEven.utilization ? 'bg-green-600' : 'bg-neutral-900'}`} style={{ width: `${Math.min(100, monthStats.utilization)}%` }} />
+            {breakEven.utilization != null && <div className="absolute top-0 h-full w-0.5 bg-red-500" style={{ left: `${Math.min(100, breakEven.utilization)}%` }} />}
+          </div>
+          <p className="text-xs text-neutral-500 mt-2">Faste kostnader {formatNOK(breakEven.fixedNOK)}/mnd mot {formatNOK(breakEven.marginPerHour ?? 0)} i dekningsbidrag per booket time.</p>
+        </Card>
+      )}
     </section>
   );
 }
 
+// Oppmøte per booking (første godkjente døråpning) og dørlogg per booking eller rom
+function DoorLogCard({ bookings, events, rooms, hasSupabase, canManage, ops }) {
+  const [openId, setOpenId] = useState(null);
+  const [roomId, setRoomId] = useState('');
+  const [sim, setSim] = useState({ doorId: 'main', credential: '' });
+  const now = new Date();
+  const roomName = (id) => rooms.find(r => r.id===id)?.name || id || '–';
+  const badge = { present: 'text-green-700', waiting: 'text-amber-700', noShow: 'text-red-600', upcoming: 'text-neutral-500' };
+  const eventLine = (e) => (
+    <li key={e.id} className="py-1 flex justify-between gap-2">
+      <span>{osloDateTime(e.occurredAt).slice(11,16)} • dør {e.doorId}{e.credentialHint ? ` • …${e.credentialHint}` : ''}</span>
+      <span className={e.result==='granted' ? 'text-green-700' : 'text-red-600'}>{DOOR_RESULT_LABEL[e.result]}{e.bookingId ? '' : ' • ukjent nøkkel'}</span>
+    </li>
+  );
+  const roomEvents = doorEventsFor(events, { roomId: roomId || null });
+  return (
+    <Card title="Oppmøte og dørlogg">
+      {bookings.length===0 && <div className="text-sm text-neutral-500">Ingen bookinger i dag.</div>}
+      <ul className="text-sm divide-y">
+        {bookings.map(b => {
+          const att = attendanceFor(b, events, now);
+          const log = doorEventsFor(events, { bookingId: b.id });
+          return (
+            <li key={b.id} className="py-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium mr-2">{b.roomName}</span>
+                  <span className="text-neutral-500">{fmtMin(b.startMin)}–{fmtMin(b.endMin)}</span>
+                  <span className={`ml-2 text-xs ${badge[att.state]}`}>• {ATTENDANCE_LABEL[att.state]}{att.at ? ` ${osloDateTime(att.at).slice(11,16)}` : ''}</span>
+                </span>
+                <div className="flex items-center gap-2">
+                  <button className="px-2 py-1 text-xs rounded border" onClick={()=>setOpenId(openId===b.id ? null : b.id)}>Logg ({log.length})</button>
+                  {canManage && att.state==='noShow' && <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.release(b, false)}>Frigi</button>}
+                  {canManage && att.state==='noShow' && <button className="px-2 py-1 text-xs rounded border border-red-300 text-red-700" onClick={()=>ops.release(b, true)}>Frigi + gebyr</button>}
+                </div>
+              </div>
+              {openId===b.id && (
+                <ul className="mt-1 ml-2 text-xs text-neutral-600">
+                  {log.length===0 ? <li>Ingen dørhendelser.</li> : log.map(eventLine)}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="mt-3 flex items-center gap-2 text-sm">
+        <span className="font-medium">Dørlogg</span>
+        <select value={roomId} onChange={e=>setRoomId(e.target.value)} className="px-2 py-1 border rounded">
+          <option value="">Alle rom</option>
+          {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+        </select>
+        {hasSupabase && <button className="ml-auto px-2 py-1 text-xs rounded border" onClick={ops.refresh}>Oppdater</button>}
+      </div>
+      <ul className="mt-1 text-xs text-neutral-600 max-h-48 overflow-y-auto">
+        {roomEvents.length===0 ? <li className="py-1">Ingen dørhendelser {roomId ? `for ${roomName(roomId)} ` : ''}denne dagen.</li> : roomEvents.map(eventLine)}
+      </ul>
+      {!hasSupabase && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <input value={sim.doorId} onChange={e=>setSim({...sim, doorId:e.target.value})} placeholder="Dør" className="px-2 py-1 border rounded w-24" />
+          <input value={sim.credential} onChange={e=>setSim({...sim, credential:e.target.value})} placeholder="PIN / nøkkel-id" className="px-2 py-1 border rounded w-32" />
+          <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.simulate(sim)}>Simuler døråpning</button>
+        </div>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">Ingen godkjent døråpning {NO_SHOW_GRACE_MIN} min etter start regnes som no-show. Ansatte kan frigi tiden til ventelisten, med eller uten gebyr.</p>
+    </Card>
+  );
+}
+
+function MoveBookingForm({ booking, rooms, onMove, onCancel }) {
+  const [date, setDate] = useState(booking.date);
+  const [roomId, setRoomId] = useState(booking.roomId);
+  const [time, setTime] = useState(fmtMin(booking.startMin));
+  return (
+    <div className="w-full mt-2 flex flex-wrap items-center gap-2 text-xs">
+      <input type="date" value={date} onChange={e=>setDate(e.target.value)} className="px-2 py-1 border rounded" />
+      <select value={roomId} onChange={e=>setRoomId(e.target.value)} className="px-2 py-1 border rounded">
+        {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+      </select>
+      <input type="time" step={SLOT_MINUTES*60} value={time} onChange={e=>setTime(e.target.value)} className="px-2 py-1 border rounded" />
+      <span className="text-neutral-500">({durationHours(booking)} t)</span>
+      <button className="px-2 py-1 rounded bg-neutral-900 text-white" onClick={()=>onMove({ date, roomId, startMin: parseHHMM(time) })}>Flytt hit</button>
+      <button className="px-2 py-1 rounded border" onClick={onCancel}>Avbryt</button>
+    </div>
+  );
+}
+
 function Bars({ percentage }) {
   const bars = Array.from({length: 10}, (_,i)=> i*10 < percentage);
   return (
@@ -645,6 +4693,127 @@ function Bars({ percentage }) {
   );
 }
 
+// Eksport av bookinger for en periode med filtre, kolonnevalg og format
+function ExportCard({ dateISO, rooms, roomTypes, groups, partners, ops }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ from: dateISO, to: dateISO, format: 'csv', columns: DEFAULT_EXPORT_COLUMNS,
+    filters: { roomId: '', roomType: '', groupCode: '', voucherPartner: '', bookedFor: '', owner: '', mine: false } });
+  useEffect(() => { setDraft(d => ({ ...d, from: dateISO, to: dateISO })); }, [dateISO]);
+  const setFilter = (patch) => setDraft(d => ({ ...d, filters: { ...d.filters, ...patch } }));
+  const toggleColumn = (id) => setDraft(d => ({ ...d, columns: d.columns.includes(id) ? d.columns.filter(c => c!==id) : EXPORT_COLUMNS.map(c => c.id).filter(c => c===id || d.columns.includes(c)) }));
+  const select = (label, key, options) => (
+    <label className="flex flex-col">{label}
+      <select value={draft.filters[key]} onChange={e=>setFilter({ [key]: e.target.value })} className="px-2 py-1 border rounded">
+        <option value="">Alle</option>
+        {options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+      </select>
+    </label>
+  );
+  return (
+    <Card title="Eksport">
+      <p className="text-sm text-neutral-600 mb-2">Eksporter bookinger for en periode som CSV, Excel eller JSON, med totalrad for timer og inntekt.</p>
+      <div className="flex gap-2">
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white text-sm" onClick={()=>ops.run({ ...draft, from: dateISO, to: dateISO, format: 'csv' })}>CSV for {dateISO}</button>
+        <button className="px-3 py-2 rounded-md border text-sm" onClick={()=>setOpen(true)}>Eksport …</button>
+      </div>
+      {open && (
+        <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-xl p-4 w-full max-w-2xl shadow-lg text-sm">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-semibold">Eksporter bookinger</h3>
+              <button onClick={()=>setOpen(false)}>Lukk</button>
+            </div>
+            <div className="flex flex-wrap gap-2 items-end">
+              <label className="flex flex-col">Fra<input type="date" value={draft.from} onChange={e=>setDraft({ ...draft, from: e.target.value })} className="px-2 py-1 border rounded" /></label>
+              <label className="flex flex-col">Til<input type="date" value={draft.to} onChange={e=>setDraft({ ...draft, to: e.target.value })} className="px-2 py-1 border rounded" /></label>
+              <button className="px-2 py-1 rounded border" onClick={()=>setDraft({ ...draft, from: startOfWeekISO(dateISO), to: endOfWeekISO(dateISO) })}>Uke</button>
+              <button className="px-2 py-1 rounded border" onClick={()=>setDraft({ ...draft, from: startOfMonthISO(dateISO), to: endOfMonthISO(dateISO) })}>Måned</button>
+            </div>
+            <div className="grid grid-cols-3 gap-2 mt-3">
+              {select('Rom', 'roomId', rooms.map(r => [r.id, r.name]))}
+              {select('Romtype', 'roomType', roomTypes.map(t => [t.id, t.label]))}
+              {select('Gruppe', 'groupCode', groups.map(g => [g, g]))}
+              {select('Klippekort-partner', 'voucherPartner', [...new Set(partners)].map(p => [p, p]))}
+              <label className="flex flex-col">Booket for (inneholder)<input value={draft.filters.bookedFor} onChange={e=>setFilter({ bookedFor: e.target.value })} className="px-2 py-1 border rounded" /></label>
+              <label className="flex flex-col">Eier (e-post inneholder)<input value={draft.filters.owner} onChange={e=>setFilter({ owner: e.target.value })} className="px-2 py-1 border rounded" /></label>
+              <label className="flex items-center gap-2 mt-5"><input type="checkbox" checked={draft.filters.mine} onChange={e=>setFilter({ mine: e.target.checked })} />Bare mine bookinger</label>
+            </div>
+            <div className="mt-3">
+              <div className="text-neutral-600 mb-1">Kolonner</div>
+              <div className="flex flex-wrap gap-x-4 gap-y-1">
+                {EXPORT_COLUMNS.map(c => (
+                  <label key={c.id} className="flex items-center gap-1"><input type="checkbox" checked={draft.columns.includes(c.id)} onChange={()=>toggleColumn(c.id)} />{c.label}</label>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center gap-4 mt-3">
+              {Object.entries(EXPORT_FORMATS).map(([k, v]) => (
+                <label key={k} className="flex items-center gap-1"><input type="radio" name="export-format" checked={draft.format===k} onChange={()=>setDraft({ ...draft, format: k })} />{v}</label>
+              ))}
+              <button className="ml-auto px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={async ()=>{ if (await ops.run(draft)) setOpen(false); }}>Last ned</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function CalendarFeedsCard({ hasSupabase, session, feeds, ops, rooms, groups, canShareAll = false }) {
+  const [draft, setDraft] = useState({ scope: 'user', roomId: rooms[0]?.id || '', groupCode: groups[0] || 'standard' });
+  if (!hasSupabase) {
+    return (
+      <Card title="Kalender">
+        <p className="text-sm text-neutral-600 mb-2">Abonnement krever Supabase. Last ned kommende bookinger som kalenderfil i stedet.</p>
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white text-sm" onClick={ops.downloadLocal}>Last ned .ics</button>
+      </Card>
+    );
+  }
+  const active = feeds.filter(f => !f.revokedAt);
+  return (
+    <Card title="Kalenderabonnement">
+      {!session && <div className="text-sm text-neutral-500">Logg inn for å lage en abonnementslenke.</div>}
+      {session && (
+        <>
+          <ul className="text-sm divide-y">
+            {active.length===0 && <li className="py-1 text-neutral-500">Ingen abonnement ennå.</li>}
+            {active.map(f => {
+              const url = ops.url(f);
+              return (
+                <li key={f.id} className="py-2 space-y-1">
+                  <div className="flex justify-between items-center">
+                    <span className="font-medium">{feedName(f, rooms)}</span>
+                    <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.revoke(f.id)}>Trekk tilbake</button>
+                  </div>
+                  <div className="flex gap-2">
+                    <input readOnly value={url} onFocus={e=>e.target.select()} className="flex-1 px-2 py-1 border rounded text-xs font-mono" />
+                    <a href={url.replace(/^https?:/, 'webcal:')} className="px-2 py-1 text-xs rounded border">Åpne</a>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex flex-wrap gap-2 items-center mt-2 text-sm">
+            {canShareAll && <select value={draft.scope} onChange={e=>setDraft({ ...draft, scope: e.target.value })} className="px-2 py-1 border rounded">
+              <option value="user">Mine bookinger</option>
+              <option value="room">Rom</option>
+              <option value="group">Gruppe</option>
+            </select>}
+            {draft.scope==='room' && <select value={draft.roomId} onChange={e=>setDraft({ ...draft, roomId: e.target.value })} className="px-2 py-1 border rounded">
+              {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>}
+            {draft.scope==='group' && <select value={draft.groupCode} onChange={e=>setDraft({ ...draft, groupCode: e.target.value })} className="px-2 py-1 border rounded">
+              {groups.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>}
+            <button className="px-3 py-1 rounded border" onClick={()=>ops.create(draft)}>+ Lenke</button>
+          </div>
+          <p className="text-xs text-neutral-500 mt-2">Lenken er hemmelig – alle som har den ser bookingene. Avlyste bookinger fjernes automatisk fra kalenderen.</p>
+        </>
+      )}
+    </Card>
+  );
+}
+
 function BigNumber({ value, subt, ok }) {
   return (
     <div>
@@ -664,53 +4833,183 @@ function Card({ title, children }) {
 }
 
 // ----- Booking View -----
-function BookingView({ rooms, bookings, dateISO, onCreate, onDelete, busyCells, canDelete }) {
-  const hours = hoursArray();
+function BookingView({ rooms, roomTypes, bookings, dateISO, schedule, blackouts, pricing, pricingRules, equipment = [], onPreview, activeGroup, onCreate, onCheckSeries, onJoinWaitlist, onDelete, busyCells, flashSlots, canDelete }) {
+  const day = openingHoursFor(dateISO, schedule);
+  const hours = hoursArray(day);
+  const slots = slotsArray(day);
   const dayBookings = bookings[dateISO] || {};
+  const [selection, setSelection] = useState(null); // { roomId, anchor, from, to } – to er eksklusiv
+  const [dragging, setDragging] = useState(false);
+  const [repeat, setRepeat] = useState({ on: false, freq: 'weekly', untilDate: '', count: 10, skipText: '' });
+  const [report, setReport] = useState(null); // { free, conflicts } fra forhåndssjekk
+  const [wait, setWait] = useState(null); // { target: roomId | 'type:<romtype>', startMin, endMin }
+  const [extras, setExtras] = useState({}); // valgt utstyr { equipmentId: antall }
+
+  useEffect(() => { setSelection(null); setWait(null); setExtras({}); }, [dateISO]);
+  useEffect(() => { setReport(null); }, [selection, repeat]);
+  // Noen andre har booket (deler av) valgt tidsrom i mellomtiden
+  useEffect(() => { if (selection && findOverlap(dayBookings[selection.roomId], selection.from, selection.to)) setSelection(null); }, [dayBookings]);
+  useEffect(() => { const up = () => setDragging(false); window.addEventListener('mouseup', up); return () => window.removeEventListener('mouseup', up); }, []);
+
+  // Utvid fra anker til slot, men aldri over en eksisterende booking eller sperring
+  const select = (roomId, anchor, slot) => {
+    const from = Math.min(anchor, slot), to = Math.max(anchor, slot) + SLOT_MINUTES;
+    if (findOverlap(dayBookings[roomId], from, to) || findBlackout(blackouts, { date: dateISO, roomId, startMin: from, endMin: to })) return;
+    setSelection({ roomId, anchor, from, to });
+  };
+  const onSlotDown = (e, roomId, slot) => {
+    e.preventDefault();
+    if (e.shiftKey && selection?.roomId === roomId) select(roomId, selection.anchor, slot);
+    else select(roomId, slot, slot);
+    setDragging(true);
+  };
+  const onSlotEnter = (roomId, slot) => { if (dragging && selection?.roomId === roomId) select(roomId, selection.anchor, slot); };
+
+  const selRoom = selection ? rooms.find(r=>r.id===selection.roomId) : null;
+  const selHours = selection ? (selection.to - selection.from) / 60 : 0;
+  const slotDraft = () => ({ id: nextId(), date: dateISO, roomId: selRoom.id, startMin: selection.from, endMin: selection.to, type: selRoom.type, typeLabel: roomTypeLabel(selRoom.type, roomTypes), roomName: selRoom.name });
+  const draft = () => { const b = slotDraft(); return { ...b, addons: buildAddons(extras, equipment, b) }; };
+  const free = selRoom ? equipmentAvailable(equipment, dayBookings, slotDraft()) : {};
+  const rule = () => repeat.untilDate
+    ? { freq: repeat.freq, untilDate: repeat.untilDate, count: null, skipDates: parseSkipDates(repeat.skipText) }
+    : { freq: repeat.freq, untilDate: null, count: Number(repeat.count)||1, skipDates: parseSkipDates(repeat.skipText) };
+  const check = async () => { if (selRoom) setReport(await onCheckSeries(draft(), rule())); };
+  const quoteFor = (b) => quoteWithAddons(quotePrice(b, pricing, pricingRules, activeGroup), b.addons);
+  const quote = selRoom ? quoteFor(draft()) : null;
+  useEffect(() => { onPreview?.(selection && selRoom ? draft() : null); }, [selection, extras]);
+  useEffect(() => () => onPreview?.(null), []);
+  const confirm = () => {
+    if (!selRoom) return;
+    onCreate(draft(), repeat.on ? rule() : null);
+    setSelection(null); setExtras({});
+  };
 
-  const makeBooking = (roomId, hour) => {
-    const room = rooms.find(r=>r.id===roomId);
-    const b = { id: nextId(), date: dateISO, roomId, hour, type: room.type, typeLabel: roomTypeLabel(room.type), roomName: room.name };
-    onCreate(b);
+  const remove = (cell, scope) => { onDelete(cell, scope); };
+
+  const joinWaitlist = () => {
+    const anyType = wait.target.startsWith('type:') ? wait.target.slice(5) : null;
+    const room = anyType ? null : rooms.find(r=>r.id===wait.target);
+    onJoinWaitlist({ date: dateISO, roomId: room?.id || null, roomType: anyType || room?.type, startMin: wait.startMin, endMin: wait.endMin });
+    setWait(null);
   };
+  const usedTypes = [...new Set(rooms.map(r=>r.type))];
 
-  const remove = (roomId, hour) => { onDelete({ date: dateISO, roomId, hour }); };
+  // Slå sammen slots som dekkes av samme booking eller sperring til én celle
+  const rowCells = (room) => {
+    const byRoom = dayBookings[room.id] || {};
+    const roomBlackouts = Object.fromEntries(blackoutsOn(blackouts, dateISO, room.id).map(x => [x.id, x]));
+    const out = [];
+    for (let i = 0; i < slots.length;) {
+      const cell = bookingAt(byRoom, slots[i]);
+      const blocked = cell ? null : bookingAt(roomBlackouts, slots[i]);
+      const hit = cell || blocked;
+      if (hit) {
+        const span = Math.max(1, Math.min(slots.length - i, Math.ceil((hit.endMin - slots[i]) / SLOT_MINUTES)));
+        out.push({ slot: slots[i], span, cell, blocked }); i += span;
+      } else { out.push({ slot: slots[i], span: 1, cell: null, blocked: null }); i++; }
+    }
+    return out;
+  };
 
   return (
     <section className="mt-6">
       <div className="mb-3 flex items-center justify-between">
         <h2 className="font-semibold">Booking – {dateISO}</h2>
-        <div className="text-sm text-neutral-600">Åpent {OPEN_HOUR}:00–{CLOSE_HOUR}:00 • {rooms.length} rom</div>
+        <div className="text-sm text-neutral-600">{day.closed ? `Stengt (${day.label})` : `Åpent ${fmtHour(day.open)}–${fmtHour(day.close)}${day.label ? ` (${day.label})` : ''}`} • {rooms.length} rom</div>
       </div>
-      <div className="overflow-x-auto">
+      {selRoom && (
+        <div className="mb-3 flex items-center gap-3 text-sm bg-white border border-neutral-200 rounded px-3 py-2">
+          <span><b>{selRoom.name}</b> {fmtMin(selection.from)}–{fmtMin(selection.to)} ({selHours.toLocaleString('nb-NO')} t) • <span title={quote.explanation.join('\n')}>{formatNOK(quote.priceNOK)}{quote.applied.length ? ` (${quote.applied.map(r => r.name).join(', ')})` : ''}{quote.addons.length ? ` inkl. utstyr ${formatNOK(addonsTotal(quote.addons))}` : ''}</span></span>
+          <label className="flex items-center gap-1"><input type="checkbox" checked={repeat.on} onChange={e=>setRepeat({...repeat, on:e.target.checked})} /> Gjenta</label>
+          {repeat.on && (
+            <>
+              <select value={repeat.freq} onChange={e=>setRepeat({...repeat, freq:e.target.value})} className="px-2 py-1 border rounded">
+                <option value="weekly">Hver uke</option>
+                <option value="biweekly">Annenhver uke</option>
+              </select>
+              <span>til</span>
+              <input type="date" value={repeat.untilDate} onChange={e=>setRepeat({...repeat, untilDate:e.target.value})} className="px-2 py-1 border rounded" />
+              <span>eller</span>
+              <input type="number" min="1" value={repeat.count} disabled={!!repeat.untilDate} onChange={e=>setRepeat({...repeat, count:e.target.value})} className="px-2 py-1 border rounded w-16" />
+              <span>ganger</span>
+              <input value={repeat.skipText} onChange={e=>setRepeat({...repeat, skipText:e.target.value})} placeholder="Hopp over (ÅÅÅÅ-MM-DD, …)" className="px-2 py-1 border rounded min-w-[200px]" />
+            </>
+          )}
+          {repeat.on && !report && <button className="ml-auto px-3 py-1.5 rounded-md bg-neutral-900 text-white" onClick={check}>Sjekk serie</button>}
+          {(!repeat.on || report) && <button disabled={repeat.on && !report.free.length} className="ml-auto px-3 py-1.5 rounded-md bg-neutral-900 text-white disabled:bg-neutral-400" onClick={confirm}>{repeat.on ? `Book ${report.free.length} ganger` : 'Book'}</button>}
+          <button className="px-3 py-1.5 rounded-md border" onClick={()=>setSelection(null)}>Avbryt</button>
+        </div>
+      )}
+      {selRoom && equipment.length > 0 && (
+        <div className="mb-3 flex flex-wrap items-center gap-3 text-sm bg-white border border-neutral-200 rounded px-3 py-2">
+          <span className="font-medium">Utstyr:</span>
+          {equipment.map(e => (
+            <label key={e.id} className={`flex items-center gap-1 ${free[e.id] ? '' : 'text-neutral-400'}`} title={`${formatNOK(e.priceNOK)} ${EQUIPMENT_UNIT_LABEL[e.unit]} • ${free[e.id]} av ${e.quantity} ledig i tidsrommet`}>
+              <input type="number" min="0" max={free[e.id]} value={extras[e.id] || 0} disabled={!free[e.id] && !extras[e.id]}
+                onChange={ev=>setExtras({ ...extras, [e.id]: Math.max(0, Math.min(free[e.id], Math.floor(Number(ev.target.value))||0)) })} className="px-1 py-0.5 border rounded w-12" />
+              {e.name} <span className="text-xs text-neutral-500">({free[e.id]} ledig)</span>
+            </label>
+          ))}
+        </div>
+      )}
+      {selRoom && repeat.on && report && (
+        <div className="mb-3 text-sm bg-white border border-neutral-200 rounded px-3 py-2">
+          <div>{report.free.length} ledige datoer, {report.conflicts.length} konflikter. Sum {formatNOK(report.free.reduce((acc, d) => acc + quoteFor({ ...draft(), date: d }).priceNOK, 0))}.</div>
+          {report.conflicts.length > 0 && <div className="text-red-700 text-xs mt-1">Opptatt (hoppes over): {report.conflicts.join(', ')}</div>}
+        </div>
+      )}
+      {day.closed ? (
+        <div className="p-6 text-center text-sm text-neutral-600 bg-white border border-neutral-200 rounded">Stengt – {day.label}. Velg en annen dato.</div>
+      ) : (
+      <div className="overflow-x-auto select-none">
         <table className="w-full text-sm border-collapse">
           <thead>
             <tr>
               <th className="text-left p-2 sticky left-0 bg-neutral-50">Rom</th>
-              {hours.map(h=> <th key={h} className="p-2 text-center border-b border-neutral-200 min-w-[60px]">{fmtHour(h)}</th>)}
+              {hours.map(h=> <th key={h} colSpan={60/SLOT_MINUTES} className="p-2 text-center border-b border-neutral-200 min-w-[60px]">{fmtHour(h)}</th>)}
             </tr>
           </thead>
           <tbody>
             {rooms.map(room => (
               <tr key={room.id} className="odd:bg-white even:bg-neutral-50">
-                <td className="p-2 font-medium sticky left-0 bg-inherit">{room.name} <span className="text-xs text-neutral-500">• {roomTypeLabel(room.type)}</span></td>
-                {hours.map(h => {
-                  const cell = dayBookings[room.id]?.[h];
-                  const taken = !!cell;
-                  const cellKey = `${room.id}-${h}`;
+                <td className="p-2 font-medium sticky left-0 bg-inherit" title={roomSummary(room) || undefined}>{room.name} <span className="text-xs text-neutral-500">• {roomTypeLabel(room.type, roomTypes)}{room.capacity ? ` • ${room.capacity} pers.` : ''}</span></td>
+                {rowCells(room).map(({ slot, span, cell, blocked }) => {
+                  const cellKey = `${room.id}-${cell ? cell.startMin : slot}`;
                   const isBusy = busyCells?.has(cellKey);
-                  const deletable = taken && canDelete(cell);
+                  const flashed = flashSlots?.has(`${dateISO}|${room.id}|${slot}`) ? ' ring-2 ring-amber-400 animate-pulse' : '';
+                  if (blocked) {
+                    return (
+                      <td key={slot} colSpan={span} className="p-1 text-center border-b border-neutral-100">
+                        <div title={`Sperret ${fmtMin(blocked.startMin)}–${fmtMin(blocked.endMin)}`} className="w-full py-2 rounded text-xs text-neutral-600 bg-neutral-200 border border-dashed border-neutral-400 truncate">Sperret: {blocked.reason}</div>
+                      </td>
+                    );
+                  }
+                  if (cell) {
+                    const deletable = canDelete(cell);
+                    return (
+                      <td key={slot} colSpan={span} className="p-1 text-center border-b border-neutral-100">
+                        <div className="flex gap-1">
+                          <button disabled={!deletable || isBusy} title={cell.syncState === 'pending' ? SYNC_STATE_LABEL.pending : undefined} className={`w-full py-2 rounded text-white ${(!deletable||isBusy)? 'bg-neutral-400' : cell.syncState === 'pending' ? 'bg-amber-600 hover:bg-amber-500' : 'bg-neutral-900 hover:bg-neutral-800'}${flashed}`} onClick={()=>remove(cell, 'one')}>
+                            {isBusy ? '…' : deletable ? `Slett ${fmtMin(cell.startMin)}–${fmtMin(cell.endMin)}` : 'Booket'}{cell.seriesId ? ' ↻' : ''}{cell.syncState === 'pending' ? ' ⏳' : ''}
+                          </button>
+                          {deletable && cell.seriesId && !isBusy && (
+                            <button title="Slett denne og resten av serien" className="px-2 py-2 rounded text-white bg-neutral-700 hover:bg-neutral-600 text-xs" onClick={()=>remove(cell, 'rest')}>Resten</button>
+                          )}
+                          {!deletable && !isBusy && (
+                            <button title="Sett meg på venteliste for dette tidsrommet" className="px-2 py-2 rounded border border-neutral-300 bg-white hover:bg-neutral-100 text-xs" onClick={()=>setWait({ target: room.id, startMin: cell.startMin, endMin: cell.endMin })}>Vent</button>
+                          )}
+                        </div>
+                      </td>
+                    );
+                  }
+                  const selected = selection?.roomId === room.id && slot >= selection.from && slot < selection.to;
                   return (
-                    <td key={h} className="p-1 text-center border-b border-neutral-100">
-                      {taken ? (
-                        <button disabled={!deletable || isBusy} className={`w-full py-2 rounded text-white ${(!deletable||isBusy)? 'bg-neutral-400' : 'bg-neutral-900 hover:bg-neutral-800'}`} onClick={()=>remove(room.id, h)}>
-                          {isBusy ? '…' : deletable ? `Slett ${fmtHour(h)}–${fmtHour(h+1)}` : 'Booket'}
-                        </button>
-                      ) : (
-                        <button disabled={isBusy} className={`w-full py-2 rounded border ${isBusy? 'bg-neutral-100 text-neutral-400 border-neutral-200' : 'bg-white border-neutral-300 hover:bg-neutral-100'}`} onClick={()=>makeBooking(room.id, h)}>
-                          {isBusy ? '…' : 'Ledig'}
-                        </button>
-                      )}
+                    <td key={slot} className="p-0.5 text-center border-b border-neutral-100">
+                      <button disabled={isBusy} title={`Ledig ${fmtMin(slot)}`}
+                        className={`w-full min-w-[28px] py-2 rounded border ${isBusy? 'bg-neutral-100 text-neutral-400 border-neutral-200' : selected ? 'bg-neutral-300 border-neutral-500' : 'bg-white border-neutral-300 hover:bg-neutral-100'}${flashed}`}
+                        onMouseDown={e=>onSlotDown(e, room.id, slot)} onMouseEnter={()=>onSlotEnter(room.id, slot)}>
+                        {isBusy ? '…' : '\u00a0'}
+                      </button>
                     </td>
                   );
                 })}
@@ -719,15 +5018,122 @@ function BookingView({ rooms, bookings, dateISO, onCreate, onDelete, busyCells,
           </tbody>
         </table>
       </div>
-      <p className="text-xs text-neutral-500 mt-2">Tips: Klikk «Ledig» for å opprette booking. Du kan kun slette egne bookinger.</p>
+      )}
+      {wait && (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm bg-white border border-neutral-200 rounded px-3 py-2">
+          <span className="font-medium">Venteliste {dateISO}:</span>
+          <select value={wait.target} onChange={e=>setWait({...wait, target:e.target.value})} className="px-2 py-1 border rounded">
+            {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            {usedTypes.map(t => <option key={t} value={`type:${t}`}>Hvilket som helst {roomTypeLabel(t, roomTypes).toLowerCase()}rom</option>)}
+          </select>
+          <select value={wait.startMin} onChange={e=>setWait({...wait, startMin:Number(e.target.value)})} className="px-2 py-1 border rounded">
+            {slots.map(m => <option key={m} value={m}>{fmtMin(m)}</option>)}
+          </select>
+          <span>–</span>
+          <select value={wait.endMin} onChange={e=>setWait({...wait, endMin:Number(e.target.value)})} className="px-2 py-1 border rounded">
+            {slots.map(m => m+SLOT_MINUTES).map(m => <option key={m} value={m}>{fmtMin(m)}</option>)}
+          </select>
+          <button className="ml-auto px-3 py-1.5 rounded-md bg-neutral-900 text-white" onClick={joinWaitlist}>Sett på venteliste</button>
+          <button className="px-3 py-1.5 rounded-md border" onClick={()=>setWait(null)}>Avbryt</button>
+        </div>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">Tips: Klikk og dra (eller shift-klikk) over ledige felt for å velge tidsrom, og trykk «Book». Hvert felt er {SLOT_MINUTES} min. Huk av «Gjenta» for ukentlige serier. Du kan kun slette egne bookinger; ↻ markerer en serie. «Vent» setter deg på venteliste – blir tiden ledig får du den tilbudt i {WAITLIST_OFFER_MINUTES} min.</p>
     </section>
   );
 }
 
 // ----- Vouchers -----
-function VoucherView({ vouchers, setVouchers }) {
+const LEDGER_REASON_LABEL = { purchase: 'Kjøpt', adjust: 'Justert', redeem: 'Brukt', refund: 'Refundert' };
+
+// ----- Invoices View -----
+function InvoicesView({ invoices, groups, dateISO, ops }) {
+  const [draft, setDraft] = useState({ monthISO: dateISO.slice(0,7), kind: 'group', group: groups.find(g => g!=='standard') || groups[0] || 'standard', bookedFor: '' });
+  const [selectedId, setSelectedId] = useState(null);
+  const [credit, setCredit] = useState({ description: '', amountNOK: 0 });
+  const selected = invoices.find(i => i.id===selectedId);
+  const create = () => ops.createDraft({ monthISO: draft.monthISO, kind: draft.kind, customer: draft.kind==='group' ? draft.group : draft.bookedFor });
+  return (
+    <section className="mt-6 grid md:grid-cols-2 gap-4">
+      <Card title="Ny faktura">
+        <div className="flex flex-wrap gap-2 items-end text-sm">
+          <label className="flex flex-col">Måned<input type="month" value={draft.monthISO} onChange={e=>setDraft({ ...draft, monthISO: e.target.value })} className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col">Kunde<select value={draft.kind} onChange={e=>setDraft({ ...draft, kind: e.target.value })} className="px-2 py-1 border rounded">
+            <option value="group">Gruppe</option>
+            <option value="booked_for">Booket for (navn/epost)</option>
+          </select></label>
+          {draft.kind==='group'
+            ? <select value={draft.group} onChange={e=>setDraft({ ...draft, group: e.target.value })} className="px-2 py-1 border rounded">{groups.map(g => <option key={g} value={g}>{g}</option>)}</select>
+            : <input value={draft.bookedFor} onChange={e=>setDraft({ ...draft, bookedFor: e.target.value })} placeholder="Navn eller epost" className="px-2 py-1 border rounded" />}
+          <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={create}>Lag utkast</button>
+        </div>
+        <p className="text-xs text-neutral-500 mt-2">Utkastet henter alle ufakturerte bookinger og avbestillingsgebyr i måneden, og følger med når bookingene flyttes eller avlyses. Klippekort-bookinger er betalt via partner og tas ikke med.</p>
+      </Card>
+      <Card title="Fakturaer">
+        {invoices.length===0 && <div className="text-sm text-neutral-500">Ingen fakturaer ennå.</div>}
+        <table className="w-full text-sm">
+          <tbody>
+            {invoices.map(i => (
+              <tr key={i.id} className={`border-b border-neutral-100 ${i.id===selectedId ? 'bg-neutral-100' : ''}`}>
+                <td className="py-1">{i.number || '–'}</td>
+                <td>{i.period.slice(0,7)}</td>
+                <td>{invoiceCustomerLabel(i)}</td>
+                <td className="text-right">{formatNOK(invoiceTotal(i))}</td>
+                <td className={`text-xs ${i.status==='paid' ? 'text-green-700' : i.status==='sent' && i.dueOn < todayISO() ? 'text-red-600' : 'text-neutral-600'}`}>{INVOICE_STATUS_LABEL[i.status]}{i.status==='sent' && i.dueOn < todayISO() ? ' (forfalt)' : ''}</td>
+                <td className="text-right"><button className="px-2 py-1 text-xs rounded border" onClick={()=>setSelectedId(i.id===selectedId ? null : i.id)}>Vis</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Card>
+      {selected && (
+        <Card title={`${invoiceTitle(selected)} – ${invoiceCustomerLabel(selected)} – ${selected.period.slice(0,7)}`}>
+          <div className="text-xs text-neutral-500 mb-2">
+            Status: {INVOICE_STATUS_LABEL[selected.status]}
+            {selected.issuedOn && ` • fakturadato ${selected.issuedOn}`}
+            {selected.dueOn && ` • forfall ${selected.dueOn}`}
+            {selected.paidOn && ` • betalt ${selected.paidOn}`}
+          </div>
+          <ul className="text-sm divide-y">
+            {selected.lines.map(l => (
+              <li key={l.id} className="py-1 flex justify-between items-center gap-2">
+                <span className={l.kind==='credit' ? 'text-red-700' : ''}>{l.description}</span>
+                <span className="flex items-center gap-2">
+                  {formatNOK(l.amountNOK)}
+                  {selected.status==='draft' && <button className="px-2 py-0.5 text-xs rounded border" onClick={()=>ops.removeLine(selected, l.id)}>Fjern</button>}
+                </span>
+              </li>
+            ))}
+            <li className="py-1 flex justify-between font-semibold"><span>Sum</span><span>{formatNOK(invoiceTotal(selected))}</span></li>
+          </ul>
+          {selected.status==='draft' && (
+            <div className="flex flex-wrap gap-2 items-end mt-3 text-sm">
+              <label className="flex flex-col">Kreditering<input value={credit.description} onChange={e=>setCredit({ ...credit, description: e.target.value })} placeholder="Beskrivelse" className="px-2 py-1 border rounded" /></label>
+              <label className="flex flex-col">Beløp<input type="number" min={0} value={credit.amountNOK} onChange={e=>setCredit({ ...credit, amountNOK: Number(e.target.value)||0 })} className="px-2 py-1 border rounded w-24" /></label>
+              <button className="px-3 py-2 rounded border" disabled={!credit.amountNOK} onClick={()=>{ ops.addCredit(selected, credit); setCredit({ description: '', amountNOK: 0 }); }}>+ Kreditlinje</button>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2 mt-3 text-sm">
+            {selected.status==='draft' && <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={()=>ops.setStatus(selected, 'sent')}>Marker sendt</button>}
+            {selected.status==='sent' && <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={()=>ops.setStatus(selected, 'paid')}>Marker betalt</button>}
+            <button className="px-3 py-2 rounded border" onClick={()=>downloadInvoice(selected, 'pdf')}>PDF</button>
+            <button className="px-3 py-2 rounded border" onClick={()=>downloadInvoice(selected, 'json')}>JSON</button>
+            <button className="px-3 py-2 rounded border" onClick={()=>downloadInvoice(selected, 'csv')}>CSV</button>
+            {selected.status==='draft' && <button className="px-3 py-2 rounded border" onClick={()=>{ ops.remove(selected); setSelectedId(null); }}>Slett utkast</button>}
+          </div>
+          {selected.status==='draft' && <p className="text-xs text-neutral-500 mt-2">Fakturanummer tildeles når fakturaen markeres som sendt.</p>}
+        </Card>
+      )}
+    </section>
+  );
+}
+
+function VoucherView({ vouchers, ledger, ops, readOnly }) {
   const [partner, setPartner] = useState("");
   const [slots, setSlots] = useState(10);
+  const [expiresOn, setExpiresOn] = useState("");
+  const [historyId, setHistoryId] = useState(null);
+  const history = useMemo(() => ledger.filter(t => t.voucherId===historyId).sort((a, b) => b.at.localeCompare(a.at)), [ledger, historyId]);
+  const historyVoucher = vouchers.find(v => v.id===historyId);
   return (
     <section className="mt-6 grid md:grid-cols-2 gap-4">
       <Card title="Aktive vouchers">
@@ -736,38 +5142,328 @@ function VoucherView({ vouchers, setVouchers }) {
             <li key={v.id} className="py-2 flex items-center justify-between">
               <div>
                 <div className="font-medium">{v.partner}</div>
-                <div className="text-xs text-neutral-500">Klippekort: {v.slots} slots igjen</div>
+                <div className="text-xs text-neutral-500">
+                  Klippekort: {v.slots} slots igjen
+                  {v.expiresOn && <span className={v.expiresOn < todayISO() ? 'text-red-600' : ''}> • gyldig til {v.expiresOn}</span>}
+                </div>
               </div>
               <div className="flex items-center gap-2">
-                <button className="px-2 py-1 text-sm rounded border" onClick={()=> setVouchers(adjustVoucherSlots(vouchers, v.id, +5))}>+5</button>
-                <button className="px-2 py-1 text-sm rounded border" onClick={()=> setVouchers(adjustVoucherSlots(vouchers, v.id, -5))}>-5</button>
-                <button className="px-2 py-1 text-sm rounded border" onClick={()=> setVouchers(vouchers.filter(x => x.id!==v.id))}>Slett</button>
+                {!readOnly && <>
+                  <input type="date" title="Utløpsdato" value={v.expiresOn || ""} onChange={e=>ops.setExpiry(v.id, e.target.value)} className="px-1 py-0.5 text-xs rounded border" />
+                  <button className="px-2 py-1 text-sm rounded border" onClick={()=> ops.adjust(v.id, +5)}>+5</button>
+                  <button className="px-2 py-1 text-sm rounded border" onClick={()=> ops.adjust(v.id, -5)}>-5</button>
+                </>}
+                <button className="px-2 py-1 text-sm rounded border" onClick={()=> setHistoryId(historyId===v.id ? null : v.id)}>Historikk</button>
+                {!readOnly && <button className="px-2 py-1 text-sm rounded border" onClick={()=> ops.remove(v.id)}>Slett</button>}
               </div>
             </li>
           ))}
         </ul>
+        {vouchers.length===0 && <div className="text-sm text-neutral-500">Ingen klippekort.</div>}
       </Card>
-      <Card title="Opprett nytt klippekort">
+      {!readOnly && <Card title="Opprett nytt klippekort">
         <div className="flex flex-col gap-2">
           <label className="text-sm">Partner/klubb</label>
           <input value={partner} onChange={e=>setPartner(e.target.value)} placeholder="Fritidsklubb / skole / organisasjon" className="px-3 py-2 rounded border" />
           <label className="text-sm">Antall slots</label>
           <input type="number" value={slots} onChange={e=>setSlots(Number(e.target.value))} className="px-3 py-2 rounded border w-32" />
+          <label className="text-sm">Gyldig til (valgfritt)</label>
+          <input type="date" value={expiresOn} onChange={e=>setExpiresOn(e.target.value)} className="px-3 py-2 rounded border w-48" />
           <button className="px-3 py-2 rounded-md bg-neutral-900 text-white w-fit" onClick={()=>{
             if(!partner) return;
-            setVouchers([...vouchers, { id: nextId(), partner, slots: Number(slots)||0 }]); setPartner(""); setSlots(10);
+            ops.create({ partner, slots: Number(slots)||0, expiresOn }); setPartner(""); setSlots(10); setExpiresOn("");
           }}>Opprett</button>
         </div>
         <p className="text-xs text-neutral-500 mt-3">Aktiver krav i toppbaren for å kreve klipp ved booking.</p>
+      </Card>}
+      {historyVoucher && (
+        <Card title={`Historikk – ${historyVoucher.partner}`}>
+          {history.length===0 && <div className="text-sm text-neutral-500">Ingen transaksjoner ennå.</div>}
+          <ul className="text-sm divide-y">
+            {history.map(t => (
+              <li key={t.id} className="py-1.5 flex items-center justify-between">
+                <span>
+                  <span className="text-neutral-500 mr-2">{t.at.replace('T',' ').slice(0,16)}</span>
+                  {LEDGER_REASON_LABEL[t.reason] || t.reason}
+                  {t.bookingLabel && <span className="ml-2 text-neutral-600">• {t.bookingLabel}</span>}
+                </span>
+                <span className={`font-mono ${t.delta<0 ? 'text-red-700' : 'text-green-700'}`}>{t.delta>0 ? `+${t.delta}` : t.delta}</span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+    </section>
+  );
+}
+
+// ----- Band / organisasjoner -----
+function OrgsView({ orgs, userId, invites, histories, ops, hasSupabase, session, canAccess, canDelete, onShowAccess, onDelete }) {
+  const [draft, setDraft] = useState({ name: '', kind: 'band' });
+  const [invite, setInvite] = useState({});
+  const [shownId, setShownId] = useState(null);
+  const base = typeof window === 'undefined' ? '' : `${window.location.origin}${window.location.pathname}`;
+  const shown = orgs.find(o => o.id === shownId) || orgs[0];
+  const history = shown ? histories[shown.id] : null;
+  if (hasSupabase && !session) return <section className="mt-6"><Card title="Band"><div className="text-sm text-neutral-500">Logg inn for å se og opprette band.</div></Card></section>;
+  const bookingRow = (b, actions) => (
+    <li key={b.id} className="py-1.5 flex flex-wrap items-center justify-between">
+      <span>
+        <span className="text-neutral-500 mr-2">{b.date} {fmtMin(b.startMin)}–{fmtMin(b.endMin)}</span>
+        <span className="font-medium">{b.roomName}</span>
+        {b.status === 'cancelled' && b.cancelFeeNOK > 0 && <span className="ml-2 text-xs text-neutral-500">• gebyr {formatNOK(b.cancelFeeNOK)}</span>}
+      </span>
+      <div className="flex items-center gap-2">
+        {b.status !== 'cancelled' && typeof b.priceNOK === 'number' && <span className="text-xs text-neutral-600">{formatNOK(b.priceNOK)}</span>}
+        {actions && canAccess(b) && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onShowAccess(b)}>Tilgang</button>}
+        {actions && canDelete(b) && <button className="px-2 py-1 text-xs rounded border" onClick={()=>onDelete(b)}>Avlys</button>}
+      </div>
+    </li>
+  );
+  return (
+    <section className="mt-6 grid md:grid-cols-2 gap-4">
+      <Card title="Mine band">
+        {orgs.length===0 && <div className="text-sm text-neutral-500">Du er ikke medlem av noe band ennå.</div>}
+        <ul className="divide-y">
+          {orgs.map(o => (
+            <li key={o.id} className="py-2 flex items-center justify-between">
+              <div>
+                <div className="font-medium">{o.name}</div>
+                <div className="text-xs text-neutral-500">{ORG_KIND_LABEL[o.kind]} • {o.members.length} medlem(mer) • du er {ORG_ROLE_LABEL[orgRoleOf(o, userId)].toLowerCase()}</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button className={`px-2 py-1 text-sm rounded border ${shown?.id===o.id ? 'bg-neutral-900 text-white' : ''}`} onClick={()=>setShownId(o.id)}>Vis</button>
+                {orgRoleOf(o, userId) === 'owner'
+                  ? <button className="px-2 py-1 text-sm rounded border" onClick={()=>ops.delete(o)}>Slett</button>
+                  : <button className="px-2 py-1 text-sm rounded border" onClick={()=>ops.remove(o, o.members.find(m => m.userId === userId))}>Forlat</button>}
+              </div>
+            </li>
+          ))}
+        </ul>
+        {invites.length > 0 && (
+          <div className="mt-3">
+            <div className="text-sm font-medium mb-1">Invitasjoner til deg</div>
+            <ul className="text-sm divide-y">
+              {invites.map(i => (
+                <li key={i.id} className="py-1.5 flex items-center justify-between">
+                  <span>{i.orgName} <span className="text-xs text-neutral-500">• som {ORG_ROLE_LABEL[i.role].toLowerCase()}</span></span>
+                  <div className="flex items-center gap-2">
+                    <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.accept(i)}>Godta</button>
+                    <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.decline(i)}>Avslå</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Card>
+      <Card title="Opprett band eller organisasjon">
+        <div className="flex flex-col gap-2">
+          <input value={draft.name} onChange={e=>setDraft({ ...draft, name: e.target.value })} placeholder="Navn" className="px-3 py-2 rounded border" />
+          <select value={draft.kind} onChange={e=>setDraft({ ...draft, kind: e.target.value })} className="px-3 py-2 rounded border w-48">
+            {Object.entries(ORG_KIND_LABEL).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <button className="px-3 py-2 rounded-md bg-neutral-900 text-white w-fit" onClick={async ()=>{ if (await ops.create(draft)) setDraft({ name: '', kind: 'band' }); }}>Opprett</button>
+        </div>
+        <p className="text-xs text-neutral-500 mt-3">Velg bandet i toppbaren når du booker – alle medlemmer ser bookingen, kan avlyse den og hente tilgang.</p>
       </Card>
+      {shown && (
+        <Card title={`Medlemmer – ${shown.name}`}>
+          <ul className="text-sm divide-y">
+            {shown.members.map(m => (
+              <li key={m.userId} className="py-1.5 flex items-center justify-between">
+                <span>{m.email || m.userId}{m.userId === userId && <span className="text-xs text-neutral-500"> (deg)</span>}</span>
+                {canManageOrg(shown, userId) && m.role !== 'owner' && m.userId !== userId
+                  ? <div className="flex items-center gap-2">
+                      <select value={m.role} onChange={e=>ops.setRole(shown, m, e.target.value)} className="px-1 py-0.5 text-xs rounded border">
+                        <option value="admin">{ORG_ROLE_LABEL.admin}</option>
+                        <option value="member">{ORG_ROLE_LABEL.member}</option>
+                      </select>
+                      <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.remove(shown, m)}>Fjern</button>
+                    </div>
+                  : <span className="text-xs text-neutral-500">{ORG_ROLE_LABEL[m.role]}</span>}
+              </li>
+            ))}
+          </ul>
+          {canManageOrg(shown, userId) && (
+            <div className="mt-3">
+              <div className="text-sm font-medium mb-1">Inviter medlem</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <input value={invite.email || ''} onChange={e=>setInvite({ ...invite, email: e.target.value })} placeholder="E-post" className="px-2 py-1 border rounded" />
+                <select value={invite.role || 'member'} onChange={e=>setInvite({ ...invite, role: e.target.value })} className="px-2 py-1 border rounded">
+                  <option value="member">{ORG_ROLE_LABEL.member}</option>
+                  <option value="admin">{ORG_ROLE_LABEL.admin}</option>
+                </select>
+                <button className="px-2 py-1 text-sm rounded border" onClick={async ()=>{ if (await ops.invite(shown, { email: invite.email, role: invite.role || 'member' })) setInvite({}); }}>Inviter</button>
+              </div>
+              <ul className="text-sm divide-y mt-2">
+                {shown.invites.map(i => (
+                  <li key={i.id} className="py-1.5 flex flex-wrap items-center justify-between gap-2">
+                    <span>{i.email} <span className="text-xs text-neutral-500">• {ORG_ROLE_LABEL[i.role].toLowerCase()} • gyldig til {i.expiresAt.slice(0,10)}</span></span>
+                    <div className="flex items-center gap-2">
+                      <input readOnly value={orgInviteURL(base, i.token)} onFocus={e=>e.target.select()} className="px-1 py-0.5 text-xs rounded border w-48" title="Del lenken med den inviterte" />
+                      {!hasSupabase && <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.accept(i)}>Godta (demo)</button>}
+                      <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.revokeInvite(shown, i)}>Trekk tilbake</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </Card>
+      )}
+      {shown && history && (
+        <Card title={`Historikk – ${shown.name}`}>
+          <div className="text-sm text-neutral-600 mb-2">
+            {history.past.length} gjennomført ({history.hours.toLocaleString('nb-NO')} t) • {history.cancelled.length} avlyst • brukt {formatNOK(history.spentNOK)}
+          </div>
+          <div className="text-sm font-medium">Kommende</div>
+          {history.upcoming.length===0 && <div className="text-sm text-neutral-500">Ingen kommende bookinger.</div>}
+          <ul className="text-sm divide-y">{history.upcoming.map(b => bookingRow(b, true))}</ul>
+          {history.past.length > 0 && <>
+            <div className="text-sm font-medium mt-3">Gjennomført</div>
+            <ul className="text-sm divide-y">{history.past.slice(0, 20).map(b => bookingRow(b, false))}</ul>
+          </>}
+          {history.cancelled.length > 0 && <>
+            <div className="text-sm font-medium mt-3">Avlyst</div>
+            <ul className="text-sm divide-y text-neutral-500">{history.cancelled.slice(0, 20).map(b => bookingRow(b, false))}</ul>
+          </>}
+        </Card>
+      )}
+    </section>
+  );
+}
+
+// ----- Analytics -----
+function AnalyticsView({ summary, range, setRange, rooms, roomTypes, schedule, blackouts, breakEvenPct = null }) {
+  const [scope, setScope] = useState('all'); // 'all' | 'type:<id>' | rom-id
+  const open = activeRooms(rooms);
+  const scopeRooms = scope === 'all' ? open : scope.startsWith('type:') ? open.filter(r => r.type === scope.slice(5)) : open.filter(r => r.id === scope);
+  const grid = useMemo(() => summary && heatmapGrid(summary.heatmap, scopeRooms.map(r => r.id), range.from, range.to, schedule), [summary, scope, rooms, range, schedule]);
+  const trend = useMemo(() => summary ? analyticsTrend(summary.monthly, open, range.from, range.to, schedule, blackouts) : [], [summary, rooms, range, schedule, blackouts]);
+  const preset = (from, to) => setRange({ from, to });
+  const today = todayISO();
+  const signed = (v, fmt) => v == null ? '' : `${v >= 0 ? '+' : '−'}${fmt(Math.abs(v))}`;
+  const totals = trend.reduce((acc, m) => ({ hours: acc.hours + m.hours, total: acc.total + m.total, revenueNOK: acc.revenueNOK + m.revenueNOK }), { hours: 0, total: 0, revenueNOK: 0 });
+  const maxRevenue = Math.max(1, ...trend.map(m => m.revenueNOK));
+  return (
+    <section className="mt-6 grid md:grid-cols-2 gap-4">
+      <div className="md:col-span-2">
+        <Card title="Periode">
+          <div className="flex flex-wrap items-end gap-2 text-sm">
+            <label className="flex flex-col">Fra<input type="date" value={range.from} onChange={e=>setRange({ ...range, from: e.target.value })} className="px-2 py-1 border rounded" /></label>
+            <label className="flex flex-col">Til<input type="date" value={range.to} onChange={e=>setRange({ ...range, to: e.target.value })} className="px-2 py-1 border rounded" /></label>
+            <button className="px-3 py-1.5 rounded border" onClick={()=>preset(startOfMonthISO(today), endOfMonthISO(today))}>Denne måneden</button>
+            <button className="px-3 py-1.5 rounded border" onClick={()=>preset(startOfMonthISO(addDaysISO(startOfMonthISO(today), -150)), endOfMonthISO(today))}>Siste 6 mnd</button>
+            <button className="px-3 py-1.5 rounded border" onClick={()=>preset(`${today.slice(0,4)}-01-01`, `${today.slice(0,4)}-12-31`)}>I år</button>
+            <span className="ml-auto text-neutral-600">{totals.hours.toFixed(1)} t av {totals.total} åpne romtimer ({(totals.total ? totals.hours / totals.total * 100 : 0).toFixed(1)} %) • {formatNOK(totals.revenueNOK)}</span>
+          </div>
+        </Card>
+      </div>
+      {!summary && <div className="md:col-span-2 text-sm text-neutral-500">Henter analyse …</div>}
+      {summary && (
+        <div className="md:col-span-2">
+          <Card title="Utnyttelse per ukedag og time">
+            <select value={scope} onChange={e=>setScope(e.target.value)} className="px-2 py-1 border rounded text-sm mb-2">
+              <option value="all">Alle rom</option>
+              {roomTypes.map(t => <option key={t.id} value={`type:${t.id}`}>Romtype: {t.label}</option>)}
+              {open.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+            <div className="overflow-x-auto">
+              <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+                <thead><tr><th></th>{grid.hours.map(h => <th key={h} className="font-normal text-neutral-500 w-9">{String(h).padStart(2,'0')}</th>)}</tr></thead>
+                <tbody>
+                  {grid.rows.map(row => (
+                    <tr key={row.weekday}>
+                      <td className="pr-2 text-neutral-600">{row.label.slice(0,3)}</td>
+                      {grid.hours.map(h => { const c = row.cells[h]; return (
+                        <td key={h} title={`${row.label} ${fmtHour(h)}: ${c.hours.toFixed(1)} av ${c.capacity} romtimer`}
+                          className={`h-7 text-center rounded ${c.pct == null ? 'bg-neutral-100 text-neutral-400' : c.pct >= 50 ? 'text-white' : ''}`}
+                          style={c.pct == null ? undefined : { backgroundColor: `rgba(23, 23, 23, ${Math.min(1, 0.05 + c.pct / 100)})` }}>
+                          {c.pct == null ? '' : c.pct.toFixed(0)}
+                        </td>
+                      ); })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-neutral-500 mt-2">Prosent booket av åpne romtimer i perioden. Grå celler er utenfor åpningstid; sperret tid er ikke trukket fra her.</p>
+          </Card>
+        </div>
+      )}
+      {summary && (
+        <div className="md:col-span-2">
+          <Card title="Måned for måned">
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-neutral-500"><th>Måned</th><th className="text-right">Bookinger</th><th className="text-right">Timer</th><th className="text-right">Utnyttelse</th><th className="text-right">Endring</th><th className="text-right">Inntekt</th><th className="text-right">Endring</th><th className="w-1/4"></th></tr></thead>
+              <tbody>
+                {trend.map(m => (
+                  <tr key={m.month} className="border-t border-neutral-100">
+                    <td className="py-1">{m.month}</td>
+                    <td className="text-right">{m.bookings}</td>
+                    <td className="text-right">{m.hours.toFixed(1)}</td>
+                    <td className={`text-right ${breakEvenPct != null && m.utilization >= breakEvenPct ? 'text-green-700' : ''}`}>{m.utilization.toFixed(1)} %</td>
+                    <td className="text-right text-neutral-500">{signed(m.utilizationDelta, v => `${v.toFixed(1)} pp`)}</td>
+                    <td className="text-right">{formatNOK(m.revenueNOK)}</td>
+                    <td className="text-right text-neutral-500">{signed(m.revenueDelta, formatNOK)}</td>
+                    <td><div className="h-2 bg-neutral-200 rounded overflow-hidden"><div className="h-full bg-neutral-900" style={{ width: `${(m.revenueNOK / maxRevenue) * 100}%` }} /></div></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-neutral-500 mt-2">Utnyttelse mot åpne timer minus sperringer{breakEvenPct != null ? ` (grønn over break-even ${breakEvenPct.toFixed(1)} % for valgt måned)` : ''}. Inntekt er bookingpris inkl. utstyr pluss avbestillingsgebyr.</p>
+          </Card>
+        </div>
+      )}
+      {summary && (
+        <Card title="Per gruppe">
+          {summary.groups.length === 0 && <div className="text-sm text-neutral-500">Ingen bookinger i perioden.</div>}
+          <table className="w-full text-sm">
+            <tbody>
+              {summary.groups.map(g => (
+                <tr key={g.groupCode} className="border-t border-neutral-100">
+                  <td className="py-1">{g.groupCode}</td>
+                  <td className="text-right">{g.bookings} bookinger</td>
+                  <td className="text-right">{g.hours.toFixed(1)} t</td>
+                  <td className="text-right">{formatNOK(g.revenueNOK)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+      {summary && (
+        <Card title="Per klippekort-partner">
+          {summary.partners.length === 0 && <div className="text-sm text-neutral-500">Ingen klippekort-bookinger i perioden.</div>}
+          <table className="w-full text-sm">
+            <tbody>
+              {summary.partners.map(p => (
+                <tr key={p.partner} className="border-t border-neutral-100">
+                  <td className="py-1">{p.partner}</td>
+                  <td className="text-right">{p.bookings} bookinger</td>
+                  <td className="text-right">{p.hours.toFixed(1)} t</td>
+                  <td className="text-right">{formatNOK(p.revenueNOK)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
     </section>
   );
 }
 
 // ----- Energy -----
-function EnergyView({ stats, energy, setEnergy }) {
+function EnergyView({ stats, energy, roomTypes, setEnergy, readOnly, rooms = [], meters = [], summary = [], monthISO, energyOps, canImport, hvacSettings = DEFAULT_HVAC, hvacWeek = [], weekISO, dateISO, onSaveHvac }) {
   const baseline = useMemo(()=>computeBaselineEnergy(stats), [stats]);
   const optimized = baseline * energy.optimizationFactor;
+  const measured = useMemo(() => energyComparison(summary, rooms, energy), [summary, rooms, energy]);
+  const kwh = (v) => v == null ? '–' : v.toFixed(2);
+  const pct = (v) => v == null ? '–' : `${v >= 0 ? '−' : '+'}${Math.abs(v).toFixed(0)} %`;
+  const [meterDraft, setMeterDraft] = useState({ id: '', label: '', roomId: '' });
+  const [importMeter, setImportMeter] = useState('');
+  const onFile = async (e) => { const file = e.target.files?.[0]; if (!file) return; await energyOps.importCSV(await file.text(), importMeter || null); e.target.value = ''; };
   return (
     <section className="mt-6 grid md:grid-cols-2 gap-4">
       <Card title="kWh per brukstime (estimat)">
@@ -790,19 +5486,142 @@ function EnergyView({ stats, energy, setEnergy }) {
         </div>
         <p className="text-xs text-neutral-500 mt-2">Forenklet beregning basert på fordeling av bookede timer per romtype.</p>
       </Card>
-      <Card title="Parametre (juster og se effekt)">
-        <div className="grid grid-cols-2 gap-3 text-sm">
-          <LabeledInput label="Solo kWh/h" value={energy.solo} onChange={v=> setEnergy({...energy, solo:Number(v)||0})} />
-          <LabeledInput label="Band kWh/h" value={energy.band} onChange={v=> setEnergy({...energy, band:Number(v)||0})} />
-          <LabeledInput label="Preprod kWh/h" value={energy.preprod} onChange={v=> setEnergy({...energy, preprod:Number(v)||0})} />
-          <LabeledInput label="Optimaliseringsfaktor" value={energy.optimizationFactor} onChange={v=> setEnergy({...energy, optimizationFactor:Number(v)||1})} />
-        </div>
+      <Card title={readOnly ? "Parametre" : "Parametre (juster og se effekt)"}>
+        <fieldset disabled={readOnly} className="grid grid-cols-2 gap-3 text-sm">
+          {roomTypes.map(t => (
+            <div key={t.id} className="flex flex-col gap-1">
+              <span className="text-neutral-600">{t.label} kWh/h</span>
+              <span className="px-3 py-2 rounded border bg-neutral-50">{t.kwhPerHour}</span>
+            </div>
+          ))}
+          <LabeledInput label="Optimaliseringsfaktor" value={energy.optimizationFactor} onChange={v=> setEnergy(curr => ({...curr, optimizationFactor:Number(v)||1}))} />
+        </fieldset>
+        <p className="text-xs text-neutral-500 mt-2">kWh per romtype endres under Admin → Romtyper.</p>
         <p className="text-xs text-neutral-500 mt-2">Tips: Sett faktor 0.85–0.9 for 10–15% kutt med styrt ventilasjon/lys.</p>
       </Card>
+      <div className="md:col-span-2">
+        <Card title={`Målt forbruk ${monthISO} (kWh per time)`}>
+          {measured.rows.length===0 && <div className="text-sm text-neutral-500">Ingen måledata for rom denne måneden. Importer CSV eller koble til undermålere.</div>}
+          {measured.rows.length > 0 && (
+            <table className="w-full text-sm">
+              <thead><tr className="text-left text-neutral-500"><th>Rom</th><th className="text-right">Booket t</th><th className="text-right">Målt/booket t</th><th className="text-right">Estimat</th><th className="text-right">Mål</th><th className="text-right">Målt/tom t</th><th className="text-right">Mot estimat</th></tr></thead>
+              <tbody>
+                {measured.rows.map(r => (
+                  <tr key={r.roomId} className="border-t border-neutral-100">
+                    <td className="py-1">{r.roomName}</td>
+                    <td className="text-right">{r.bookedHours.toFixed(1)}</td>
+                    <td className="text-right font-medium">{kwh(r.perBooked)}</td>
+                    <td className="text-right">{kwh(r.estimate)}</td>
+                    <td className="text-right">{kwh(r.target)}</td>
+                    <td className="text-right">{kwh(r.perIdle)}</td>
+                    <td className={`text-right ${r.savingPct == null ? '' : r.savingPct >= 0 ? 'text-green-700' : 'text-red-600'}`}>{pct(r.savingPct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="text-xs text-neutral-500 mt-2">
+            {measured.totals.savingPct != null && <>Totalt {measured.totals.measured.toFixed(0)} kWh på {measured.totals.hours.toFixed(1)} bookede timer mot estimert {measured.totals.estimated.toFixed(0)} kWh ({pct(measured.totals.savingPct)}; målet er −{((1-energy.optimizationFactor)*100).toFixed(0)} %). </>}
+            {measured.shared && <>Felles målere: {measured.shared.idleKwh.toFixed(0)} kWh. </>}
+            Hver målte time fordeles på booket/tom etter hvor stor del av timen rommet var booket.
+          </div>
+        </Card>
+      </div>
+      <Card title="Import av måledata">
+        <fieldset disabled={!canImport} className="flex flex-wrap items-end gap-2 text-sm">
+          <label className="flex flex-col">Måler (hvis filen ikke har målerkolonne)
+            <select value={importMeter} onChange={e=>setImportMeter(e.target.value)} className="px-2 py-1 border rounded">
+              <option value="">Fra filen</option>
+              {meters.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </label>
+          <input type="file" accept=".csv,text/csv" onChange={onFile} className="text-sm" />
+        </fieldset>
+        <p className="text-xs text-neutral-500 mt-2">CSV fra nettselskapet (Elhub) eller undermålere: kolonner for tidspunkt (Fra/Tid), kWh (Volum/Forbruk) og eventuelt måler. Skilletegn ; eller , og desimalkomma godtas. Kvartersverdier summeres per time, og CSV-timer som finnes fra før erstattes. For timer med både CSV og undermåler gjelder CSV. Undermålere kan også sende løpende via energy_ingest (HTTP eller MQTT-bro).</p>
+      </Card>
+      <Card title="Målere">
+        <table className="w-full text-sm">
+          <thead><tr className="text-left text-neutral-500"><th>Id</th><th>Navn</th><th>Rom</th><th></th></tr></thead>
+          <tbody>
+            {meters.map(m => (
+              <tr key={m.id} className="border-t border-neutral-100">
+                <td className="py-1 font-mono text-xs">{m.id}</td>
+                <td>{m.label}</td>
+                <td>{m.roomId ? (rooms.find(r => r.id===m.roomId)?.name || m.roomId) : 'Felles'}</td>
+                <td className="text-right">{canImport && <button className="px-2 py-1 text-xs rounded border" onClick={()=>energyOps.removeMeter(m.id)}>Slett</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {canImport && (
+          <div className="flex flex-wrap gap-2 items-end mt-3 text-sm">
+            <input value={meterDraft.id} onChange={e=>setMeterDraft({...meterDraft, id:e.target.value})} placeholder="Målepunkt-id" className="px-2 py-1 border rounded w-32" />
+            <input value={meterDraft.label} onChange={e=>setMeterDraft({...meterDraft, label:e.target.value})} placeholder="Navn" className="px-2 py-1 border rounded w-32" />
+            <select value={meterDraft.roomId} onChange={e=>setMeterDraft({...meterDraft, roomId:e.target.value})} className="px-2 py-1 border rounded">
+              <option value="">Felles</option>
+              {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+            <button className="px-3 py-1.5 rounded border" onClick={async ()=>{ await energyOps.saveMeter(meterDraft); setMeterDraft({ id: '', label: '', roomId: '' }); }}>+ Måler</button>
+          </div>
+        )}
+      </Card>
+      <div className="md:col-span-2">
+        <HvacCard settings={hvacSettings} schedule={hvacWeek} weekISO={weekISO} dateISO={dateISO} readOnly={readOnly} onSave={onSaveHvac} />
+      </div>
     </section>
   );
 }
 
+// Av/på-plan for ventilasjon/varme og lys. Byggstyringen henter den samme planen fra hvac_schedule.
+function HvacCard({ settings, schedule, weekISO, dateISO, readOnly, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  useEffect(() => setDraft(settings), [settings]);
+  const num = (k) => (v) => setDraft(d => ({ ...d, [k]: Number(v) }));
+  const today = schedule.filter(x => x.on.slice(0,10) === dateISO);
+  const download = (format) => format === 'csv'
+    ? downloadFile("\ufeff" + hvacScheduleCSV(schedule), 'text/csv;charset=utf-8;', `byggstyring-${weekISO}.csv`)
+    : downloadFile(JSON.stringify({ timezone: 'Europe/Oslo', from: weekISO, to: addDaysISO(weekISO, 6), settings: hvacPublicSettings(settings), schedule }, null, 2), 'application/json', `byggstyring-${weekISO}.json`);
+  return (
+    <Card title="Byggstyring (ventilasjon/varme og lys)">
+      <fieldset disabled={readOnly} className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+        <LabeledInput label="Ventilasjon før (min)" value={draft.preheatMin} onChange={num('preheatMin')} />
+        <LabeledInput label="Etterventilering (min)" value={draft.ventAfterMin} onChange={num('ventAfterMin')} />
+        <LabeledInput label="Lys før (min)" value={draft.lightsBeforeMin} onChange={num('lightsBeforeMin')} />
+        <LabeledInput label="Lys etter (min)" value={draft.lightsAfterMin} onChange={num('lightsAfterMin')} />
+        <LabeledInput label="Slå sammen opphold under (min)" value={draft.mergeGapMin} onChange={num('mergeGapMin')} />
+        {hasSupabase && <div className="col-span-2 md:col-span-4"><LabeledInput label="Webhook ved endringer (valgfri)" value={draft.webhookUrl || ''} onChange={v => setDraft(d => ({ ...d, webhookUrl: v }))} /></div>}
+        {!readOnly && <button className="px-3 py-2 rounded border self-end" onClick={() => onSave(draft)}>Lagre</button>}
+      </fieldset>
+      <div className="mt-3 text-sm font-medium">Plan {dateISO}</div>
+      {today.length === 0 && <div className="text-sm text-neutral-500">Ingen bookinger – anleggene står i nattmodus.</div>}
+      {today.length > 0 && (
+        <table className="w-full text-sm">
+          <thead><tr className="text-left text-neutral-500"><th>Rom</th><th>Anlegg</th><th>På</th><th>Av</th><th className="text-right">Bookinger</th></tr></thead>
+          <tbody>
+            {today.map(x => (
+              <tr key={`${x.roomId}-${x.system}-${x.on}`} className="border-t border-neutral-100">
+                <td className="py-1">{x.roomName}</td>
+                <td>{HVAC_SYSTEM_LABEL[x.system]}</td>
+                <td>{x.on.slice(11)}</td>
+                <td>{x.off.slice(0,10) === dateISO ? x.off.slice(11) : `${x.off.slice(11)} (+1)`}</td>
+                <td className="text-right">{x.bookings}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="flex flex-wrap gap-2 mt-3 text-sm">
+        <button className="px-3 py-1.5 rounded border" onClick={() => download('json')}>Last ned uke (JSON)</button>
+        <button className="px-3 py-1.5 rounded border" onClick={() => download('csv')}>Last ned uke (CSV)</button>
+      </div>
+      {hasSupabase && settings.feedToken && !readOnly && (
+        <div className="text-xs text-neutral-500 mt-2 break-all">Feed for byggstyringen (poll med If-None-Match): <code>{hvacFeedURL(SUPABASE_URL, settings.feedToken)}</code></div>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">Planen regnes ut fra bookingene og oppdateres når de endres. Byggstyringen kan polle feeden (JSON eller CSV, lokal tid) eller få varsel på webhook og hente planen på nytt.</p>
+    </Card>
+  );
+}
+
 function LabeledInput({ label, value, onChange }) {
   return (
     <label className="flex flex-col gap-1">
@@ -813,11 +5632,14 @@ function LabeledInput({ label, value, onChange }) {
 }
 
 // ----- Admin -----
-function AdminView({ rooms, setRooms, bookings, dateISO, pricing, setPricing }) {
-  const addRoom = (type) => { const idx = rooms.filter(r=>r.type===type).length+1; setRooms([...rooms, { id: nextId(), name: `${typeLabel(type)} ${idx}`, type }]); };
-  const removeRoom = (id) => setRooms(rooms.filter(r=>r.id!==id));
-  const totalHours = rooms.length * HOURS_PER_DAY;
-  const booked = Object.values(bookings[dateISO]||{}).reduce((acc, byHour) => acc + Object.keys(byHour).length, 0);
+function AdminView({ rooms, roomTypes, roomOps, roomTypeOps, equipment, equipmentOps, bookings, dateISO, pricing, setPricing, cancellationRules, onSaveCancellationRules, pricingRules, onSavePricingRules, schedule, onSaveSchedule, blackouts, blackoutOps, role, userRoles, roleOps, partners, costs, onSaveCosts, breakEven, costMix, energy, monthStats, importOps, notifySettings = DEFAULT_NOTIFY, onSaveNotify, emailLog = [] }) {
+  // Ansatte ser alt, men kan bare endre sperringer
+  const readOnly = !can(role, 'edit:admin');
+  const openRooms = activeRooms(rooms);
+  const day = openingHoursFor(dateISO, schedule);
+  const blockedHours = openRooms.reduce((acc, r) => acc + blockedHoursOn(blackouts, dateISO, r.id, day), 0);
+  const totalHours = openRooms.length * openHoursOn(dateISO, schedule) - blockedHours;
+  const booked = Object.values(bookings[dateISO]||{}).reduce((acc, byRoom) => acc + Object.values(byRoom).reduce((a, b) => a + durationHours(b), 0), 0);
 
   const [gStandard, gKultSkole, gKultEnhet] = [
     pricing.groups.standard,
@@ -827,46 +5649,615 @@ function AdminView({ rooms, setRooms, bookings, dateISO, pricing, setPricing })
 
   return (
     <section className="mt-6 grid md:grid-cols-2 gap-4">
-      <Card title="Rom i systemet">
-        <ul className="divide-y">
-          {rooms.map(r => (
-            <li key={r.id} className="py-2 flex items-center justify-between">
-              <span><b>{r.name}</b> <span className="text-xs text-neutral-500">• {roomTypeLabel(r.type)}</span></span>
-              <button className="px-2 py-1 text-sm rounded border" onClick={()=>removeRoom(r.id)}>Slett</button>
-            </li>
-          ))}
-        </ul>
-        <div className="flex gap-2 mt-3">
-          <button className="px-3 py-2 rounded border" onClick={()=>addRoom("solo")}>+ Solo</button>
-          <button className="px-3 py-2 rounded border" onClick={()=>addRoom("band")}>+ Band</button>
-          <button className="px-3 py-2 rounded border" onClick={()=>addRoom("preprod")}>+ Preprod</button>
-        </div>
-      </Card>
+      {readOnly && <div className="md:col-span-2 text-sm text-neutral-600 bg-neutral-100 border rounded px-3 py-2">Som {ROLE_LABEL[role].toLowerCase()} kan du se innstillingene{can(role, 'edit:blackouts') ? ' og administrere sperringer' : ''}, men ikke endre dem.</div>}
+      <fieldset disabled={readOnly} className="contents">
+      <RoomsCard rooms={rooms} roomTypes={roomTypes} ops={roomOps} />
+      <RoomTypesCard roomTypes={roomTypes} rooms={rooms} ops={roomTypeOps} />
+      <EquipmentCard equipment={equipment} ops={equipmentOps} />
+      <CostsCard costs={costs} breakEven={breakEven} onSave={onSaveCosts} />
+      <ForecastCard costs={costs} mix={costMix} pricing={pricing} roomTypes={roomTypes} energy={energy} capacityHours={monthStats.total} currentUtilization={monthStats.utilization} />
       <Card title="Gruppepriser (multiplikator)">
         <div className="grid grid-cols-2 gap-3 text-sm">
           <LabeledInput label="Standard" value={gStandard} onChange={v=> setPricing(curr=> ({...curr, groups:{...curr.groups, standard: Number(v)||1}}))} />
           <LabeledInput label="Kulturskole" value={gKultSkole} onChange={v=> setPricing(curr=> ({...curr, groups:{...curr.groups, kulturskole: Number(v)||0.7}}))} />
           <LabeledInput label="Kulturenheten" value={gKultEnhet} onChange={v=> setPricing(curr=> ({...curr, groups:{...curr.groups, kulturenheten: Number(v)||0.75}}))} />
         </div>
-        <div className="text-xs text-neutral-500 mt-2">Sluttpriser i dag: solo {formatNOK(computePrice('solo',pricing,'standard'))} / {formatNOK(computePrice('solo',pricing,'kulturskole'))} / {formatNOK(computePrice('solo',pricing,'kulturenheten'))},
-          band {formatNOK(computePrice('band',pricing,'standard'))} / {formatNOK(computePrice('band',pricing,'kulturskole'))} / {formatNOK(computePrice('band',pricing,'kulturenheten'))}.</div>
+        <div className="text-xs text-neutral-500 mt-2">Sluttpriser i dag (standard / kulturskole / kulturenheten): {roomTypes.map(t => `${t.label.toLowerCase()} ${['standard','kulturskole','kulturenheten'].map(g => formatNOK(computePrice(t.id,pricing,g))).join(' / ')}`).join(', ')}.</div>
       </Card>
+      <PricingRulesCard rules={pricingRules} rooms={openRooms} roomTypes={roomTypes} pricing={pricing} dateISO={dateISO} onSave={onSavePricingRules} />
+      <ScheduleCard schedule={schedule} year={parseISO(dateISO).getUTCFullYear()} onSave={onSaveSchedule} />
+      </fieldset>
+      <fieldset disabled={!can(role, 'edit:blackouts')} className="contents">
+        <BlackoutsCard rooms={openRooms} blackouts={blackouts} dateISO={dateISO} ops={blackoutOps} />
+      </fieldset>
+      {importOps && can(role, 'manage:bookings') && <ImportCard ops={importOps} />}
+      <fieldset disabled={readOnly} className="contents">
+        <CancellationRulesCard rules={cancellationRules} groups={Object.keys(pricing.groups)} roomTypes={roomTypes} onSave={onSaveCancellationRules} />
+      </fieldset>
+      {onSaveNotify && <NotificationsCard settings={notifySettings} log={emailLog} readOnly={readOnly} onSave={onSaveNotify} />}
+      {userRoles && can(role, 'edit:roles') && <RolesCard userRoles={userRoles} partners={partners} ops={roleOps} />}
       <Card title="Status i dag (for kontroll)">
         <div className="text-sm grid grid-cols-2 gap-2">
           <div className="p-3 rounded bg-neutral-50 border">Total timer: <b>{totalHours}</b></div>
           <div className="p-3 rounded bg-neutral-50 border">Booket timer: <b>{booked}</b></div>
-          <div className="p-3 rounded bg-neutral-50 border">Utnyttelse: <b>{((booked/totalHours)*100).toFixed(1)}%</b></div>
+          <div className="p-3 rounded bg-neutral-50 border">Utnyttelse: <b>{(totalHours ? (booked/totalHours)*100 : 0).toFixed(1)}%</b></div>
+          <div className="p-3 rounded bg-neutral-50 border">Sperret timer: <b>{blockedHours}</b></div>
           <div className="p-3 rounded bg-neutral-50 border">Dato: <b>{dateISO}</b></div>
         </div>
-        <div className="mt-3">
+        {can(role, 'reset:demo') && <div className="mt-3">
           <button className="px-3 py-2 rounded bg-white border mr-2" onClick={()=>{ localStorage.clear(); window.location.reload(); }}>Nullstill all demo-data</button>
-        </div>
-        <p className="text-xs text-neutral-500 mt-2">NB: Rom/vouchers/energi/priser lagres lokalt. Bookinger bruker Supabase når konfigurert.</p>
+        </div>}
+        <p className="text-xs text-neutral-500 mt-2">NB: Gruppepriser og energifaktor lagres lokalt. Rom, romtyper, bookinger og klippekort bruker Supabase når konfigurert.</p>
       </Card>
     </section>
   );
 }
 
+function RolesCard({ userRoles, partners, ops }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("staff");
+  const [partner, setPartner] = useState(partners[0] || "");
+  return (
+    <Card title="Roller">
+      <ul className="text-sm divide-y">
+        {userRoles.map(u => (
+          <li key={u.userId} className="py-1.5 flex items-center justify-between">
+            <span>{u.email || u.userId} <span className="text-xs text-neutral-500">• {ROLE_LABEL[u.role]}{u.partner ? ` (${u.partner})` : ''}</span></span>
+            <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.remove(u.userId)}>Fjern</button>
+          </li>
+        ))}
+      </ul>
+      {userRoles.length===0 && <div className="text-sm text-neutral-500">Ingen tildelte roller – alle er medlemmer.</div>}
+      <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+        <input value={email} onChange={e=>setEmail(e.target.value)} placeholder="bruker@epost.no" className="px-2 py-1 border rounded" />
+        <select value={role} onChange={e=>setRole(e.target.value)} className="px-2 py-1 border rounded">
+          {ROLES.map(r => <option key={r} value={r}>{ROLE_LABEL[r]}</option>)}
+        </select>
+        {(role === 'partner' || role === 'member') && (
+          <select value={partner} onChange={e=>setPartner(e.target.value)} className="px-2 py-1 border rounded" title="Klippekortene brukeren kan se og booke med">
+            {role === 'member' && <option value="">Ingen klippekort</option>}
+            {partners.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+        )}
+        <button className="px-3 py-1 rounded bg-neutral-900 text-white" onClick={async ()=>{ await ops.assign({ email, role, partner }); setEmail(""); }}>Tildel</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Brukeren må ha logget inn minst én gang. Rollen gjelder fra neste innlasting. Klippekort kan bare brukes av ansatte og brukere knyttet til partneren.</p>
+    </Card>
+  );
+}
+
+const EMPTY_ROOM = { id: null, name: '', type: '', capacity: '', sizeM2: '', description: '', photosText: '', equipmentText: '', active: true };
+function RoomsCard({ rooms, roomTypes, ops }) {
+  const [edit, setEdit] = useState(null); // rom under redigering (id null = nytt)
+  const open = (r) => setEdit(r ? { ...EMPTY_ROOM, ...r, capacity: r.capacity ?? '', sizeM2: r.sizeM2 ?? '', photosText: (r.photos||[]).join('\n'), equipmentText: (r.equipment||[]).join(', ') } : { ...EMPTY_ROOM, type: roomTypes[0]?.id || '' });
+  const save = async () => {
+    const { photosText, equipmentText, ...r } = edit;
+    await ops.save({ ...r, capacity: Number(r.capacity) || null, sizeM2: Number(r.sizeM2) || null, photos: parseList(photosText), equipment: parseList(equipmentText) });
+    setEdit(null);
+  };
+  return (
+    <Card title="Rom i systemet">
+      <ul className="divide-y">
+        {rooms.map(r => (
+          <li key={r.id} className={`py-2 flex items-center justify-between gap-2 ${r.active === false ? 'opacity-60' : ''}`}>
+            {r.photos?.[0] && <img src={r.photos[0]} alt="" className="w-10 h-10 object-cover rounded" />}
+            <span className="grow">
+              <b>{r.name}</b> <span className="text-xs text-neutral-500">• {roomTypeLabel(r.type, roomTypes)}{r.active === false ? ' • deaktivert' : ''}</span>
+              {roomSummary(r) && <div className="text-xs text-neutral-500">{roomSummary(r)}</div>}
+            </span>
+            <button className="px-2 py-1 text-sm rounded border" onClick={()=>open(r)}>Rediger</button>
+            <button className="px-2 py-1 text-sm rounded border" onClick={()=>ops.remove(r)}>Slett</button>
+          </li>
+        ))}
+      </ul>
+      {edit ? (
+        <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+          <label className="flex flex-col">Navn<input value={edit.name} onChange={e=>setEdit({...edit, name:e.target.value})} className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col">Romtype
+            <select value={edit.type} onChange={e=>setEdit({...edit, type:e.target.value})} className="px-2 py-1 border rounded">
+              {roomTypes.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col">Kapasitet (pers.)<input type="number" min="0" value={edit.capacity} onChange={e=>setEdit({...edit, capacity:e.target.value})} className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col">Størrelse (m²)<input type="number" min="0" value={edit.sizeM2} onChange={e=>setEdit({...edit, sizeM2:e.target.value})} className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col col-span-2">Beskrivelse<input value={edit.description} onChange={e=>setEdit({...edit, description:e.target.value})} className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col col-span-2">Utstyr (kommaseparert)<input value={edit.equipmentText} onChange={e=>setEdit({...edit, equipmentText:e.target.value})} placeholder="Trommesett, 2 gitarforsterkere, PA" className="px-2 py-1 border rounded" /></label>
+          <label className="flex flex-col col-span-2">Bilder (én URL per linje)<textarea value={edit.photosText} onChange={e=>setEdit({...edit, photosText:e.target.value})} rows={2} className="px-2 py-1 border rounded" /></label>
+          <label className="flex items-center gap-1"><input type="checkbox" checked={edit.active !== false} onChange={e=>setEdit({...edit, active:e.target.checked})} />Aktiv (kan bookes)</label>
+          <div className="flex gap-2 justify-end">
+            <button className="px-3 py-1.5 rounded border" onClick={()=>setEdit(null)}>Avbryt</button>
+            <button className="px-3 py-1.5 rounded bg-neutral-900 text-white" onClick={save}>Lagre rom</button>
+          </div>
+        </div>
+      ) : (
+        <button className="mt-3 px-3 py-2 rounded border" onClick={()=>open(null)}>+ Nytt rom</button>
+      )}
+    </Card>
+  );
+}
+
+function RoomTypesCard({ roomTypes, rooms, ops }) {
+  const [draft, setDraft] = useState(roomTypes);
+  const [add, setAdd] = useState({ label: '', basePriceNOK: 0, kwhPerHour: 0 });
+  useEffect(() => { setDraft(roomTypes); }, [roomTypes]);
+  const update = (id, patch) => setDraft(draft.map(t => t.id===id ? { ...t, ...patch } : t));
+  const changed = (t) => JSON.stringify(t) !== JSON.stringify(roomTypes.find(x => x.id===t.id));
+  return (
+    <Card title="Romtyper (grunnpris og energi)">
+      <table className="w-full text-sm">
+        <thead><tr className="text-left text-neutral-500"><th>Navn</th><th>Kr/time</th><th>kWh/time</th><th>Rom</th><th></th></tr></thead>
+        <tbody>
+          {draft.map(t => (
+            <tr key={t.id}>
+              <td><input value={t.label} onChange={e=>update(t.id, { label: e.target.value })} className="px-1 py-1 border rounded w-28" /></td>
+              <td><input type="number" min="0" value={t.basePriceNOK} onChange={e=>update(t.id, { basePriceNOK: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-20" /></td>
+              <td><input type="number" min="0" step="0.1" value={t.kwhPerHour} onChange={e=>update(t.id, { kwhPerHour: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></td>
+              <td className="text-neutral-500">{rooms.filter(r => r.type===t.id).length}</td>
+              <td className="text-right whitespace-nowrap">
+                {changed(t) && <button className="px-2 py-1 text-xs rounded border mr-1" onClick={()=>ops.save(t)}>Lagre</button>}
+                <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.remove(t.id)}>Slett</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-2 items-end mt-3 text-sm">
+        <label className="flex flex-col">Ny romtype<input value={add.label} onChange={e=>setAdd({...add, label:e.target.value})} placeholder="Studio, DJ-rom …" className="px-1 py-1 border rounded w-32" /></label>
+        <label className="flex flex-col">Kr/time<input type="number" min="0" value={add.basePriceNOK} onChange={e=>setAdd({...add, basePriceNOK:e.target.value})} className="px-1 py-1 border rounded w-20" /></label>
+        <label className="flex flex-col">kWh/time<input type="number" min="0" step="0.1" value={add.kwhPerHour} onChange={e=>setAdd({...add, kwhPerHour:e.target.value})} className="px-1 py-1 border rounded w-16" /></label>
+        <button className="px-3 py-1.5 rounded border" onClick={async ()=>{ await ops.save({ ...add, id: null }); setAdd({ label: '', basePriceNOK: 0, kwhPerHour: 0 }); }}>+ Romtype</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Grunnprisen ganges med gruppemultiplikatoren og justeres av prisreglene.</p>
+    </Card>
+  );
+}
+
+function EquipmentCard({ equipment, ops }) {
+  const [draft, setDraft] = useState(equipment);
+  const [add, setAdd] = useState({ name: '', quantity: 1, priceNOK: 0, unit: 'booking' });
+  useEffect(() => { setDraft(equipment); }, [equipment]);
+  const update = (id, patch) => setDraft(draft.map(e => e.id===id ? { ...e, ...patch } : e));
+  const changed = (e) => JSON.stringify(e) !== JSON.stringify(equipment.find(x => x.id===e.id));
+  return (
+    <Card title="Utstyr til leie (backline/PA)">
+      <table className="w-full text-sm">
+        <thead><tr className="text-left text-neutral-500"><th>Navn</th><th>Antall</th><th>Pris</th><th>Per</th><th></th></tr></thead>
+        <tbody>
+          {draft.map(e => (
+            <tr key={e.id} className={e.active === false ? 'text-neutral-400' : ''}>
+              <td><input value={e.name} onChange={ev=>update(e.id, { name: ev.target.value })} className="px-1 py-1 border rounded w-36" /></td>
+              <td><input type="number" min="0" value={e.quantity} onChange={ev=>update(e.id, { quantity: Number(ev.target.value)||0 })} className="px-1 py-1 border rounded w-14" /></td>
+              <td><input type="number" min="0" value={e.priceNOK} onChange={ev=>update(e.id, { priceNOK: Number(ev.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></td>
+              <td><select value={e.unit} onChange={ev=>update(e.id, { unit: ev.target.value })} className="px-1 py-1 border rounded">
+                {Object.entries(EQUIPMENT_UNIT_LABEL).map(([k, v]) => <option key={k} value={k}>{v.replace('per ', '')}</option>)}
+              </select></td>
+              <td className="text-right whitespace-nowrap">
+                {changed(e) && <button className="px-2 py-1 text-xs rounded border mr-1" onClick={()=>ops.save(e)}>Lagre</button>}
+                {e.active === false
+                  ? <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.save({ ...e, active: true })}>Aktiver</button>
+                  : <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.remove(e)}>Deaktiver</button>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-2 items-end mt-3 text-sm">
+        <label className="flex flex-col">Nytt utstyr<input value={add.name} onChange={ev=>setAdd({...add, name:ev.target.value})} placeholder="Trommesett, keyboard …" className="px-1 py-1 border rounded w-36" /></label>
+        <label className="flex flex-col">Antall<input type="number" min="0" value={add.quantity} onChange={ev=>setAdd({...add, quantity:ev.target.value})} className="px-1 py-1 border rounded w-14" /></label>
+        <label className="flex flex-col">Pris<input type="number" min="0" value={add.priceNOK} onChange={ev=>setAdd({...add, priceNOK:ev.target.value})} className="px-1 py-1 border rounded w-16" /></label>
+        <select value={add.unit} onChange={ev=>setAdd({...add, unit:ev.target.value})} className="px-1 py-1 border rounded">
+          {Object.entries(EQUIPMENT_UNIT_LABEL).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+        </select>
+        <button className="px-3 py-1.5 rounded border" onClick={async ()=>{ await ops.save(add); setAdd({ name: '', quantity: 1, priceNOK: 0, unit: 'booking' }); }}>+ Utstyr</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Antall er hvor mange som kan være utleid samtidig på tvers av alle rom. Utstyrsprisen kommer i tillegg til romprisen og påvirkes ikke av gruppemultiplikator eller prisregler.</p>
+    </Card>
+  );
+}
+
+// Masseimport fra CSV/XLSX: kolonnekobling, tørrkjøring med rapport, så lagring av de gyldige linjene
+function ImportCard({ ops }) {
+  const [file, setFile] = useState(null); // { name, header, rows }
+  const [mapping, setMapping] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState(null);
+  const onFile = async (e) => {
+    const f = e.target.files?.[0]; if (!f) return;
+    e.target.value = ''; setPlan(null); setError(null);
+    try {
+      const all = /\.xlsx$/i.test(f.name) ? await parseXLSX(new Uint8Array(await f.arrayBuffer())) : parseCSV(await f.text());
+      if (all.length < 2) throw new Error('Filen må ha en overskriftslinje og minst én rad');
+      const header = all[0].map(h => String(h));
+      setFile({ name: f.name, header, rows: all.slice(1) });
+      setMapping(guessImportMapping(header));
+    } catch (err) { setFile(null); setError(err.message); }
+  };
+  const check = async () => setPlan(await ops.dryRun(file.rows, mapping));
+  const commit = async () => { if (await ops.commit(plan)) { setFile(null); setPlan(null); } };
+  const problems = plan ? plan.lines.filter(l => l.status !== 'ok') : [];
+  return (
+    <div className="md:col-span-2">
+      <Card title="Import av bookinger (semesterplan)">
+        <input type="file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" onChange={onFile} className="text-sm" />
+        {error && <div className="text-sm text-red-600 mt-2">Feil: {error}</div>}
+        {file && (
+          <div className="mt-3 text-sm">
+            <div className="text-neutral-600 mb-1">{file.name}: {file.rows.length} rader. Koble kolonnene – bruk enten Fra/Til eller Tid.</div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {IMPORT_FIELDS.map(fd => (
+                <label key={fd.id} className="flex flex-col">{fd.label}
+                  <select value={mapping[fd.id] ?? ''} onChange={e=>{ setMapping({ ...mapping, [fd.id]: e.target.value === '' ? null : Number(e.target.value) }); setPlan(null); }} className="px-2 py-1 border rounded">
+                    <option value="">–</option>
+                    {file.header.map((h, i) => <option key={i} value={i}>{h || `Kolonne ${i+1}`}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <button className="mt-3 px-3 py-2 rounded-md border" onClick={check}>Kontroller (tørrkjøring)</button>
+          </div>
+        )}
+        {plan && (
+          <div className="mt-3 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+              <span><b>{plan.ok}</b> gyldige, <b>{problems.filter(l => l.status === 'conflict').length}</b> i konflikt, <b>{problems.filter(l => l.status === 'error').length}</b> med feil</span>
+              <span className="text-neutral-600">{plan.hours.toLocaleString('nb-NO')} t • {formatNOK(plan.priceNOK)}</span>
+              <button className="ml-auto px-3 py-2 rounded-md bg-neutral-900 text-white disabled:opacity-40" disabled={!plan.ok} onClick={commit}>Importer {plan.ok} gyldige</button>
+            </div>
+            <div className="max-h-72 overflow-y-auto mt-2">
+              <table className="w-full text-sm">
+                <thead><tr className="text-left text-neutral-500"><th>Linje</th><th>Status</th><th>Dato</th><th>Rom</th><th>Tid</th><th>Gruppe</th><th className="text-right">Pris</th><th>Merknad</th></tr></thead>
+                <tbody>
+                  {plan.lines.map(l => (
+                    <tr key={l.line} className={`border-t border-neutral-100 ${l.status === 'ok' ? '' : l.status === 'conflict' ? 'bg-amber-50' : 'bg-red-50'}`}>
+                      <td className="py-1">{l.line}</td>
+                      <td>{IMPORT_STATUS_LABEL[l.status]}</td>
+                      <td>{l.booking?.date || ''}</td>
+                      <td>{l.booking?.roomName || ''}</td>
+                      <td>{l.booking ? `${fmtMin(l.booking.startMin)}–${fmtMin(l.booking.endMin)}` : ''}</td>
+                      <td>{l.booking?.groupCode || ''}</td>
+                      <td className="text-right">{l.status === 'ok' ? formatNOK(l.booking.priceNOK) : ''}</td>
+                      <td className="text-neutral-600">{l.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+        <p className="text-xs text-neutral-500 mt-2">CSV (skilletegn ; eller ,) eller Excel. Dato som 2025-09-15 eller 15.09.2025, tid som 18:00 eller 18–21, rom med navn eller id, gruppe som i Gruppepriser (tom = standard). Gyldige linjer lagres samlet – kolliderer én av dem ved lagring, lagres ingen.</p>
+      </Card>
+    </div>
+  );
+}
+
+function NotificationsCard({ settings, log, readOnly, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  useEffect(() => setDraft(settings), [settings]);
+  const [open, setOpen] = useState(null); // lokal utboks: vis teksten i e-posten
+  return (
+    <Card title="E-postvarsler">
+      <fieldset disabled={readOnly} className="grid grid-cols-2 gap-3 text-sm">
+        <label className="flex items-center gap-2 col-span-2"><input type="checkbox" checked={!!draft.enabled} onChange={e => setDraft(d => ({ ...d, enabled: e.target.checked }))} />Send bekreftelse, endring, avlysning og påminnelse</label>
+        <LabeledInput label="Påminnelse før start (timer)" value={draft.reminderHoursBefore} onChange={v => setDraft(d => ({ ...d, reminderHoursBefore: v }))} />
+        <LabeledInput label="Svaradresse (valgfri)" value={draft.replyTo || ''} onChange={v => setDraft(d => ({ ...d, replyTo: v }))} />
+        <label className="flex items-center gap-2 col-span-2"><input type="checkbox" checked={!!draft.sendToBookedFor} onChange={e => setDraft(d => ({ ...d, sendToBookedFor: e.target.checked }))} />Send også til «booket for» når det er en e-postadresse</label>
+        {hasSupabase && <div className="col-span-2"><LabeledInput label="URL til booking_email" value={draft.functionUrl || ''} onChange={v => setDraft(d => ({ ...d, functionUrl: v }))} /></div>}
+        {!readOnly && <button className="px-3 py-2 rounded border justify-self-start" onClick={() => onSave(draft)}>Lagre</button>}
+      </fieldset>
+      <div className="mt-3 text-sm font-medium">{hasSupabase ? 'Sendt (siste 50)' : 'Utboks (lokal demo – sendes ikke)'}</div>
+      {log.length === 0 && <div className="text-sm text-neutral-500">Ingen e-poster ennå.</div>}
+      {log.length > 0 && (
+        <ul className="text-sm divide-y max-h-72 overflow-auto">
+          {log.slice(0, 50).map(m => (
+            <li key={m.id} className="py-1">
+              <div className="flex gap-2 items-baseline">
+                <span className="text-xs text-neutral-500 w-28 shrink-0">{m.sentAt.slice(0,16).replace('T',' ')}</span>
+                <span className="text-xs px-1.5 rounded border">{EMAIL_KIND_LABEL[m.kind]}</span>
+                {m.text ? <button className="text-left underline decoration-dotted truncate" onClick={() => setOpen(open === m.id ? null : m.id)}>{m.subject}</button> : <span className="truncate">{m.subject}</span>}
+                <span className="ml-auto text-xs text-neutral-500">{m.to}{m.status === 'failed' ? ' • feilet' : ''}</span>
+              </div>
+              {m.status === 'failed' && m.error && <div className="text-xs text-red-700">{m.error}</div>}
+              {open === m.id && <pre className="text-xs bg-neutral-50 border rounded p-2 mt-1 whitespace-pre-wrap">{m.text}</pre>}
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">E-postene går til den som booket og til «booket for», på språket valgt i toppmenyen. Påminnelsen har tilgangsvinduet og PIN-koden. I Supabase sender Edge Function booking_email via SMTP (test lokalt mot en e-postfanger som Mailpit).</p>
+    </Card>
+  );
+}
+
+function CostsCard({ costs, breakEven, onSave }) {
+  const [draft, setDraft] = useState(costs);
+  useEffect(() => { setDraft(costs); }, [costs]);
+  const update = (id, patch) => setDraft(d => ({ ...d, fixed: d.fixed.map(c => c.id===id ? { ...c, ...patch } : c) }));
+  const pct = (v) => v == null ? '–' : `${v.toFixed(1)} %`;
+  return (
+    <Card title="Kostnader og break-even">
+      <table className="w-full text-sm">
+        <thead><tr className="text-left text-neutral-500"><th>Fast kostnad</th><th>Per måned</th><th></th></tr></thead>
+        <tbody>
+          {draft.fixed.map(c => (
+            <tr key={c.id}>
+              <td><input value={c.label} onChange={e=>update(c.id, { label: e.target.value })} className="px-1 py-1 border rounded w-48" /></td>
+              <td><input type="number" min="0" value={c.monthlyNOK} onChange={e=>update(c.id, { monthlyNOK: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-24" /></td>
+              <td className="text-right"><button className="px-2 py-1 text-xs rounded border" onClick={()=>setDraft(d => ({ ...d, fixed: d.fixed.filter(x => x.id!==c.id) }))}>Fjern</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-2 items-end mt-3 text-sm">
+        <button className="px-3 py-1.5 rounded border" onClick={()=>setDraft(d => ({ ...d, fixed: [...d.fixed, { id: nextId(), label: '', monthlyNOK: 0 }] }))}>+ Kostnadslinje</button>
+        <label className="flex flex-col">Strømpris (kr/kWh)<input type="number" min="0" step="0.1" value={draft.energyPricePerKwh} onChange={e=>setDraft({ ...draft, energyPricePerKwh: Number(e.target.value) })} className="px-1 py-1 border rounded w-24" /></label>
+        <label className="flex flex-col">Renhold per booking<input type="number" min="0" value={draft.cleaningPerBookingNOK} onChange={e=>setDraft({ ...draft, cleaningPerBookingNOK: Number(e.target.value) })} className="px-1 py-1 border rounded w-24" /></label>
+        <button className="px-3 py-1.5 rounded-md bg-neutral-900 text-white" onClick={()=>onSave(draft)}>Lagre</button>
+      </div>
+      {breakEven && (
+        <div className="text-sm grid grid-cols-2 gap-2 mt-3">
+          <div className="p-3 rounded bg-neutral-50 border">Break-even utnyttelse: <b>{pct(breakEven.utilization)}</b></div>
+          <div className="p-3 rounded bg-neutral-50 border">Break-even inntekt: <b>{breakEven.revenueNOK == null ? '–' : formatNOK(breakEven.revenueNOK)}</b></div>
+          <div className="p-3 rounded bg-neutral-50 border">Inntekt per booket time: <b>{formatNOK(breakEven.revenuePerHour ?? 0)}</b></div>
+          <div className="p-3 rounded bg-neutral-50 border">Variabel kostnad per time: <b>{formatNOK(breakEven.variablePerHour ?? 0)}</b></div>
+        </div>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">Energi = kWh per romtype (etter optimaliseringsfaktor) × strømpris. Inntekt per time er faktiske priser og gruppemiks de tre siste månedene, eller listepris når det ikke finnes bookinger. Break-even gjelder åpne timer i valgt måned.</p>
+    </Card>
+  );
+}
+
+// Hva om: samme miks og kostnader, men endrede priser/multiplikatorer og valgfri utnyttelse
+function ForecastCard({ costs, mix, pricing, roomTypes, energy, capacityHours, currentUtilization }) {
+  const [whatIf, setWhatIf] = useState({ pricePct: {}, groups: { ...pricing.groups } });
+  const [utilization, setUtilization] = useState(() => Math.round(currentUtilization));
+  const nextMix = useMemo(() => whatIfMix(mix, pricing, whatIf), [mix, pricing, whatIf]);
+  const rows = [
+    ['Nå', mix],
+    ['Hva om', nextMix],
+  ].map(([label, m]) => ({ label, be: breakEvenFor({ costs, mix: m, energy, capacityHours }), fc: monthForecast({ costs, mix: m, energy, capacityHours, utilization }) }));
+  return (
+    <Card title="Prognose (hva om)">
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        {roomTypes.map(t => (
+          <label key={t.id} className="flex flex-col">{t.label} pris %<input type="number" value={whatIf.pricePct[t.id] ?? 0} onChange={e=>setWhatIf(w => ({ ...w, pricePct: { ...w.pricePct, [t.id]: Number(e.target.value)||0 } }))} className="px-1 py-1 border rounded" /></label>
+        ))}
+        {Object.keys(pricing.groups).map(g => (
+          <label key={g} className="flex flex-col">{g} ×<input type="number" step="0.05" min="0" value={whatIf.groups[g] ?? pricing.groups[g]} onChange={e=>setWhatIf(w => ({ ...w, groups: { ...w.groups, [g]: Number(e.target.value) } }))} className="px-1 py-1 border rounded" /></label>
+        ))}
+        <label className="flex flex-col">Utnyttelse %<input type="number" min="0" max="100" value={utilization} onChange={e=>setUtilization(Number(e.target.value)||0)} className="px-1 py-1 border rounded" /></label>
+      </div>
+      <table className="w-full text-sm mt-3">
+        <thead><tr className="text-left text-neutral-500"><th></th><th className="text-right">Break-even</th><th className="text-right">Inntekt/mnd</th><th className="text-right">Kostnader/mnd</th><th className="text-right">Resultat/mnd</th></tr></thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.label} className="border-t border-neutral-100">
+              <td className="py-1">{r.label}</td>
+              <td className="text-right">{r.be.utilization == null ? '–' : `${r.be.utilization.toFixed(1)} %`}</td>
+              <td className="text-right">{formatNOK(r.fc.revenueNOK)}</td>
+              <td className="text-right">{formatNOK(r.fc.fixedNOK + r.fc.variableNOK)}</td>
+              <td className={`text-right font-medium ${r.fc.resultNOK >= 0 ? 'text-green-700' : 'text-red-600'}`}>{formatNOK(r.fc.resultNOK)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-neutral-500 mt-2">Prognosen bruker {capacityHours} åpne timer i valgt måned. Endringene lagres ikke – gruppemultiplikatorene settes under Gruppepriser.</p>
+    </Card>
+  );
+}
+
+function ScheduleCard({ schedule, year, onSave }) {
+  const [draft, setDraft] = useState(schedule);
+  const [ex, setEx] = useState({ from: '', to: '', closed: true, open: OPEN_HOUR, close: CLOSE_HOUR, label: '' });
+  useEffect(() => { setDraft(schedule); }, [schedule]);
+  const updateDay = (wd, patch) => setDraft({ ...draft, weekly: draft.weekly.map((d, i) => i===wd ? { ...d, ...patch } : d) });
+  const addException = (e) => setDraft({ ...draft, exceptions: [...draft.exceptions, { id: nextId(), ...e, to: e.to || e.from }].sort((a, b) => a.from.localeCompare(b.from)) });
+  const addHolidays = () => {
+    const known = new Set(draft.exceptions.map(e => e.from + '|' + e.to));
+    const fresh = norwegianHolidays(year).filter(h => !known.has(h.date + '|' + h.date)).map(h => ({ id: nextId(), from: h.date, to: h.date, closed: true, label: h.label }));
+    setDraft({ ...draft, exceptions: [...draft.exceptions, ...fresh].sort((a, b) => a.from.localeCompare(b.from)) });
+  };
+  const hourInput = (value, onChange) => <input type="number" min={0} max={24} value={value} onChange={e=>onChange(Number(e.target.value)||0)} className="px-1 py-1 border rounded w-16" />;
+  return (
+    <Card title="Åpningstider">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-600"><th className="font-normal">Dag</th><th className="font-normal">Åpner</th><th className="font-normal">Stenger</th><th className="font-normal">Stengt</th></tr>
+        </thead>
+        <tbody>
+          {[1,2,3,4,5,6,0].map(wd => {
+            const d = draft.weekly[wd];
+            return (
+              <tr key={wd}>
+                <td>{WEEKDAY_LABELS[wd]}</td>
+                <td>{hourInput(d.open, v=>updateDay(wd, { open: v }))}</td>
+                <td>{hourInput(d.close, v=>updateDay(wd, { close: v }))}</td>
+                <td><input type="checkbox" checked={!!d.closed} onChange={e=>updateDay(wd, { closed: e.target.checked })} /></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="mt-4 text-sm font-medium">Unntak</div>
+      <ul className="text-sm divide-y">
+        {draft.exceptions.length === 0 && <li className="py-1 text-neutral-500">Ingen unntak.</li>}
+        {draft.exceptions.map(e => (
+          <li key={e.id} className="py-1 flex justify-between items-center">
+            <span>{e.from}{e.to && e.to !== e.from ? ` – ${e.to}` : ''} • {e.closed ? 'Stengt' : `${fmtHour(e.open)}–${fmtHour(e.close)}`}{e.label ? ` • ${e.label}` : ''}</span>
+            <button className="px-2 py-1 text-xs rounded border" onClick={()=>setDraft({ ...draft, exceptions: draft.exceptions.filter(x => x.id!==e.id) })}>Slett</button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2 items-end mt-2 text-sm">
+        <label className="flex flex-col">Fra<input type="date" value={ex.from} onChange={e=>setEx({ ...ex, from: e.target.value })} className="px-1 py-1 border rounded" /></label>
+        <label className="flex flex-col">Til<input type="date" value={ex.to} onChange={e=>setEx({ ...ex, to: e.target.value })} className="px-1 py-1 border rounded" /></label>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={ex.closed} onChange={e=>setEx({ ...ex, closed: e.target.checked })} />Stengt</label>
+        {!ex.closed && <label className="flex flex-col">Åpner{hourInput(ex.open, v=>setEx({ ...ex, open: v }))}</label>}
+        {!ex.closed && <label className="flex flex-col">Stenger{hourInput(ex.close, v=>setEx({ ...ex, close: v }))}</label>}
+        <label className="flex flex-col">Merknad<input value={ex.label} onChange={e=>setEx({ ...ex, label: e.target.value })} placeholder="f.eks. Sommerstengt" className="px-1 py-1 border rounded" /></label>
+        <button className="px-3 py-2 rounded border" disabled={!ex.from || (ex.to && ex.to < ex.from)} onClick={()=>{ addException(ex); setEx({ ...ex, from: '', to: '', label: '' }); }}>+ Unntak</button>
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button className="px-3 py-2 rounded border" onClick={addHolidays}>Legg til helligdager {year}</button>
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={()=>onSave(draft)}>Lagre åpningstider</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Unntak gjelder foran ukeplanen; overlapper flere, gjelder det korteste. Eksisterende bookinger berøres ikke.</p>
+    </Card>
+  );
+}
+
+function PricingRulesCard({ rules, rooms, roomTypes, pricing, dateISO, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  const [sample, setSample] = useState({ roomId: rooms[0]?.id || '', startMin: 18*60, endMin: 20*60, groupCode: 'standard' });
+  useEffect(() => { setDraft(rules); }, [rules]);
+  const update = (id, patch) => setDraft(draft.map(r => r.id===id ? { ...r, ...patch } : r));
+  const toggleDay = (r, wd) => update(r.id, { weekdays: r.weekdays?.includes(wd) ? r.weekdays.filter(x => x!==wd) : [...(r.weekdays||[]), wd].sort() });
+  const hourOrNull = (v) => v === '' ? null : Math.max(0, Math.min(24, Number(v)||0)) * 60;
+  const sampleRoom = rooms.find(r => r.id===sample.roomId);
+  const sampleQuote = sampleRoom ? quotePrice({ date: dateISO, roomId: sampleRoom.id, type: sampleRoom.type, startMin: sample.startMin, endMin: sample.endMin }, pricing, draft, sample.groupCode) : null;
+  return (
+    <Card title="Prisregler">
+      <div className="space-y-3">
+        {draft.length === 0 && <div className="text-sm text-neutral-500">Ingen regler – grunnpris × gruppe gjelder.</div>}
+        {sortPricingRules(draft).map(r => (
+          <div key={r.id} className={`border rounded p-2 text-sm space-y-2 ${r.active === false ? 'opacity-60' : ''}`}>
+            <div className="flex flex-wrap gap-2 items-center">
+              <input value={r.name} onChange={e=>update(r.id, { name: e.target.value })} className="px-1 py-1 border rounded flex-1 min-w-[140px]" />
+              <label className="flex items-center gap-1">Rekkefølge<input type="number" value={r.priority ?? 100} onChange={e=>update(r.id, { priority: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></label>
+              <label className="flex items-center gap-1"><input type="checkbox" checked={r.active !== false} onChange={e=>update(r.id, { active: e.target.checked })} />Aktiv</label>
+              <button className="px-2 py-1 text-xs rounded border" onClick={()=>setDraft(draft.filter(x => x.id!==r.id))}>Slett</button>
+            </div>
+            <div className="flex flex-wrap gap-2 items-center">
+              <select value={r.roomId ? `room:${r.roomId}` : r.roomType ? `type:${r.roomType}` : ''} onChange={e=>{ const [k, v] = e.target.value.split(':'); update(r.id, { roomId: k==='room' ? v : null, roomType: k==='type' ? v : null }); }} className="px-1 py-1 border rounded">
+                <option value="">Alle rom</option>
+                {roomTypes.map(t => <option key={t.id} value={`type:${t.id}`}>Alle {t.label.toLowerCase()}rom</option>)}
+                {rooms.map(x => <option key={x.id} value={`room:${x.id}`}>{x.name}</option>)}
+              </select>
+              <span className="flex gap-0.5">
+                {[1,2,3,4,5,6,0].map(wd => (
+                  <button key={wd} title={WEEKDAY_LABELS[wd]} onClick={()=>toggleDay(r, wd)} className={`w-6 py-0.5 text-xs rounded border ${r.weekdays?.includes(wd) ? 'bg-neutral-900 text-white' : 'bg-white'}`}>{WEEKDAY_LABELS[wd][0]}</button>
+                ))}
+              </span>
+              <label className="flex items-center gap-1">Kl.<input type="number" min={0} max={24} placeholder="fra" value={r.fromMin == null ? '' : r.fromMin/60} onChange={e=>update(r.id, { fromMin: hourOrNull(e.target.value) })} className="px-1 py-1 border rounded w-14" />–<input type="number" min={0} max={24} placeholder="til" value={r.toMin == null ? '' : r.toMin/60} onChange={e=>update(r.id, { toMin: hourOrNull(e.target.value) })} className="px-1 py-1 border rounded w-14" /></label>
+            </div>
+            <div className="flex flex-wrap gap-2 items-center">
+              <label className="flex items-center gap-1">Periode<input type="date" value={r.dateFrom || ''} onChange={e=>update(r.id, { dateFrom: e.target.value || null })} className="px-1 py-1 border rounded" />–<input type="date" value={r.dateTo || ''} onChange={e=>update(r.id, { dateTo: e.target.value || null })} className="px-1 py-1 border rounded" /></label>
+              <label className="flex items-center gap-1">Min. timer<input type="number" min={0} step={0.5} value={r.minHours ?? ''} onChange={e=>update(r.id, { minHours: e.target.value === '' ? null : Number(e.target.value) })} className="px-1 py-1 border rounded w-16" /></label>
+              <select value={r.effect} onChange={e=>update(r.id, { effect: e.target.value })} className="px-1 py-1 border rounded">
+                <option value="multiply">× faktor</option>
+                <option value="add">+ kroner</option>
+                <option value="set">= timepris</option>
+              </select>
+              <input type="number" step="any" value={r.value} onChange={e=>update(r.id, { value: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-20" />
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button className="px-3 py-2 rounded border" onClick={()=>setDraft([...draft, { id: nextId(), name: 'Ny regel', priority: 100, roomType: null, roomId: null, weekdays: [], fromMin: null, toMin: null, dateFrom: null, dateTo: null, minHours: null, effect: 'multiply', value: 1, active: true }])}>+ Regel</button>
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={()=>onSave(draft)}>Lagre regler</button>
+      </div>
+      {sampleQuote && (
+        <div className="mt-3 text-sm border-t pt-2">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span>Test {dateISO}:</span>
+            <select value={sample.roomId} onChange={e=>setSample({ ...sample, roomId: e.target.value })} className="px-1 py-1 border rounded">{rooms.map(x => <option key={x.id} value={x.id}>{x.name}</option>)}</select>
+            <input type="number" min={0} max={24} value={sample.startMin/60} onChange={e=>setSample({ ...sample, startMin: (Number(e.target.value)||0)*60 })} className="px-1 py-1 border rounded w-14" />–
+            <input type="number" min={0} max={24} value={sample.endMin/60} onChange={e=>setSample({ ...sample, endMin: (Number(e.target.value)||0)*60 })} className="px-1 py-1 border rounded w-14" />
+            <select value={sample.groupCode} onChange={e=>setSample({ ...sample, groupCode: e.target.value })} className="px-1 py-1 border rounded">{Object.keys(pricing.groups).map(g => <option key={g} value={g}>{g}</option>)}</select>
+            <b>{formatNOK(sampleQuote.priceNOK)}</b>
+          </div>
+          <ul className="text-xs text-neutral-600 mt-1">{sampleQuote.explanation.map((l, i) => <li key={i}>{l}</li>)}</ul>
+        </div>
+      )}
+      <p className="text-xs text-neutral-500 mt-2">Reglene brukes i fast rekkefølge (lavest først). Tidsregler endrer timeprisen for hver halvtime de dekker; regler med min. timer endrer summen for hele bookingen. Gruppemultiplikatoren brukes til slutt.</p>
+    </Card>
+  );
+}
+
+function BlackoutsCard({ rooms, blackouts, dateISO, ops }) {
+  const [draft, setDraft] = useState({ roomId: rooms[0]?.id || '', from: dateISO, to: dateISO, allDay: true, startMin: OPEN_HOUR*60, endMin: CLOSE_HOUR*60, reason: '' });
+  const times = Array.from({ length: 24*60/SLOT_MINUTES + 1 }, (_, i) => i*SLOT_MINUTES);
+  const roomName = (id) => rooms.find(r => r.id===id)?.name || id;
+  const valid = draft.roomId && draft.from && draft.to >= draft.from && draft.reason.trim() && (draft.allDay || draft.endMin > draft.startMin);
+  const submit = () => {
+    const { allDay, ...x } = draft;
+    ops.create({ ...x, reason: x.reason.trim(), startMin: allDay ? 0 : x.startMin, endMin: allDay ? 24*60 : x.endMin });
+    setDraft({ ...draft, reason: '' });
+  };
+  const timeSelect = (value, onChange) => (
+    <select value={value} onChange={e=>onChange(Number(e.target.value))} className="px-1 py-1 border rounded">
+      {times.map(m => <option key={m} value={m}>{fmtMin(m)}</option>)}
+    </select>
+  );
+  const upcoming = [...blackouts].filter(x => (x.to || x.from) >= dateISO).sort((a, b) => a.from.localeCompare(b.from));
+  return (
+    <Card title="Sperringer (vedlikehold, arrangement, intern bruk)">
+      <ul className="text-sm divide-y">
+        {upcoming.length === 0 && <li className="py-1 text-neutral-500">Ingen kommende sperringer.</li>}
+        {upcoming.map(x => (
+          <li key={x.id} className="py-1 flex justify-between items-center">
+            <span><b>{roomName(x.roomId)}</b> • {x.from}{x.to && x.to !== x.from ? ` – ${x.to}` : ''} • {x.startMin === 0 && x.endMin === 24*60 ? 'hele dagen' : `${fmtMin(x.startMin)}–${fmtMin(x.endMin)}`} • {x.reason}</span>
+            <button className="px-2 py-1 text-xs rounded border" onClick={()=>ops.remove(x.id)}>Slett</button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-2 items-end mt-2 text-sm">
+        <label className="flex flex-col">Rom<select value={draft.roomId} onChange={e=>setDraft({ ...draft, roomId: e.target.value })} className="px-1 py-1 border rounded">
+          {rooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+        </select></label>
+        <label className="flex flex-col">Fra<input type="date" value={draft.from} onChange={e=>setDraft({ ...draft, from: e.target.value })} className="px-1 py-1 border rounded" /></label>
+        <label className="flex flex-col">Til<input type="date" value={draft.to} onChange={e=>setDraft({ ...draft, to: e.target.value })} className="px-1 py-1 border rounded" /></label>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={draft.allDay} onChange={e=>setDraft({ ...draft, allDay: e.target.checked })} />Hele dagen</label>
+        {!draft.allDay && <label className="flex flex-col">Kl. fra{timeSelect(draft.startMin, v=>setDraft({ ...draft, startMin: v }))}</label>}
+        {!draft.allDay && <label className="flex flex-col">Kl. til{timeSelect(draft.endMin, v=>setDraft({ ...draft, endMin: v }))}</label>}
+        <label className="flex flex-col">Årsak<input value={draft.reason} onChange={e=>setDraft({ ...draft, reason: e.target.value })} placeholder="f.eks. Vedlikehold" className="px-1 py-1 border rounded" /></label>
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" disabled={!valid} onClick={submit}>+ Sperring</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Sperret tid kan ikke bookes og trekkes fra tilgjengelige timer i utnyttelsen. Eksisterende bookinger som kolliderer må avlyses manuelt.</p>
+    </Card>
+  );
+}
+
+function CancellationRulesCard({ rules, groups, roomTypes, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  useEffect(() => { setDraft(rules); }, [rules]);
+  const update = (id, patch) => setDraft(draft.map(r => r.id===id ? { ...r, ...patch } : r));
+  return (
+    <Card title="Avbestillingsregler">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-600">
+            <th className="font-normal">Gruppe</th><th className="font-normal">Romtype</th>
+            <th className="font-normal">Gratis til (t før)</th><th className="font-normal">Gebyr %</th><th className="font-normal">Klipp tapt (t før)</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map(r => (
+            <tr key={r.id}>
+              <td><select value={r.groupCode||''} onChange={e=>update(r.id, { groupCode: e.target.value || null })} className="px-1 py-1 border rounded">
+                <option value="">Alle</option>
+                {groups.map(g => <option key={g} value={g}>{g}</option>)}
+              </select></td>
+              <td><select value={r.roomType||''} onChange={e=>update(r.id, { roomType: e.target.value || null })} className="px-1 py-1 border rounded">
+                <option value="">Alle</option>
+                {roomTypes.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+              </select></td>
+              <td><input type="number" value={r.freeHours} onChange={e=>update(r.id, { freeHours: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></td>
+              <td><input type="number" value={r.lateFeePct} onChange={e=>update(r.id, { lateFeePct: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></td>
+              <td><input type="number" value={r.voucherNoRefundHours} onChange={e=>update(r.id, { voucherNoRefundHours: Number(e.target.value)||0 })} className="px-1 py-1 border rounded w-16" /></td>
+              <td><button className="px-2 py-1 text-xs rounded border" onClick={()=>setDraft(draft.filter(x => x.id!==r.id))}>Slett</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex gap-2 mt-3">
+        <button className="px-3 py-2 rounded border" onClick={()=>setDraft([...draft, { id: nextId(), groupCode: null, roomType: null, freeHours: 24, lateFeePct: 50, voucherNoRefundHours: 2 }])}>+ Regel</button>
+        <button className="px-3 py-2 rounded-md bg-neutral-900 text-white" onClick={()=>onSave(draft)}>Lagre regler</button>
+      </div>
+      <p className="text-xs text-neutral-500 mt-2">Mest spesifikke regel gjelder (gruppe + romtype foran bare gruppe eller romtype). Klippekort-bookinger får ikke gebyr, men klipp refunderes ikke innenfor fristen.</p>
+    </Card>
+  );
+}
+
 // ----- Footer -----
 function Footer(){
   return (
@@ -879,21 +6270,26 @@ function Footer(){
 }
 
 // ----- Access Modal -----
-function AccessModal({ open, onClose, grant, booking, error, loading }) {
+function AccessModal({ open, onClose, grant, booking, error, loading, onRetry }) {
   if (!open) return null;
   return (
     <div className="fixed inset-0 bg-black/30 flex items-center justify-center p-4 z-50">
       <div className="bg-white rounded-xl p-4 w-full max-w-md shadow-lg">
         <div className="flex justify-between items-center mb-2">
-          <h3 className="font-semibold">{booking ? `Tilgang til ${booking.roomName} ${fmtHour(booking.hour)}–${fmtHour(booking.hour+1)}` : 'Tilgang'}</h3>
+          <h3 className="font-semibold">{booking ? `Tilgang til ${booking.roomName} ${fmtMin(booking.startMin)}–${fmtMin(booking.endMin)}` : 'Tilgang'}</h3>
           <button className="text-sm" onClick={onClose}>Lukk</button>
         </div>
         {loading && <div className="text-sm text-neutral-600">Utsteder nøkkel…</div>}
-        {error && <div className="text-sm text-red-600">Feil: {error}</div>}
-        {grant && (
+        {error && (
+          <div className="text-sm text-red-600 flex items-center gap-2">
+            <span>Feil: {error}{grant?.attempts ? ` (${grant.attempts} forsøk)` : ''}</span>
+            {onRetry && <button className="ml-auto px-2 py-1 text-xs rounded border" onClick={onRetry}>Prøv igjen</button>}
+          </div>
+        )}
+        {grant && grant.status !== 'error' && (
           <div className="space-y-2">
             {(grant.start_at || grant.end_at) && (
-              <div className="text-sm">Gyldig: {grant.start_at?.replace('T',' ').slice(0,16)} – {grant.end_at?.replace('T',' ').slice(0,16)}</div>
+              <div className="text-sm">Gyldig: {grant.start_at && osloDateTime(grant.start_at)} – {grant.end_at && osloDateTime(grant.end_at)}</div>
             )}
             {grant.secret && (
               <div className="text-center">
@@ -905,6 +6301,7 @@ function AccessModal({ open, onClose, grant, booking, error, loading }) {
               <a href={grant.deep_link} target="_blank" className="inline-block px-3 py-2 rounded bg-neutral-900 text-white text-sm">Åpne dør</a>
             )}
             {!grant.secret && !grant.deep_link && <div className="text-sm text-neutral-600">Nøkkel utstedt.</div>}
+            <div className="text-xs text-neutral-500">{ACCESS_PROVIDER_LABEL[grant.provider] || grant.provider} • {ACCESS_STATUS_LABEL[grant.status] || grant.status}{grant.door_ids?.length ? ` • dører: ${grant.door_ids.join(', ')}` : ''}</div>
           </div>
         )}
       </div>
@@ -917,48 +6314,297 @@ function AccessModal({ open, onClose, grant, booking, error, loading }) {
 async function refreshBookings(dateISO, setBookings) {
   const { data, error } = await supabase
     .from('bookings')
-    .select('id, date, room_id, hour, type, room_name, created_by, voucher_partner, booked_for, group_code, price_nok')
+    .select(BOOKING_COLUMNS)
     .eq('date', dateISO)
+    .eq('status', 'active')
     .order('room_id')
-    .order('hour');
+    .order('start_min');
   if (error) throw error;
   const byRoom = {};
   for (const r of data) {
     byRoom[r.room_id] = byRoom[r.room_id] || {};
-    byRoom[r.room_id][r.hour] = {
-      id: r.id,
-      date: r.date,
-      roomId: r.room_id,
-      hour: r.hour,
-      type: r.type,
-      typeLabel: roomTypeLabel(r.type),
-      roomName: r.room_name,
-      createdBy: r.created_by,
-      voucherPartner: r.voucher_partner || null,
-      bookedFor: r.booked_for || null,
-      groupCode: r.group_code || 'standard',
-      priceNOK: typeof r.price_nok === 'number' ? r.price_nok : undefined,
-    };
+    byRoom[r.room_id][r.id] = bookingFromRow(r);
   }
   setBookings({ [dateISO]: byRoom });
 }
 
-async function refreshRange(startISO, endISO){
-  const { data, error } = await supabase
+// Rad fra public.bookings (select eller realtime-payload) → booking i appens format
+const BOOKING_COLUMNS = 'id, date, room_id, start_min, end_min, type, room_name, created_by, voucher_partner, voucher_id, booked_for, group_code, price_nok, price_rules, addons, series_id, checked_in_at, org_id';
+function bookingFromRow(r){
+  return {
+    id: r.id,
+    date: r.date,
+    roomId: r.room_id,
+    startMin: r.start_min,
+    endMin: r.end_min,
+    type: r.type,
+    typeLabel: roomTypeLabel(r.type),
+    roomName: r.room_name,
+    createdBy: r.created_by,
+    voucherPartner: r.voucher_partner || null,
+    voucherId: r.voucher_id || null,
+    bookedFor: r.booked_for || null,
+    groupCode: r.group_code || 'standard',
+    priceNOK: typeof r.price_nok === 'number' ? r.price_nok : undefined,
+    priceRules: r.price_rules || [],
+    addons: r.addons || [],
+    seriesId: r.series_id || null,
+    checkedInAt: r.checked_in_at || null,
+    orgId: r.org_id || null,
+  };
+}
+
+// Hele bookingrader for en periode (eksport), hentet i sider på 1000 (PostgREST-grensen)
+async function fetchBookingsRange(startISO, endISO){
+  const out = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from('bookings')
+      .select(BOOKING_COLUMNS)
+      .eq('status', 'active').gte('date', startISO).lte('date', endISO)
+      .order('date').order('start_min').order('id').range(from, from + 999);
+    if (error) throw error;
+    out.push(...data.map(bookingFromRow));
+    if (data.length < 1000) return out;
+  }
+}
+
+async function refreshRange(startISO, endISO, roomId = null){
+  let q = supabase
     .from('bookings')
-    .select('date, room_id, hour')
+    .select('id, date, room_id, start_min, end_min')
+    .eq('status', 'active')
     .gte('date', startISO)
     .lte('date', endISO);
+  if (roomId) q = q.eq('room_id', roomId);
+  const { data, error } = await q;
   if (error) throw error;
   const byDate = {};
   for (const r of data) {
     byDate[r.date] = byDate[r.date] || {};
     byDate[r.date][r.room_id] = byDate[r.date][r.room_id] || {};
-    byDate[r.date][r.room_id][r.hour] = true;
+    byDate[r.date][r.room_id][r.id] = { startMin: r.start_min, endMin: r.end_min };
   }
   return byDate;
 }
 
+async function fetchCancelled(dateISO){
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('id, date, room_id, room_name, start_min, end_min, cancelled_at, cancel_fee_nok, refunded_klipp')
+    .eq('date', dateISO)
+    .eq('status', 'cancelled')
+    .order('cancelled_at');
+  if (error) throw error;
+  return data.map(r => ({ id: r.id, date: r.date, roomId: r.room_id, roomName: r.room_name, startMin: r.start_min, endMin: r.end_min, cancelledAt: r.cancelled_at, cancelFeeNOK: Number(r.cancel_fee_nok)||0, refundedKlipp: r.refunded_klipp||0 }));
+}
+
+async function fetchSchedule(){
+  const [{ data: wk, error: we }, { data: ex, error: ee }] = await Promise.all([
+    supabase.from('opening_hours').select('weekday, open_hour, close_hour, closed'),
+    supabase.from('opening_exceptions').select('id, date_from, date_to, closed, open_hour, close_hour, label').order('date_from'),
+  ]);
+  if (we) throw we;
+  if (ee) throw ee;
+  const weekly = clone(DEFAULT_SCHEDULE.weekly);
+  for (const d of wk) weekly[d.weekday] = { open: d.open_hour, close: d.close_hour, closed: d.closed };
+  return { weekly, exceptions: ex.map(e => ({ id: e.id, from: e.date_from, to: e.date_to, closed: e.closed, open: e.open_hour, close: e.close_hour, label: e.label })) };
+}
+
+async function fetchHvacSettings(){
+  const { data, error } = await supabase.from('hvac_settings').select('*').eq('id', 1).single();
+  if (error) throw error;
+  return { preheatMin: data.preheat_min, ventAfterMin: data.vent_after_min, lightsBeforeMin: data.lights_before_min, lightsAfterMin: data.lights_after_min,
+    mergeGapMin: data.merge_gap_min, feedToken: data.feed_token, webhookUrl: data.webhook_url || '' };
+}
+
+async function fetchOrgs(){
+  const { data, error } = await supabase.from('organisations')
+    .select('id, name, kind, organisation_members(user_id, email, role), organisation_invites(id, email, role, token, expires_at)').order('name');
+  if (error) throw error;
+  return data.map(o => ({ id: o.id, name: o.name, kind: o.kind,
+    members: o.organisation_members.map(m => ({ userId: m.user_id, email: m.email, role: m.role })),
+    invites: o.organisation_invites.map(i => ({ id: i.id, email: i.email, role: i.role, token: i.token, expiresAt: i.expires_at })) }));
+}
+
+// Invitasjoner til innlogget bruker (RLS viser også invitasjoner i band brukeren administrerer – de filtreres bort her)
+async function fetchMyOrgInvites(email){
+  const { data, error } = await supabase.from('organisation_invites').select('id, org_id, role, token, email, expires_at, organisations(name, kind)').gt('expires_at', new Date().toISOString());
+  if (error) throw error;
+  return data.filter(i => i.email.toLowerCase() === String(email||'').toLowerCase())
+    .map(i => ({ id: i.id, orgId: i.org_id, orgName: i.organisations?.name || '', kind: i.organisations?.kind || 'band', role: i.role, token: i.token, expiresAt: i.expires_at }));
+}
+
+// Hele historikken (alle statuser) i sider på 1000, så timer og forbruk summeres over alle bookingene
+async function fetchOrgHistory(orgId){
+  const out = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from('bookings').select(`${BOOKING_COLUMNS}, status, cancelled_at, cancel_fee_nok`)
+      .eq('org_id', orgId).order('date', { ascending: false }).order('start_min', { ascending: false }).order('id').range(from, from + 999);
+    if (error) throw error;
+    out.push(...data.map(r => ({ ...bookingFromRow(r), status: r.status, cancelledAt: r.cancelled_at, cancelFeeNOK: Number(r.cancel_fee_nok)||0 })));
+    if (data.length < 1000) return out;
+  }
+}
+
+async function fetchNotifySettings(){
+  const { data, error } = await supabase.from('notification_settings').select('enabled, reminder_hours_before, send_to_booked_for, reply_to, function_url').eq('id', 1).single();
+  if (error) throw error;
+  return { enabled: data.enabled, reminderHoursBefore: data.reminder_hours_before, sendToBookedFor: data.send_to_booked_for, replyTo: data.reply_to || '', functionUrl: data.function_url || '' };
+}
+
+async function fetchEmailLog(){
+  const { data, error } = await supabase.from('email_log').select('*').order('sent_at', { ascending: false }).limit(50);
+  if (error) throw error;
+  return data.map(r => ({ id: r.id, kind: r.kind, bookingIds: r.booking_ids, to: r.recipient, lang: r.lang, subject: r.subject, status: r.status, error: r.error, sentAt: r.sent_at }));
+}
+
+async function fetchInvoices(){
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('id, number, period, customer_kind, customer, status, issued_on, due_on, paid_on, created_at, invoice_lines(id, booking_id, kind, description, amount_nok)')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data.map(i => ({
+    id: i.id, number: i.number, period: i.period, customerKind: i.customer_kind, customer: i.customer, status: i.status,
+    issuedOn: i.issued_on, dueOn: i.due_on, paidOn: i.paid_on, createdAt: i.created_at,
+    lines: sortInvoiceLines((i.invoice_lines||[]).map(l => ({ id: l.id, bookingId: l.booking_id, kind: l.kind, description: l.description, amountNOK: Number(l.amount_nok)||0 }))),
+  }));
+}
+
+async function fetchUserEmails(ids){
+  if (!ids.length) return {};
+  const { data, error } = await supabase.rpc('user_emails', { p_ids: ids });
+  if (error) throw error;
+  return Object.fromEntries(data.map(u => [u.user_id, u.email]));
+}
+
+async function fetchCalendarFeeds(){
+  const { data, error } = await supabase.from('calendar_feeds').select('id, token, scope, room_id, group_code, created_at, revoked_at').is('revoked_at', null).order('created_at');
+  if (error) throw error;
+  return data.map(f => ({ id: f.id, token: f.token, scope: f.scope, roomId: f.room_id, groupCode: f.group_code, createdAt: f.created_at, revokedAt: f.revoked_at }));
+}
+
+async function fetchBlackouts(){
+  const { data, error } = await supabase.from('room_blackouts').select('id, room_id, date_from, date_to, start_min, end_min, reason').order('date_from');
+  if (error) throw error;
+  return data.map(x => ({ id: x.id, roomId: x.room_id, from: x.date_from, to: x.date_to, startMin: x.start_min, endMin: x.end_min, reason: x.reason }));
+}
+
+async function fetchRoomTypes(){
+  const { data, error } = await supabase.from('room_types').select('id, label, base_price_nok, kwh_per_hour, sort').order('sort').order('label');
+  if (error) throw error;
+  return data.map(t => ({ id: t.id, label: t.label, basePriceNOK: Number(t.base_price_nok), kwhPerHour: Number(t.kwh_per_hour) }));
+}
+
+async function fetchEnergyMeters(){
+  const { data, error } = await supabase.from('energy_meters').select('id, label, room_id').order('id');
+  if (error) throw error;
+  return data.map(m => ({ id: m.id, label: m.label, roomId: m.room_id }));
+}
+
+async function fetchEnergySummary(fromISO, toISO){
+  const { data, error } = await supabase.rpc('energy_room_summary', { p_from: fromISO, p_to: toISO });
+  if (error) throw error;
+  return data.map(x => ({ roomId: x.room_id, bookedKwh: Number(x.booked_kwh)||0, bookedHours: Number(x.booked_hours)||0, idleKwh: Number(x.idle_kwh)||0, idleHours: Number(x.idle_hours)||0 }));
+}
+
+async function fetchAnalytics(fromISO, toISO){
+  const { data, error } = await supabase.rpc('analytics_summary', { p_from: fromISO, p_to: toISO });
+  if (error) throw error;
+  const n = (v) => Number(v)||0;
+  return {
+    heatmap: data.heatmap.map(x => ({ roomId: x.room_id, weekday: x.weekday, hour: x.hour, hours: n(x.hours) })),
+    monthly: data.monthly.map(x => ({ month: x.month, bookings: n(x.bookings), hours: n(x.hours), revenueNOK: n(x.revenue_nok), feesNOK: n(x.fees_nok) })),
+    groups: data.groups.map(x => ({ groupCode: x.group_code, bookings: n(x.bookings), hours: n(x.hours), revenueNOK: n(x.revenue_nok) })),
+    partners: data.partners.map(x => ({ partner: x.partner, bookings: n(x.bookings), hours: n(x.hours), revenueNOK: n(x.revenue_nok) })),
+    mix: data.mix.map(x => ({ roomType: x.room_type, groupCode: x.group_code, bookings: n(x.bookings), hours: n(x.hours), revenueNOK: n(x.revenue_nok) })),
+  };
+}
+
+async function fetchCosts(){
+  const { data, error } = await supabase.from('cost_settings').select('*').eq('id', 1).single();
+  if (error) throw error;
+  return { fixed: (data.fixed||[]).map(c => ({ id: c.id, label: c.label, monthlyNOK: Number(c.monthly_nok)||0 })), energyPricePerKwh: Number(data.energy_price_nok_kwh), cleaningPerBookingNOK: Number(data.cleaning_per_booking_nok) };
+}
+
+async function fetchDoorEvents(dateISO){
+  const { data, error } = await supabase.from('door_events')
+    .select('id, door_id, credential_hint, occurred_at, result, grant_id, booking_id, room_id')
+    .gte('occurred_at', isoAt(dateISO, 0)).lt('occurred_at', isoAt(addDaysISO(dateISO, 1), 0)) // døgnet i Oslo-tid
+    .order('occurred_at', { ascending: false });
+  if (error) throw error;
+  return data.map(e => ({ id: e.id, doorId: e.door_id, credentialHint: e.credential_hint, occurredAt: e.occurred_at, result: e.result, grantId: e.grant_id, bookingId: e.booking_id, roomId: e.room_id }));
+}
+
+async function fetchEquipment(){
+  const { data, error } = await supabase.from('equipment').select('id, name, quantity, price_nok, unit, active').order('name');
+  if (error) throw error;
+  return data.map(e => ({ id: e.id, name: e.name, quantity: e.quantity, priceNOK: Number(e.price_nok), unit: e.unit, active: e.active }));
+}
+
+async function fetchRooms(){
+  const { data, error } = await supabase.from('rooms').select('id, name, type, capacity, size_m2, description, photos, equipment, active, sort').order('sort').order('name');
+  if (error) throw error;
+  return data.map(r => ({
+    id: r.id, name: r.name, type: r.type, capacity: r.capacity, sizeM2: r.size_m2 == null ? null : Number(r.size_m2),
+    description: r.description || '', photos: r.photos || [], equipment: r.equipment || [], active: r.active,
+  }));
+}
+
+async function fetchRole(userId){
+  const { data, error } = await supabase.from('user_roles').select('role, partner').eq('user_id', userId).maybeSingle();
+  if (error) throw error;
+  return { role: data?.role || 'member', partner: data?.partner || null };
+}
+
+async function fetchUserRoles(){
+  const { data, error } = await supabase.from('user_roles').select('user_id, email, role, partner, updated_at').order('email');
+  if (error) throw error;
+  return data.map(r => ({ userId: r.user_id, email: r.email, role: r.role, partner: r.partner, updatedAt: r.updated_at }));
+}
+
+async function fetchPricingRules(){
+  const { data, error } = await supabase.from('pricing_rules').select('id, name, priority, room_type, room_id, weekdays, from_min, to_min, date_from, date_to, min_hours, effect, value, active');
+  if (error) throw error;
+  return sortPricingRules(data.map(r => ({
+    id: r.id, name: r.name, priority: r.priority, roomType: r.room_type, roomId: r.room_id, weekdays: r.weekdays || [], fromMin: r.from_min, toMin: r.to_min,
+    dateFrom: r.date_from, dateTo: r.date_to, minHours: r.min_hours == null ? null : Number(r.min_hours), effect: r.effect, value: Number(r.value), active: r.active,
+  })));
+}
+
+async function fetchCancellationRules(){
+  const { data, error } = await supabase.from('cancellation_rules').select('id, group_code, room_type, free_hours, late_fee_pct, voucher_no_refund_hours');
+  if (error) throw error;
+  return data.map(r => ({ id: r.id, groupCode: r.group_code, roomType: r.room_type, freeHours: Number(r.free_hours), lateFeePct: Number(r.late_fee_pct), voucherNoRefundHours: Number(r.voucher_no_refund_hours) }));
+}
+
+async function fetchWaitlist(fromISO){
+  const { data, error } = await supabase
+    .from('waitlist')
+    .select('id, date, room_id, room_type, start_min, end_min, status, offered_room_id, offered_at, offer_expires_at, contact, created_by, created_at')
+    .gte('date', fromISO)
+    .in('status', ['waiting','offered','accepted','expired'])
+    .order('created_at');
+  if (error) throw error;
+  return data.map(w => ({
+    id: w.id, date: w.date, roomId: w.room_id, roomType: w.room_type, startMin: w.start_min, endMin: w.end_min, status: w.status,
+    offeredRoomId: w.offered_room_id, offeredAt: w.offered_at, offerExpiresAt: w.offer_expires_at, contact: w.contact, createdBy: w.created_by, createdAt: w.created_at,
+  }));
+}
+
+async function fetchVouchers(){
+  const [{ data: vs, error: ve }, { data: tx, error: te }] = await Promise.all([
+    supabase.from('vouchers').select('id, partner, slots, expires_on').order('partner'),
+    supabase.from('voucher_transactions').select('id, voucher_id, booking_id, delta, reason, booking_label, created_at').order('created_at', { ascending: false }).limit(1000),
+  ]);
+  if (ve) throw ve;
+  if (te) throw te;
+  return {
+    vouchers: vs.map(v => ({ id: v.id, partner: v.partner, slots: v.slots, expiresOn: v.expires_on || null })),
+    ledger: tx.map(t => ({ id: t.id, voucherId: t.voucher_id, bookingId: t.booking_id, delta: t.delta, reason: t.reason, bookingLabel: t.booking_label, at: t.created_at })),
+  };
+}
+
 function filterRangeLocal(store, startISO, endISO){
   const out={};
   for (const d of Object.keys(store||{})){
@@ -967,72 +6613,156 @@ function filterRangeLocal(store, startISO, endISO){
   return out;
 }
 
-function computeUtilizationRange(rangeMap, rooms, startISO, endISO){
-  const days = eachDateISO(startISO, endISO).length;
-  const total = rooms.length * HOURS_PER_DAY * days;
+// Totalen er faktisk åpne timer i perioden (stengte dager teller ikke); sperret tid trekkes fra og rapporteres som blocked
+function computeUtilizationRange(rangeMap, rooms, startISO, endISO, schedule = DEFAULT_SCHEDULE, blackouts = []){
+  let open = 0, blocked = 0;
+  for (const d of eachDateISO(startISO, endISO)) {
+    const day = openingHoursFor(d, schedule);
+    open += rooms.length * openHoursOn(d, schedule);
+    for (const r of rooms) blocked += blockedHoursOn(blackouts, d, r.id, day);
+  }
+  const total = open - blocked;
   let booked = 0;
   for (const d of Object.keys(rangeMap||{})){
     const byRoom = rangeMap[d] || {};
-    for (const rid of Object.keys(byRoom)) booked += Object.keys(byRoom[rid]||{}).length;
+    for (const rid of Object.keys(byRoom)) for (const b of Object.values(byRoom[rid]||{})) booked += durationHours(b);
   }
   const utilization = total? (booked/total)*100 : 0;
-  return { utilization, booked, total };
+  return { utilization, booked, total, blocked };
 }
 
 // ----- Stats / Business Logic (pure) -----
-function computeStats({ bookings, dateISO, rooms, energy }) {
-  const hours = hoursArray();
+function computeStats({ bookings, dateISO, rooms, energy, schedule = DEFAULT_SCHEDULE, blackouts = [] }) {
+  const openDay = openingHoursFor(dateISO, schedule);
+  const hours = hoursArray(openDay);
   const day = bookings[dateISO] || {};
-  const totalSlots = rooms.length * hours.length;
-  let bookedCount = 0; let revenue = 0; const todayList = [];
+  const blockedHours = rooms.reduce((acc, r) => acc + blockedHoursOn(blackouts, dateISO, r.id, openDay), 0);
+  const totalHours = rooms.length * hours.length - blockedHours;
+  let bookedHours = 0; let revenue = 0; let addonRevenue = 0; const todayList = [];
   for (const room of rooms) {
-    const byHour = day[room.id] || {};
-    for (const h of hours) { if (byHour[h]) { bookedCount++; const item=byHour[h]; const p = typeof item.priceNOK==='number' ? item.priceNOK : (RATECARD[room.type]||0); revenue += p; todayList.push(item); } }
+    const items = Object.values(day[room.id] || {}).sort((a, b) => a.startMin - b.startMin);
+    for (const item of items) { const h = durationHours(item); bookedHours += h; const p = typeof item.priceNOK==='number' ? item.priceNOK : (RATECARD[room.type]||0)*h; revenue += p; addonRevenue += addonsTotal(item.addons); todayList.push(item); }
   }
-  const utilization = totalSlots ? (bookedCount / totalSlots) * 100 : 0;
-  const byTypeCounts = todayList.reduce((acc, b) => { acc[b.type] = (acc[b.type]||0)+1; return acc; }, {});
-  const totalBooked = todayList.length || 1;
-  const baselineKwhPerHour = ((byTypeCounts["solo"]||0)*energy.solo + (byTypeCounts["band"]||0)*energy.band + (byTypeCounts["preprod"]||0)*energy.preprod) / totalBooked || 0;
-  return { utilization, revenueToday: revenue, kwhPerBookedHour: baselineKwhPerHour, kwhOptimizedPerHour: baselineKwhPerHour * energy.optimizationFactor, energy, todayList };
+  const utilization = totalHours ? (bookedHours / totalHours) * 100 : 0;
+  // Energi vektes med bookede timer per romtype
+  const byTypeCounts = todayList.reduce((acc, b) => { acc[b.type] = (acc[b.type]||0)+durationHours(b); return acc; }, {});
+  const totalBooked = bookedHours || 1;
+  const baselineKwhPerHour = Object.entries(byTypeCounts).reduce((acc, [t, h]) => acc + h*(energy[t]||0), 0) / totalBooked || 0;
+  return { utilization, blockedHours, revenueToday: revenue, addonRevenueToday: addonRevenue, kwhPerBookedHour: baselineKwhPerHour, kwhOptimizedPerHour: baselineKwhPerHour * energy.optimizationFactor, energy, todayList };
 }
 
 function computeBaselineEnergy(stats) {
-  const byType = stats.todayList.reduce((acc, b)=>{ acc[b.type] = (acc[b.type]||0)+1; return acc; }, {});
-  const total = stats.todayList.length || 1;
-  const base = ((byType.solo||0)*stats.energy.solo + (byType.band||0)*stats.energy.band + (byType.preprod||0)*stats.energy.preprod)/ total;
-  return base || (stats.energy.solo+stats.energy.band+stats.energy.preprod)/3;
+  const byType = stats.todayList.reduce((acc, b)=>{ acc[b.type] = (acc[b.type]||0)+durationHours(b); return acc; }, {});
+  const total = stats.todayList.reduce((acc, b) => acc + durationHours(b), 0) || 1;
+  const base = Object.entries(byType).reduce((acc, [t, h]) => acc + h*(stats.energy[t]||0), 0) / total;
+  const perType = Object.entries(stats.energy).filter(([k]) => k !== 'optimizationFactor').map(([, v]) => v);
+  return base || perType.reduce((a, v) => a + v, 0) / (perType.length || 1);
+}
+
+// Local store helpers (for fallback and tests) – store[date][roomId][bookingId] = booking
+function addBooking(bookings, b) { if (!(b.endMin > b.startMin) || findOverlap(bookings[b.date]?.[b.roomId], b.startMin, b.endMin)) return bookings; const out = clone(bookings); out[b.date]=out[b.date]||{}; out[b.date][b.roomId]=out[b.date][b.roomId]||{}; out[b.date][b.roomId][b.id]=b; return out; }
+function removeBooking(bookings, b) { const out = clone(bookings); const cell = out[b.date]?.[b.roomId]?.[b.id]; if (!cell) return bookings; delete out[b.date][b.roomId][b.id]; return out; }
+// Eldre lokale data var nøklet på time (b.hour) – konverter til start/slutt
+function migrateLocalStore(store) {
+  const out = {};
+  for (const [d, byRoom] of Object.entries(store||{})) {
+    out[d] = {};
+    for (const [rid, cells] of Object.entries(byRoom||{})) {
+      out[d][rid] = {};
+      for (const c of Object.values(cells||{})) {
+        const b = typeof c.startMin === 'number' ? c : { ...c, id: c.id || nextId(), startMin: c.hour*60, endMin: (c.hour+1)*60 };
+        delete b.hour;
+        out[d][rid][b.id] = b;
+      }
+    }
+  }
+  return out;
 }
 
-// Local store helpers (for fallback and tests)
-function addBooking(bookings, b) { const out = clone(bookings); out[b.date]=out[b.date]||{}; out[b.date][b.roomId]=out[b.date][b.roomId]||{}; if (out[b.date][b.roomId][b.hour]) return bookings; out[b.date][b.roomId][b.hour]=b; return out; }
-function removeBooking(bookings, b) { const out = clone(bookings); const cell = out[b.date]?.[b.roomId]?.[b.hour]; if (!cell) return bookings; delete out[b.date][b.roomId][b.hour]; return out; }
+function exportBookings(list, { from, to, filters, columns, format, roomTypes }){
+  const table = buildExportTable(list, columns, { roomTypes });
+  const name = exportFileName(from, to, format);
+  if (format === 'xlsx') return downloadFile(buildXLSX(table), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', name);
+  if (format === 'json') return downloadFile(exportToJSON(table, { from, to, filters }), 'application/json', name);
+  return downloadFile("\ufeff" + exportToCSV(table), 'text/csv;charset=utf-8;', name);
+}
 
-function exportCSV(list) {
-  const header = ["Dato","Rom","Type","Gruppe","Start","Slutt","Tilgangskode","Pris (NOK)"];
-  const rows = list.map(b => [b.date, b.roomName, roomTypeLabel(b.type), b.groupCode||'standard', fmtHour(b.hour), fmtHour(b.hour+1), generateAccessCode(b), typeof b.priceNOK==='number'? b.priceNOK : (RATECARD[b.type]||0)]);
-  const csv = [header, ...rows].map(r => r.map(x => `"${String(x).replace(/"/g,'""')}"`).join(",")).join("\n");
-  const blob = new Blob(["\ufeff"+csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = `bookinger_${todayISO()}.csv`; a.click(); URL.revokeObjectURL(url);
+// ----- iCalendar (RFC 5545) -----
+const ICS_TZID = 'Europe/Oslo';
+// Tider skrives som lokal tid i Europe/Oslo; minutter utenfor 0–1440 (tilgangsbuffer) ruller over til nabodøgnet
+function icsLocal(dateISO, min){ const d = addDaysISO(dateISO, Math.floor(min/1440)); const m = ((min % 1440) + 1440) % 1440; return `${d.replace(/-/g,'')}T${fmtMin(m).replace(':','')}00`; }
+function icsUTC(iso){ return new Date(iso).toISOString().replace(/[-:]/g,'').slice(0,15) + 'Z'; }
+function icsEscape(s){ return String(s ?? '').replace(/\\/g,'\\\\').replace(/\n/g,'\\n').replace(/([,;])/g,'\\$1'); }
+// Linjer brettes etter 75 oktetter (UTF-8), fortsettelse starter med mellomrom
+function icsFold(line){
+  const out = []; let cur = '', bytes = 0;
+  for (const ch of line) {
+    const cp = ch.codePointAt(0), n = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (bytes + n > 75) { out.push(cur); cur = ' '; bytes = 1; }
+    cur += ch; bytes += n;
+  }
+  return [...out, cur].join('\r\n');
+}
+function icsEvent(b, { before = ACCESS_BUFFER_BEFORE_MIN, after = ACCESS_BUFFER_AFTER_MIN, nowISO = new Date().toISOString() } = {}){
+  const cancelled = b.status === 'cancelled';
+  const access = `${fmtMin(((b.startMin - before) % 1440 + 1440) % 1440)}–${fmtMin((b.endMin + after) % 1440)}`;
+  const desc = [`Rom: ${b.roomName} (${roomTypeLabel(b.type)})`, `Tid: ${fmtMin(b.startMin)}–${fmtMin(b.endMin)}`, cancelled ? 'AVLYST' : `Tilgang gyldig: ${access}`].join('\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${b.id}@ovingsrommet`,
+    `DTSTAMP:${icsUTC(b.updatedAt || nowISO)}`,
+    `DTSTART;TZID=${ICS_TZID}:${icsLocal(b.date, b.startMin)}`,
+    `DTEND;TZID=${ICS_TZID}:${icsLocal(b.date, b.endMin)}`,
+    `SUMMARY:${icsEscape(`${cancelled ? 'AVLYST: ' : ''}Øvingsrommet – ${b.roomName}`)}`,
+    `LOCATION:${icsEscape(b.roomName)}`,
+    `DESCRIPTION:${icsEscape(desc)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SEQUENCE:${b.version ?? (cancelled ? 1 : 0)}`, // bookings.version i databasen; lokalt finnes bare aktiv/avlyst
+    'END:VEVENT',
+  ];
+}
+const ICS_VTIMEZONE = [
+  'BEGIN:VTIMEZONE', `TZID:${ICS_TZID}`,
+  'BEGIN:DAYLIGHT', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200', 'TZNAME:CEST', 'DTSTART:19700329T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'END:DAYLIGHT',
+  'BEGIN:STANDARD', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100', 'TZNAME:CET', 'DTSTART:19701025T030000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'END:STANDARD',
+  'END:VTIMEZONE',
+];
+function buildICS(events, name = 'Øvingsrommet'){
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Ovingsrommet//Booking//NO', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${icsEscape(name)}`, `X-WR-TIMEZONE:${ICS_TZID}`, ...ICS_VTIMEZONE, ...events.flat(), 'END:VCALENDAR'];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+function feedName(feed, rooms = []){
+  if (feed.scope === 'room') return `Øvingsrommet – ${rooms.find(r => r.id===(feed.roomId ?? feed.room_id))?.name || feed.roomId || feed.room_id}`;
+  if (feed.scope === 'group') return `Øvingsrommet – ${feed.groupCode ?? feed.group_code}`;
+  return 'Øvingsrommet – mine bookinger';
+}
+function hvacFeedURL(baseURL, token, format = 'json'){ return `${baseURL}/functions/v1/hvac_schedule?token=${encodeURIComponent(token)}&days=7&format=${format}`; }
+function calendarFeedURL(baseURL, token){ return `${baseURL}/functions/v1/calendar_feed?token=${encodeURIComponent(token)}`; }
+function downloadICS(list, filename){ downloadFile(buildICS(list.map(b => icsEvent(b))), "text/calendar;charset=utf-8;", filename); }
+function downloadFile(content, type, filename){
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob); const a = document.createElement("a"); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
 }
 
 // ----- Utils -----
 function fmtHour(h) { return `${String(h).padStart(2,"0")}:00`; }
-function roomTypeLabel(t) { return t === "solo" ? "Solo" : t === "band" ? "Band" : "Preprod"; }
+function fmtMin(m) { return `${String(Math.floor(m/60)).padStart(2,"0")}:${String(m%60).padStart(2,"0")}`; }
+function roomTypeLabel(t, types = DEFAULT_ROOM_TYPES) { return types.find(x => x.id===t)?.label || typeLabel(t||''); }
 function typeLabel(t){ return t.charAt(0).toUpperCase()+t.slice(1); }
 function formatNOK(n){ try { return new Intl.NumberFormat('nb-NO', { style:'currency', currency:'NOK', maximumFractionDigits:0 }).format(n); } catch { return `${Math.round(n)} kr`; } }
 
 // ----- Self Tests (console.assert) -----
 function runSelfTests() {
   try {
-    // Test 1: Access code deterministic
-    const b = { date: '2025-09-15', roomId: 's1', hour: 10 };
-    const c1 = generateAccessCode(b), c2 = generateAccessCode(b);
-    console.assert(c1 === c2, 'Access code must be deterministic for same input');
+    // Test 1: Tilgangskoder er tilfeldige (ikke avledet av bookingen) og er aldri med i eksport
+    const b = { id: 'bk1', date: '2025-09-15', roomId: 's1', startMin: 600, endMin: 660 };
+    const c1 = randomPin();
+    console.assert(/^\d{6}$/.test(c1) && !EXPORT_COLUMNS.some(c => /tilgang|pin/i.test(c.label)), 'Access codes are random PINs and never exported');
 
     // Test 2: Add booking then prevent double-booking (local pure store)
     let store = {};
     store = addBooking(store, { ...b, type: 'solo', typeLabel: 'Solo', roomName: 'Solo 1' });
-    const afterDouble = addBooking(store, { ...b, type: 'solo', typeLabel: 'Solo', roomName: 'Solo 1' });
+    const afterDouble = addBooking(store, { ...b, id: 'bk2', type: 'solo', typeLabel: 'Solo', roomName: 'Solo 1' });
     console.assert(JSON.stringify(store) === JSON.stringify(afterDouble), 'Double-booking should not change store');
 
     // Test 3: Remove booking
@@ -1042,7 +6772,7 @@ function runSelfTests() {
 
     // Test 4: Stats utilization for one booking in a single-room, 1-hour day
     const oneRoom = [{ id:'r1', name:'R', type:'solo' }];
-    const fake = { '2025-09-15': { r1: { 10: { date:'2025-09-15', roomId:'r1', hour:10, type:'solo', typeLabel:'Solo', roomName:'R', groupCode:'kulturskole', priceNOK: computePrice('solo', DEFAULT_PRICING, 'kulturskole') } } } };
+    const fake = { '2025-09-15': { r1: { x1: { id:'x1', date:'2025-09-15', roomId:'r1', startMin:600, endMin:660, type:'solo', typeLabel:'Solo', roomName:'R', groupCode:'kulturskole', priceNOK: computePrice('solo', DEFAULT_PRICING, 'kulturskole') } } } };
     const st = computeStats({ bookings: fake, dateISO: '2025-09-15', rooms: oneRoom, energy: DEFAULT_ENERGY });
     const expectedUtil = (1 / HOURS_PER_DAY) * 100;
     console.assert(Math.abs(st.utilization - expectedUtil) < 0.001, 'Utilization must be 1 booked out of day slots');
@@ -1054,7 +6784,7 @@ function runSelfTests() {
 
     // Test 6: Baseline vs optimized energy
     const rooms2 = [{ id:'r1', name:'Solo', type:'solo' }, { id:'r2', name:'Band', type:'band' }];
-    const fake2 = { '2025-09-15': { r1: { 10: { date:'2025-09-15', roomId:'r1', hour:10, type:'solo', typeLabel:'Solo', roomName:'Solo' } }, r2: { 10: { date:'2025-09-15', roomId:'r2', hour:10, type:'band', typeLabel:'Band', roomName:'Band' } } } };
+    const fake2 = { '2025-09-15': { r1: { x1: { id:'x1', date:'2025-09-15', roomId:'r1', startMin:600, endMin:660, type:'solo', typeLabel:'Solo', roomName:'Solo' } }, r2: { x2: { id:'x2', date:'2025-09-15', roomId:'r2', startMin:600, endMin:660, type:'band', typeLabel:'Band', roomName:'Band' } } } };
     const st2 = computeStats({ bookings: fake2, dateISO: '2025-09-15', rooms: rooms2, energy: DEFAULT_ENERGY });
     const expectedBaseline = (DEFAULT_ENERGY.solo + DEFAULT_ENERGY.band) / 2;
     console.assert(Math.abs(st2.kwhPerBookedHour - expectedBaseline) < 1e-9, 'Baseline kWh/h must match average of types');
@@ -1067,7 +6797,7 @@ function runSelfTests() {
     // Test 8: Week range utilization (syntetisk)
     const rmap = {};
     const monday = '2025-09-15'; // mandag
-    rmap[monday] = { r1: { 10: true } }; // én time booket av totalt 13*7
+    rmap[monday] = { r1: { x1: { startMin: 600, endMin: 660 } } }; // én time booket av totalt 13*7
     const wk = computeUtilizationRange(rmap, [{id:'r1'}], startOfWeekISO(monday), endOfWeekISO(monday));
     const wkExpected = (1 / (1 * HOURS_PER_DAY * 7)) * 100;
     console.assert(Math.abs(wk.utilization - wkExpected) < 1e-6, 'Week utilization should match');
@@ -1078,11 +6808,358 @@ function runSelfTests() {
     console.assert(bandStd === 399 && bandKE === Math.round(399*0.75), 'Kulturenheten-pris skal bruke 0.75-multiplier');
 
     // Test 10: Månedsutnyttelse over flere dager
-    const rmapM = { '2025-09-01': { r1: { 10: true } }, '2025-09-03': { r1: { 12: true, 13: true } } };
+    const rmapM = { '2025-09-01': { r1: { x1: { startMin: 600, endMin: 660 } } }, '2025-09-03': { r1: { x2: { startMin: 720, endMin: 840 } } } };
     const mStats = computeUtilizationRange(rmapM, [{id:'r1'}], '2025-09-01', '2025-09-07');
     const mBooked = 3; const mTotal = 1 * HOURS_PER_DAY * 7;
     console.assert(Math.abs(mStats.utilization - (mBooked/mTotal*100)) < 1e-6, 'Month range utilization should match synthetic data');
 
+    // Test 11: Overlappende spenn avvises, tilstøtende tillates
+    let span = addBooking({}, { id:'s18', date:'2025-09-15', roomId:'b1', startMin: 18*60, endMin: 21*60 });
+    const overlapped = addBooking(span, { id:'s20', date:'2025-09-15', roomId:'b1', startMin: 20*60+30, endMin: 22*60 });
+    console.assert(overlapped === span, 'Overlapping span must be rejected');
+    span = addBooking(span, { id:'s21', date:'2025-09-15', roomId:'b1', startMin: 21*60, endMin: 22*60 });
+    console.assert(Object.keys(span['2025-09-15'].b1).length === 2, 'Adjacent span must be accepted');
+    console.assert(bookingAt(span['2025-09-15'].b1, 19*60+30)?.id === 's18', 'bookingAt must find covering booking');
+
+    // Test 12: Pris og klipp over hele varigheten
+    const bandSpan = computePrice('band', DEFAULT_PRICING, 'kulturskole', 2.5);
+    console.assert(bandSpan === Math.round(399*0.7*2.5), 'Price must cover whole duration');
+    console.assert(voucherSlotsFor({ startMin: 600, endMin: 690 }) === 2, 'Voucher slots per started hour');
+
+    // Test 13: Migrering av gamle timesbookinger
+    const legacy = migrateLocalStore({ '2025-09-15': { s1: { 10: { id:'old', date:'2025-09-15', roomId:'s1', hour:10 } } } });
+    console.assert(legacy['2025-09-15'].s1.old.startMin === 600 && legacy['2025-09-15'].s1.old.endMin === 660, 'Legacy hour bookings must migrate to spans');
+
+    // Test 14: Serier – ukentlig/annenhver uke, til dato eller antall, med unntak
+    const weekly = expandSeries({ startDate: '2025-09-01', freq: 'weekly', count: 4, skipDates: ['2025-09-15'] });
+    console.assert(JSON.stringify(weekly) === JSON.stringify(['2025-09-01','2025-09-08','2025-09-22','2025-09-29']), 'Weekly series with skip date');
+    const biweekly = expandSeries({ startDate: '2025-09-01', freq: 'biweekly', untilDate: '2025-10-01' });
+    console.assert(JSON.stringify(biweekly) === JSON.stringify(['2025-09-01','2025-09-15','2025-09-29']), 'Biweekly series until date');
+    console.assert(JSON.stringify(parseSkipDates('2025-10-13, 2025-10-20;x')) === JSON.stringify(['2025-10-13','2025-10-20']), 'Skip dates parsing');
+
+    // Test 15: Konfliktsjekk og avlysning av resten av serien
+    const seriesStore = { '2025-09-08': { b1: { z: { id:'z', startMin: 17*60, endMin: 19*60 } } } };
+    const part = partitionOccurrences(weekly, seriesStore, 'b1', 18*60, 21*60);
+    console.assert(part.conflicts.length === 1 && part.conflicts[0] === '2025-09-08' && part.free.length === 3, 'Series conflicts must be reported per date');
+    let sStore = {};
+    for (const d of part.free) sStore = addBooking(sStore, { id: `o${d}`, date: d, roomId: 'b1', startMin: 18*60, endMin: 21*60, seriesId: 'ser1' });
+    console.assert(seriesBookingsFrom(sStore, 'ser1', '2025-09-22').length === 2, 'Rest of series from date');
+
+    // Test 16: Klippekort med utløpsdato og transaksjonslogg
+    const vs = [{ id:'v1', partner:'P', slots: 3, expiresOn: '2025-12-31' }];
+    console.assert(checkVoucherAvailable(vs, 'v1', 3, '2025-12-31') && !checkVoucherAvailable(vs, 'v1', 3, '2026-01-01'), 'Expired voucher must not be available');
+    console.assert(!checkVoucherAvailable(vs, 'v1', 4), 'Voucher must have enough slots');
+    const lg = appendLedger([], { voucherId:'v1', delta:-2, reason:'redeem', bookingLabel: bookingLabel({ date:'2025-09-15', roomName:'Band 1', startMin: 1080, endMin: 1200 }) });
+    console.assert(lg.length === 1 && lg[0].bookingLabel === '2025-09-15 Band 1 18:00–20:00', 'Ledger entry must carry booking label');
+    console.assert(findVoucherForBooking(vs, { voucherId:'v1' })?.id === 'v1' && findVoucherForBooking(vs, { voucherPartner:'P' })?.id === 'v1', 'Voucher lookup by id or partner');
+
+    // Test 17: Venteliste – tilbud til første som passer, utløp går videre i køen
+    const now = '2025-09-15T12:00:00.000Z';
+    let wl = [
+      { id:'w1', date:'2025-09-15', roomId:null, roomType:'band', startMin: 1080, endMin: 1200, status:'waiting', createdAt:'2025-09-10T10:00:00Z' },
+      { id:'w2', date:'2025-09-15', roomId:'b2', roomType:'band', startMin: 1080, endMin: 1140, status:'waiting', createdAt:'2025-09-11T10:00:00Z' },
+      { id:'w3', date:'2025-09-15', roomId:'b1', roomType:'band', startMin: 1080, endMin: 1140, status:'waiting', createdAt:'2025-09-12T10:00:00Z' },
+    ];
+    console.assert(waitlistPosition(wl, wl[2]) === 2 && waitlistPosition(wl, wl[1]) === 2 && waitlistPosition([...wl, { ...wl[2], id:'w4', startMin: 1200, endMin: 1260, createdAt:'2025-09-13T10:00:00Z' }], { ...wl[2], id:'w4', startMin: 1200, endMin: 1260, createdAt:'2025-09-13T10:00:00Z' }) === 1, 'Queue position counts only waiters competing for the same room and time');
+    wl = offerNextWaitlist(wl, { date:'2025-09-15', roomId:'b1', roomType:'band' }, {}, now);
+    console.assert(wl.find(w=>w.id==='w1').status === 'offered' && wl.find(w=>w.id==='w1').offeredRoomId === 'b1', 'First matching waiter (any band room) gets the offer');
+    console.assert(wl.find(w=>w.id==='w2').status === 'waiting', 'Waiter for another room must not be offered');
+    console.assert(heldByOffer(wl, { date:'2025-09-15', roomId:'b1', startMin: 1140, endMin: 1200 }) && !heldByOffer(wl, { date:'2025-09-15', roomId:'b1', startMin: 1140, endMin: 1200 }, 'w1'), 'Offered slot is held except for the offeree');
+    wl = expireWaitlistOffers(wl, {}, [{ id:'b1', type:'band' }], '2025-09-15T12:31:00.000Z');
+    console.assert(wl.find(w=>w.id==='w1').status === 'expired' && wl.find(w=>w.id==='w3').status === 'offered', 'Expired offer moves to next in queue');
+
+    // Test 18: Avbestillingsregler – mest spesifikke regel, gebyr etter frist, ingen klipp-refusjon nær start
+    const rules = [...DEFAULT_CANCELLATION_RULES, { id:'ks', groupCode:'kulturskole', roomType:null, freeHours: 48, lateFeePct: 100, voucherNoRefundHours: 0 }];
+    console.assert(findCancellationRule(rules, 'kulturskole', 'band').id === 'ks' && findCancellationRule(rules, 'standard', 'band').id === 'default', 'Most specific cancellation rule wins');
+    const bk = { date:'2025-09-15', startMin: 18*60, endMin: 20*60, type:'band', groupCode:'standard', priceNOK: 798 };
+    const early = evaluateCancellation(bk, rules, new Date('2025-09-13T18:00:00'));
+    const late = evaluateCancellation(bk, rules, new Date('2025-09-15T12:00:00'));
+    console.assert(early.feeNOK === 0 && late.feeNOK === 399, 'Late cancellation fee after free window');
+    const vbk = { ...bk, voucherId:'v1' };
+    console.assert(evaluateCancellation(vbk, rules, new Date('2025-09-15T12:00:00')).refundKlipp === 2, 'Voucher refund before no-refund window');
+    console.assert(evaluateCancellation(vbk, rules, new Date('2025-09-15T17:00:00')).refundKlipp === 0, 'No voucher refund within no-refund window');
+
+    // Test 19: Åpningstider – ukeplan, helligdager, unntak og utnyttelse over stengte dager
+    console.assert(easterSundayISO(2025) === '2025-04-20' && easterSundayISO(2026) === '2026-04-05', 'Easter computus');
+    const hol = norwegianHolidays(2025).map(h => h.date);
+    console.assert(hol.includes('2025-04-18') && hol.includes('2025-05-29') && hol.includes('2025-06-09') && hol.length === 12, 'Norwegian public holidays');
+    const sched = clone(DEFAULT_SCHEDULE);
+    sched.weekly[0] = { open: 0, close: 0, closed: true }; // søndag stengt
+    sched.weekly[5] = { open: 10, close: 24, closed: false }; // fredag sent
+    sched.exceptions = [
+      { id:'s', from:'2025-07-01', to:'2025-07-31', closed: true, label:'Sommerstengt' },
+      { id:'l', from:'2025-07-18', to:'2025-07-18', closed: false, open: 18, close: 23, label:'Konsert' },
+    ];
+    console.assert(openingHoursFor('2025-09-14', sched).closed && openHoursOn('2025-09-19', sched) === 14, 'Weekday schedule');
+    console.assert(openingHoursFor('2025-07-10', sched).label === 'Sommerstengt' && openHoursOn('2025-07-18', sched) === 5, 'Shortest exception wins');
+    console.assert(!isWithinOpeningHours({ date:'2025-09-15', startMin: 9*60, endMin: 11*60 }, sched) && isWithinOpeningHours({ date:'2025-09-19', startMin: 22*60, endMin: 24*60 }, sched), 'Bookings outside opening hours are rejected');
+    const wkU = computeUtilizationRange({}, [{ id:'b1', type:'band' }], '2025-09-15', '2025-09-21', sched);
+    console.assert(wkU.total === 13*5 + 14, 'Utilization total counts only open hours');
+    console.assert(partitionOccurrences(['2025-09-14','2025-09-15'], {}, 'b1', 18*60, 20*60, sched).conflicts[0] === '2025-09-14', 'Closed dates are series conflicts');
+
+    // Test 20: Sperringer – blokkerer booking, trekkes fra utnyttelse, kollisjoner rapporteres
+    const bos = [
+      { id:'x1', roomId:'b1', from:'2025-09-15', to:'2025-09-16', startMin: 10*60, endMin: 14*60, reason:'Vedlikehold' },
+      { id:'x2', roomId:'b1', from:'2025-09-16', to:'2025-09-16', startMin: 12*60, endMin: 16*60, reason:'Arrangement' },
+    ];
+    console.assert(findBlackout(bos, { date:'2025-09-15', roomId:'b1', startMin: 13*60, endMin: 15*60 })?.id === 'x1' && !findBlackout(bos, { date:'2025-09-15', roomId:'b1', startMin: 14*60, endMin: 15*60 }), 'Blackout overlap check');
+    console.assert(blockedHoursOn(bos, '2025-09-16', 'b1', openingHoursFor('2025-09-16')) === 6, 'Overlapping blackouts counted once');
+    const bu = computeUtilizationRange({ '2025-09-17': { b1: { k: { startMin: 18*60, endMin: 20*60 } } } }, [{ id:'b1', type:'band' }], '2025-09-15', '2025-09-17', DEFAULT_SCHEDULE, bos);
+    console.assert(bu.blocked === 10 && bu.total === 3*HOURS_PER_DAY - 10 && bu.booked === 2, 'Blocked hours excluded from utilization total');
+    const hits = blackoutCollisions({ '2025-09-15': { b1: { k1: { startMin: 11*60, endMin: 12*60 }, k2: { startMin: 18*60, endMin: 19*60 } } } }, bos[0]);
+    console.assert(hits.length === 1 && hits[0].id === 'k1', 'Existing bookings colliding with new blackout are reported');
+
+    // Test 21: iCalendar – lokal tid, escaping, bretting, avlyst status
+    const ev = { id:'ics1', date:'2025-09-15', startMin: 18*60, endMin: 24*60, type:'band', roomName:'Band 1; Scene, liten' };
+    const ics = buildICS([icsEvent(ev, { nowISO:'2025-09-01T10:00:00.000Z' }), icsEvent({ ...ev, id:'ics2', status:'cancelled' }, { nowISO:'2025-09-01T10:00:00.000Z' })]);
+    console.assert(ics.includes('DTSTART;TZID=Europe/Oslo:20250915T180000') && ics.includes('DTEND;TZID=Europe/Oslo:20250916T000000'), 'ICS local times roll over midnight');
+    const unfolded = ics.replace(/\r\n /g, '');
+    console.assert(unfolded.includes('LOCATION:Band 1\\; Scene\\, liten') && unfolded.includes('Tilgang gyldig: 17:45–00:10'), 'ICS escaping and access window');
+    console.assert(ics.includes('UID:booking-ics2@ovingsrommet') && ics.includes('STATUS:CANCELLED'), 'Cancelled bookings are published as CANCELLED');
+    console.assert(icsEvent({ ...ev, version: 3 }).includes('SEQUENCE:3') && ics.includes('SEQUENCE:1'), 'SEQUENCE follows bookings.version, local fallback bumps on cancel');
+    console.assert(ics.split('\r\n').every(l => new TextEncoder().encode(l).length <= 75), 'ICS lines folded at 75 octets');
+
+    // Test 22: Fakturering – utvalg per måned/kunde, gebyr, kreditering, nummerserie og PDF-struktur
+    const invActive = [
+      { id:'i1', date:'2025-09-02', roomName:'Band 1', startMin: 18*60, endMin: 20*60, type:'band', groupCode:'kulturskole', priceNOK: 559 },
+      { id:'i2', date:'2025-09-01', roomName:'Solo 1', startMin: 10*60, endMin: 11*60, type:'solo', groupCode:'kulturskole', priceNOK: 139 },
+      { id:'i3', date:'2025-09-03', roomName:'Band 2', startMin: 10*60, endMin: 11*60, type:'band', groupCode:'kulturskole', priceNOK: 279, voucherId:'v1' },
+      { id:'i4', date:'2025-10-01', roomName:'Band 2', startMin: 10*60, endMin: 11*60, type:'band', groupCode:'kulturskole', priceNOK: 279 },
+      { id:'i5', date:'2025-09-04', roomName:'Band 2', startMin: 10*60, endMin: 11*60, type:'band', groupCode:'standard', bookedFor:'Ola@Example.no', priceNOK: 399 },
+    ];
+    const invCancelled = [{ id:'i6', date:'2025-09-05', roomName:'Band 1', startMin: 18*60, endMin: 19*60, type:'band', groupCode:'kulturskole', cancelFeeNOK: 140 }];
+    const lines = collectInvoiceLines({ active: invActive, cancelled: invCancelled, monthISO:'2025-09', kind:'group', customer:'kulturskole', invoicedIds: new Set(['i2']) });
+    console.assert(lines.map(l => l.bookingId).join() === 'i1,i6' && lines[1].kind === 'fee', 'Invoice lines: month, group, not voucher, not already invoiced, fee included');
+    console.assert(collectInvoiceLines({ active: invActive, cancelled: [], monthISO:'2025-09', kind:'booked_for', customer:' ola@example.no' }).map(l => l.bookingId).join() === 'i5', 'booked_for match is case-insensitive');
+    const inv = { id:'inv', number: null, period:'2025-09-01', customerKind:'group', customer:'kulturskole', status:'draft', lines: sortInvoiceLines([{ id:'c', kind:'credit', description:'Rabatt', amountNOK: -100 }, ...lines]) };
+    console.assert(invoiceTotal(inv) === 599 && inv.lines[2].kind === 'credit', 'Invoice total includes credit lines, credits last');
+    const moved = syncInvoiceDrafts([inv, { ...inv, id:'sent', status:'sent' }], [{ ...invActive[0], startMin: 19*60, endMin: 21*60, priceNOK: 600 }], []);
+    console.assert(moved[0].lines.map(l => `${l.bookingId || l.kind}:${l.amountNOK}`).join() === 'i1:600,credit:-100' && moved[0].lines[0].description.includes('19:00') && moved[1].lines === inv.lines,
+      'Draft re-derived from current bookings (moved, fee gone), sent invoice untouched');
+    console.assert(syncInvoiceDrafts([inv], invActive, invCancelled)[0] === inv, 'Unchanged draft keeps identity');
+    console.assert(invoiceLockedIds([inv, { ...inv, id:'sent', status:'sent', lines: [{ bookingId:'i5' }, { kind:'credit' }] }]).size === 1 && invoiceLockedIds([inv]).size === 0, 'Only bookings on sent/paid invoices are locked');
+    console.assert(nextInvoiceNumber([]) === INVOICE_FIRST_NUMBER && nextInvoiceNumber([{ number: 1007 }, { number: null }]) === 1008, 'Invoice numbers are sequential');
+    console.assert(JSON.parse(invoiceToJSON(inv)).totalNOK === 599 && invoiceToCSV(inv).split('\n').length === 5, 'Invoice JSON/CSV');
+    const pdf = buildInvoicePDF({ ...inv, number: 1001, status:'sent' });
+    const sx = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    console.assert(pdf.startsWith('%PDF-1.4') && pdf.slice(sx, sx + 4) === 'xref' && pdf.includes('(Faktura 1001)') && !/[^\x00-\xff]/.test(pdf), 'Invoice PDF is single-byte with valid xref');
+
+    // Test 23: Prisregler – dagtid per halvtime, fredagskveld, varighetsrabatt, romoverstyring, fast rekkefølge
+    const prs = [
+      { id:'r1', name:'Dagtid', priority: 10, weekdays:[1,2,3,4,5], fromMin: 10*60, toMin: 16*60, effect:'multiply', value: 0.75 },
+      { id:'r2', name:'Fredag kveld', priority: 20, weekdays:[5], fromMin: 18*60, toMin: null, effect:'add', value: 100 },
+      { id:'r3', name:'Lang økt', priority: 30, minHours: 3, effect:'multiply', value: 0.9 },
+      { id:'r4', name:'Scene', priority: 5, roomId:'p1', effect:'set', value: 500 },
+      { id:'r5', name:'Av', priority: 1, effect:'multiply', value: 0, active: false },
+    ];
+    const q1 = quotePrice({ date:'2025-09-15', roomId:'b1', type:'band', startMin: 15*60, endMin: 17*60 }, DEFAULT_PRICING, prs, 'standard');
+    console.assert(q1.priceNOK === 698 && q1.applied.length === 1 && q1.applied[0].hours === 1, 'Time-of-day rule applies only to covered half-hours');
+    const q2 = quotePrice({ date:'2025-09-19', roomId:'b1', type:'band', startMin: 18*60, endMin: 21*60 }, DEFAULT_PRICING, [...prs].reverse(), 'standard');
+    console.assert(q2.priceNOK === 1347 && q2.applied.map(r => r.name).join() === 'Fredag kveld,Lang økt', 'Weekday + duration rules in deterministic order');
+    const q3 = quotePrice({ date:'2025-09-15', roomId:'p1', type:'preprod', startMin: 12*60, endMin: 13*60 }, DEFAULT_PRICING, prs, 'kulturskole');
+    console.assert(q3.priceNOK === 263 && q3.explanation.some(l => l.startsWith('Gruppe kulturskole')), 'Room override, then window rule, then group multiplier');
+    console.assert(quotePrice({ date:'2025-09-15', roomId:'s1', type:'solo', startMin: 18*60, endMin: 19*60 }, DEFAULT_PRICING, [], 'standard').priceNOK === computePrice('solo', DEFAULT_PRICING, 'standard'), 'No rules equals base price');
+
+    // Test 24: Roller – admin alt, ansatte uten admin-redigering, partner ser bare eget klippekort, ukjent rolle = medlem
+    console.assert(can('admin', 'reset:demo') && can('admin', 'edit:roles'), 'Admin has every permission');
+    console.assert(can('staff', 'manage:bookings') && can('staff', 'edit:blackouts') && canView('staff', 'admin') && !can('staff', 'edit:admin') && !can('staff', 'reset:demo'), 'Staff: read-only admin, may manage bookings');
+    console.assert(canView('partner', 'vouchers') && !can('partner', 'edit:vouchers') && !canView('partner', 'invoices'), 'Partner: read-only vouchers');
+    console.assert(!canView('member', 'admin') && canView('member', 'book') && !can('ukjent', 'view:energy'), 'Member/unknown only sees booking and dashboard');
+    const pv = [{ id:'1', partner:'A' }, { id:'2', partner:'B' }];
+    console.assert(visibleVouchersFor('partner', 'B', pv).map(v => v.id).join() === '2' && visibleVouchersFor('staff', null, pv).length === 2, 'Partner sees only own vouchers');
+    console.assert(parseHHMM('18:30') === 1110 && parseHHMM('x') === null, 'parseHHMM');
+
+    // Test 25: Realtime – insert, flytting til annen dato, avlysning og delete uten gammel rad patches inn i kartet
+    const rtRow = { id:'rt', date:'2025-09-15', room_id:'b1', start_min: 600, end_min: 720, type:'band', room_name:'Band 1', created_by:'u2', status:'active' };
+    let rt = applyBookingChange({}, bookingChangeFrom({ eventType:'INSERT', new: rtRow, old: {} }), '2025-09-15', '2025-09-21');
+    console.assert(rt['2025-09-15'].b1.rt.startMin === 600 && rt['2025-09-15'].b1.rt.typeLabel === 'Band', 'Realtime insert adds booking');
+    const rtMoved = applyBookingChange(rt, bookingChangeFrom({ eventType:'UPDATE', new: { ...rtRow, date:'2025-09-30' }, old: rtRow }), '2025-09-15', '2025-09-21');
+    console.assert(!rtMoved['2025-09-15'].b1.rt && !rtMoved['2025-09-30'] && rt['2025-09-15'].b1.rt, 'Move out of range removes booking without mutating input');
+    console.assert(!applyBookingChange(rt, bookingChangeFrom({ eventType:'UPDATE', new: { ...rtRow, status:'cancelled' }, old: rtRow }), '2025-09-15', '2025-09-21')['2025-09-15'].b1.rt, 'Cancellation removes booking');
+    console.assert(!applyBookingChange(rt, bookingChangeFrom({ eventType:'DELETE', new: {}, old: { id:'rt' } }), '2025-09-15', '2025-09-21')['2025-09-15'].b1.rt, 'Delete with only id removes booking');
+    console.assert(realtimeDateFilter('2025-09-29', '2025-10-02') === 'date=in.(2025-09-29,2025-09-30,2025-10-01,2025-10-02)', 'Realtime filter lists every date in range');
+    console.assert(realtimeDateFilter('2025-09-01', '2025-10-12', 'from_date').split(',').length === 42, 'Realtime filter covers month + week');
+    const rtLocal = addBooking({}, { id:'x', date:'2025-09-15', roomId:'s1', startMin: 600, endMin: 660 });
+    console.assert(changedBookings(rtLocal, rtLocal).length === 0 && changedBookings({}, rtLocal).length === 1, 'Local diff finds added bookings');
+    console.assert(flashKeysFor({ date:'2025-09-15', roomId:'s1', startMin: 600, endMin: 690 }).join() === '2025-09-15|s1|600,2025-09-15|s1|630,2025-09-15|s1|660', 'Flash keys per slot');
+
+    // Test 26: Offline-kø – ventende vises i kartet, avspillingsutfall, opprydding av synkroniserte
+    const oq = [
+      { id:'q1', status:'pending', booking: { id:'q1', date:'2025-09-15', roomId:'s1', startMin: 600, endMin: 660 } },
+      { id:'q2', status:'pending', booking: { id:'q2', date:'2025-09-15', roomId:'s1', startMin: 630, endMin: 690 } },
+      { id:'q3', status:'conflict', booking: { id:'q3', date:'2025-09-15', roomId:'s2', startMin: 600, endMin: 660 } },
+      { id:'q4', status:'synced', syncedAt:'2025-09-13T10:00:00Z', booking: {} },
+    ];
+    const ov = withPendingBookings({}, oq);
+    console.assert(ov['2025-09-15'].s1.q1.syncState === 'pending' && !ov['2025-09-15'].s1.q2 && !ov['2025-09-15'].s2, 'Only non-overlapping pending entries are overlaid');
+    console.assert(syncOutcome(null) === 'synced' && syncOutcome({ code:'23505', message:'duplicate key value violates unique constraint "bookings_client_ref_key"' }) === 'synced', 'Replayed duplicate counts as synced');
+    console.assert(syncOutcome({ message:'TypeError: Failed to fetch' }) === 'pending' && syncOutcome({ code:'23P01', message:'conflicting key value violates exclusion constraint' }) === 'conflict', 'Network error stays pending, overlap is conflict');
+    console.assert(pruneSyncQueue(oq, '2025-09-15T12:00:00Z').map(e => e.id).join() === 'q1,q2,q3', 'Synced entries older than 24 h are pruned');
+
+    // Test 27: Romtyper i data – egen type med egen pris og energi, deaktiverte rom telles ikke
+    const rtTypes = [...DEFAULT_ROOM_TYPES, { id: 'dj-rom', label: 'DJ-rom', basePriceNOK: 299, kwhPerHour: 2 }];
+    const rtPricing = { ...DEFAULT_PRICING, base: roomTypePrices(rtTypes) };
+    console.assert(computePrice('dj-rom', rtPricing, 'kulturskole', 2) === Math.round(299*0.7*2) && roomTypeLabel('dj-rom', rtTypes) === 'DJ-rom' && roomTypeLabel('studio') === 'Studio', 'Custom room type price and label');
+    console.assert(roomTypeSlug('DJ-rom') === 'dj-rom' && roomTypeSlug(' Øvingsrom Stor ') === 'ovingsrom-stor', 'roomTypeSlug');
+    const rtRooms = [{ id:'d1', name:'DJ', type:'dj-rom' }, { id:'old', name:'Gammelt', type:'band', active: false }];
+    const rtStats = computeStats({ bookings: { '2025-09-15': { d1: { a: { id:'a', date:'2025-09-15', roomId:'d1', type:'dj-rom', startMin: 600, endMin: 720 } } } }, dateISO: '2025-09-15', rooms: activeRooms(rtRooms), energy: { ...roomTypeEnergy(rtTypes), optimizationFactor: 1 } });
+    console.assert(rtStats.kwhPerBookedHour === 2 && Math.abs(rtStats.utilization - 2/13*100) < 1e-9, 'Energy and utilization use data-driven types and only active rooms');
+    console.assert(parseList('Trommesett, PA\n, Piano').join('|') === 'Trommesett|PA|Piano', 'parseList');
+
+    // Test 28: Utstyr – pris per time/booking, samtidig bruk på tvers av rom og pris inkl. utstyr
+    const eqItems = [{ id:'amp', name:'Forsterker', quantity: 2, priceNOK: 50, unit:'booking' }, { id:'pa', name:'PA', quantity: 1, priceNOK: 100, unit:'hour' }];
+    const eqNew = { id:'n', date:'2025-09-15', roomId:'b1', startMin: 1080, endMin: 1260 };
+    const eqAddons = buildAddons({ amp: 2, pa: 1 }, eqItems, eqNew);
+    console.assert(eqAddons.length === 2 && eqAddons[0].priceNOK === 100 && eqAddons[1].priceNOK === 300 && addonsTotal(eqAddons) === 400, 'Addon prices per booking and per hour');
+    const eqDay = { b2: { x: { id:'x', roomId:'b2', startMin: 1140, endMin: 1200, addons: [{ equipmentId:'amp', name:'Forsterker', qty: 1, unit:'booking', priceNOK: 50 }] } },
+                    b3: { y: { id:'y', roomId:'b3', startMin: 1200, endMin: 1260, addons: [{ equipmentId:'amp', name:'Forsterker', qty: 1, unit:'booking', priceNOK: 50 }] } } };
+    console.assert(equipmentInUse(eqDay, 'amp', eqNew) === 1 && equipmentAvailable(eqItems, eqDay, eqNew).amp === 1, 'Peak usage per slot, not sum of overlapping bookings');
+    console.assert(addonShortage(eqAddons, eqItems, eqDay, eqNew)?.equipmentId === 'amp' && !addonShortage(buildAddons({ amp: 1 }, eqItems, eqNew), eqItems, eqDay, eqNew), 'Shortage detected across rooms');
+    const eqQuote = quoteWithAddons({ priceNOK: 600, applied: [], explanation: ['Grunnpris'] }, eqAddons);
+    console.assert(movePrice({ priceNOK: 559, priceRules: ['kveld'] }, { priceNOK: 399, applied: [] }, false).priceNOK === 559 && movePrice({ priceNOK: 559 }, { priceNOK: 399, applied: [] }, true).priceNOK === 399
+      && movePrice({ priceNOK: 399 }, { priceNOK: 559, applied: ['kveld'] }, false).priceRules[0] === 'kveld', 'Move keeps old price unless staff or the new price is higher');
+    console.assert(eqQuote.priceNOK === 1000 && eqQuote.explanation.length === 3 && quoteWithAddons({ priceNOK: 5, applied: [], explanation: [] }, []).addons.length === 0, 'Quote includes addons');
+
+    // Test 29: Dørtilgang – vindu med buffere, flyttet booking gir nytt vindu, retry og 'error' mot låse-API
+    const acB = { id:'g', date:'2025-09-15', roomId:'b1', startMin: 1080, endMin: 1200 };
+    const acWin = accessWindow(acB, 15, 10);
+    console.assert(acWin.start_at === '2025-09-15T15:45:00.000Z' && acWin.end_at === '2025-09-15T18:10:00.000Z', 'Access window with buffers, Oslo summer time to UTC');
+    console.assert(isoAt('2025-01-15', 18*60) === '2025-01-15T17:00:00.000Z' && isoAt('2025-03-30', 3*60) === '2025-03-30T01:00:00.000Z' && isoAt('2025-09-15', -15) === '2025-09-14T21:45:00.000Z'
+      && osloDateTime(acWin.start_at) === '2025-09-15 17:45', 'Oslo wall clock to UTC in winter, after DST change and before midnight');
+    console.assert(grantMatchesWindow({ start_at: '2025-09-15T15:45:00+00:00', end_at: '2025-09-15T18:10:00+00:00' }, acWin) && !grantMatchesWindow(acWin, accessWindow({ ...acB, endMin: 1260 }, 15, 10)), 'Grant window compare (moved/extended booking)');
+    console.assert(/^\d{6}$/.test(randomPin()) && currentGrant([{ id:'1', booking_id:'g', status:'revoked' }, { id:'2', booking_id:'g', status:'issued' }], 'g')?.id === '2', 'randomPin and currentGrant');
+    let acCalls = 0;
+    const acFlaky = (ok) => async () => { acCalls++; return acCalls >= ok ? { ok: true, status: 201, json: async () => ({ id: 'codes-1' }) } : { ok: false, status: 503 }; };
+    const acNoWait = { sleep: async () => {} };
+    issueWithRetry(pinKeypadProvider({ baseUrl: 'http://lock', fetchImpl: acFlaky(3) }), { booking_id: 'g', door_ids: ['main'], ...acWin }, acNoWait)
+      .then(g => console.assert(g.status === 'issued' && g.attempts === 3 && g.external_ref === 'codes-1' && /^\d{6}$/.test(g.secret), 'Issue succeeds after retries'));
+    issueWithRetry(mobileKeyProvider({ baseUrl: 'http://lock', fetchImpl: async () => ({ ok: false, status: 503 }) }), { booking_id: 'g', door_ids: ['main'], ...acWin }, acNoWait)
+      .then(g => console.assert(g.status === 'error' && g.attempts === ACCESS_MAX_ATTEMPTS && g.last_error === 'Låsen svarte 503' && !g.deep_link, 'Issue gives error status after all attempts'));
+    revokeWithRetry(pinKeypadProvider({ baseUrl: 'http://lock', fetchImpl: async () => ({ ok: false, status: 503 }) }), { id:'3', booking_id:'g', external_ref:'codes-1', ...acWin }, acNoWait)
+      .then(r => console.assert(r.status === 'error' && r.last_error === 'revoke: Låsen svarte 503' && isRevokeFailure({ id:'3', booking_id:'g', ...r })
+        && currentGrant([{ id:'2', booking_id:'g', status:'issued', created_at:'a' }, { id:'3', booking_id:'g', created_at:'b', ...r }], 'g').id === '2', 'Failed revoke keeps the grant as error, not current'));
+
+    // Test 30: Dørhendelser – kobling til grant/booking (dør og gyldighet), oppmøte og no-show etter frist
+    const deGrants = [
+      { id:'old', booking_id:'b-old', secret:'123456', door_ids:['main','b1'], start_at:'2025-09-08T17:45:00Z', end_at:'2025-09-08T20:10:00Z', status:'issued' },
+      { id:'new', booking_id:'b-new', secret:'123456', door_ids:['main','b1'], start_at:'2025-09-15T17:45:00Z', end_at:'2025-09-15T20:10:00Z', status:'issued' },
+    ];
+    const deEv = linkDoorEvent({ id:'e1', doorId:'b1', credential:'123456', occurredAt:'2025-09-15T18:05:00Z', result:'granted' }, deGrants);
+    console.assert(deEv.grantId === 'new' && deEv.bookingId === 'b-new' && deEv.credentialHint === '56' && !('credential' in deEv), 'Door event linked to grant valid at the time, PIN not stored');
+    console.assert(linkDoorEvent({ id:'e2', doorId:'b3', credential:'123456', occurredAt:'2025-09-15T18:05:00Z' }, deGrants).bookingId === null, 'Door outside the grant is not linked');
+    console.assert(linkDoorEvent({ id:'e3', doorId:'b1', credential:'123456', occurredAt:'2025-09-15T21:00:00Z' }, deGrants).grantId === null
+      && linkDoorEvent({ id:'e4', doorId:'b1', credential:'123456', occurredAt:'2025-09-15T18:05:00Z' }, deGrants.map(g => ({ ...g, status:'revoked' }))).grantId === null, 'Expired window or revoked grant is not linked');
+    const deB = { id:'b-new', date:'2025-09-15', startMin: 1080, endMin: 1200 };
+    const deStart = bookingStart(deB).getTime();
+    console.assert(attendanceFor(deB, [deEv], new Date(deStart + 3600000)).state === 'present' && attendanceFor(deB, [], new Date(deStart - 60000)).state === 'upcoming', 'Attendance present/upcoming');
+    console.assert(attendanceFor(deB, [], new Date(deStart + (NO_SHOW_GRACE_MIN - 1) * 60000)).state === 'waiting' && attendanceFor(deB, [{ ...deEv, result:'denied' }], new Date(deStart + NO_SHOW_GRACE_MIN * 60000)).state === 'noShow', 'No-show after grace, denied opening does not count');
+    console.assert(doorEventsFor([deEv, { ...deEv, id:'e0', occurredAt:'2025-09-15T17:00:00Z', roomId:'b1' }], { bookingId:'b-new' })[0].id === 'e1', 'Audit trail newest first');
+
+    // Test 31: Måledata – CSV med semikolon/desimalkomma, kvarter summert til timer, fordeling på booket/tom time
+    const emCsv = parseMeterCSV('Målepunkt;Fra;Volum (kWh)\nm1;15.09.2025 18:00;1,5\nm1;15.09.2025 18:15;0,5\nm1;2025-09-15 19:00;3\nm1;ugyldig;1\n;2025-09-15 20:00;2', null);
+    console.assert(emCsv.readings.length === 2 && emCsv.readings[0].ts === '2025-09-15T18:00' && emCsv.readings[0].kwh === 2 && emCsv.errors.length === 2, 'Meter CSV parsing');
+    console.assert(parseMeterCSV('tid,kwh\n2025-09-15 18:00,1.25', 'hoved').readings[0].meterId === 'hoved' && parseCSV('a;"b;c";"d""e"').flat().join('|') === 'a|b;c|d"e', 'Default meter and quoted CSV');
+    console.assert(mergeReadings([{ meterId:'m1', ts:'2025-09-15T18:00', kwh: 9 }], emCsv.readings).find(r => r.ts==='2025-09-15T18:00').kwh === 2, 'Re-import replaces hours');
+    const emSummary = energyRoomSummary(emCsv.readings, [{ id:'m1', label:'Band 1', roomId:'b1' }], { '2025-09-15': { b1: { x: { startMin: 1110, endMin: 1140 } } } }, '2025-09-01', '2025-09-30');
+    console.assert(emSummary[0].bookedHours === 0.5 && emSummary[0].bookedKwh === 1 && emSummary[0].idleKwh === 4 && emSummary[0].idleHours === 1.5, 'Hour split by booked share');
+    const emCmp = energyComparison([{ roomId:'b1', bookedKwh: 4, bookedHours: 1, idleKwh: 1, idleHours: 2 }], [{ id:'b1', name:'Band 1', type:'band' }], { band: 5, optimizationFactor: 0.9 });
+    console.assert(emCmp.rows[0].perBooked === 4 && Math.abs(emCmp.rows[0].savingPct - 20) < 1e-9 && emCmp.rows[0].perIdle === 0.5 && Math.abs(emCmp.totals.savingPct - 20) < 1e-9, 'Measured vs estimate');
+
+    // Test 32: Byggstyring – forvarsel/etterløp, sammenslåing av korte opphold, midnatt ruller over
+    const hv = hvacSchedule({ '2025-09-15': { b1: { a: { startMin: 18*60, endMin: 20*60 }, b: { startMin: 20*60+15, endMin: 22*60 }, c: { startMin: 23*60+30, endMin: 24*60 } } } }, [{ id:'b1', name:'Band 1' }, { id:'b2', name:'Band 2' }]);
+    const hvHvac = hv.filter(x => x.system === 'hvac'), hvLights = hv.filter(x => x.system === 'lights');
+    console.assert(hvHvac.length === 2 && hvHvac[0].on === '2025-09-15T17:30' && hvHvac[0].off === '2025-09-15T22:15' && hvHvac[0].bookings === 2, 'HVAC lead time and merged gap');
+    console.assert(hvHvac[1].off === '2025-09-16T00:15' && hvLights[1].off === '2025-09-16T00:10' && hvLights[0].on === '2025-09-15T17:55', 'Schedule rolls over midnight');
+    console.assert(!hv.some(x => x.roomId === 'b2') && hvacSchedule({ '2025-09-15': { b1: { a: { startMin: 600, endMin: 660 }, b: { startMin: 760, endMin: 820 } } } }, [{ id:'b1', name:'Band 1' }], { ...DEFAULT_HVAC, mergeGapMin: 0 }).length === 4, 'Idle rooms omitted, gaps kept when merging disabled');
+    console.assert(hvacScheduleCSV(hv).split('\n')[1] === '"b1","Band 1","hvac","2025-09-15T17:30","2025-09-15T22:15","2"' && localDateTime('2025-09-15', -30) === '2025-09-14T23:30', 'Schedule CSV and local date-time');
+
+    // Test 33: Analyse – timer fordelt på klokketimer, måned med gebyr, partner, varmekart og trend
+    const an = analyticsSummary([
+      { id:'n1', date:'2025-09-15', roomId:'b1', startMin: 18*60+30, endMin: 20*60, groupCode:'kulturskole', priceNOK: 500 },
+      { id:'n2', date:'2025-10-06', roomId:'b1', startMin: 10*60, endMin: 11*60, voucherPartner:'Kulturskolen', priceNOK: 100 },
+      { id:'n3', date:'2025-11-03', roomId:'b1', startMin: 10*60, endMin: 11*60, priceNOK: 999 },
+    ], [{ id:'n4', date:'2025-09-20', roomId:'b1', startMin: 600, endMin: 660, cancelFeeNOK: 140 }], '2025-09-01', '2025-10-31');
+    console.assert(an.heatmap.find(x => x.weekday === 1 && x.hour === 18).hours === 0.5 && an.heatmap.length === 3, 'Heatmap splits bookings by clock hour');
+    console.assert(an.monthly.length === 2 && an.monthly[0].feesNOK === 140 && an.monthly[0].hours === 1.5 && an.groups[0].groupCode === 'kulturskole' && an.partners[0].partner === 'Kulturskolen', 'Monthly, group and partner breakdowns');
+    const grid = heatmapGrid(an.heatmap, ['b1'], '2025-09-15', '2025-09-21');
+    console.assert(grid.rows[0].label === 'Mandag' && grid.rows[0].cells[18].pct === 50 && grid.rows[0].cells[2].pct === null && grid.hours[0] === OPEN_HOUR, 'Heatmap grid against open hours');
+    const tr = analyticsTrend(an.monthly, [{ id:'b1', type:'band' }], '2025-09-15', '2025-10-31');
+    console.assert(tr.length === 2 && tr[0].total === computeUtilizationRange({}, [{ id:'b1' }], '2025-09-15', '2025-09-30').total && tr[0].revenueNOK === 640 && tr[1].revenueDelta === -540 && tr[0].utilizationDelta === null, 'Month-over-month trend');
+
+    // Test 34: Kostnadsmodell – break-even fra faktisk miks, hva om-priser og prognose
+    const cm = [{ roomType:'band', groupCode:'standard', bookings: 2, hours: 4, revenueNOK: 1600 }];
+    const cc = { fixed: [{ id:'f', label:'Husleie', monthlyNOK: 30000 }, { id:'g', label:'Lønn', monthlyNOK: 6000 }], energyPricePerKwh: 2, cleaningPerBookingNOK: 60 };
+    const be = breakEvenFor({ costs: cc, mix: cm, energy: { band: 5, optimizationFactor: 1 }, capacityHours: 400 });
+    console.assert(be.variablePerHour === 40 && be.hours === 100 && be.utilization === 25 && be.revenueNOK === 40000, 'Break-even from costs and price mix');
+    console.assert(breakEvenFor({ costs: { ...cc, energyPricePerKwh: 100 }, mix: cm, energy: { band: 5 }, capacityHours: 400 }).utilization === null, 'No break-even when margin is negative');
+    const wi = whatIfMix(cm, { groups: { standard: 1 } }, { pricePct: { band: 50 }, groups: { standard: 0.5 } });
+    console.assert(wi[0].revenueNOK === 1200 && cm[0].revenueNOK === 1600, 'What-if scales revenue by price change and group multiplier');
+    console.assert(monthForecast({ costs: cc, mix: cm, energy: { band: 5, optimizationFactor: 1 }, capacityHours: 400, utilization: 50 }).resultNOK === 36000, 'Monthly forecast result');
+    console.assert(listPriceMix([{ id:'b1', type:'band' }], DEFAULT_PRICING)[0].revenueNOK === 399 && fixedCostsTotal(DEFAULT_COSTS) === 174000, 'List-price fallback mix');
+
+    // Test 35: Eksport – filtre, kolonnevalg, totalrad, filnavn for perioden og XLSX som gyldig ZIP
+    const ex = [
+      { id:'e2', date:'2025-09-16', roomId:'b1', roomName:'Band 1', type:'band', startMin: 600, endMin: 720, groupCode:'kulturskole', bookedFor:'Ola Nordmann', priceNOK: 559, createdBy:'u1', addons:[{ id:'eq-pa', name:'PA', unit:'booking', qty: 1, priceNOK: 450 }] },
+      { id:'e1', date:'2025-09-15', roomId:'b1', roomName:'Band 1', type:'band', startMin: 600, endMin: 660, priceNOK: 399, createdBy:'u2', voucherPartner:'Kulturskolen' },
+      { id:'e3', date:'2025-09-15', roomId:'s1', roomName:'Solo 1', type:'solo', startMin: 600, endMin: 690, priceNOK: 299, createdBy:'u1' },
+    ];
+    console.assert(filterExportBookings(ex, { roomType:'band' }).map(b => b.id).join() === 'e1,e2' && filterExportBookings(ex, { bookedFor:'nordm', ownerId:'u1' }).length === 1 && filterExportBookings(ex, { groupCode:'standard', voucherPartner:'Kulturskolen' })[0].id === 'e1', 'Export filters and sort order');
+    const et = buildExportTable(filterExportBookings(ex, {}), ['priceNOK','date','hours','addonsNOK']);
+    console.assert(et.columns.map(c => c.id).join() === 'date,hours,addonsNOK,priceNOK' && et.totals.join('|') === 'Sum (3 bookinger)|4.5|450|1257', 'Export columns keep canonical order and totals sum');
+    console.assert(filterExportBookings(ex.map(b => ({ ...b, ownerEmail: b.createdBy === 'u1' ? 'ola@example.no' : 'kari@example.no' })), { owner: 'OLA@' }).map(b => b.id).join() === 'e3,e2', 'Export owner filter matches email');
+    console.assert(exportToCSV(buildExportTable([{ ...ex[1], bookedFor: '=HYPERLINK("x")', ownerEmail: '@u2' }], ['bookedFor','owner','priceNOK'])).split('\n')[1] === `"'=HYPERLINK(""x"")","'@u2","399"`
+      && csvSafe(-5) === -5, 'CSV cells starting with formula characters are neutralised');
+    console.assert(exportToCSV(et).split('\n').length === 5 && JSON.parse(exportToJSON(et, { from:'2025-09-15', to:'2025-09-16' })).totals.priceNOK === 1257, 'CSV totals row and JSON totals');
+    console.assert(exportFileName('2025-09-15', '2025-09-16', 'xlsx') === 'bookinger_2025-09-15_2025-09-16.xlsx' && exportFileName('2025-09-15', '2025-09-15', 'csv') === 'bookinger_2025-09-15.csv', 'File named after exported range');
+    const xl = buildXLSX(et);
+    console.assert(crc32(new TextEncoder().encode('abc')) === 0x352441c2 && xl[0] === 0x50 && xl[1] === 0x4b && new DataView(xl.buffer).getUint32(xl.length - 22, true) === 0x06054b50, 'ZIP container with central directory');
+    console.assert(xlsxColumn(0) === 'A' && xlsxColumn(26) === 'AA' && new TextDecoder().decode(xl).includes('<c r="D5" s="1"><v>1257</v></c>'), 'XLSX cells and bold totals row');
+
+    // Test 36: Masseimport – kolonnegjetting, tørrkjøring med feil/konflikter, pris og XLSX tur-retur
+    const imRows = parseCSV('Dato;Rom;Tid;Gruppe;Lærer\n15.09.2025;Band 1;18-20;kulturskole;Kari\n2025-09-15;band 1;19:00–21:00;kulturskole;Per\n15.09.2025;Band 2;09-10;;Ola\n16.09.2025;Band 9;18-19;;\n31.02.2025;Band 1;18-19;;\n16.09.2025;Band 2;18-19;ukjent;\n16.09.2025;Band 1;18:15-19;;\n17.09.2025;Band 2;18-19;;');
+    const imMap = guessImportMapping(imRows[0]);
+    console.assert(imMap.date === 0 && imMap.room === 1 && imMap.time === 2 && imMap.group === 3 && imMap.bookedFor === 4 && imMap.start == null, 'Import column mapping guessed from header');
+    const imCtx = { rooms: DEFAULT_ROOMS, groups: Object.keys(DEFAULT_PRICING.groups), schedule: DEFAULT_SCHEDULE, blackouts: [], existing: { '2025-09-17': { b2: { x: { startMin: 1080, endMin: 1140 } } } }, waitlist: [], pricing: DEFAULT_PRICING, pricingRules: [] };
+    const imPlan = planImport(imRows.slice(1), imMap, imCtx);
+    console.assert(imPlan.lines.map(l => l.status).join() === 'ok,conflict,conflict,error,error,error,error,conflict' && imPlan.lines[1].message.includes('linje 2'), 'Dry run reports errors and conflicts (also within the file)');
+    console.assert(imPlan.ok === 1 && imPlan.priceNOK === 559 && imPlan.lines[0].booking.bookedFor === 'Kari' && importDateRange(imRows.slice(1), imMap).to === '2025-09-17', 'Dry run prices valid rows');
+    console.assert(parseImportDate(45915) === '2025-09-15' && parseImportDate('1.9.25') === '2025-09-01' && parseImportTime(0.75) === 1080 && parseImportSpan('18.30 – 24')[1] === 1440, 'Import date/time formats incl. Excel serials');
+    parseXLSX(buildXLSX(buildExportTable(filterExportBookings(ex, {}), ['date','room','start','end','priceNOK']))).then(xr => {
+      const xp = planImport(xr.slice(1), guessImportMapping(xr[0]), { ...imCtx, existing: {} });
+      console.assert(xr[0][2] === 'Start' && xr[1][4] === 399 && xp.ok === 3 && xp.lines[3].status === 'error', 'XLSX round trip into import');
+    });
+
+    // Test 37: E-post – maler (nb/en), mottakere per språk, PIN i tilgangsvinduet og påminnelser
+    const mb1 = { id:'m1', date:'2025-09-16', roomName:'Band 1', startMin: 18*60, endMin: 21*60, createdBy:'u1', bookedFor:'Kari@Example.no', emailLang:'nb', priceNOK: 1197 };
+    const mb2 = { ...mb1, id:'m2', date:'2025-09-23', bookedFor: null };
+    const mConf = bookingEmail('confirmation', [mb1], { grants: { m1: { status:'issued', secret:'482913' } } });
+    console.assert(mConf.subject === 'Øvingsrommet: Bekreftet – Band 1, tir. 16.09.2025 18:00–21:00' && mConf.text.includes('17:45–21:10') && mConf.text.includes('PIN-kode: 482913') && !mConf.text.includes('timer før start'), 'Confirmation with access window and PIN');
+    const mCancel = bookingEmail('cancellation', [{ ...mb1, cancelFeeNOK: 599 }], { lang:'en' });
+    console.assert(mCancel.subject.includes('Cancelled – Band 1, Tue 16/09/2025') && mCancel.text.includes('Cancellation fee: NOK 599') && !mCancel.text.includes('PIN'), 'English cancellation with fee, no access details');
+    const mMails = composeEmails('confirmation', [mb1, mb2], { ownerEmails: { u1: 'Ola@example.no' } });
+    console.assert(mMails.length === 2 && mMails[0].to === 'ola@example.no' && mMails[0].bookingIds.join() === 'm1,m2' && mMails[0].subject.includes('2 bookinger') && mMails[1].to === 'kari@example.no' && mMails[1].bookingIds.join() === 'm1' && mMails[0].text.includes('24 timer før start'), 'One mail per recipient for a series, booked_for included');
+    console.assert(composeEmails('change', [mb1], { ownerEmails: { u1: 'kari@example.no' } }).length === 1 && composeEmails('change', [{ ...mb1, bookedFor: 'Kari' }], { ownerEmails: {} }).length === 0
+      && composeEmails('change', [mb1], { ownerEmails: { u1: 'ola@example.no' }, settings: { ...DEFAULT_NOTIFY, sendToBookedFor: false } }).length === 1, 'Recipients deduplicated, names and disabled booked_for skipped');
+    const mNow = new Date('2025-09-15T19:00:00');
+    const mSent = new Set([reminderKey(mb1)]);
+    console.assert(remindersDue([mb1, mb2], { hoursBefore: 24, now: mNow }).map(b => b.id).join() === 'm1' && remindersDue([mb1], { hoursBefore: 24, now: mNow, sentKeys: mSent }).length === 0
+      && remindersDue([{ ...mb1, startMin: 17*60 }], { hoursBefore: 24, now: mNow, sentKeys: mSent }).length === 1, 'Reminders due once per booking time');
+    console.assert(composeEmails('confirmation', [mb1, mb2], { ownerEmails: { u1: 'ola@example.no' }, grants: { m1: { status:'issued', secret:'1' } } })[0].reminderKeys.join() === reminderKey(mb1), 'PIN already sent counts as reminder');
+
+    // Test 38: Band – roller, invitasjoner og historikk per band
+    const ob = { id:'o1', name:'Kjellerbandet', kind:'band', members: [{ userId:'u1', email:'ola@example.no', role:'owner' }, { userId:'u2', email:'kari@example.no', role:'member' }], invites: [{ id:'i1', email:'Per@example.no', role:'member', token:'t1', expiresAt:'2025-10-01T00:00:00Z' }] };
+    console.assert(orgRoleOf(ob, 'u2') === 'member' && canManageOrg(ob, 'u1') && !canManageOrg(ob, 'u2') && memberOrgIds([ob, { ...ob, id:'o2', members: [] }], 'u2').join() === 'o1', 'Org roles and membership');
+    console.assert(orgInviteError(ob, 'KARI@example.no')?.includes('allerede medlem') && orgInviteError(ob, 'per@example.no')?.includes('allerede invitert') && orgInviteError(ob, 'kari') && orgInviteError(ob, 'nils@example.no') === null
+      && orgInviteURL('https://x.no/', 'a b') === 'https://x.no/?invite=a%20b', 'Invite validation and link');
+    const oh = orgHistory([
+      { id:'h1', orgId:'o1', date:'2025-09-10', startMin: 18*60, endMin: 20*60, priceNOK: 400 },
+      { id:'h2', orgId:'o1', date:'2025-09-20', startMin: 18*60, endMin: 19*60, priceNOK: 200 },
+      { id:'h3', orgId:'o1', date:'2025-09-25', startMin: 18*60, endMin: 19*60, priceNOK: 200 },
+      { id:'h4', orgId:'o1', date:'2025-09-12', startMin: 18*60, endMin: 19*60, priceNOK: 200, status:'cancelled', cancelFeeNOK: 100 },
+      { id:'h5', orgId:'o2', date:'2025-09-11', startMin: 18*60, endMin: 19*60, priceNOK: 200 },
+    ], 'o1', new Date('2025-09-15T12:00:00'));
+    console.assert(oh.upcoming.map(b => b.id).join() === 'h2,h3' && oh.past.map(b => b.id).join() === 'h1' && oh.cancelled.length === 1 && oh.hours === 2 && oh.spentNOK === 500, 'Org history split with hours and spend incl. cancellation fees');
+
     console.info('%cSelf-tests passed', 'color: green');
   } catch (e) {
     console.error('Self-tests error:', e);